@@ -1,20 +1,157 @@
+const crypto = require('crypto');
+const { FROM_ADDRESS, createTransporter, appUrl } = require('../lib/mailer');
+const { renderEmail } = require('../lib/email-templates');
+const { authenticatePassword, findOrCreateMagicLinkUser } = require('../lib/users');
+const {
+  createSessionToken,
+  sessionCookie,
+  clearSessionCookie,
+  createMagicLinkToken,
+  consumeMagicLinkToken
+} = require('../lib/auth');
+
+/**
+ * Vercel Serverless Function for dashboard sign-in
+ * GET    /api/auth?key=...       - Byga Club Library link: BYGA_LINK_SECRET as `key` and a
+ *                                  Referer from hiltonheat.byga.net sign the visitor in
+ *                                  with BYGA_ROLE (viewer or coach) and BYGA_TEAMS
+ * GET    /api/auth?token=...     - Sign-in link from the email below
+ * POST   /api/auth               - { email, password } signs in with a password;
+ *                                  { email } alone emails a sign-in link
+ * DELETE /api/auth               - Sign out
+ *
+ * Every sign-in sets the signed hh_session cookie that middleware.js checks.
+ * `from` (query or body) is where to go afterwards; only local paths are used.
+ */
 module.exports = async (req, res) => {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  if (!process.env.SESSION_SECRET) {
+    return res.status(503).json({ success: false, error: 'SESSION_SECRET not configured' });
   }
 
-  const referer = req.headers.referer || req.headers.referrer || '';
-  const isFromByga = referer.includes('hiltonheat.byga.net');
+  try {
+    if (req.method === 'GET' && req.query.token) {
+      return await magicLinkSignIn(req, res);
+    }
 
-  if (!isFromByga) {
-    return res.redirect(302, '/login.html');
+    if (req.method === 'GET') {
+      return await bygaSignIn(req, res);
+    }
+
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      if (body.password) {
+        return await passwordSignIn(req, res, body);
+      }
+      return await sendMagicLink(req, res, body);
+    }
+
+    if (req.method === 'DELETE') {
+      res.setHeader('Set-Cookie', clearSessionCookie());
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Auth error:', error);
+    return res.status(500).json({ success: false, error: 'Sign-in failed' });
   }
+};
+
+const BYGA_HOST = 'hiltonheat.byga.net';
 
-  const maxAge = 24 * 60 * 60; // 24 hours
-  res.setHeader(
-    'Set-Cookie',
-    `hh_access=1; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAge}`
-  );
+/**
+ * The Referer alone can be set by anyone, so the link must also carry the
+ * shared BYGA_LINK_SECRET; without it configured the Byga path is off.
+ */
+async function bygaSignIn(req, res) {
+  if (!isBygaLink(req)) {
+    return res.redirect(302, '/login.html');
+  }
 
+  const token = await createSessionToken({
+    id: 'byga',
+    name: 'Byga member',
+    role: process.env.BYGA_ROLE === 'coach' ? 'coach' : 'viewer'
+  });
+  res.setHeader('Set-Cookie', sessionCookie(token));
   return res.redirect(302, '/');
-};
+}
+
+function isBygaLink(req) {
+  const secret = process.env.BYGA_LINK_SECRET;
+  const key = String(req.query.key || '');
+  if (!secret || !key) return false;
+
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const given = crypto.createHash('sha256').update(key).digest();
+  if (!crypto.timingSafeEqual(expected, given)) return false;
+
+  try {
+    return new URL(req.headers.referer || req.headers.referrer).host === BYGA_HOST;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function magicLinkSignIn(req, res) {
+  const email = await consumeMagicLinkToken(req.query.token);
+  const user = email ? await findOrCreateMagicLinkUser(email) : null;
+
+  if (!user) {
+    return res.redirect(302, '/login.html?error=link');
+  }
+
+  res.setHeader('Set-Cookie', sessionCookie(await createSessionToken(user)));
+  return res.redirect(302, safeRedirect(req.query.from));
+}
+
+async function passwordSignIn(req, res, body) {
+  const user = await authenticatePassword(body.email, body.password);
+  if (!user) {
+    return res.status(401).json({ success: false, error: 'Wrong email or password' });
+  }
+
+  res.setHeader('Set-Cookie', sessionCookie(await createSessionToken(user)));
+  return res.status(200).json({
+    success: true,
+    user: { name: user.name, email: user.email, role: user.role },
+    redirect: safeRedirect(body.from)
+  });
+}
+
+/**
+ * Email a sign-in link. The response is the same whether or not the email
+ * has an account, so it can't be used to find out who does.
+ */
+async function sendMagicLink(req, res, body) {
+  const email = String(body.email || '').trim();
+  if (!email) {
+    return res.status(400).json({ success: false, error: 'Missing required field: email' });
+  }
+
+  const user = await findOrCreateMagicLinkUser(email);
+  if (user) {
+    const link = new URL('/api/auth', appUrl(req));
+    link.searchParams.set('token', await createMagicLinkToken(user.email));
+    link.searchParams.set('from', safeRedirect(body.from));
+
+    const transporter = createTransporter();
+    await transporter.sendMail({
+      from: FROM_ADDRESS,
+      to: user.email,
+      ...renderEmail('sign-in-link', { url: link.toString() })
+    });
+  } else {
+    console.log('Sign-in link requested for an unknown or inactive email');
+  }
+
+  return res.status(200).json({ success: true, message: 'If that email has an account, a sign-in link is on its way.' });
+}
+
+/**
+ * Local paths only, so sign-in can't be used to redirect off-site
+ */
+function safeRedirect(from) {
+  const path = String(from || '');
+  return path.startsWith('/') && !path.startsWith('//') && !path.startsWith('/\\') ? path : '/';
+}
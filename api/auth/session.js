@@ -0,0 +1,27 @@
+const { getSession } = require('../../lib/auth');
+
+/**
+ * Vercel Serverless Function for the signed-in user
+ * GET /api/auth/session - { user: { name, email, role, teams } }, or 401 when signed out
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getSession(req);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Not signed in' });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: { name: session.name, email: session.email, role: session.role, teams: session.teams },
+      expiresAt: new Date(session.exp).toISOString()
+    });
+  } catch (error) {
+    console.error('Session error:', error);
+    res.status(500).json({ success: false, error: 'Failed to read session' });
+  }
+};
@@ -1,14 +1,26 @@
-const RDYSLScraperServerless = require('./scraper-serverless');
-
-// Cache configuration
-let cachedData = null;
-let lastCacheTime = null;
-const CACHE_DURATION = (parseInt(process.env.CACHE_DURATION_MINUTES) || 30) * 60 * 1000;
+const { getCallupData, formatSummary, calculateStats } = require('../lib/callup-data');
+const { requireRole } = require('../lib/auth');
+const { teamScope } = require('../lib/team-scope');
+const { getSeason, getSeasonArchive, getCurrentSeason } = require('../lib/seasons');
 
 /**
  * Vercel Serverless Function for RDYSL Callup Data
  * GET /api/callups - Get callup data (cached)
- * POST /api/callups - Force refresh and get callup data
+ * POST /api/callups - Force refresh and get callup data (coach or admin)
+ *
+ * Add ?details=true to include each player's individual callups
+ * (date, game, from/to team) under `callups`. Rows are joined to the club
+ * roster (homeTeam, ageGroup, jerseyNumber, coaches). `identityReview` is
+ * the number of similar player names waiting for review at /api/identities.
+ * Coaches only get their own teams' players (see lib/team-scope.js); `teams`
+ * lists the teams the response is limited to, or is null for the whole club.
+ *
+ * Stale data is returned immediately with `refreshInProgress: true` while a
+ * background scrape runs; `cacheAgeSeconds` is the age of the data returned.
+ *
+ * ?season=<id> (see /api/seasons) returns an archived season as it stood
+ * before RDYSL reset it, with `archived: true`; the current season, or no
+ * season, is the live data. `season` describes the season returned.
  */
 module.exports = async (req, res) => {
   // Set CORS headers
@@ -24,60 +36,61 @@ module.exports = async (req, res) => {
 
   try {
     const forceRefresh = req.method === 'POST' || req.query.forceRefresh === 'true';
-    const now = Date.now();
-    const isCacheValid = cachedData && lastCacheTime && (now - lastCacheTime) < CACHE_DURATION;
-
-    // Return cached data if valid and not forcing refresh
-    if (isCacheValid && !forceRefresh) {
-      console.log('Returning cached data');
-      const stats = calculateStats(cachedData.summary);
-
-      return res.status(200).json({
-        success: true,
-        summary: cachedData.summary,
-        stats,
-        lastUpdated: cachedData.lastUpdated,
-        totalRecords: cachedData.totalRecords,
-        cached: true
-      });
+    const includeDetails = req.query.details === 'true';
+
+    // Anyone signed in can read; making RDYSL scrape again takes a coach
+    const session = await requireRole(req, res, forceRefresh ? 'coach' : 'viewer');
+    if (!session) return;
+    const teams = teamScope(session);
+
+    if (req.query.season && !forceRefresh) {
+      const season = await getSeason(req.query.season);
+      if (!season) return res.status(404).json({ success: false, error: 'Season not found' });
+
+      const archive = season.archivedAt ? await getSeasonArchive(season.id) : null;
+      if (archive) {
+        const summary = await formatSummary(archive.summary, includeDetails, teams, { nextGames: false });
+        return res.status(200).json({
+          success: true,
+          summary,
+          stats: calculateStats(summary),
+          teams,
+          season: describeSeason(season),
+          archived: true,
+          lastUpdated: archive.lastUpdated,
+          archivedAt: archive.archivedAt,
+          totalRecords: archive.totalRecords
+        });
+      }
+
+      const current = await getCurrentSeason();
+      if (!current || current.id !== season.id) {
+        return res.status(404).json({ success: false, error: `${season.name} has no archived data` });
+      }
     }
 
-    // Check credentials
-    if (!process.env.RDYSL_USERNAME || !process.env.RDYSL_PASSWORD) {
-      return res.status(503).json({
-        success: false,
-        error: 'RDYSL credentials not configured'
-      });
-    }
-
-    console.log('Scraping fresh data...');
-
-    // Create scraper and fetch data
-    const scraper = new RDYSLScraperServerless();
-    const result = await scraper.scrapeCallupData();
+    const result = await getCallupData({ forceRefresh });
 
     if (!result.success) {
-      return res.status(500).json(result);
+      const { statusCode, ...body } = result;
+      return res.status(statusCode || 500).json(body);
     }
 
-    // Update cache
-    cachedData = {
-      summary: result.summary,
-      totalRecords: result.totalRecords,
-      lastUpdated: result.lastUpdated
-    };
-    lastCacheTime = now;
-
-    // Calculate stats
-    const stats = calculateStats(result.summary);
+    const summary = await formatSummary(result.summary, includeDetails, teams);
 
     res.status(200).json({
       success: true,
-      summary: result.summary,
-      stats,
+      summary,
+      stats: calculateStats(summary),
+      teams,
+      season: result.season ? describeSeason(await getSeason(result.season)) : null,
+      archived: false,
       lastUpdated: result.lastUpdated,
       totalRecords: result.totalRecords,
-      cached: false
+      identityReview: result.identityReview || 0,
+      cached: result.cached,
+      cacheAgeSeconds: result.cacheAgeSeconds,
+      refreshInProgress: result.refreshInProgress
     });
 
   } catch (error) {
@@ -91,25 +104,7 @@ module.exports = async (req, res) => {
   }
 };
 
-/**
- * Calculate statistics from summary
- */
-function calculateStats(summary) {
-  if (!summary || !Array.isArray(summary)) {
-    return {
-      totalPlayers: 0,
-      warnings: 0,
-      unavailable: 0,
-      overLimit: 0,
-      totalCallups: 0
-    };
-  }
-
-  return {
-    totalPlayers: summary.length,
-    warnings: summary.filter(p => p.isWarning).length,
-    unavailable: summary.filter(p => p.isUnavailable).length,
-    overLimit: summary.filter(p => p.isOverLimit).length,
-    totalCallups: summary.reduce((sum, p) => sum + p.callupCount, 0)
-  };
+function describeSeason(season) {
+  if (!season) return null;
+  return { id: season.id, name: season.name, startDate: season.startDate, endDate: season.endDate };
 }
@@ -0,0 +1,171 @@
+const CallupRules = require('../../public/js/callup-rules');
+const { loadCallupRules } = require('../scraper-serverless');
+const { getCallupData, formatSummary } = require('../../lib/callup-data');
+const { listPlayers } = require('../../lib/roster');
+const { normalizeName } = require('../../lib/names');
+const { requireRole } = require('../../lib/auth');
+const { teamScope } = require('../../lib/team-scope');
+const { teamMatches } = require('../../lib/team-contacts');
+const { listSeasons, seasonForDate, rulesForSeason } = require('../../lib/seasons');
+const { clubDate } = require('../../lib/schedule');
+
+const MAX_PLAYERS = 30;
+
+/**
+ * Vercel Serverless Function: "can these players be called up?"
+ * POST /api/callups/check
+ *   { players: ['Smith, John', ...], team: 'BU12 - Borcyk', gameDate: '2026-10-24', gameId: '1234' }
+ *
+ * Applies the callup rules to each player's current callups plus one more
+ * callup to `team`, and returns allow/deny with the status they'd end up at.
+ * gameDate and gameId are optional. Callups are counted in the season of
+ * gameDate (today without one), under that season's rules (lib/seasons.js).
+ * Coaches can only check callups into their own teams.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await requireRole(req, res, 'coach');
+  if (!session) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const body = req.body || {};
+  const players = (Array.isArray(body.players) ? body.players : String(body.players || '').split(/\r?\n/))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  const team = String(body.team || '').trim();
+  const gameDate = body.gameDate ? String(body.gameDate).slice(0, 10) : null;
+
+  if (players.length === 0 || !team) {
+    return res.status(400).json({ success: false, error: 'Missing required fields: players, team' });
+  }
+  if (players.length > MAX_PLAYERS) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_PLAYERS} players per check` });
+  }
+  if (gameDate && !/^\d{4}-\d{2}-\d{2}$/.test(gameDate)) {
+    return res.status(400).json({ success: false, error: 'gameDate must be YYYY-MM-DD' });
+  }
+
+  const teams = teamScope(session);
+  if (teams && !teams.some(label => teamMatches(team, label))) {
+    return res.status(403).json({ success: false, error: `You can only check callups to your own teams (${teams.join(', ') || 'none assigned'})` });
+  }
+
+  try {
+    const data = await getCallupData();
+    if (!data.success) {
+      const { statusCode, ...result } = data;
+      return res.status(statusCode || 500).json(result);
+    }
+
+    const summary = await formatSummary(data.summary, true);
+    const roster = await listPlayers();
+    const season = seasonForDate(await listSeasons(), gameDate || clubDate());
+    const rules = rulesForSeason(loadCallupRules(), season);
+
+    const results = players.map(name => checkPlayer(name, {
+      summary,
+      roster,
+      rules,
+      seasonStart: season ? season.startDate : undefined,
+      team,
+      gameDate,
+      gameId: body.gameId ? String(body.gameId) : null
+    }));
+
+    res.status(200).json({
+      success: true,
+      team,
+      gameDate,
+      results,
+      allAllowed: results.every(result => result.allowed),
+      season: season ? season.id : null,
+      lastUpdated: data.lastUpdated
+    });
+  } catch (error) {
+    console.error('Callup check error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check callups' });
+  }
+};
+
+/**
+ * Project one more callup to the target team for one player
+ */
+function checkPlayer(name, { summary, roster, rules, seasonStart, team, gameDate, gameId }) {
+  const key = normalizeName(name);
+  const row = summary.find(player =>
+    [player.playerName, ...(player.aliases || [])].some(alias => normalizeName(alias) === key));
+  const rosterPlayer = roster.find(player => normalizeName(player.name) === key);
+  const homeTeam = (row && row.homeTeam) || (rosterPlayer && rosterPlayer.team) || null;
+  const callups = (row && row.callups) || [];
+
+  const base = {
+    player: name,
+    matchedPlayer: row ? row.playerName : (rosterPlayer ? rosterPlayer.name : null),
+    homeTeam
+  };
+
+  // Playing for their own team isn't a callup
+  if (homeTeam && sameTeam(homeTeam, team)) {
+    const current = CallupRules.evaluatePlayer(callups, rules, { asOf: gameDate || undefined, seasonStart });
+    return {
+      ...base,
+      allowed: true,
+      currentCount: current.callupCount,
+      projectedCount: current.callupCount,
+      currentStatus: current.status,
+      projectedStatus: current.status,
+      remainingAfter: current.remaining,
+      reason: `Plays for ${team}; not a callup`
+    };
+  }
+
+  const projection = CallupRules.projectCallup(
+    callups,
+    { date: gameDate, gameId, fromTeam: homeTeam, toTeam: team, callupType: null },
+    rules,
+    {
+      ageGroup: rosterPlayer ? rosterPlayer.ageGroup : undefined,
+      asOf: gameDate || undefined,
+      seasonStart
+    }
+  );
+
+  return {
+    ...base,
+    allowed: projection.allowed,
+    currentCount: projection.current.callupCount,
+    projectedCount: projection.projected.callupCount,
+    currentStatus: projection.current.status,
+    projectedStatus: projection.projected.status,
+    remainingAfter: projection.projected.remaining,
+    reason: describe(projection, row, rosterPlayer)
+  };
+}
+
+function describe(projection, row, rosterPlayer) {
+  if (!projection.allowed) {
+    return `Would be ${projection.projected.status} after this callup`;
+  }
+  if (!row && !rosterPlayer) {
+    return 'No callups on record and not on the club roster; check the spelling';
+  }
+  if (projection.projected.isUnavailable) {
+    return 'Allowed, but this uses the last available callup';
+  }
+  return 'Allowed';
+}
+
+function sameTeam(a, b) {
+  const simplify = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return simplify(a) === simplify(b);
+}
@@ -0,0 +1,73 @@
+const { getCallupData, formatSummary, calculateStats } = require('../../lib/callup-data');
+const { filterSummary, buildCsv, buildXlsx, buildPdf } = require('../../lib/callup-export');
+const { requireRole } = require('../../lib/auth');
+const { teamScope } = require('../../lib/team-scope');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', build: buildCsv },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', build: buildXlsx },
+  pdf: { contentType: 'application/pdf', build: buildPdf }
+};
+
+/**
+ * Vercel Serverless Function for the callup compliance report
+ * GET /api/callups/export?format=csv|xlsx|pdf
+ *
+ * Filters (same as the dashboard): status=WARNING,UNAVAILABLE  team=BU12 - Borcyk  ageGroup=GU12  search=smith
+ * Add details=false to leave out the per-callup detail section.
+ * Coaches only get their own teams' players.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await requireRole(req, res, 'viewer');
+  if (!session) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!FORMATS[format]) {
+    return res.status(400).json({ success: false, error: 'format must be csv, xlsx or pdf' });
+  }
+
+  try {
+    const data = await getCallupData();
+    if (!data.success) {
+      const { statusCode, ...result } = data;
+      return res.status(statusCode || 500).json(result);
+    }
+
+    const filters = {
+      status: req.query.status,
+      team: req.query.team,
+      ageGroup: req.query.ageGroup,
+      search: req.query.search
+    };
+    const summary = filterSummary(await formatSummary(data.summary, true, teamScope(session)), filters);
+    const report = {
+      summary,
+      stats: calculateStats(summary),
+      lastUpdated: data.lastUpdated,
+      filters,
+      includeDetails: req.query.details !== 'false'
+    };
+
+    const body = await FORMATS[format].build(report);
+    const fileDate = data.lastUpdated.slice(0, 10);
+
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="callup-report-${fileDate}.${format}"`);
+    res.status(200).send(body);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ success: false, error: 'Failed to build callup report' });
+  }
+};
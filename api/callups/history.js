@@ -0,0 +1,44 @@
+const { getPlayerHistory } = require('../../lib/history');
+const { requireRole } = require('../../lib/auth');
+const { teamScope, createScopeFilter } = require('../../lib/team-scope');
+
+/**
+ * Vercel Serverless Function for a player's callup timeline
+ * GET /api/callups/history?player=Smith, John
+ *
+ * Coaches only get the snapshots where the player was on one of their teams.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await requireRole(req, res, 'viewer');
+  if (!session) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const player = (req.query.player || '').trim();
+  if (!player) {
+    return res.status(400).json({ success: false, error: 'Missing required query parameter: player' });
+  }
+
+  try {
+    const timeline = await getPlayerHistory(player, await createScopeFilter(teamScope(session)));
+
+    res.status(200).json({
+      success: true,
+      player,
+      timeline
+    });
+  } catch (error) {
+    console.error('History API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load callup history' });
+  }
+};
@@ -0,0 +1,69 @@
+const { loadCallupRules } = require('../scraper-serverless');
+const { getCallupData, formatSummary } = require('../../lib/callup-data');
+const { findPlayer, buildPlayerDetail } = require('../../lib/player-detail');
+const { listSeasons, seasonForDate, rulesForSeason } = require('../../lib/seasons');
+const { clubDate } = require('../../lib/schedule');
+const { requireRole } = require('../../lib/auth');
+const { teamScope } = require('../../lib/team-scope');
+
+/**
+ * Vercel Serverless Function for the player page (/player/<id>)
+ * GET /api/callups/player?id=john-smith
+ *
+ * `id` is the player id in /api/callups rows. Returns the player's row with
+ * every callup, the status they'd reach next and how many callups away it is,
+ * their running callup count this season for the chart, and the fines that
+ * name them. Coaches only get their own teams' players.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await requireRole(req, res, 'viewer');
+  if (!session) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const id = (req.query.id || '').trim().toLowerCase();
+  if (!id) {
+    return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+  }
+
+  try {
+    const data = await getCallupData();
+    if (!data.success) {
+      const { statusCode, ...result } = data;
+      return res.status(statusCode || 500).json(result);
+    }
+
+    const summary = await formatSummary(data.summary, true, teamScope(session));
+    const row = findPlayer(summary, id);
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Player not found' });
+    }
+
+    const season = seasonForDate(await listSeasons(), clubDate());
+    const detail = buildPlayerDetail(row, {
+      rules: rulesForSeason(loadCallupRules(), season),
+      seasonStart: season ? season.startDate : undefined,
+      fines: data.fines || []
+    });
+
+    res.status(200).json({
+      success: true,
+      ...detail,
+      season: season ? { id: season.id, name: season.name } : null,
+      lastUpdated: data.lastUpdated
+    });
+  } catch (error) {
+    console.error('Player API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load player' });
+  }
+};
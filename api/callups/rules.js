@@ -0,0 +1,40 @@
+const { loadCallupRules } = require('../scraper-serverless');
+const { getCurrentSeason, rulesForSeason } = require('../../lib/seasons');
+const { requireRole } = require('../../lib/auth');
+
+/**
+ * Vercel Serverless Function: the callup rules the server applies today
+ * GET /api/callups/rules
+ *
+ * DEFAULT_RULES with CALLUP_RULES and the current season's rules merged in,
+ * plus the season's start date, so the checker page counts callups the same
+ * way as the scraper.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!(await requireRole(req, res, 'viewer'))) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const season = await getCurrentSeason();
+    res.status(200).json({
+      success: true,
+      rules: rulesForSeason(loadCallupRules(), season),
+      seasonStart: season ? season.startDate : null,
+      season: season ? { id: season.id, name: season.name } : null
+    });
+  } catch (error) {
+    console.error('Callup rules error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load callup rules' });
+  }
+};
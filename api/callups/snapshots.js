@@ -0,0 +1,55 @@
+const { listSnapshots, getSnapshot } = require('../../lib/history');
+const { requireRole } = require('../../lib/auth');
+const { teamScope, createScopeFilter } = require('../../lib/team-scope');
+const { filterFines } = require('../../lib/fines');
+
+/**
+ * Vercel Serverless Function for past scrapes
+ * GET /api/callups/snapshots           - List snapshots, newest first (?limit=N)
+ * GET /api/callups/snapshots?id=...    - One snapshot with its player rows and fines
+ *
+ * Coaches only get their own teams' player rows and fines, and player counts
+ * of their own teams in the list.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await requireRole(req, res, 'viewer');
+  if (!session) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const teams = teamScope(session);
+    const inScope = await createScopeFilter(teams);
+
+    if (req.query.id) {
+      const snapshot = await getSnapshot(req.query.id);
+      if (!snapshot) {
+        return res.status(404).json({ success: false, error: 'Snapshot not found' });
+      }
+      return res.status(200).json({
+        success: true,
+        snapshot: {
+          ...snapshot,
+          players: snapshot.players.filter(inScope),
+          fines: filterFines(snapshot.fines || [], { teams })
+        }
+      });
+    }
+
+    const snapshots = await listSnapshots(parseInt(req.query.limit) || undefined, inScope);
+    res.status(200).json({ success: true, snapshots });
+  } catch (error) {
+    console.error('Snapshots API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load snapshots' });
+  }
+};
@@ -0,0 +1,94 @@
+const {
+  listContacts,
+  getContact,
+  saveContact,
+  deleteContact,
+  listTeams,
+  exportContactsCsv,
+  importContactsCsv
+} = require('../lib/team-contacts');
+const { requireRole } = require('../lib/auth');
+const { readCsvBody } = require('../lib/csv');
+
+/**
+ * Vercel Serverless Function for the team contacts directory (admin)
+ * GET    /api/contacts[?team=BU12 - Borcyk]  - List contacts (or ?id= for one), plus every team label
+ * GET    /api/contacts?format=csv            - Download the directory as CSV
+ * POST   /api/contacts                       - Add a contact
+ *          { name, email, phone, teams: [{ team, role }], active, scrimmageOptOut }
+ * POST   /api/contacts?import=csv            - Import CSV (text/csv body, or JSON { csv });
+ *                                              add &replace=true to replace the whole directory
+ *                                              (refused when any contact is invalid)
+ * PUT    /api/contacts?id=...                - Update a contact
+ * DELETE /api/contacts?id=...                - Remove a contact
+ *
+ * Roles are head coach, manager or owner. Inactive contacts get no emails;
+ * scrimmageOptOut contacts still get callup alerts.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    const id = req.query.id;
+
+    if (req.method === 'GET') {
+      if (id) {
+        const contact = await getContact(id);
+        if (!contact) return res.status(404).json({ success: false, error: 'Contact not found' });
+        return res.status(200).json({ success: true, contact });
+      }
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="team-contacts.csv"');
+        return res.status(200).send(await exportContactsCsv());
+      }
+
+      const team = req.query.team;
+      const contacts = (await listContacts())
+        .filter(contact => !team || contact.teams.some(membership => membership.team === team));
+      return res.status(200).json({ success: true, contacts, teams: await listTeams() });
+    }
+
+    if (req.method === 'POST' && req.query.import === 'csv') {
+      const csv = readCsvBody(req);
+      if (!csv) {
+        return res.status(400).json({ success: false, error: 'CSV body is empty' });
+      }
+      const replace = req.query.replace === 'true' || (req.body && req.body.replace === true);
+      const result = await importContactsCsv(csv, { replace });
+      if (result.error) return res.status(400).json({ success: false, ...result });
+      return res.status(200).json({ success: true, ...result });
+    }
+
+    if (req.method === 'POST' || req.method === 'PUT') {
+      if (req.method === 'PUT') {
+        if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+        if (!(await getContact(id))) return res.status(404).json({ success: false, error: 'Contact not found' });
+      }
+
+      const { contact, error } = await saveContact(req.method === 'PUT' ? id : null, req.body || {});
+      if (error) return res.status(400).json({ success: false, error });
+      return res.status(req.method === 'POST' ? 201 : 200).json({ success: true, contact });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+      const removed = await deleteContact(id);
+      if (!removed) return res.status(404).json({ success: false, error: 'Contact not found' });
+      return res.status(200).json({ success: true });
+    }
+
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Contacts API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update contacts' });
+  }
+};
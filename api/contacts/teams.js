@@ -0,0 +1,47 @@
+const { listContacts, listTeams, getTeamLevels, setTeamLevel } = require('../../lib/team-contacts');
+const { requireRole } = require('../../lib/auth');
+
+/**
+ * Vercel Serverless Function for team levels (admin)
+ * GET /api/contacts/teams               - Every team label with its level and contact count
+ * PUT /api/contacts/teams?team=...      - { level } division number, or "" to clear
+ *
+ * Scrimmage requests that ask for a level only go to teams at that level and
+ * teams with no level set.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      const [contacts, levels] = await Promise.all([listContacts(), getTeamLevels()]);
+      const teams = (await listTeams()).map(team => ({
+        team,
+        level: levels[team] || null,
+        contacts: contacts.filter(contact => contact.teams.some(membership => membership.team === team)).length
+      }));
+      return res.status(200).json({ success: true, teams });
+    }
+
+    if (req.method === 'PUT') {
+      const team = req.query.team;
+      if (!team) return res.status(400).json({ success: false, error: 'Missing required query parameter: team' });
+      const { level, error } = await setTeamLevel(team, (req.body || {}).level);
+      if (error) return res.status(400).json({ success: false, error });
+      return res.status(200).json({ success: true, team, level });
+    }
+
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Team levels API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update team levels' });
+  }
+};
@@ -0,0 +1,63 @@
+const { getCallupData, formatSummary } = require('../../lib/callup-data');
+const {
+  findStatusEscalations,
+  sendCallupAlerts,
+  getAlertBaseline,
+  saveAlertBaseline
+} = require('../../lib/callup-alerts');
+
+/**
+ * Vercel Cron Job: refresh the callup data and email team contacts about
+ * every player whose callup status got worse since the last alert run.
+ * GET /api/cron/callup-alerts (schedule in vercel.json)
+ *
+ * The refresh goes through getCallupData(), so it shares the dashboard's
+ * single-flight scrape, cache and snapshot, and players are joined to the
+ * roster and contacts the same way as on the dashboard.
+ *
+ * Vercel sends `Authorization: Bearer $CRON_SECRET` with cron invocations.
+ */
+module.exports = async (req, res) => {
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({ success: false, error: 'CRON_SECRET not configured' });
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const data = await getCallupData({ forceRefresh: true });
+    if (!data.success) {
+      const { statusCode, ...result } = data;
+      return res.status(statusCode || 500).json(result);
+    }
+
+    const summary = await formatSummary(data.summary, true);
+    const baseline = await getAlertBaseline();
+
+    // Without an earlier run there is nothing to compare against, and
+    // alerting on every existing WARNING player would just be noise
+    if (!baseline) {
+      console.log('No alert baseline yet; saving one and skipping callup alerts');
+      await saveAlertBaseline(summary, data.lastUpdated);
+      return res.status(200).json({ success: true, lastUpdated: data.lastUpdated, escalations: [], alerts: [] });
+    }
+
+    const escalations = findStatusEscalations(baseline.players, summary);
+    const alerts = await sendCallupAlerts(escalations);
+    // Only after the alerts are queued, so a failed run is retried next time
+    await saveAlertBaseline(summary, data.lastUpdated);
+
+    res.status(200).json({
+      success: true,
+      lastUpdated: data.lastUpdated,
+      baselineFrom: baseline.lastUpdated,
+      escalations,
+      alerts
+    });
+  } catch (error) {
+    console.error('Callup alerts job failed:', error);
+    res.status(500).json({ success: false, error: error.message || 'Callup alerts job failed' });
+  }
+};
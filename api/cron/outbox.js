@@ -0,0 +1,26 @@
+const { processOutbox } = require('../../lib/outbox');
+
+/**
+ * Vercel Cron Job: send queued emails that are due a retry (see lib/outbox.js)
+ * GET /api/cron/outbox (schedule in vercel.json)
+ *
+ * Vercel sends `Authorization: Bearer $CRON_SECRET` with cron invocations.
+ */
+module.exports = async (req, res) => {
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({ success: false, error: 'CRON_SECRET not configured' });
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const { sent, retrying, failed } = await processOutbox();
+    console.log(`Outbox: ${sent.length} sent, ${retrying.length} retrying, ${failed.length} failed`);
+    res.status(200).json({ success: true, sent, retrying, failed });
+  } catch (error) {
+    console.error('Outbox job failed:', error);
+    res.status(500).json({ success: false, error: error.message || 'Outbox job failed' });
+  }
+};
@@ -0,0 +1,29 @@
+const { appUrl } = require('../../lib/mailer');
+const { processScrimmageRequests } = require('../../lib/scrimmage-requests');
+
+/**
+ * Vercel Cron Job: remind teams about scrimmage requests nobody has answered
+ * after SCRIMMAGE_REMINDER_DAYS, and expire (and tell the requester about)
+ * requests still open after SCRIMMAGE_EXPIRY_DAYS.
+ * GET /api/cron/scrimmage-requests (schedule in vercel.json)
+ *
+ * Vercel sends `Authorization: Bearer $CRON_SECRET` with cron invocations.
+ */
+module.exports = async (req, res) => {
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({ success: false, error: 'CRON_SECRET not configured' });
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const { reminded, expired } = await processScrimmageRequests(appUrl(req));
+    console.log(`Scrimmage requests: ${reminded.length} reminded, ${expired.length} expired`);
+    res.status(200).json({ success: true, reminded, expired });
+  } catch (error) {
+    console.error('Scrimmage requests job failed:', error);
+    res.status(500).json({ success: false, error: error.message || 'Scrimmage requests job failed' });
+  }
+};
@@ -1,4 +1,9 @@
+const { requireRole } = require('../lib/auth');
+
+// Scraper diagnostics show configuration details, so admins only
 module.exports = async (req, res) => {
+  if (!(await requireRole(req, res, 'admin'))) return;
+
   const results = { steps: [] };
 
   // Step 1: Try loading cheerio
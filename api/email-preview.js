@@ -0,0 +1,56 @@
+const { listTemplates, previewEmail } = require('../lib/email-templates');
+const { requireRole } = require('../lib/auth');
+
+/**
+ * Vercel Serverless Function for previewing email templates (admin)
+ * GET /api/email-preview                        - List templates
+ * GET /api/email-preview?template=...           - The HTML email, rendered with sample data
+ * GET /api/email-preview?template=...&format=text - Its plain-text version
+ * GET /api/email-preview?template=...&format=json - { subject, html, text }
+ *
+ * Nothing is sent. Templates live in lib/email-templates.js.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const name = req.query.template;
+    if (!name) {
+      return res.status(200).json({ success: true, templates: listTemplates() });
+    }
+
+    const email = previewEmail(name);
+    if (!email) {
+      return res.status(404).json({ success: false, error: `Unknown template "${name}"` });
+    }
+
+    const format = req.query.format || 'html';
+    if (format === 'json') {
+      return res.status(200).json({ success: true, template: name, ...email });
+    }
+    if (format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(`Subject: ${email.subject}\n\n${email.text}\n`);
+    }
+    if (format !== 'html') {
+      return res.status(400).json({ success: false, error: 'format must be html, text or json' });
+    }
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.status(200).send(email.html);
+  } catch (error) {
+    console.error('Email preview error:', error);
+    res.status(500).json({ success: false, error: 'Failed to render the template' });
+  }
+};
@@ -0,0 +1,71 @@
+const { getCallupData } = require('../lib/callup-data');
+const { FINE_STATUSES, filterFines, summarizeFines } = require('../lib/fines');
+const { requireRole } = require('../lib/auth');
+const { teamScope } = require('../lib/team-scope');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Vercel Serverless Function for the club's game-fines ledger
+ * GET /api/fines - Fines from the latest scrape (cached like /api/callups)
+ * POST /api/fines - Force a refresh from RDYSL first (coach or admin)
+ *
+ * Filters: ?team= (RDYSL name or "BU12 - Borcyk" label), ?type=,
+ * ?status=paid|unpaid, ?from= and ?to= (YYYY-MM-DD game dates).
+ * `totals`, `byTeam` and `byType` are in dollars and cover the filtered fines;
+ * `teamOptions` and `typeOptions` list every team and type in the ledger.
+ * Coaches only get their own teams' fines (see lib/team-scope.js).
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const forceRefresh = req.method === 'POST' || req.query.forceRefresh === 'true';
+  const session = await requireRole(req, res, forceRefresh ? 'coach' : 'viewer');
+  if (!session) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { team, type, status, from, to } = req.query;
+  if (status && !FINE_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of ${FINE_STATUSES.join(', ')}` });
+  }
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  try {
+    const result = await getCallupData({ forceRefresh });
+    if (!result.success) {
+      const { statusCode, ...body } = result;
+      return res.status(statusCode || 500).json(body);
+    }
+
+    const teams = teamScope(session);
+    const ledger = filterFines(result.fines || [], { teams });
+    const fines = filterFines(ledger, { team, type, status, from, to });
+
+    res.status(200).json({
+      success: true,
+      fines,
+      ...summarizeFines(fines),
+      teamOptions: [...new Set(ledger.map(fine => fine.team).filter(Boolean))].sort(),
+      typeOptions: [...new Set(ledger.map(fine => fine.type))].sort(),
+      teams,
+      lastUpdated: result.lastUpdated,
+      cached: result.cached,
+      cacheAgeSeconds: result.cacheAgeSeconds,
+      refreshInProgress: result.refreshInProgress
+    });
+  } catch (error) {
+    console.error('Fines API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load game fines' });
+  }
+};
@@ -1,7 +1,55 @@
+const { getScrapeHealth, acceptDrop } = require('../lib/scrape-health');
+const { getSession, requireRole } = require('../lib/auth');
+const { hasRole } = require('../lib/session-token');
+
+/**
+ * GET  /api/health
+ * POST /api/health?action=accept-drop  - Accept the next scrape's callup count (admin)
+ *
+ * Liveness plus the health of the last RDYSL scrape. `status` is "degraded"
+ * when the last scrape failed a health check (see `scrape.code`); `scrape`
+ * is null until the first scrape has run. This endpoint is public, so it
+ * only reports the error code; admins also get the error text and the
+ * EMPTY_RESULT drop streak.
+ *
+ * accept-drop is for an EMPTY_RESULT that is real (RDYSL removed rows or
+ * reset without a season being set up): the next scrape is trusted whatever
+ * its count. A drop that repeats for several scrapes is accepted anyway.
+ */
 module.exports = async (req, res) => {
+  if (req.method === 'POST') {
+    try {
+      const session = await requireRole(req, res, 'admin');
+      if (!session) return;
+      if (req.query.action !== 'accept-drop') {
+        return res.status(400).json({ success: false, error: 'Unknown action' });
+      }
+      const health = await acceptDrop(session.email || session.sub);
+      return res.status(200).json({ success: true, dropAcceptedAt: health.dropAcceptedAt });
+    } catch (error) {
+      console.error('Failed to accept the scrape drop:', error);
+      return res.status(500).json({ success: false, error: 'Failed to accept the drop' });
+    }
+  }
+
+  let scrape = null;
+  try {
+    scrape = await getScrapeHealth();
+  } catch (error) {
+    console.error('Failed to read scrape health:', error);
+  }
+
+  let session = null;
+  try {
+    session = await getSession(req);
+  } catch (error) {
+    console.error('Failed to read session for /api/health:', error);
+  }
+
   res.status(200).json({
-    status: 'ok',
+    status: scrape && scrape.status === 'failed' ? 'degraded' : 'ok',
     timestamp: new Date().toISOString(),
+    scrape: scrape && !(session && hasRole(session.role, 'admin')) ? publicHealth(scrape) : scrape,
     env: {
       hasRdyslUsername: !!process.env.RDYSL_USERNAME,
       hasRdyslPassword: !!process.env.RDYSL_PASSWORD,
@@ -9,3 +57,12 @@ module.exports = async (req, res) => {
     }
   });
 };
+
+function publicHealth(scrape) {
+  return {
+    status: scrape.status,
+    code: scrape.code,
+    checkedAt: scrape.checkedAt,
+    lastSuccessAt: scrape.lastSuccessAt
+  };
+}
@@ -0,0 +1,70 @@
+const {
+  listPendingReview,
+  listDecisions,
+  saveDecision,
+  deleteDecision
+} = require('../lib/identities');
+const { requireRole } = require('../lib/auth');
+
+/**
+ * Vercel Serverless Function for player identity review (admin)
+ * GET    /api/identities          - Near-miss name pairs awaiting review, and saved decisions
+ * POST   /api/identities          - Decide a pair: { names: [a, b], decision: 'merge' | 'split' }
+ *                                   (or { id, decision } for a pending pair)
+ * DELETE /api/identities?id=...   - Undo a decision
+ *
+ * Decisions apply from the next scrape (POST /api/callups to refresh now).
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      const [pending, decisions] = await Promise.all([listPendingReview(), listDecisions()]);
+      return res.status(200).json({ success: true, pending, decisions });
+    }
+
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      if (body.decision !== 'merge' && body.decision !== 'split') {
+        return res.status(400).json({ success: false, error: 'decision must be "merge" or "split"' });
+      }
+
+      let names = body.names;
+      if (!names && body.id) {
+        const item = (await listPendingReview()).find(pending => pending.id === body.id);
+        if (!item) return res.status(404).json({ success: false, error: 'Review item not found' });
+        names = item.names;
+      }
+
+      if (!Array.isArray(names) || names.length !== 2 || !names[0] || !names[1]) {
+        return res.status(400).json({ success: false, error: 'names must be a pair of player names' });
+      }
+
+      const decision = await saveDecision(String(names[0]), String(names[1]), body.decision);
+      return res.status(200).json({ success: true, decision });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!req.query.id) {
+        return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+      }
+      const removed = await deleteDecision(req.query.id);
+      if (!removed) return res.status(404).json({ success: false, error: 'Decision not found' });
+      return res.status(200).json({ success: true });
+    }
+
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Identities API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update player identities' });
+  }
+};
@@ -0,0 +1,54 @@
+const { STATUSES, listOutbox, getOutboxMessage, resendEmail } = require('../lib/outbox');
+const { requireRole } = require('../lib/auth');
+
+/**
+ * Vercel Serverless Function for the email outbox and delivery log (admin)
+ * GET  /api/outbox[?status=failed][&q=...]  - Messages newest first, without bodies;
+ *                                            q searches recipient, subject, key and ids
+ * GET  /api/outbox?id=...                   - One message with its body and log
+ * POST /api/outbox?id=...                   - Resend it now
+ *
+ * See lib/outbox.js for statuses and retries.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await requireRole(req, res, 'admin');
+  if (!session) return;
+
+  try {
+    const id = req.query.id;
+
+    if (req.method === 'GET') {
+      if (id) {
+        const message = await getOutboxMessage(id);
+        if (!message) return res.status(404).json({ success: false, error: 'Message not found' });
+        return res.status(200).json({ success: true, message });
+      }
+      const status = req.query.status;
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${STATUSES.join(', ')}` });
+      }
+      return res.status(200).json({ success: true, messages: await listOutbox({ status, q: req.query.q }) });
+    }
+
+    if (req.method === 'POST') {
+      if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+      const message = await resendEmail(id, session.email);
+      if (!message) return res.status(404).json({ success: false, error: 'Message not found' });
+      const { html, text, ...summary } = message;
+      return res.status(200).json({ success: true, message: summary });
+    }
+
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Outbox API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update the outbox' });
+  }
+};
@@ -0,0 +1,86 @@
+const {
+  listPlayers,
+  getPlayer,
+  savePlayer,
+  deletePlayer,
+  importRosterCsv
+} = require('../lib/roster');
+const { requireRole } = require('../lib/auth');
+const { readCsvBody } = require('../lib/csv');
+const { teamScope } = require('../lib/team-scope');
+const { teamMatches } = require('../lib/team-contacts');
+
+/**
+ * Vercel Serverless Function for the club roster
+ * GET    /api/roster[?team=BU12 - Borcyk]  - List players (or ?id= for one)
+ * POST   /api/roster                       - Add a player { name, team, ageGroup, jerseyNumber }
+ * POST   /api/roster?import=csv            - Import CSV (text/csv body, or JSON { csv });
+ *                                            add &replace=true to replace the whole roster
+ *                                            (refused when any row is invalid)
+ * PUT    /api/roster?id=...                - Update a player
+ * DELETE /api/roster?id=...                - Remove a player
+ *
+ * Coaches only see the players on their own teams.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await requireRole(req, res, req.method === 'GET' ? 'viewer' : 'admin');
+  if (!session) return;
+  const teams = teamScope(session);
+
+  try {
+    const id = req.query.id;
+
+    if (req.method === 'GET') {
+      if (id) {
+        const player = await getPlayer(id);
+        if (!player || (teams && !teams.some(label => teamMatches(player.team, label)))) return res.status(404).json({ success: false, error: 'Player not found' });
+        return res.status(200).json({ success: true, player });
+      }
+      const players = (await listPlayers(req.query.team))
+        .filter(player => !teams || teams.some(label => teamMatches(player.team, label)));
+      return res.status(200).json({ success: true, players });
+    }
+
+    if (req.method === 'POST' && req.query.import === 'csv') {
+      const csv = readCsvBody(req);
+      if (!csv) {
+        return res.status(400).json({ success: false, error: 'CSV body is empty' });
+      }
+      const replace = req.query.replace === 'true' || (req.body && req.body.replace === true);
+      const result = await importRosterCsv(csv, { replace });
+      if (result.error) return res.status(400).json({ success: false, ...result });
+      return res.status(200).json({ success: true, ...result });
+    }
+
+    if (req.method === 'POST' || req.method === 'PUT') {
+      if (req.method === 'PUT') {
+        if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+        if (!(await getPlayer(id))) return res.status(404).json({ success: false, error: 'Player not found' });
+      }
+
+      const { player, error } = await savePlayer(req.method === 'PUT' ? id : null, req.body || {});
+      if (error) return res.status(400).json({ success: false, error });
+      return res.status(req.method === 'POST' ? 201 : 200).json({ success: true, player });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+      const removed = await deletePlayer(id);
+      if (!removed) return res.status(404).json({ success: false, error: 'Player not found' });
+      return res.status(200).json({ success: true });
+    }
+
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Roster API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update roster' });
+  }
+};
@@ -0,0 +1,62 @@
+const { getSchedule, teamGames, upcomingGames, createCalendarToken } = require('../lib/schedule');
+const { requireRole } = require('../lib/auth');
+const { appUrl } = require('../lib/mailer');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Vercel Serverless Function for the club's RDYSL game schedule
+ * GET /api/schedule?team=BU12 - Borcyk
+ *
+ * Games from today on (`?from=YYYY-MM-DD` to start elsewhere, `?all=true`
+ * for the whole season), for one team (RDYSL name or label) or the club.
+ * The schedule is refreshed with every callup scrape; `scrapedAt` says when.
+ * With `team`, `calendarUrl` is that team's iCalendar feed to subscribe to
+ * (/api/schedule/calendar), which works without signing in.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await requireRole(req, res, 'viewer');
+  if (!session) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const team = (req.query.team || '').trim() || undefined;
+  const { from } = req.query;
+  if (from && !DATE_PATTERN.test(from)) {
+    return res.status(400).json({ success: false, error: 'from must be a date (YYYY-MM-DD)' });
+  }
+
+  try {
+    const schedule = await getSchedule();
+    const allGames = schedule ? schedule.games : [];
+    const games = req.query.all === 'true' ? teamGames(allGames, team) : upcomingGames(allGames, { team, from });
+
+    if (team && teamGames(allGames, team).length === 0) {
+      return res.status(404).json({ success: false, error: `No games found for team "${team}"` });
+    }
+
+    res.status(200).json({
+      success: true,
+      team: team || null,
+      games,
+      teams: [...new Set(allGames.map(game => game.team))].sort(),
+      scrapedAt: schedule ? schedule.scrapedAt : null,
+      calendarUrl: team
+        ? `${appUrl(req)}/api/schedule/calendar?token=${encodeURIComponent(await createCalendarToken(team))}`
+        : null
+    });
+  } catch (error) {
+    console.error('Schedule API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load the schedule' });
+  }
+};
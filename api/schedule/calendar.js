@@ -0,0 +1,33 @@
+const { getSchedule, teamGames, readCalendarToken, buildCalendar } = require('../../lib/schedule');
+
+/**
+ * Vercel Serverless Function for a team's iCalendar feed
+ * GET /api/schedule/calendar?token=...
+ *
+ * Public, since calendar apps can't sign in: the signed token from
+ * /api/schedule's `calendarUrl` names the team. Has the whole season's
+ * games, past ones included, so they stay on subscribers' calendars.
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const team = await readCalendarToken(req.query.token);
+  if (!team) {
+    return res.status(404).json({ success: false, error: 'Calendar link is invalid or has expired' });
+  }
+
+  try {
+    const schedule = await getSchedule();
+    const games = schedule ? teamGames(schedule.games, team) : [];
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${team.replace(/[^A-Za-z0-9]+/g, '-')}.ics"`);
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.status(200).send(buildCalendar(team, games, { scrapedAt: schedule ? schedule.scrapedAt : undefined }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ success: false, error: 'Failed to build the calendar' });
+  }
+};
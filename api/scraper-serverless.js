@@ -1,19 +1,52 @@
 const puppeteer = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium');
 const cheerio = require('cheerio');
+const CallupRules = require('../public/js/callup-rules');
+const CallupParser = require('../public/js/callup-parser');
+const { HttpSession } = require('../lib/http-session');
+const { resolveIdentities, buildIdentityResolver } = require('../lib/identities');
+const { getLatestSnapshot } = require('../lib/history');
+const { hasScheduleTable, parseScheduleTables, saveSchedule, clubDate } = require('../lib/schedule');
+const { listSeasons, seasonForDate, tagWithSeason, rulesForSeason, detectSeasonReset, archiveSeason } = require('../lib/seasons');
+const {
+  SCRAPE_ERROR_CODES,
+  scrapeError,
+  hasLoginMarkers,
+  checkScrapeResult,
+  dropOverride,
+  recordScrapeHealth
+} = require('../lib/scrape-health');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// RDYSL_SCRAPE_MODE values
+const SCRAPE_MODES = ['auto', 'http', 'browser'];
 
 /**
  * Serverless-compatible RDYSL Web Scraper
- * Uses @sparticuz/chromium for Vercel/AWS Lambda compatibility
+ *
+ * Fetches the game-fines and club schedule pages over plain HTTP (login
+ * form post + cookie jar), or with headless Chromium (@sparticuz/chromium
+ * on Vercel/AWS Lambda) as the fallback. RDYSL_SCRAPE_MODE picks one:
+ * "http", "browser", or "auto" (default; HTTP first, Chromium if that fails).
+ *
+ * options.baseUrl, options.mode and options.schedulePath override the RDYSL
+ * site, RDYSL_SCRAPE_MODE and RDYSL_SCHEDULE_PATH.
  */
 class RDYSLScraperServerless {
-  constructor() {
+  constructor(options = {}) {
     this.isAuthenticated = false;
 
     // RDYSL URLs
-    this.baseUrl = 'https://www.rdysl.com';
+    this.baseUrl = options.baseUrl || 'https://www.rdysl.com';
     this.loginUrl = `${this.baseUrl}/clublogin`;
     this.gameFinesUrl = `${this.baseUrl}/gamefines?F=club`;
+    this.scheduleUrl = `${this.baseUrl}${options.schedulePath || process.env.RDYSL_SCHEDULE_PATH || '/schedule?F=club'}`;
+
+    this.mode = options.mode || process.env.RDYSL_SCRAPE_MODE || 'auto';
+    if (!SCRAPE_MODES.includes(this.mode)) {
+      throw new Error(`Unknown RDYSL_SCRAPE_MODE "${this.mode}" (expected ${SCRAPE_MODES.join(', ')})`);
+    }
 
     // Credentials from environment
     this.username = process.env.RDYSL_USERNAME;
@@ -22,6 +55,8 @@ class RDYSLScraperServerless {
     if (!this.username || !this.password) {
       throw new Error('RDYSL credentials not configured in environment variables');
     }
+
+    this.rules = loadCallupRules();
   }
 
   /**
@@ -72,7 +107,11 @@ class RDYSLScraperServerless {
     }
 
     // Wait for login form
-    await page.waitForSelector('#login-form', { timeout: 15000 });
+    try {
+      await page.waitForSelector('#login-form', { timeout: 15000 });
+    } catch (error) {
+      throw scrapeError(SCRAPE_ERROR_CODES.AUTH_FAILED, 'Authentication failed - login form not found');
+    }
 
     // Fill credentials
     await page.type('input[name="Username"]', this.username, { delay: 100 });
@@ -101,7 +140,7 @@ class RDYSLScraperServerless {
     if (finalContent.includes('Login corrupted') ||
         finalContent.includes('Invalid') ||
         page.url().includes('login')) {
-      throw new Error('Authentication failed - invalid credentials');
+      throw scrapeError(SCRAPE_ERROR_CODES.AUTH_FAILED, 'Authentication failed - invalid credentials');
     }
 
     this.isAuthenticated = true;
@@ -110,18 +149,206 @@ class RDYSLScraperServerless {
 
   /**
    * Scrape callup data from RDYSL
+   *
+   * Failures resolve to { success: false, code, error }, where code is one
+   * of SCRAPE_ERROR_CODES (lib/scrape-health.js) when a health check failed
+   * and null for anything else. Every outcome is recorded for /api/health.
+   * The schedule is saved for /api/schedule when it could be read; a
+   * schedule failure keeps the last one and doesn't fail the scrape.
+   * When the page looks like RDYSL reset for a new season, the last
+   * snapshot is archived as the old season (lib/seasons.js).
    */
   async scrapeCallupData() {
+    const result = await this.runScrape();
+
+    try {
+      await recordScrapeHealth(result);
+    } catch (error) {
+      console.error('Failed to record scrape health:', error);
+    }
+
+    if (result.success && result.schedule) {
+      try {
+        await saveSchedule(result.schedule, result.lastUpdated);
+      } catch (error) {
+        console.error('Failed to save the schedule:', error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Log in, load the game-fines and schedule pages, check them and build the summary
+   */
+  async runScrape() {
+    try {
+      const pages = await this.fetchPages();
+
+      // Parse callup records
+      const tables = this.readTables(pages.gameFines);
+      const callupRecords = CallupParser.parseCallupTables(tables);
+      console.log(`Found ${callupRecords.length} callup records`);
+
+      // Records are tagged with the season their game falls in
+      const seasons = await this.loadSeasons();
+      const season = seasonForDate(seasons, clubDate());
+
+      // Everything else on the page is the club's fines ledger
+      const fines = tagWithSeason(CallupParser.parseFineTables(tables), seasons);
+
+      // Most of last season's callups gone means RDYSL reset, not a broken page
+      const previousSnapshot = await this.latestSnapshot();
+      const seasonReset = detectSeasonReset(previousSnapshot, callupRecords, season);
+
+      // Don't report a changed or truncated page as "0 players", unless an
+      // admin accepted the drop or it has been the same for several scrapes
+      const override = await this.dropOverride(callupRecords.length);
+      const checks = checkScrapeResult({
+        hasCallupTable: CallupParser.hasCallupTable(tables),
+        totalRecords: callupRecords.length,
+        previousRecords: previousSnapshot && !seasonReset ? previousSnapshot.totalRecords : null,
+        acceptDrop: !!override
+      });
+      if (checks.dropAccepted) {
+        console.log(`Accepting ${callupRecords.length} callup records after a drop (${override})`);
+      }
+
+      // Merge spellings of the same player, then generate summary
+      const { records, resolver } = await this.applyIdentities(tagWithSeason(callupRecords, seasons));
+      const summary = this.generateCallupSummary(records, rulesForSeason(this.rules, season), {
+        seasonStart: season ? season.startDate : undefined
+      });
+      summary.forEach(player => {
+        player.aliases = resolver.aliasesFor(player.playerName);
+      });
+
+      if (seasonReset) await this.archivePreviousSeason(seasonReset, previousSnapshot);
+
+      return {
+        success: true,
+        summary,
+        records,
+        fines,
+        schedule: pages.schedule === null ? null : this.parseScheduleData(pages.schedule),
+        totalRecords: callupRecords.length,
+        identityReview: resolver.pending.length,
+        season: season ? season.id : null,
+        seasonReset,
+        acceptedDrop: checks.dropAccepted ? override : null,
+        lastUpdated: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('Scraping failed:', error);
+      const failure = {
+        success: false,
+        code: SCRAPE_ERROR_CODES[error.code] || null,
+        error: error.message || 'Scraping failed'
+      };
+      // EMPTY_RESULT: the count that was rejected, for the drop streak
+      if (error.totalRecords !== undefined) failure.totalRecords = error.totalRecords;
+      return failure;
+    }
+  }
+
+  /**
+   * Logged-in pages, from the backend RDYSL_SCRAPE_MODE picks:
+   * { gameFines, schedule } HTML, schedule null when it couldn't be loaded
+   */
+  async fetchPages() {
+    if (this.mode === 'browser') return this.fetchWithBrowser();
+    if (this.mode === 'http') return this.fetchWithHttp();
+
+    try {
+      return await this.fetchWithHttp();
+    } catch (error) {
+      console.error('HTTP scrape failed, falling back to the browser:', error);
+      return this.fetchWithBrowser();
+    }
+  }
+
+  /**
+   * Post the club login form and fetch the game-fines page with plain HTTP
+   * requests. Takes a second or two instead of a Chromium start-up.
+   */
+  async fetchWithHttp() {
+    const session = new HttpSession({ userAgent: USER_AGENT });
+
+    console.log('Logging in to RDYSL over HTTP...');
+    const loginPage = await session.get(this.loginUrl);
+    const $ = cheerio.load(loginPage.html);
+    const form = $('#login-form');
+    if (form.length === 0) {
+      throw scrapeError(SCRAPE_ERROR_CODES.AUTH_FAILED, 'Authentication failed - login form not found');
+    }
+
+    // Send the form the way a browser would: hidden fields, the first
+    // submit button, and the credentials
+    const fields = {};
+    let submitted = false;
+    form.find('input[name]').each((index, input) => {
+      const type = ($(input).attr('type') || 'text').toLowerCase();
+      if (type === 'submit') {
+        if (submitted) return;
+        submitted = true;
+      }
+      if ((type === 'checkbox' || type === 'radio') && $(input).attr('checked') === undefined) return;
+      fields[$(input).attr('name')] = $(input).attr('value') || '';
+    });
+    fields.Username = this.username;
+    fields.Password = this.password;
+
+    const action = new URL(form.attr('action') || loginPage.url, loginPage.url).toString();
+    const loggedIn = await session.postForm(action, fields);
+    if (hasLoginMarkers(loggedIn.html) || loggedIn.html.includes('Invalid')) {
+      throw scrapeError(SCRAPE_ERROR_CODES.AUTH_FAILED, 'Authentication failed - invalid credentials');
+    }
+    this.isAuthenticated = true;
+
+    console.log('Fetching game fines page...');
+    const finesPage = await session.get(this.gameFinesUrl);
+    if (hasLoginMarkers(finesPage.html) || new URL(finesPage.url).pathname.includes('login')) {
+      throw scrapeError(SCRAPE_ERROR_CODES.SESSION_EXPIRED, 'Session expired during scraping');
+    }
+
+    let schedule = null;
+    try {
+      console.log('Fetching schedule page...');
+      const schedulePage = await session.get(this.scheduleUrl);
+      if (schedulePage.status >= 400) throw new Error(`Schedule page returned HTTP ${schedulePage.status}`);
+      schedule = this.checkSchedulePage(schedulePage.html, schedulePage.url);
+    } catch (error) {
+      console.error('Failed to fetch the schedule page:', error);
+    }
+
+    return { gameFines: finesPage.html, schedule };
+  }
+
+  /**
+   * Schedule page HTML, or null (logged) when RDYSL sent a login or error page
+   */
+  checkSchedulePage(html, url) {
+    if (hasLoginMarkers(html) || new URL(url).pathname.includes('login')) {
+      console.error('Schedule page came back as a login page; keeping the last schedule');
+      return null;
+    }
+    return html;
+  }
+
+  /**
+   * Log in and load the game-fines page in headless Chromium
+   */
+  async fetchWithBrowser() {
     let browser = null;
-    let page = null;
 
     try {
       console.log('Launching browser...');
       browser = await this.getBrowser();
-      page = await browser.newPage();
+      const page = await browser.newPage();
 
       // Set user agent
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+      await page.setUserAgent(USER_AGENT);
 
       // Set viewport
       await page.setViewport({ width: 1920, height: 1080 });
@@ -138,30 +365,20 @@ class RDYSLScraperServerless {
       const htmlContent = await page.content();
 
       // Check for session expiration
-      if (htmlContent.includes('Login corrupted') || htmlContent.includes('login')) {
-        throw new Error('Session expired during scraping');
+      if (hasLoginMarkers(htmlContent) || page.url().includes('login')) {
+        throw scrapeError(SCRAPE_ERROR_CODES.SESSION_EXPIRED, 'Session expired during scraping');
       }
 
-      // Parse callup records
-      const callupRecords = this.parseCallupData(htmlContent);
-      console.log(`Found ${callupRecords.length} callup records`);
-
-      // Generate summary
-      const summary = this.generateCallupSummary(callupRecords);
-
-      return {
-        success: true,
-        summary,
-        totalRecords: callupRecords.length,
-        lastUpdated: new Date().toISOString()
-      };
+      let schedule = null;
+      try {
+        console.log('Navigating to schedule page...');
+        const response = await page.goto(this.scheduleUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        schedule = response && response.ok() ? this.checkSchedulePage(await page.content(), page.url()) : null;
+      } catch (error) {
+        console.error('Failed to load the schedule page:', error);
+      }
 
-    } catch (error) {
-      console.error('Scraping failed:', error);
-      return {
-        success: false,
-        error: error.message || 'Scraping failed'
-      };
+      return { gameFines: htmlContent, schedule };
     } finally {
       if (browser) {
         await browser.close();
@@ -171,112 +388,147 @@ class RDYSLScraperServerless {
   }
 
   /**
-   * Parse callup data from HTML content
+   * Parse the fines ledger (every non-callup row) from HTML content
    */
-  parseCallupData(html) {
-    const callupRecords = [];
+  parseFineData(html) {
+    try {
+      return CallupParser.parseFineTables(this.readTables(html));
+    } catch (error) {
+      console.error('Error parsing HTML:', error);
+      return [];
+    }
+  }
 
+  /**
+   * Parse the club's games from schedule page HTML (lib/schedule.js). Null
+   * when the page has no schedule table, so a changed page doesn't wipe
+   * the saved schedule.
+   */
+  parseScheduleData(html) {
     try {
-      const $ = cheerio.load(html);
-
-      $('table').each((tableIndex, table) => {
-        const $table = $(table);
-        const rows = $table.find('tr');
-
-        if (rows.length === 0) return;
-
-        const headerRow = rows.first();
-        const headerCells = headerRow.find('th, td');
-
-        let typeColumnIndex = -1;
-        let nameColumnIndex = -1;
-
-        // Find Type and Name column indices
-        headerCells.each((cellIndex, cell) => {
-          const text = $(cell).text().trim().toLowerCase();
-          if (text.includes('type')) typeColumnIndex = cellIndex;
-          if (text.includes('name')) nameColumnIndex = cellIndex;
-        });
-
-        if (typeColumnIndex !== -1 && nameColumnIndex !== -1) {
-          rows.slice(1).each((rowIndex, row) => {
-            const $row = $(row);
-            const cells = $row.find('td, th');
-
-            if (cells.length > Math.max(typeColumnIndex, nameColumnIndex)) {
-              const typeText = cells.eq(typeColumnIndex).text().trim();
-              const nameText = cells.eq(nameColumnIndex).text().trim();
-
-              if (typeText.toLowerCase().includes('callup:') && this.isValidPlayerName(nameText)) {
-                callupRecords.push({
-                  name: nameText,
-                  type: typeText,
-                  count: 1
-                });
-              }
-            }
-          });
-        }
-      });
+      const tables = this.readTables(html);
+      if (!hasScheduleTable(tables)) {
+        console.error('No schedule table found on the schedule page; keeping the last schedule');
+        return null;
+      }
+      return parseScheduleTables(tables);
+    } catch (error) {
+      console.error('Error parsing schedule HTML:', error);
+      return null;
+    }
+  }
 
+  /**
+   * Parse callup data from HTML content
+   *
+   * cheerio only turns the page into text tables; the column detection and
+   * record building is shared with the checker page (public/js/callup-parser.js).
+   */
+  parseCallupData(html) {
+    try {
+      return CallupParser.parseCallupTables(this.readTables(html));
     } catch (error) {
       console.error('Error parsing HTML:', error);
+      return [];
     }
+  }
 
-    return callupRecords;
+  /**
+   * Text tables (rows of trimmed cell text) from HTML content
+   */
+  readTables(html) {
+    const $ = cheerio.load(html);
+
+    return $('table').map((tableIndex, table) => [
+      $(table).find('tr').map((rowIndex, row) => [
+        $(row).find('td, th').map((cellIndex, cell) => $(cell).text().trim()).get()
+      ]).get()
+    ]).get();
   }
 
   /**
-   * Validate player name
+   * The last saved scrape, for the plausibility check and season reset
+   * detection. Null when there is none or history can't be read.
    */
-  isValidPlayerName(text) {
-    if (!text || text.length < 2) return false;
-    if (!/[A-Za-z]/.test(text)) return false;
-    if (/^\d+$/.test(text)) return false;
-    if (text.toLowerCase().includes('callup')) return false;
-    return true;
+  async latestSnapshot() {
+    try {
+      return await getLatestSnapshot();
+    } catch (error) {
+      console.error('Failed to load last snapshot for health check:', error);
+      return null;
+    }
   }
 
   /**
-   * Generate callup summary
+   * Whether a drop in callup records should be accepted (see dropOverride()
+   * in lib/scrape-health.js). Null when it shouldn't or health can't be read.
    */
-  generateCallupSummary(callupRecords) {
-    const playerCounts = new Map();
+  async dropOverride(totalRecords) {
+    try {
+      return await dropOverride(totalRecords);
+    } catch (error) {
+      console.error('Failed to read scrape health for the drop check:', error);
+      return null;
+    }
+  }
 
-    callupRecords.forEach(record => {
-      const currentCount = playerCounts.get(record.name) || 0;
-      playerCounts.set(record.name, currentCount + 1);
-    });
+  /**
+   * Keep the last snapshot before a reset as season `id`'s archive. The
+   * scrape itself is fine either way, so a failure is only logged.
+   */
+  async archivePreviousSeason(id, snapshot) {
+    try {
+      await archiveSeason(id, snapshot, 'reset');
+    } catch (error) {
+      console.error(`Failed to archive season ${id}:`, error);
+    }
+  }
 
-    const summary = [];
-    playerCounts.forEach((count, playerName) => {
-      let status = 'OK';
-      let isWarning = false;
-      let isUnavailable = false;
-      let isOverLimit = false;
-
-      if (count > 4) {
-        status = 'OVER LIMIT';
-        isOverLimit = true;
-      } else if (count === 4) {
-        status = 'UNAVAILABLE';
-        isUnavailable = true;
-      } else if (count === 3) {
-        status = 'WARNING';
-        isWarning = true;
-      }
+  /**
+   * Configured seasons (lib/seasons.js); none when they can't be read, so
+   * callups are counted from CALLUP_RULES' season start as before
+   */
+  async loadSeasons() {
+    try {
+      return await listSeasons();
+    } catch (error) {
+      console.error('Failed to load seasons:', error);
+      return [];
+    }
+  }
 
-      summary.push({
-        playerName,
-        callupCount: count,
-        status,
-        isWarning,
-        isUnavailable,
-        isOverLimit
-      });
-    });
+  /**
+   * Validate player name
+   */
+  isValidPlayerName(text) {
+    return CallupParser.isValidPlayerName(text);
+  }
+
+  /**
+   * Rename records to canonical player names (saved merge decisions plus
+   * name normalization). If the decision store is unavailable, fall back to
+   * normalization alone rather than failing the scrape.
+   */
+  async applyIdentities(callupRecords) {
+    try {
+      return await resolveIdentities(callupRecords);
+    } catch (error) {
+      console.error('Identity resolution failed, using name normalization only:', error);
+      const nameCounts = new Map();
+      callupRecords.forEach(record => nameCounts.set(record.name, (nameCounts.get(record.name) || 0) + 1));
+      const resolver = buildIdentityResolver(nameCounts, []);
+      const records = callupRecords.map(record => ({ ...record, name: resolver.canonicalName(record.name) }));
+      return { records, resolver };
+    }
+  }
 
-    return summary.sort((a, b) => b.callupCount - a.callupCount);
+  /**
+   * Generate callup summary, one entry per player with their callups listed by date.
+   * Statuses come from the shared callup rules (public/js/callup-rules.js);
+   * `rules` and `context` (e.g. { seasonStart }) override the deployment's.
+   */
+  generateCallupSummary(callupRecords, rules = this.rules, context) {
+    return CallupRules.summarize(callupRecords, rules, context);
   }
 
   /**
@@ -287,4 +539,21 @@ class RDYSLScraperServerless {
   }
 }
 
+/**
+ * Callup rules for this deployment: DEFAULT_RULES from the shared rules
+ * module, with the CALLUP_RULES env var (JSON) merged over it when set.
+ */
+function loadCallupRules() {
+  if (!process.env.CALLUP_RULES) {
+    return CallupRules.resolveRules();
+  }
+
+  try {
+    return CallupRules.resolveRules(JSON.parse(process.env.CALLUP_RULES));
+  } catch (error) {
+    throw new Error(`CALLUP_RULES is not valid JSON: ${error.message}`);
+  }
+}
+
 module.exports = RDYSLScraperServerless;
+module.exports.loadCallupRules = loadCallupRules;
@@ -0,0 +1,56 @@
+const {
+  STATUSES,
+  listScrimmageRequests,
+  getScrimmageRequest,
+  setScrimmageStatus
+} = require('../lib/scrimmage-requests');
+const { requireRole } = require('../lib/auth');
+
+/**
+ * Vercel Serverless Function for tracked scrimmage requests (admin)
+ * GET /api/scrimmages[?status=open]   - List requests, newest first (or ?id= for one)
+ * PUT /api/scrimmages?id=...          - { status } e.g. "scheduled" once the game is set
+ *
+ * Requests come in through /api/scrimmage-request; coaches answer them from
+ * the links in their email.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  try {
+    const id = req.query.id;
+
+    if (req.method === 'GET') {
+      if (id) {
+        const request = await getScrimmageRequest(id);
+        if (!request) return res.status(404).json({ success: false, error: 'Scrimmage request not found' });
+        return res.status(200).json({ success: true, request });
+      }
+      const status = req.query.status;
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${STATUSES.join(', ')}` });
+      }
+      return res.status(200).json({ success: true, requests: await listScrimmageRequests(status) });
+    }
+
+    if (req.method === 'PUT') {
+      if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+      const { request, error } = await setScrimmageStatus(id, String((req.body || {}).status || ''));
+      if (error) return res.status(error === 'Scrimmage request not found' ? 404 : 400).json({ success: false, error });
+      return res.status(200).json({ success: true, request });
+    }
+
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Scrimmages API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update scrimmage requests' });
+  }
+};
@@ -0,0 +1,54 @@
+const {
+  listBlocklist,
+  addToBlocklist,
+  removeFromBlocklist
+} = require('../../lib/scrimmage-guard');
+const { requireRole } = require('../../lib/auth');
+
+/**
+ * Vercel Serverless Function for the scrimmage request blocklist (admin)
+ * GET    /api/scrimmages/blocklist        - List entries, newest first
+ * POST   /api/scrimmages/blocklist        - { type, value, reason } with type
+ *                                           email, domain or ip
+ * DELETE /api/scrimmages/blocklist?id=... - Remove an entry
+ *
+ * Submissions from a blocked email, domain or IP are rejected and logged
+ * (see /api/scrimmages/rejected).
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const session = await requireRole(req, res, 'admin');
+  if (!session) return;
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, entries: await listBlocklist() });
+    }
+
+    if (req.method === 'POST') {
+      const { entry, error } = await addToBlocklist(req.body || {}, session.email);
+      if (error) return res.status(400).json({ success: false, error });
+      return res.status(201).json({ success: true, entry });
+    }
+
+    if (req.method === 'DELETE') {
+      const id = req.query.id;
+      if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+      const removed = await removeFromBlocklist(id);
+      if (!removed) return res.status(404).json({ success: false, error: 'Blocklist entry not found' });
+      return res.status(200).json({ success: true });
+    }
+
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Blocklist API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update the blocklist' });
+  }
+};
@@ -0,0 +1,36 @@
+const { REJECTION_REASONS, listRejections } = require('../../lib/scrimmage-guard');
+const { requireRole } = require('../../lib/auth');
+
+/**
+ * Vercel Serverless Function for rejected scrimmage submissions (admin)
+ * GET /api/scrimmages/rejected[?reason=honeypot] - Last 30 days, newest first
+ *
+ * Reasons are origin, honeypot, blocked, rate-limited and duplicate; see
+ * lib/scrimmage-guard.js.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!(await requireRole(req, res, 'admin'))) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const reason = req.query.reason;
+    if (reason && !REJECTION_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, error: `reason must be one of ${REJECTION_REASONS.join(', ')}` });
+    }
+    res.status(200).json({ success: true, rejections: await listRejections(reason) });
+  } catch (error) {
+    console.error('Rejected submissions API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load rejected submissions' });
+  }
+};
@@ -0,0 +1,90 @@
+const {
+  listSeasons,
+  getSeason,
+  saveSeason,
+  deleteSeason,
+  seasonForDate,
+  archiveSeason
+} = require('../lib/seasons');
+const { getLatestSnapshot } = require('../lib/history');
+const { clubDate } = require('../lib/schedule');
+const { requireRole } = require('../lib/auth');
+
+/**
+ * Vercel Serverless Function for seasons
+ * GET    /api/seasons                          - Every season, newest first (anyone signed in)
+ * POST   /api/seasons                          - Add a season { name, startDate, endDate?, rules? } (admin)
+ * PUT    /api/seasons?id=...                   - Update a season (admin)
+ * DELETE /api/seasons?id=...                   - Remove a season and its archive (admin)
+ * POST   /api/seasons?id=...&action=archive    - Archive the season from the latest scrape now (admin)
+ *
+ * `rules` is a partial CALLUP_RULES object (JSON) used for that season's
+ * callups instead of the deployment's. Scrapes archive a season by
+ * themselves when RDYSL resets its data; archived seasons stay readable at
+ * /api/callups?season=<id>. `current` marks the season today falls in.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!(await requireRole(req, res, req.method === 'GET' ? 'viewer' : 'admin'))) return;
+
+  try {
+    const id = req.query.id;
+
+    if (req.method === 'GET') {
+      const seasons = await listSeasons();
+      const current = seasonForDate(seasons, clubDate());
+      return res.status(200).json({
+        success: true,
+        seasons: seasons.map(season => ({
+          ...season,
+          current: !!current && season.id === current.id,
+          archived: !!season.archivedAt
+        })),
+        currentSeason: current ? current.id : null
+      });
+    }
+
+    if (req.method === 'POST' && req.query.action === 'archive') {
+      if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+      if (!(await getSeason(id))) return res.status(404).json({ success: false, error: 'Season not found' });
+      const snapshot = await getLatestSnapshot();
+      if (!snapshot) return res.status(409).json({ success: false, error: 'There is no scrape to archive yet' });
+      const archive = await archiveSeason(id, snapshot, 'manual');
+      return res.status(200).json({
+        success: true,
+        season: await getSeason(id),
+        archivedAt: archive.archivedAt,
+        lastUpdated: archive.lastUpdated
+      });
+    }
+
+    if (req.method === 'POST' || req.method === 'PUT') {
+      if (req.method === 'PUT') {
+        if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+        if (!(await getSeason(id))) return res.status(404).json({ success: false, error: 'Season not found' });
+      }
+
+      const { season, error } = await saveSeason(req.method === 'PUT' ? id : null, req.body || {});
+      if (error) return res.status(400).json({ success: false, error });
+      return res.status(req.method === 'POST' ? 201 : 200).json({ success: true, season });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+      if (!(await deleteSeason(id))) return res.status(404).json({ success: false, error: 'Season not found' });
+      return res.status(200).json({ success: true });
+    }
+
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Seasons API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update seasons' });
+  }
+};
@@ -0,0 +1,76 @@
+const {
+  listUsers,
+  getUser,
+  saveUser,
+  deleteUser,
+  publicUser
+} = require('../lib/users');
+const { requireRole } = require('../lib/auth');
+
+/**
+ * Vercel Serverless Function for dashboard accounts (admin)
+ * GET    /api/users          - List users (or ?id= for one)
+ * POST   /api/users          - Add a user { email, name, role, teams, password? }
+ * PUT    /api/users?id=...   - Update the fields given; leave out password (or any
+ *                              other field) to keep it
+ * DELETE /api/users?id=...   - Remove a user
+ *
+ * Users without a password sign in with an emailed link. Set active: false
+ * to lock someone out without deleting the account. `teams` are team labels
+ * from the contacts directory (e.g. ["BU12 - Borcyk"]); coaches only see those teams.
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const session = await requireRole(req, res, 'admin');
+    if (!session) return;
+
+    const id = req.query.id;
+
+    if (req.method === 'GET') {
+      if (id) {
+        const user = await getUser(id);
+        if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+        return res.status(200).json({ success: true, user: publicUser(user) });
+      }
+      return res.status(200).json({ success: true, users: await listUsers() });
+    }
+
+    if (req.method === 'POST' || req.method === 'PUT') {
+      if (req.method === 'PUT') {
+        if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+        if (!(await getUser(id))) return res.status(404).json({ success: false, error: 'User not found' });
+        const body = req.body || {};
+        if (id === session.sub && ((body.role !== undefined && body.role !== 'admin') || body.active === false)) {
+          return res.status(400).json({ success: false, error: 'You can\'t remove your own admin access' });
+        }
+      }
+
+      const { user, error } = await saveUser(req.method === 'PUT' ? id : null, req.body || {});
+      if (error) return res.status(400).json({ success: false, error });
+      return res.status(req.method === 'POST' ? 201 : 200).json({ success: true, user });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!id) return res.status(400).json({ success: false, error: 'Missing required query parameter: id' });
+      if (id === session.sub) {
+        return res.status(400).json({ success: false, error: 'You can\'t delete your own account' });
+      }
+      const removed = await deleteUser(id);
+      if (!removed) return res.status(404).json({ success: false, error: 'User not found' });
+      return res.status(200).json({ success: true });
+    }
+
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Users API Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update users' });
+  }
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { getUser } = require('./users');
+const {
+  SESSION_COOKIE,
+  hasRole,
+  signToken,
+  verifyToken,
+  parseCookies
+} = require('./session-token');
+
+const MAGIC_LINKS = 'magic-links';
+
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_HOURS) || 24) * 60 * 60 * 1000;
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Sessions for the serverless functions. middleware.js checks the same
+ * signed cookie before pages and APIs are served; handlers call
+ * requireRole() for the role check and the signed-in user.
+ *
+ * Session payload: { sub, email, name, role, typ: 'session', exp }
+ *   sub - user id, or "byga" for Byga referral sessions (no account)
+ *
+ * getSession() adds the user's current `teams` from the user store, or
+ * BYGA_TEAMS for Byga sessions.
+ */
+
+function sessionSecret() {
+  return process.env.SESSION_SECRET;
+}
+
+/**
+ * Signed session token for a user account, or for { id: 'byga', ... }
+ */
+function createSessionToken(user) {
+  return signToken(
+    { sub: user.id, email: user.email || null, name: user.name || null, role: user.role },
+    { type: 'session', ttlMs: SESSION_TTL_MS, secret: sessionSecret() }
+  );
+}
+
+function sessionCookie(token) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`;
+}
+
+function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`;
+}
+
+/**
+ * Team labels for Byga sessions (comma-separated BYGA_TEAMS, default none)
+ */
+function bygaTeams() {
+  return String(process.env.BYGA_TEAMS || '').split(',').map(team => team.trim()).filter(Boolean);
+}
+
+/**
+ * Session for this request, or null. Account sessions are checked against
+ * the user store, so deactivated users are locked out and role changes
+ * apply straight away.
+ */
+async function getSession(req) {
+  const cookies = parseCookies(req.headers.cookie || '');
+  const session = await verifyToken(cookies[SESSION_COOKIE], { type: 'session', secret: sessionSecret() });
+  if (!session) return null;
+  if (session.sub === 'byga') return { ...session, teams: bygaTeams() };
+
+  const user = await getUser(session.sub);
+  if (!user || !user.active) return null;
+  return { ...session, email: user.email, name: user.name, role: user.role, teams: user.teams || [] };
+}
+
+/**
+ * The request's session when it has at least `role`. Otherwise sends 401
+ * (not signed in) or 403 and returns null; the handler should just return.
+ */
+async function requireRole(req, res, role) {
+  const session = await getSession(req);
+  if (!session) {
+    res.status(401).json({ success: false, error: 'Sign in required' });
+    return null;
+  }
+  if (!hasRole(session.role, role)) {
+    res.status(403).json({ success: false, error: `Requires ${role} access` });
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Single-use sign-in link token for `email`
+ */
+function createMagicLinkToken(email) {
+  return signToken(
+    { email, nonce: crypto.randomBytes(16).toString('hex') },
+    { type: 'magic-link', ttlMs: MAGIC_LINK_TTL_MS, secret: sessionSecret() }
+  );
+}
+
+/**
+ * Email from a valid magic-link token, or null. Each token works once.
+ */
+async function consumeMagicLinkToken(token) {
+  const payload = await verifyToken(token, { type: 'magic-link', secret: sessionSecret() });
+  if (!payload) return null;
+
+  const storage = getStorage();
+  if (await storage.get(MAGIC_LINKS, payload.nonce)) return null;
+  await storage.put(MAGIC_LINKS, { id: payload.nonce, email: payload.email, usedAt: new Date().toISOString(), exp: payload.exp });
+
+  // Used-link records only matter until the links expire
+  const used = await storage.list(MAGIC_LINKS);
+  for (const link of used) {
+    if (link.exp < Date.now()) await storage.remove(MAGIC_LINKS, link.id);
+  }
+
+  return payload.email;
+}
+
+module.exports = {
+  createSessionToken,
+  sessionCookie,
+  clearSessionCookie,
+  getSession,
+  requireRole,
+  createMagicLinkToken,
+  consumeMagicLinkToken
+};
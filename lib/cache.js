@@ -0,0 +1,295 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { RedisClient } = require('./redis-client');
+
+const LOCK_POLL_MS = 100;
+
+/**
+ * Shared cache for scrape results, with locks so only one refresh runs at
+ * a time. Unlike lib/storage.js this is disposable data: every backend may
+ * lose it, and entries are plain JSON values.
+ *
+ * CACHE_BACKEND picks the backend:
+ *   memory  per instance (default without REDIS_URL)
+ *   file    files under CACHE_DIR, shared by processes on the same disk
+ *   redis   REDIS_URL (redis:// or rediss://), shared by every instance
+ *           (default when REDIS_URL is set)
+ *
+ * Every backend exposes the same async interface:
+ *   get(key)                  value or null
+ *   set(key, value, ttlMs)    the entry is gone after ttlMs, if given
+ *   acquireLock(key, ttlMs)   a release token, or null if someone holds it
+ *   releaseLock(key, token)
+ *   isLocked(key)
+ * Locks expire after ttlMs so a crashed holder can't block refreshes forever.
+ *
+ * Locks that guard stored records (scrimmage claims, outbox sends) must be
+ * seen by every instance; they take getSharedCache() instead of getCache(),
+ * usually through withLock().
+ */
+
+class MemoryCache {
+  constructor() {
+    this.values = new Map();
+    this.expiries = new Map();
+    this.locks = new Map();
+  }
+
+  async get(key) {
+    if (this.expiries.has(key) && this.expiries.get(key) <= Date.now()) {
+      this.values.delete(key);
+      this.expiries.delete(key);
+    }
+    return this.values.has(key) ? clone(this.values.get(key)) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.values.set(key, clone(value));
+    if (ttlMs) this.expiries.set(key, Date.now() + ttlMs);
+    else this.expiries.delete(key);
+  }
+
+  async acquireLock(key, ttlMs) {
+    // Checked and taken without an await between, so two callers can't both get it
+    const lock = this.locks.get(key);
+    if (lock && lock.expires > Date.now()) return null;
+    const token = newToken();
+    this.locks.set(key, { token, expires: Date.now() + ttlMs });
+    return token;
+  }
+
+  async releaseLock(key, token) {
+    const lock = this.locks.get(key);
+    if (lock && lock.token === token) this.locks.delete(key);
+  }
+
+  async isLocked(key) {
+    const lock = this.locks.get(key);
+    return !!lock && lock.expires > Date.now();
+  }
+}
+
+class FileCache {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  file(key, extension) {
+    return path.join(this.dir, `${key.replace(/[^\w.-]/g, '_')}.${extension}`);
+  }
+
+  async get(key) {
+    const expires = await this.readExpiry(key);
+    if (expires !== null && expires <= Date.now()) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file(key, 'json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Cannot read cache entry "${key}": ${error.message}`);
+    }
+  }
+
+  /**
+   * An entry with a TTL gets a .expires file next to it holding the expiry
+   */
+  async set(key, value, ttlMs) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const filePath = this.file(key, 'json');
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(value));
+    await fs.promises.rename(tmpPath, filePath);
+
+    if (ttlMs) await fs.promises.writeFile(this.file(key, 'expires'), String(Date.now() + ttlMs));
+    else await fs.promises.rm(this.file(key, 'expires'), { force: true });
+  }
+
+  async readExpiry(key) {
+    try {
+      return Number(await fs.promises.readFile(this.file(key, 'expires'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * The lock file is created exclusively; it holds the token and expiry so
+   * an expired lock can be taken over
+   */
+  async acquireLock(key, ttlMs) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const lockPath = this.file(key, 'lock');
+    const token = newToken();
+    const contents = JSON.stringify({ token, expires: Date.now() + ttlMs });
+
+    try {
+      await fs.promises.writeFile(lockPath, contents, { flag: 'wx' });
+      return token;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (await this.isLocked(key)) return null;
+
+    // Expired: remove it and race for a fresh one
+    await fs.promises.rm(lockPath, { force: true });
+    try {
+      await fs.promises.writeFile(lockPath, contents, { flag: 'wx' });
+      return token;
+    } catch (error) {
+      if (error.code === 'EEXIST') return null;
+      throw error;
+    }
+  }
+
+  async releaseLock(key, token) {
+    const lock = await this.readLock(key);
+    if (lock && lock.token === token) {
+      await fs.promises.rm(this.file(key, 'lock'), { force: true });
+    }
+  }
+
+  async isLocked(key) {
+    const lock = await this.readLock(key);
+    return !!lock && lock.expires > Date.now();
+  }
+
+  async readLock(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file(key, 'lock'), 'utf8'));
+    } catch (error) {
+      // Missing, or caught mid-write by another process
+      return null;
+    }
+  }
+}
+
+class RedisCache {
+  constructor(url, prefix) {
+    this.client = new RedisClient(url);
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const value = await this.client.command('GET', this.prefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs) {
+    const expiry = ttlMs ? ['PX', Math.ceil(ttlMs)] : [];
+    await this.client.command('SET', this.prefix + key, JSON.stringify(value), ...expiry);
+  }
+
+  async acquireLock(key, ttlMs) {
+    const token = newToken();
+    const reply = await this.client.command('SET', `${this.prefix}lock:${key}`, token, 'NX', 'PX', ttlMs);
+    return reply === 'OK' ? token : null;
+  }
+
+  /**
+   * Check-then-delete: a lock that expired and was taken over between the
+   * two commands could be released early, which at worst allows one extra
+   * refresh
+   */
+  async releaseLock(key, token) {
+    const lockKey = `${this.prefix}lock:${key}`;
+    if (await this.client.command('GET', lockKey) === token) {
+      await this.client.command('DEL', lockKey);
+    }
+  }
+
+  async isLocked(key) {
+    return (await this.client.command('EXISTS', `${this.prefix}lock:${key}`)) === 1;
+  }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function newToken() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+const BACKENDS = {
+  memory: () => new MemoryCache(),
+  file: () => new FileCache(path.resolve(process.env.CACHE_DIR || path.join(os.tmpdir(), 'hilton-heat-cache'))),
+  redis: () => {
+    if (!process.env.REDIS_URL) {
+      throw new Error('CACHE_BACKEND=redis needs REDIS_URL');
+    }
+    return new RedisCache(process.env.REDIS_URL, process.env.CACHE_PREFIX || 'hilton-heat:');
+  }
+};
+
+let cache = null;
+
+/**
+ * Cache backend for this process, created on first use
+ */
+function getCache() {
+  if (!cache) {
+    const backend = process.env.CACHE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory');
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown CACHE_BACKEND "${backend}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    cache = BACKENDS[backend]();
+  }
+  return cache;
+}
+
+/**
+ * getCache() for locks that must hold across instances. On Vercel each
+ * request may run on a different instance, so anything but redis would let
+ * two of them hold the same lock.
+ */
+function getSharedCache(purpose) {
+  const shared = getCache();
+  if (process.env.VERCEL && !(shared instanceof RedisCache)) {
+    throw new Error(`${purpose} needs the redis cache on Vercel (REDIS_URL and CACHE_BACKEND=redis); memory and file caches are per instance`);
+  }
+  return shared;
+}
+
+/**
+ * Run `fn` holding `key`'s lock in the shared cache, taken with
+ * getSharedCache(purpose). A held lock is polled for up to waitMs, then this
+ * throws; with wait false it returns null straight away instead.
+ */
+async function withLock(key, purpose, fn, { ttlMs = 30 * 1000, waitMs = 10 * 1000, wait = true } = {}) {
+  const shared = getSharedCache(purpose);
+  const deadline = Date.now() + waitMs;
+
+  let token = await shared.acquireLock(key, ttlMs);
+  while (!token) {
+    if (!wait) return null;
+    if (Date.now() >= deadline) throw new Error(`${purpose}: ${key} is busy; try again`);
+    await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+    token = await shared.acquireLock(key, ttlMs);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await shared.releaseLock(key, token);
+  }
+}
+
+/**
+ * Replace the process-wide backend (tests, or a backend defined elsewhere)
+ */
+function setCache(backend) {
+  cache = backend;
+}
+
+module.exports = {
+  getCache,
+  getSharedCache,
+  withLock,
+  setCache,
+  MemoryCache,
+  FileCache,
+  RedisCache
+};
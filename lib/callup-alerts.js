@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { renderEmail } = require('./email-templates');
+const { sendEmail } = require('./outbox');
+const { listContacts, findTeamContacts } = require('./team-contacts');
+const { getStorage } = require('./storage');
+
+const BASELINES = 'alert-baselines';
+const BASELINE_ID = 'callup-alerts';
+
+// Where alerts go when a player's team can't be matched to any contacts
+const FALLBACK_EMAIL = process.env.ALERT_FALLBACK_EMAIL || 'webmaster@hiltonheat.com';
+
+/**
+ * Severity of a summary row's status. Uses the status flags rather than the
+ * label so renamed labels (see callup-rules.js) still compare correctly.
+ */
+function statusRank(player) {
+  if (!player) return 0;
+  if (player.isOverLimit) return 3;
+  if (player.isUnavailable) return 2;
+  if (player.isWarning) return 1;
+  return 0;
+}
+
+/**
+ * Players whose status got worse since the previous snapshot.
+ * A player missing from the previous snapshot is compared against OK.
+ * Rows joined to the roster (see joinRoster) are alerted to their roster team.
+ */
+function findStatusEscalations(previousPlayers, currentSummary) {
+  const previousByName = new Map(previousPlayers.map(player => [player.playerName, player]));
+
+  return currentSummary
+    .filter(player => statusRank(player) > statusRank(previousByName.get(player.playerName)))
+    .map(player => {
+      const previous = previousByName.get(player.playerName);
+      return {
+        playerName: player.playerName,
+        callupCount: player.callupCount,
+        previousStatus: previous ? previous.status : 'OK',
+        status: player.status,
+        team: player.homeTeam || homeTeam(player)
+      };
+    });
+}
+
+/**
+ * Player's own team when they aren't on the roster: the team their most
+ * recent callup was from
+ */
+function homeTeam(player) {
+  const callups = (player.callups || []).filter(callup => callup.fromTeam);
+  return callups.length ? callups[callups.length - 1].fromTeam : null;
+}
+
+/**
+ * Group escalations by recipient list and send one email per team.
+ * Returns [{ team, recipients, players }] for what was sent.
+ */
+async function sendCallupAlerts(escalations) {
+  if (escalations.length === 0) return [];
+
+  const byTeam = new Map();
+  escalations.forEach(escalation => {
+    const key = escalation.team || '';
+    if (!byTeam.has(key)) byTeam.set(key, []);
+    byTeam.get(key).push(escalation);
+  });
+
+  const directory = await listContacts();
+  const sent = [];
+
+  for (const [team, players] of byTeam) {
+    const contacts = findTeamContacts(directory, team);
+    const recipients = contacts.length
+      ? [...new Set(contacts.map(contact => contact.email))]
+      : [FALLBACK_EMAIL];
+
+    await sendEmail({
+      to: recipients.join(', '),
+      ...renderEmail('callup-alert', { team, players, unmatched: contacts.length === 0 })
+    }, alertKey(team, players));
+
+    console.log(`Callup alert sent for ${team || 'unknown team'} to ${recipients.length} recipient(s)`);
+    sent.push({ team: team || null, recipients, players: players.map(player => player.playerName) });
+  }
+
+  return sent;
+}
+
+/**
+ * Statuses as of the last alert run, or null before the first one. Alerts
+ * compare against this rather than the latest snapshot, which dashboard
+ * refreshes also save, so an escalation first seen by a dashboard load is
+ * still alerted.
+ */
+async function getAlertBaseline() {
+  return getStorage().get(BASELINES, BASELINE_ID);
+}
+
+/**
+ * Keep `summary`'s statuses as the baseline for the next alert run
+ */
+async function saveAlertBaseline(summary, lastUpdated) {
+  const baseline = {
+    id: BASELINE_ID,
+    lastUpdated,
+    alertedAt: new Date().toISOString(),
+    players: summary.map(player => ({
+      playerName: player.playerName,
+      status: player.status,
+      isWarning: !!player.isWarning,
+      isUnavailable: !!player.isUnavailable,
+      isOverLimit: !!player.isOverLimit
+    }))
+  };
+  await getStorage().put(BASELINES, baseline);
+  return baseline;
+}
+
+/**
+ * Outbox key for one team's alert: the same changes on the same day are
+ * only emailed once, even if the cron job runs again
+ */
+function alertKey(team, players) {
+  const changes = players.map(player => `${player.playerName}:${player.status}`).sort().join('|');
+  const digest = crypto.createHash('sha256').update(changes).digest('hex').slice(0, 16);
+  return `callup-alert:${new Date().toISOString().slice(0, 10)}:${team || 'unknown'}:${digest}`;
+}
+
+module.exports = {
+  statusRank,
+  findStatusEscalations,
+  sendCallupAlerts,
+  getAlertBaseline,
+  saveAlertBaseline
+};
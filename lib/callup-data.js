@@ -0,0 +1,314 @@
+const { waitUntil } = require('@vercel/functions');
+const RDYSLScraperServerless = require('../api/scraper-serverless');
+const { getCache } = require('./cache');
+const { saveSnapshot, getLatestSnapshot } = require('./history');
+const { listPlayers, joinRoster } = require('./roster');
+const { scopeSummary } = require('./team-scope');
+const { listContacts } = require('./team-contacts');
+const { getSchedule, nextGame } = require('./schedule');
+
+// Cache configuration
+const CACHE_DURATION = (parseInt(process.env.CACHE_DURATION_MINUTES) || 30) * 60 * 1000;
+const DATA_KEY = 'callups';
+const FAILURE_KEY = 'callups-refresh-failure';
+const REFRESH_LOCK = 'callups-refresh';
+// Longer than any function's maxDuration, so the lock outlives its refresh
+const LOCK_TTL_MS = 90 * 1000;
+const WAIT_POLL_MS = 1000;
+const WAIT_TIMEOUT_MS = 55 * 1000;
+
+// This instance's running refresh, joined by every request that needs one
+let inFlight = null;
+
+/**
+ * Current callup data, shared by every endpoint that works from the summary.
+ *
+ * Fresh data comes straight from the shared cache (lib/cache.js), seeded from
+ * the latest snapshot when the cache is empty. Stale data is returned right
+ * away while one background refresh runs. A forced refresh, or a request with
+ * nothing cached, waits for a scrape; concurrent ones share a single scrape,
+ * across instances too when the cache backend is shared.
+ *
+ * Resolves to { success: true, summary, fines, totalRecords, season, identityReview,
+ * lastUpdated, cached, cacheAgeSeconds, refreshInProgress }; fines is the game-fines
+ * ledger (lib/fines.js), empty for data scraped before the ledger was kept, and
+ * season the id of the season it was scraped in (lib/seasons.js) or null;
+ * or { success: false, statusCode, code, error } (code from lib/scrape-health.js).
+ */
+async function getCallupData(options) {
+  const forceRefresh = !!(options && options.forceRefresh);
+
+  if (!forceRefresh) {
+    const entry = await readCachedEntry();
+    if (entry) {
+      const fresh = Date.now() - Date.parse(entry.lastUpdated) < CACHE_DURATION;
+      if (!fresh) {
+        startBackgroundRefresh();
+      }
+      console.log(fresh ? 'Returning cached data' : 'Returning stale data while refreshing');
+      return present(entry, true, !fresh || await isRefreshing());
+    }
+  }
+
+  const result = await refresh();
+  if (!result.success) return result;
+
+  return present(result.entry, false, false);
+}
+
+function present(entry, cached, refreshInProgress) {
+  return {
+    success: true,
+    ...entry,
+    cached,
+    cacheAgeSeconds: Math.max(0, Math.round((Date.now() - Date.parse(entry.lastUpdated)) / 1000)),
+    refreshInProgress
+  };
+}
+
+/**
+ * Cached entry, or the latest snapshot (saved to the cache) when the cache
+ * is empty, e.g. on a cold start with the memory backend
+ */
+async function readCachedEntry() {
+  try {
+    const entry = await getCache().get(DATA_KEY);
+    if (entry) return entry;
+  } catch (error) {
+    console.error('Failed to read callup cache:', error);
+  }
+
+  try {
+    const snapshot = await getLatestSnapshot();
+    if (!snapshot) return null;
+
+    const entry = {
+      summary: snapshot.players,
+      fines: snapshot.fines || [],
+      totalRecords: snapshot.totalRecords,
+      season: snapshot.season || null,
+      identityReview: 0,
+      lastUpdated: snapshot.scrapedAt
+    };
+    await getCache().set(DATA_KEY, entry);
+    return entry;
+  } catch (error) {
+    console.error('Failed to load last callup snapshot:', error);
+    return null;
+  }
+}
+
+async function isRefreshing() {
+  if (inFlight) return true;
+  try {
+    return await getCache().isLocked(REFRESH_LOCK);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Refresh without holding up the response. Skipped when another instance
+ * is already refreshing. On Vercel, waitUntil keeps the function running
+ * until the refresh finishes.
+ */
+function startBackgroundRefresh() {
+  const pending = isRefreshing()
+    .then(refreshing => (refreshing ? null : refresh()))
+    .catch(error => console.error('Background refresh failed:', error));
+  waitUntil(pending);
+}
+
+/**
+ * Scrape RDYSL once for everyone who needs it: callers in this instance
+ * share one promise, and other instances wait on the shared refresh lock.
+ * Resolves to { success: true, entry } or a failure result.
+ */
+function refresh() {
+  if (!inFlight) {
+    inFlight = runRefresh().finally(() => {
+      inFlight = null;
+    });
+  }
+  return inFlight;
+}
+
+async function runRefresh() {
+  // Check credentials
+  if (!process.env.RDYSL_USERNAME || !process.env.RDYSL_PASSWORD) {
+    return { success: false, statusCode: 503, error: 'RDYSL credentials not configured' };
+  }
+
+  const cache = getCache();
+  const startedAt = Date.now();
+
+  let token = null;
+  try {
+    token = await cache.acquireLock(REFRESH_LOCK, LOCK_TTL_MS);
+    if (!token) {
+      console.log('Another instance is refreshing; waiting for its result');
+      return waitForRefresh(startedAt);
+    }
+  } catch (error) {
+    // Better one unshared scrape than no data
+    console.error('Failed to take the refresh lock, scraping anyway:', error);
+  }
+
+  try {
+    console.log('Scraping fresh data...');
+
+    // Create scraper and fetch data
+    const scraper = new RDYSLScraperServerless();
+    const result = await scraper.scrapeCallupData();
+
+    // A failed health check means RDYSL sent something we can't use
+    if (!result.success) {
+      const failure = { statusCode: result.code ? 502 : 500, ...result };
+      await storeInCache(FAILURE_KEY, { ...failure, failedAt: new Date().toISOString() });
+      return failure;
+    }
+
+    const entry = {
+      summary: result.summary,
+      fines: result.fines || [],
+      totalRecords: result.totalRecords,
+      season: result.season || null,
+      identityReview: result.identityReview,
+      lastUpdated: result.lastUpdated
+    };
+    await storeInCache(DATA_KEY, entry);
+
+    // Keep a permanent record of this scrape; the response doesn't depend on it
+    try {
+      await saveSnapshot(result);
+    } catch (error) {
+      console.error('Failed to save callup snapshot:', error);
+    }
+
+    return { success: true, entry };
+  } finally {
+    if (token) {
+      await cache.releaseLock(REFRESH_LOCK, token).catch(error => {
+        console.error('Failed to release the refresh lock:', error);
+      });
+    }
+  }
+}
+
+async function storeInCache(key, value) {
+  try {
+    await getCache().set(key, value);
+  } catch (error) {
+    console.error(`Failed to write callup cache "${key}":`, error);
+  }
+}
+
+/**
+ * Wait for another instance's refresh to store its result. The holder
+ * writes the result before releasing the lock, so the lock is read first.
+ */
+async function waitForRefresh(since) {
+  const cache = getCache();
+
+  while (Date.now() - since < WAIT_TIMEOUT_MS) {
+    await sleep(WAIT_POLL_MS);
+
+    const locked = await cache.isLocked(REFRESH_LOCK);
+
+    const entry = await cache.get(DATA_KEY);
+    if (entry && Date.parse(entry.lastUpdated) >= since) {
+      return { success: true, entry };
+    }
+
+    const failure = await cache.get(FAILURE_KEY);
+    if (failure && Date.parse(failure.failedAt) >= since) {
+      const { failedAt, ...result } = failure;
+      return result;
+    }
+
+    if (!locked) break;
+  }
+
+  return { success: false, statusCode: 503, error: 'Another refresh of the callup data did not finish; try again' };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Join summary rows to the roster, keep only players on `teams` (see
+ * teamScope() in lib/team-scope.js; null keeps everyone), add the next
+ * games of players near the limit (unless `options.nextGames` is false,
+ * e.g. for an archived season), and drop per-callup details unless
+ * they were requested
+ */
+async function formatSummary(summary, includeDetails, teams = null, options = {}) {
+  let roster = [];
+  let contacts = [];
+  try {
+    roster = await listPlayers();
+    contacts = await listContacts();
+  } catch (error) {
+    console.error('Failed to load roster:', error);
+  }
+
+  let games = [];
+  try {
+    const schedule = options.nextGames === false ? null : await getSchedule();
+    games = schedule ? schedule.games : [];
+  } catch (error) {
+    console.error('Failed to load schedule:', error);
+  }
+
+  const joined = addNextGames(scopeSummary(joinRoster(summary, roster, contacts), teams), games);
+  if (includeDetails) return joined;
+  return joined.map(({ callups, ...player }) => player);
+}
+
+/**
+ * `nextGames` for every player who isn't OK: the next game of each team
+ * they've been called up to, soonest first, so a coach sees the callup
+ * coming before game day. Empty for everyone else.
+ */
+function addNextGames(summary, games, now = new Date()) {
+  return summary.map(player => {
+    if (player.statusKey === 'OK' || games.length === 0) return { ...player, nextGames: [] };
+
+    const callupTeams = [...new Set((player.callups || []).map(callup => callup.toTeam).filter(Boolean))];
+    const nextGames = callupTeams
+      .map(team => nextGame(games, team, now))
+      .filter(Boolean)
+      .sort((a, b) => `${a.date} ${a.time || ''}`.localeCompare(`${b.date} ${b.time || ''}`));
+    return { ...player, nextGames };
+  });
+}
+
+/**
+ * Calculate statistics from summary
+ */
+function calculateStats(summary) {
+  if (!summary || !Array.isArray(summary)) {
+    return {
+      totalPlayers: 0,
+      warnings: 0,
+      unavailable: 0,
+      overLimit: 0,
+      totalCallups: 0
+    };
+  }
+
+  return {
+    totalPlayers: summary.length,
+    warnings: summary.filter(p => p.isWarning).length,
+    unavailable: summary.filter(p => p.isUnavailable).length,
+    overLimit: summary.filter(p => p.isOverLimit).length,
+    totalCallups: summary.reduce((sum, p) => sum + p.callupCount, 0)
+  };
+}
+
+module.exports = {
+  getCallupData,
+  formatSummary,
+  calculateStats
+};
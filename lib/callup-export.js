@@ -0,0 +1,205 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { toCsv } = require('./csv');
+const { normalizeName } = require('./names');
+
+/**
+ * Callup compliance report exports (CSV, XLSX, PDF).
+ *
+ * Every builder takes the same report:
+ *   { summary, stats, lastUpdated, filters, includeDetails }
+ * where summary rows come from formatSummary(..., true).
+ */
+
+const PLAYER_COLUMNS = [
+  { key: 'playerName', label: 'Player', width: 28 },
+  { key: 'homeTeam', label: 'Team', width: 24 },
+  { key: 'callupCount', label: 'Callups', width: 10 },
+  { key: 'status', label: 'Status', width: 14 }
+];
+
+const CALLUP_COLUMNS = [
+  { key: 'playerName', label: 'Player', width: 28 },
+  { key: 'date', label: 'Date', width: 12 },
+  { key: 'gameId', label: 'Game', width: 10 },
+  { key: 'fromTeam', label: 'From Team', width: 24 },
+  { key: 'toTeam', label: 'To Team', width: 24 },
+  { key: 'callupType', label: 'Callup Type', width: 30 }
+];
+
+const STAT_ROWS = [
+  ['totalPlayers', 'Total Players'],
+  ['warnings', 'Warnings'],
+  ['unavailable', 'Unavailable'],
+  ['overLimit', 'Over Limit'],
+  ['totalCallups', 'Total Callups']
+];
+
+/**
+ * Apply the dashboard filters: status (keys or labels, comma-separated or
+ * array), team (exact home team), ageGroup (e.g. GU12) and search (any part
+ * of the name). public/js/callup-view.js applies the same ones in the browser.
+ */
+function filterSummary(summary, filters) {
+  const statuses = toList(filters.status).map(status => status.toUpperCase().replace(/[\s-]+/g, '_'));
+  const team = (filters.team || '').trim();
+  const ageGroup = (filters.ageGroup || '').trim().toUpperCase();
+  const search = normalizeName(filters.search || '');
+
+  return summary.filter(player => {
+    if (statuses.length) {
+      const key = player.statusKey || String(player.status).toUpperCase().replace(/\s+/g, '_');
+      if (!statuses.includes(key)) return false;
+    }
+    if (team && player.homeTeam !== team) return false;
+    if (ageGroup && player.ageGroup !== ageGroup) return false;
+    if (search) {
+      const names = [player.playerName, ...(player.aliases || [])].map(normalizeName);
+      if (!names.some(name => search.split(' ').every(word => name.includes(word)))) return false;
+    }
+    return true;
+  });
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * One row per callup, for the detail sections
+ */
+function callupRows(summary) {
+  const rows = [];
+  summary.forEach(player => {
+    (player.callups || []).forEach(callup => rows.push({ playerName: player.playerName, ...callup }));
+  });
+  return rows;
+}
+
+function describeFilters(filters) {
+  const parts = [];
+  if (toList(filters.status).length) parts.push(`Status: ${toList(filters.status).join(', ')}`);
+  if (filters.team) parts.push(`Team: ${filters.team}`);
+  if (filters.ageGroup) parts.push(`Age group: ${filters.ageGroup}`);
+  if (filters.search) parts.push(`Search: "${filters.search}"`);
+  return parts.length ? parts.join('; ') : 'None (all players)';
+}
+
+function buildCsv(report) {
+  const meta = [
+    { field: 'Report', value: 'RDYSL Callup Compliance' },
+    { field: 'Data scraped', value: report.lastUpdated },
+    { field: 'Filters', value: describeFilters(report.filters) },
+    ...STAT_ROWS.map(([key, label]) => ({ field: label, value: report.stats[key] }))
+  ];
+
+  // Report block, then the player table (and callup table when requested),
+  // separated by blank lines
+  const sections = [
+    toCsv(meta, [{ key: 'field', label: 'Field' }, { key: 'value', label: 'Value' }]),
+    toCsv(report.summary, PLAYER_COLUMNS)
+  ];
+  if (report.includeDetails) {
+    sections.push(toCsv(callupRows(report.summary), CALLUP_COLUMNS));
+  }
+  return sections.join('\r\n');
+}
+
+async function buildXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Hilton Heat Tools';
+  workbook.created = new Date();
+
+  const overview = workbook.addWorksheet('Summary');
+  overview.columns = [{ width: 20 }, { width: 40 }];
+  overview.addRow(['RDYSL Callup Compliance']).font = { bold: true, size: 14 };
+  overview.addRow(['Data scraped', report.lastUpdated]);
+  overview.addRow(['Filters', describeFilters(report.filters)]);
+  overview.addRow([]);
+  STAT_ROWS.forEach(([key, label]) => overview.addRow([label, report.stats[key]]));
+
+  addTableSheet(workbook, 'Players', PLAYER_COLUMNS, report.summary);
+  if (report.includeDetails) {
+    addTableSheet(workbook, 'Callups', CALLUP_COLUMNS, callupRows(report.summary));
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function addTableSheet(workbook, name, columns, rows) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns.map(column => ({ header: column.label, key: column.key, width: column.width }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+function buildPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(18).text('RDYSL Callup Compliance Report');
+    doc.moveDown(0.5);
+    doc.fontSize(10)
+      .text(`Data scraped: ${new Date(report.lastUpdated).toLocaleString('en-US', { timeZone: 'America/New_York' })}`)
+      .text(`Filters: ${describeFilters(report.filters)}`)
+      .text(STAT_ROWS.map(([key, label]) => `${label}: ${report.stats[key]}`).join('   '));
+    doc.moveDown();
+
+    drawTable(doc, PLAYER_COLUMNS, report.summary);
+
+    if (report.includeDetails) {
+      doc.addPage();
+      doc.fontSize(14).text('Callup Details');
+      doc.moveDown(0.5);
+      drawTable(doc, CALLUP_COLUMNS.filter(column => column.key !== 'callupType'), callupRows(report.summary));
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Simple fixed-width table; widths are scaled from the column widths to fit the page
+ */
+function drawTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const available = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const total = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => (column.width / total) * available);
+
+  const drawRow = (values, bold) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let x = left;
+    values.forEach((value, index) => {
+      doc.text(value === null || value === undefined ? '' : String(value), x, y, {
+        width: widths[index] - 4,
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += widths[index];
+    });
+    doc.x = left;
+    doc.y = y + 14;
+  };
+
+  drawRow(columns.map(column => column.label), true);
+  rows.forEach(row => drawRow(columns.map(column => row[column.key]), false));
+  doc.font('Helvetica');
+}
+
+module.exports = {
+  filterSummary,
+  buildCsv,
+  buildXlsx,
+  buildPdf
+};
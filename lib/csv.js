@@ -0,0 +1,115 @@
+/**
+ * Minimal RFC 4180 CSV reading/writing (quoted fields, embedded commas,
+ * quotes and newlines). Enough for spreadsheet exports from Byga/Excel.
+ */
+
+// Excel and Sheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of strings
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+  return rows.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = unprotect((cells[index] || '').trim());
+    });
+    return record;
+  });
+}
+
+/**
+ * Text cells that would start a formula get a leading ' (which spreadsheets
+ * hide), so a scraped or typed "=HYPERLINK(...)" stays text. Numbers are
+ * written as they are.
+ */
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo escapeCsvField's ' so exported files import unchanged
+ */
+function unprotect(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Format objects as CSV. columns: [{ key, label }] in output order.
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(column => escapeCsvField(column.label || column.key)).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => escapeCsvField(record[column.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * CSV text from a text/csv (or text/plain) upload or a JSON { csv } body
+ */
+function readCsvBody(req) {
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  return (req.body && req.body.csv) || '';
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  toCsv,
+  readCsvBody
+};
@@ -0,0 +1,356 @@
+const { html, htmlToText } = require('./html');
+const { describeLevels } = require('./team-contacts');
+
+/**
+ * Named email templates with the club's shared layout, and the pages behind
+ * the scrimmage claim/decline links.
+ *
+ * Each template is { description, subject(data), body(data), footer(data)?,
+ * sample } where body and footer return html`` (lib/html.js), so every value
+ * is escaped in one place. renderEmail() wraps the body in the layout and
+ * adds a plain-text version made from the HTML:
+ *
+ *   transporter.sendMail({ from, to, ...renderEmail('scrimmage-closed', { request }) })
+ *
+ * `sample` is the data /api/email-preview renders a template with. To change
+ * an email's wording, edit its template here; the senders only pass data.
+ *
+ * Pages are { title(data), body(data) } in PAGES, rendered by renderPage()
+ * into a standalone HTML page the same way.
+ */
+
+const BRAND = {
+  name: 'Hilton Heat Soccer Club',
+  website: 'https://www.hiltonheat.com',
+  color: '#007cba'
+};
+
+const STYLES = {
+  heading: 'color:#222;margin:0 0 12px',
+  label: 'padding:4px 12px 4px 0;font-weight:bold;vertical-align:top',
+  value: 'padding:4px 0',
+  claim: 'background:#28a745;color:#fff;padding:8px 14px;border-radius:4px;text-decoration:none;margin:0 8px',
+  decline: 'background:#6c757d;color:#fff;padding:8px 14px;border-radius:4px;text-decoration:none',
+  note: 'color:#888;font-size:12px',
+  cell: 'padding:4px 12px 4px 0'
+};
+
+const ACTION_LABELS = {
+  claim: 'We\'ll take it',
+  decline: 'Not interested'
+};
+
+const VENUE_LABELS = {
+  home: 'At their field (they host)',
+  away: 'At our field (Hilton Heat hosts)',
+  neutral: 'Neutral field'
+};
+
+function layout(body, footer) {
+  return html`<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#333">
+  <div style="background:${BRAND.color};color:#fff;padding:12px 16px;font-size:18px;font-weight:bold">${BRAND.name}</div>
+  <div style="padding:16px">
+    ${body}
+    <hr style="margin:24px 0;border:none;border-top:1px solid #ddd">
+    ${footer ? html`<p style="${STYLES.note}">${footer}</p>` : ''}
+    <p style="${STYLES.note}">${BRAND.name} &mdash; <a href="${BRAND.website}">www.hiltonheat.com</a></p>
+  </div>
+</div>`;
+}
+
+function ageGroupLabel(request) {
+  return `${request.gender} ${request.ageGroup}`;
+}
+
+function requestTeams(request) {
+  return [...new Set(request.recipients.map(recipient => recipient.team))];
+}
+
+function requestFooter({ request }) {
+  return html`Request ${request.id}`;
+}
+
+/**
+ * The request's details as label/value rows; empty fields are left out
+ */
+function detailsTable(request) {
+  const rows = [
+    ['Club / Team', request.clubName],
+    ['Contact', [request.requesterEmail, request.phone].filter(Boolean).join(' / ')],
+    ['Age Group', ageGroupLabel(request)],
+    ['Level', request.levels && request.levels.length ? describeLevels(request.levels) : 'Any'],
+    ['Dates', request.dates],
+    ['Times', request.times],
+    ['Home / Away', request.venue ? VENUE_LABELS[request.venue] : 'Either'],
+    ['Field', request.field],
+    ['Message', request.message || '(no message)']
+  ].filter(([, value]) => value);
+
+  return html`<table style="border-collapse:collapse;margin:16px 0">
+      ${rows.map(([label, value]) => html`<tr><td style="${STYLES.label}">${label}:</td><td style="${STYLES.value}">${value}</td></tr>`)}
+    </table>`;
+}
+
+const SAMPLE_REQUEST = {
+  id: 'scr_0123456789ab',
+  status: 'open',
+  requesterEmail: 'coach@otherclub.example',
+  clubName: 'Fairport FC U12 Blue',
+  phone: '585-555-0100',
+  gender: 'Boys',
+  ageGroup: 'U12',
+  ageGroupKey: 'BU12',
+  levels: ['2'],
+  dates: 'Sat 5/9 or Sun 5/10',
+  times: 'Mornings',
+  venue: 'neutral',
+  field: 'Perinton Park #3',
+  message: 'Looking for a tune-up before our tournament.',
+  recipients: [
+    { name: 'Pat Coach', email: 'pat@example.org', team: 'BU12 - Borcyk', role: 'head coach', level: '2' },
+    { name: 'Sam Manager', email: 'sam@example.org', team: 'BU12 - Sotile', role: 'manager', level: null }
+  ],
+  responses: [],
+  claimedBy: { name: 'Pat Coach', email: 'pat@example.org', team: 'BU12 - Borcyk', at: '2026-05-01T12:00:00.000Z' },
+  createdAt: '2026-05-01T12:00:00.000Z',
+  expiresAt: '2026-05-08T12:00:00.000Z'
+};
+
+const TEMPLATES = {
+  'scrimmage-request': {
+    description: 'To each team contact: a new (or, with reminder, still open) scrimmage request with claim/decline links',
+    subject: ({ request, reminder }) => `${reminder ? 'Reminder: ' : ''}Scrimmage Request - ${ageGroupLabel(request)}`,
+    body: ({ request, teams, reminder }) => html`
+      <h2 style="${STYLES.heading}">${reminder ? 'Still Open: ' : 'New '}Scrimmage Request</h2>
+      <p>${request.clubName || 'Someone'} has requested a scrimmage with Hilton Heat ${ageGroupLabel(request)}.</p>
+      ${detailsTable(request)}
+      <p>The first team to answer "We'll take it" gets the scrimmage; the requester and the
+         other teams are told straight away. The request expires on
+         ${new Date(request.expiresAt).toDateString()}.</p>
+      ${teams.map(team => html`
+      <p style="margin:16px 0">
+        <strong>${team.team}:</strong>
+        <a href="${team.claimUrl}" style="${STYLES.claim}">We'll take it</a>
+        <a href="${team.declineUrl}" style="${STYLES.decline}">Not interested</a>
+      </p>`)}
+      <p>You can also reply directly to <a href="mailto:${request.requesterEmail}">${request.requesterEmail}</a>,
+         but please use the link above so the other teams know.</p>`,
+    footer: ({ request }) => html`This message was sent to the contacts of ${requestTeams(request).join(', ')} via the
+        Hilton Heat website scrimmage request form. Request ${request.id}.`,
+    sample: {
+      request: SAMPLE_REQUEST,
+      teams: [{
+        team: 'BU12 - Borcyk',
+        claimUrl: 'https://hhtools.vercel.app/api/scrimmage-request?token=sample-claim',
+        declineUrl: 'https://hhtools.vercel.app/api/scrimmage-request?token=sample-decline'
+      }],
+      reminder: false
+    }
+  },
+
+  'scrimmage-received': {
+    description: 'To the requester: which teams each of their requests went to',
+    subject: () => 'Hilton Heat - Scrimmage Request Received',
+    body: ({ requests, skipped = [] }) => html`
+      <h2 style="${STYLES.heading}">Scrimmage Request Received</h2>
+      <p>Thank you for your interest in scheduling a scrimmage with Hilton Heat!</p>
+      <p>Your request has been forwarded to the coaches and managers of these teams:</p>
+      ${requests.map(request => html`
+      <p><strong>${ageGroupLabel(request)}</strong> (request ${request.id}):</p>
+      <ul>
+        ${requestTeams(request).map(team => html`<li>${team}</li>`)}
+      </ul>`)}
+      ${skipped.length ? html`<p>We don't have a team to ask for ${skipped.join(', ')}.</p>` : ''}
+      <p>We'll email you as soon as a team takes it, or by
+         ${new Date(requests[0].expiresAt).toDateString()} if none can.</p>`,
+    footer: ({ requests }) => requestFooter({ request: requests[0] }),
+    sample: { requests: [SAMPLE_REQUEST], skipped: ['Girls U12'] }
+  },
+
+  'scrimmage-claimed': {
+    description: 'To the requester: a team took their scrimmage',
+    subject: ({ request }) => `Hilton Heat - ${request.claimedBy.team} will take your scrimmage`,
+    body: ({ request }) => html`
+      <h2 style="${STYLES.heading}">Your Scrimmage Request Was Claimed</h2>
+      <p>Hilton Heat <strong>${request.claimedBy.team}</strong> would like to play you.</p>
+      <p>Contact ${request.claimedBy.name} at
+         <a href="mailto:${request.claimedBy.email}">${request.claimedBy.email}</a>
+         (or reply to this email) to set a date and field.</p>`,
+    footer: requestFooter,
+    sample: { request: { ...SAMPLE_REQUEST, status: 'claimed' } }
+  },
+
+  'scrimmage-taken': {
+    description: 'To the other teams: someone already took the request',
+    subject: ({ request }) => `Scrimmage Request Taken - ${ageGroupLabel(request)}`,
+    body: ({ request }) => html`
+      <h2 style="${STYLES.heading}">Scrimmage Request Taken</h2>
+      <p>${request.claimedBy.team} (${request.claimedBy.name}) took the scrimmage request from
+         ${request.clubName || request.requesterEmail}. No action is needed.</p>`,
+    footer: requestFooter,
+    sample: { request: { ...SAMPLE_REQUEST, status: 'claimed' } }
+  },
+
+  'scrimmage-closed': {
+    description: 'To the requester: every team declined, or nobody answered before it expired',
+    subject: () => 'Hilton Heat - Scrimmage Request Update',
+    body: ({ request }) => html`
+      <h2 style="${STYLES.heading}">No Team Available</h2>
+      <p>Unfortunately none of our <strong>${ageGroupLabel(request)}</strong>
+         teams can take your scrimmage request. Thank you for thinking of Hilton Heat, and
+         feel free to ask again later in the season.</p>`,
+    footer: requestFooter,
+    sample: { request: { ...SAMPLE_REQUEST, status: 'expired', claimedBy: null } }
+  },
+
+  'callup-alert': {
+    description: 'To a team\'s contacts (or ALERT_FALLBACK_EMAIL): players whose callup status got worse',
+    subject: ({ team, players }) =>
+      `Callup Alert - ${team || 'Unknown team'}: ${players.length} player${players.length === 1 ? '' : 's'} changed status`,
+    body: ({ team, players, unmatched }) => html`
+      <h2 style="${STYLES.heading}">Callup Status Alert</h2>
+      <p>The following ${team ? `${team} ` : ''}players reached a new callup status in the latest RDYSL data:</p>
+      <table style="border-collapse:collapse;margin:16px 0">
+        <tr><th style="${STYLES.cell};text-align:left">Player</th>
+            <th style="${STYLES.cell};text-align:left">Callups</th>
+            <th style="${STYLES.cell};text-align:left">Status</th></tr>
+        ${players.map(player => html`<tr><td style="${STYLES.cell}">${player.playerName}</td>
+            <td style="${STYLES.cell}">${player.callupCount}</td>
+            <td style="${STYLES.cell}">${player.previousStatus} &rarr; <strong>${player.status}</strong></td></tr>`)}
+      </table>
+      <p>Players marked UNAVAILABLE or OVER LIMIT must not be called up again this season.</p>
+      ${unmatched ? html`<p><em>No team contacts matched this team, so this alert went to the club webmaster.</em></p>` : ''}`,
+    footer: () => html`Sent automatically by the Hilton Heat callup checker.`,
+    sample: {
+      team: 'BU11 - Miner',
+      players: [
+        { playerName: 'Smith, John', callupCount: 3, previousStatus: 'OK', status: 'WARNING' },
+        { playerName: 'Brown, Max', callupCount: 4, previousStatus: 'WARNING', status: 'UNAVAILABLE' }
+      ],
+      unmatched: false
+    }
+  },
+
+  'sign-in-link': {
+    description: 'To a dashboard user: the one-time sign-in link they asked for',
+    subject: () => 'Your Hilton Heat Tools sign-in link',
+    body: ({ url }) => html`
+      <p>Sign in to Hilton Heat Tools:</p>
+      <p><a href="${url}">Sign in</a></p>
+      <p>The link works once and expires in 15 minutes. If you didn't ask for it, ignore this email.</p>`,
+    sample: { url: 'https://hhtools.vercel.app/api/auth?token=sample-token&from=%2F' }
+  }
+};
+
+function closedPageBody({ request }) {
+  if (request.claimedBy) {
+    return html`<p>${request.claimedBy.team} already took this scrimmage request. No action is needed.</p>`;
+  }
+  return html`<p>This scrimmage request is ${request.status}. No action is needed.</p>`;
+}
+
+const PAGES = {
+  'response-invalid': {
+    title: () => 'Link not valid',
+    body: () => html`<p>This link is invalid or too old.</p>`
+  },
+
+  'response-confirm': {
+    title: ({ recipient, action }) => `${ACTION_LABELS[action]} - ${recipient.team}`,
+    body: ({ request, recipient, action }) => html`
+      <p>Scrimmage request from <strong>${request.clubName || request.requesterEmail}</strong>
+         for ${ageGroupLabel(request)}.</p>
+      ${request.dates ? html`<p>Dates: ${[request.dates, request.times].filter(Boolean).join(', ')}</p>` : ''}
+      <p>${request.message || '(no message)'}</p>
+      <form method="POST">
+        <button type="submit">${ACTION_LABELS[action]} for ${recipient.team}</button>
+      </form>`
+  },
+
+  'response-closed': {
+    title: () => 'Request closed',
+    body: closedPageBody
+  },
+
+  'response-claimed': {
+    title: () => 'Scrimmage claimed',
+    body: ({ request, recipient }) => html`
+      <p>${recipient.team} has the scrimmage. We've emailed
+         <a href="mailto:${request.requesterEmail}">${request.requesterEmail}</a>
+         your contact details and told the other teams.</p>`
+  },
+
+  'response-declined': {
+    title: () => 'Thanks',
+    body: ({ recipient }) => html`<p>Noted that ${recipient.team} isn't interested.</p>`
+  },
+
+  'response-error': {
+    title: () => 'Something went wrong',
+    body: () => html`<p>Please try the link again in a minute.</p>`
+  }
+};
+
+function pageLayout(title, body) {
+  return html`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 560px; margin: 40px auto; padding: 20px; }
+    button { background: ${BRAND.color}; color: white; padding: 12px 24px; border: none; border-radius: 6px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  ${body}
+</body>
+</html>`;
+}
+
+/**
+ * Render a named template: { subject, html, text }. Throws for an unknown name.
+ */
+function renderEmail(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+
+  const markup = String(layout(template.body(data), template.footer && template.footer(data)));
+  return {
+    subject: template.subject(data),
+    html: markup,
+    text: htmlToText(markup)
+  };
+}
+
+/**
+ * A named page as a complete HTML document. Throws for an unknown name.
+ */
+function renderPage(name, data = {}) {
+  const page = PAGES[name];
+  if (!page) throw new Error(`Unknown page "${name}"`);
+  return String(pageLayout(page.title(data), page.body(data)));
+}
+
+/**
+ * [{ name, description }] for every template
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({ name, description: template.description }));
+}
+
+/**
+ * A template rendered with its sample data, or null for an unknown name
+ */
+function previewEmail(name) {
+  return TEMPLATES[name] ? renderEmail(name, TEMPLATES[name].sample) : null;
+}
+
+module.exports = {
+  renderEmail,
+  renderPage,
+  listTemplates,
+  previewEmail
+};
@@ -0,0 +1,110 @@
+const { teamMatches } = require('./team-contacts');
+const { normalizeName } = require('./names');
+
+/**
+ * The club's game-fines ledger: every fine row on the RDYSL game-fines page
+ * (parseFineTables() in public/js/callup-parser.js), saved with each scrape.
+ *
+ * Fine: { date, gameId, team, type, playerName, amount, paid }
+ *   team   - as RDYSL writes it ("BU12 Borcyk")
+ *   amount - dollars; negative for a credit, null when the page had no amount
+ */
+
+const FINE_STATUSES = ['paid', 'unpaid'];
+
+function toCents(amount) {
+  return Math.round((amount || 0) * 100);
+}
+
+function emptyTotals() {
+  return { count: 0, total: 0, paid: 0, unpaid: 0 };
+}
+
+/**
+ * Add a fine to running totals (kept in cents so they add up exactly)
+ */
+function addToTotals(totals, fine) {
+  const cents = toCents(fine.amount);
+  totals.count++;
+  totals.total += cents;
+  totals[fine.paid ? 'paid' : 'unpaid'] += cents;
+}
+
+function totalsInDollars({ count, total, paid, unpaid }) {
+  return { count, total: total / 100, paid: paid / 100, unpaid: unpaid / 100 };
+}
+
+/**
+ * Whether a fine is on `team`, given as RDYSL's name or our label ("BU12 - Borcyk")
+ */
+function isFineOnTeam(fine, team) {
+  if (!fine.team) return false;
+  return fine.team.toLowerCase() === team.toLowerCase() || teamMatches(fine.team, team);
+}
+
+/**
+ * Fines matching every filter that is set, oldest first:
+ *   teams  - team labels the user is limited to (teamScope() in lib/team-scope.js), null for all
+ *   team   - one team (RDYSL name or label)
+ *   type   - fine type, case-insensitive
+ *   status - paid or unpaid
+ *   from/to - YYYY-MM-DD game dates, inclusive
+ */
+function filterFines(fines, { teams = null, team, type, status, from, to } = {}) {
+  return fines
+    .filter(fine => !teams || teams.some(label => isFineOnTeam(fine, label)))
+    .filter(fine => !team || isFineOnTeam(fine, team))
+    .filter(fine => !type || fine.type.toLowerCase() === type.toLowerCase())
+    .filter(fine => !status || fine.paid === (status === 'paid'))
+    .filter(fine => !from || (fine.date && fine.date >= from))
+    .filter(fine => !to || (fine.date && fine.date <= to))
+    .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+}
+
+/**
+ * Totals for the whole list, per team and per fine type:
+ * { totals, byTeam: [{ team, count, total, paid, unpaid }], byType: [{ type, ... }] }
+ * with dollar amounts. Teams are sorted by what they owe, types by total.
+ */
+function summarizeFines(fines) {
+  const totals = emptyTotals();
+  const teams = new Map();
+  const types = new Map();
+
+  fines.forEach(fine => {
+    addToTotals(totals, fine);
+
+    const team = fine.team || 'Unknown';
+    if (!teams.has(team)) teams.set(team, emptyTotals());
+    addToTotals(teams.get(team), fine);
+
+    if (!types.has(fine.type)) types.set(fine.type, emptyTotals());
+    addToTotals(types.get(fine.type), fine);
+  });
+
+  const byTeam = [...teams.entries()]
+    .sort(([teamA, a], [teamB, b]) => b.unpaid - a.unpaid || b.total - a.total || teamA.localeCompare(teamB))
+    .map(([team, teamTotals]) => ({ team, ...totalsInDollars(teamTotals) }));
+  const byType = [...types.entries()]
+    .sort(([typeA, a], [typeB, b]) => b.total - a.total || typeA.localeCompare(typeB))
+    .map(([type, typeTotals]) => ({ type, ...totalsInDollars(typeTotals) }));
+
+  return { totals: totalsInDollars(totals), byTeam, byType };
+}
+
+/**
+ * Fines naming one player, by `names` (their name and aliases), oldest first
+ */
+function finesForPlayer(fines, names) {
+  const wanted = new Set(names.map(normalizeName));
+  return fines
+    .filter(fine => fine.playerName && wanted.has(normalizeName(fine.playerName)))
+    .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+}
+
+module.exports = {
+  FINE_STATUSES,
+  filterFines,
+  summarizeFines,
+  finesForPlayer
+};
@@ -0,0 +1,115 @@
+const { getStorage } = require('./storage');
+const { normalizeName } = require('./names');
+
+const SNAPSHOTS = 'snapshots';
+// Snapshots kept; older ones are removed as new ones are saved
+const DEFAULT_SNAPSHOT_LIMIT = 500;
+
+/**
+ * Scrape history: every successful scrapeCallupData() result is saved as a
+ * snapshot so player counts can be followed over time. Only the newest
+ * SNAPSHOT_LIMIT snapshots are kept (season archives are separate copies).
+ */
+
+/**
+ * Save a successful scrape result. Returns the stored snapshot.
+ */
+async function saveSnapshot(result) {
+  const scrapedAt = result.lastUpdated || new Date().toISOString();
+  const snapshot = {
+    id: `snap_${Date.parse(scrapedAt)}`,
+    scrapedAt,
+    totalRecords: result.totalRecords,
+    // Full summary rows (status flags and callup details included)
+    players: result.summary,
+    // The game-fines ledger as it stood at this scrape
+    fines: result.fines || [],
+    // Season the scrape ran in (lib/seasons.js), null outside any season
+    season: result.season || null
+  };
+
+  await getStorage().put(SNAPSHOTS, snapshot);
+  await pruneSnapshots();
+  return snapshot;
+}
+
+/**
+ * Remove all but the newest SNAPSHOT_LIMIT snapshots
+ */
+async function pruneSnapshots(limit = parseInt(process.env.SNAPSHOT_LIMIT, 10) || DEFAULT_SNAPSHOT_LIMIT) {
+  const old = (await loadSnapshots()).slice(limit);
+  for (const snapshot of old) {
+    await getStorage().remove(SNAPSHOTS, snapshot.id);
+  }
+  return old.length;
+}
+
+/**
+ * All snapshots, newest first
+ */
+async function loadSnapshots() {
+  const snapshots = await getStorage().list(SNAPSHOTS);
+  return snapshots.sort((a, b) => b.scrapedAt.localeCompare(a.scrapedAt));
+}
+
+/**
+ * Snapshot metadata (no player rows), newest first. playerCount only counts
+ * rows that pass `filter` (see createScopeFilter() in lib/team-scope.js).
+ */
+async function listSnapshots(limit, filter = () => true) {
+  const snapshots = await loadSnapshots();
+  return snapshots.slice(0, limit || snapshots.length).map(snapshot => ({
+    id: snapshot.id,
+    scrapedAt: snapshot.scrapedAt,
+    totalRecords: snapshot.totalRecords,
+    playerCount: snapshot.players.filter(filter).length
+  }));
+}
+
+async function getSnapshot(id) {
+  return getStorage().get(SNAPSHOTS, id);
+}
+
+async function getLatestSnapshot() {
+  const snapshots = await loadSnapshots();
+  return snapshots[0] || null;
+}
+
+/**
+ * One player's count and status in every snapshot, oldest first.
+ * `statusChanged` marks the snapshots where the status moved (e.g. into WARNING).
+ * Snapshot rows that fail `filter` (see createScopeFilter() in
+ * lib/team-scope.js) are left out.
+ */
+async function getPlayerHistory(playerName, filter = () => true) {
+  const wanted = normalizeName(playerName);
+  const snapshots = (await loadSnapshots()).reverse();
+  const timeline = [];
+
+  snapshots.forEach(snapshot => {
+    const player = snapshot.players.find(p => normalizeName(p.playerName) === wanted ||
+      (p.aliases || []).some(alias => normalizeName(alias) === wanted));
+    if (!player || !filter(player)) return;
+
+    const previous = timeline[timeline.length - 1];
+    timeline.push({
+      snapshotId: snapshot.id,
+      scrapedAt: snapshot.scrapedAt,
+      playerName: player.playerName,
+      callupCount: player.callupCount,
+      status: player.status,
+      statusChanged: !!previous && previous.status !== player.status
+    });
+  });
+
+  return timeline;
+}
+
+module.exports = {
+  saveSnapshot,
+  pruneSnapshots,
+  listSnapshots,
+  getSnapshot,
+  getLatestSnapshot,
+  getPlayerHistory
+};
@@ -0,0 +1,102 @@
+const cheerio = require('cheerio');
+
+/**
+ * Safe HTML building for emails and pages.
+ *
+ *   html`<p>Hi ${name}</p>`   - interpolated values are escaped; arrays are
+ *                               joined; null, undefined and false render nothing
+ *   raw(markup)               - trusted markup that is inserted as is
+ *
+ * Both return SafeHtml, which nests inside another html`` without being
+ * escaped twice. String(result) gives the markup.
+ */
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+function raw(markup) {
+  return new SafeHtml(String(markup));
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+}
+
+const BLOCK_TAGS = new Set(['p', 'div', 'table', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote']);
+const SKIPPED_TAGS = new Set(['head', 'style', 'script', 'title']);
+
+/**
+ * Plain-text version of an HTML email: paragraphs and headings become blank
+ * line separated blocks, table rows become lines, list items get "- ",
+ * and links show their address after the label.
+ */
+function htmlToText(markup) {
+  const $ = cheerio.load(String(markup));
+  const text = nodeText($, $.root()[0]);
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function nodeText($, node) {
+  if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+  if (node.type !== 'tag' && node.type !== 'root') return '';
+
+  const tag = node.type === 'tag' ? node.name.toLowerCase() : '';
+  if (SKIPPED_TAGS.has(tag)) return '';
+  if (tag === 'br') return '\n';
+  if (tag === 'hr') return '\n\n----\n\n';
+  if (tag === 'img') return $(node).attr('alt') || '';
+
+  const inner = (node.children || []).map(child => nodeText($, child)).join('');
+
+  if (tag === 'a') {
+    const href = ($(node).attr('href') || '').trim();
+    const label = inner.trim();
+    const address = href.replace(/^mailto:/i, '');
+    if (!href || address === label) return inner;
+    return label ? `${label} (${address})` : address;
+  }
+  if (tag === 'li') return `- ${inner.trim()}\n`;
+  if (tag === 'tr') return `${inner.trim()}\n`;
+  if (tag === 'td' || tag === 'th') return `${inner.trim()} `;
+  if (BLOCK_TAGS.has(tag)) return `\n\n${inner.trim()}\n\n`;
+  return inner;
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  raw,
+  htmlToText
+};
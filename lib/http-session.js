@@ -0,0 +1,160 @@
+/**
+ * Minimal browser-like HTTP session for server-rendered sites: fetch() with
+ * a cookie jar, manual redirect following (so cookies set on redirects are
+ * kept) and urlencoded form posts. Enough for RDYSL's club login, without
+ * starting Chromium.
+ */
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Cookies by domain/path/name, from Set-Cookie response headers
+ */
+class CookieJar {
+  constructor() {
+    this.cookies = new Map();
+  }
+
+  /**
+   * Store the cookies a response set for `url`
+   */
+  setCookies(setCookieHeaders, url) {
+    const { hostname } = new URL(url);
+
+    setCookieHeaders.forEach(header => {
+      const [pair, ...attributes] = header.split(';');
+      const separator = pair.indexOf('=');
+      if (separator <= 0) return;
+
+      const cookie = {
+        name: pair.slice(0, separator).trim(),
+        value: pair.slice(separator + 1).trim(),
+        domain: hostname,
+        path: '/',
+        expires: null
+      };
+
+      attributes.forEach(attribute => {
+        const [rawKey, ...rest] = attribute.split('=');
+        const key = rawKey.trim().toLowerCase();
+        const value = rest.join('=').trim();
+        if (key === 'domain' && value) cookie.domain = value.replace(/^\./, '').toLowerCase();
+        else if (key === 'path' && value.startsWith('/')) cookie.path = value;
+        else if (key === 'max-age') cookie.expires = Date.now() + parseInt(value, 10) * 1000;
+        else if (key === 'expires' && cookie.expires === null) {
+          // Max-Age wins over Expires; unparseable dates leave a session cookie
+          const expires = Date.parse(value);
+          if (!Number.isNaN(expires)) cookie.expires = expires;
+        }
+      });
+
+      const id = `${cookie.domain};${cookie.path};${cookie.name}`;
+      if (cookie.expires !== null && cookie.expires <= Date.now()) {
+        this.cookies.delete(id);
+      } else {
+        this.cookies.set(id, cookie);
+      }
+    });
+  }
+
+  /**
+   * Cookie request header for `url` ('' when there are none)
+   */
+  cookieHeader(url) {
+    const { hostname, pathname } = new URL(url);
+    const now = Date.now();
+
+    return [...this.cookies.values()]
+      .filter(cookie => (cookie.expires === null || cookie.expires > now) &&
+        (hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`)) &&
+        pathMatches(pathname, cookie.path))
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+}
+
+/**
+ * RFC 6265 path-match: /club matches /club and /club/roster, not /clubhome
+ */
+function pathMatches(pathname, cookiePath) {
+  if (pathname === cookiePath) return true;
+  if (!pathname.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || pathname[cookiePath.length] === '/';
+}
+
+/**
+ * One logged-in "browser": requests share the cookie jar
+ */
+class HttpSession {
+  constructor(options = {}) {
+    this.jar = new CookieJar();
+    this.userAgent = options.userAgent;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * GET `url`, following redirects. Resolves to { url, status, html } for
+   * the final response.
+   */
+  get(url) {
+    return this.request(url, { method: 'GET' });
+  }
+
+  /**
+   * POST `fields` as application/x-www-form-urlencoded. A redirect after the
+   * post is followed with GET, as browsers do.
+   */
+  postForm(url, fields) {
+    return this.request(url, {
+      method: 'POST',
+      body: new URLSearchParams(fields).toString(),
+      contentType: 'application/x-www-form-urlencoded'
+    });
+  }
+
+  async request(url, { method, body, contentType }) {
+    let currentUrl = url;
+    let currentMethod = method;
+    let currentBody = body;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const headers = { Accept: 'text/html,application/xhtml+xml' };
+      if (this.userAgent) headers['User-Agent'] = this.userAgent;
+      const cookies = this.jar.cookieHeader(currentUrl);
+      if (cookies) headers.Cookie = cookies;
+      if (currentBody !== undefined) headers['Content-Type'] = contentType;
+
+      const response = await fetch(currentUrl, {
+        method: currentMethod,
+        headers,
+        body: currentBody,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      this.jar.setCookies(response.headers.getSetCookie(), currentUrl);
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        // Drain the redirect body so the connection can be reused
+        await response.arrayBuffer();
+        currentUrl = new URL(location, currentUrl).toString();
+        if (response.status !== 307 && response.status !== 308) {
+          currentMethod = 'GET';
+          currentBody = undefined;
+        }
+        continue;
+      }
+
+      return { url: currentUrl, status: response.status, html: await response.text() };
+    }
+
+    throw new Error(`Too many redirects from ${url}`);
+  }
+}
+
+module.exports = {
+  CookieJar,
+  HttpSession
+};
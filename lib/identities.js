@@ -0,0 +1,178 @@
+const { getStorage } = require('./storage');
+const { normalizeName, nearMiss } = require('./names');
+
+const DECISIONS = 'identity-decisions';
+const REVIEW = 'identity-review';
+
+/**
+ * Player identity resolution for scraped callup records.
+ *
+ * Names that normalize to the same key (case, whitespace, accents,
+ * "Last, First") are always the same player. Near misses ("Jon Smith" /
+ * "John Smith") are kept apart and put on a review list until an admin
+ * decides; saved decisions ("merge" or "split") apply to every later scrape.
+ */
+
+/**
+ * Stable id for a pair of names, independent of order
+ */
+function pairId(nameA, nameB) {
+  return [normalizeName(nameA), normalizeName(nameB)].sort().join('|');
+}
+
+/**
+ * Group names into identities. `decisions` are saved merge/split choices.
+ * Returns { canonicalName(name), aliasesFor(canonicalName), pending }.
+ */
+function buildIdentityResolver(nameCounts, decisions) {
+  // Distinct normalized keys, each with the raw spellings seen and how often
+  const keys = new Map();
+  nameCounts.forEach((count, name) => {
+    const key = normalizeName(name);
+    if (!keys.has(key)) keys.set(key, new Map());
+    const spellings = keys.get(key);
+    spellings.set(name, (spellings.get(name) || 0) + count);
+  });
+
+  const decisionById = new Map(decisions.map(decision => [decision.id, decision]));
+
+  // Union-find over keys
+  const parent = new Map([...keys.keys()].map(key => [key, key]));
+  const find = key => {
+    while (parent.get(key) !== key) key = parent.get(key);
+    return key;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  decisions
+    .filter(decision => decision.decision === 'merge')
+    .forEach(decision => {
+      const [a, b] = decision.id.split('|');
+      if (keys.has(a) && keys.has(b)) union(a, b);
+    });
+
+  const pending = [];
+  const keyList = [...keys.keys()];
+  for (let i = 0; i < keyList.length; i++) {
+    for (let j = i + 1; j < keyList.length; j++) {
+      const distance = nearMiss(keyList[i], keyList[j]);
+      if (distance === null) continue;
+
+      const id = [keyList[i], keyList[j]].sort().join('|');
+      if (decisionById.has(id) || find(keyList[i]) === find(keyList[j])) continue;
+
+      pending.push({
+        id,
+        names: [mostCommon(keys.get(keyList[i])), mostCommon(keys.get(keyList[j]))],
+        distance
+      });
+    }
+  }
+
+  // Display name for each identity: its most frequent spelling
+  const groups = new Map();
+  keys.forEach((spellings, key) => {
+    const root = find(key);
+    if (!groups.has(root)) groups.set(root, new Map());
+    const group = groups.get(root);
+    spellings.forEach((count, name) => group.set(name, (group.get(name) || 0) + count));
+  });
+
+  const canonicalByKey = new Map();
+  const aliasesByCanonical = new Map();
+  groups.forEach((spellings, root) => {
+    const canonical = mostCommon(spellings);
+    aliasesByCanonical.set(canonical, [...spellings.keys()].filter(name => name !== canonical));
+    keys.forEach((_, key) => {
+      if (find(key) === root) canonicalByKey.set(key, canonical);
+    });
+  });
+
+  return {
+    canonicalName: name => canonicalByKey.get(normalizeName(name)) || name,
+    aliasesFor: canonical => aliasesByCanonical.get(canonical) || [],
+    pending
+  };
+}
+
+function mostCommon(spellings) {
+  return [...spellings.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+}
+
+/**
+ * Rename callup records to their canonical player names using the saved
+ * decisions, and refresh the review list with any new near misses.
+ * Returns { records, resolver }.
+ */
+async function resolveIdentities(callupRecords) {
+  const storage = getStorage();
+  const nameCounts = new Map();
+  callupRecords.forEach(record => nameCounts.set(record.name, (nameCounts.get(record.name) || 0) + 1));
+
+  const resolver = buildIdentityResolver(nameCounts, await storage.list(DECISIONS));
+
+  const existing = new Map((await storage.list(REVIEW)).map(item => [item.id, item]));
+  for (const item of resolver.pending) {
+    const firstSeen = existing.has(item.id) ? existing.get(item.id).firstSeen : new Date().toISOString();
+    await storage.put(REVIEW, { ...item, firstSeen });
+  }
+
+  const records = callupRecords.map(record => {
+    const name = resolver.canonicalName(record.name);
+    return name === record.name ? record : { ...record, name, originalName: record.name };
+  });
+
+  return { records, resolver };
+}
+
+/**
+ * Near-miss pairs still waiting for a decision
+ */
+async function listPendingReview() {
+  const storage = getStorage();
+  const decided = new Set((await storage.list(DECISIONS)).map(decision => decision.id));
+  return (await storage.list(REVIEW))
+    .filter(item => !decided.has(item.id))
+    .sort((a, b) => a.firstSeen.localeCompare(b.firstSeen));
+}
+
+async function listDecisions() {
+  const decisions = await getStorage().list(DECISIONS);
+  return decisions.sort((a, b) => b.decidedAt.localeCompare(a.decidedAt));
+}
+
+/**
+ * Record that two names are ("merge") or are not ("split") the same player
+ */
+async function saveDecision(nameA, nameB, decision) {
+  const id = pairId(nameA, nameB);
+  const saved = {
+    id,
+    names: [nameA, nameB],
+    decision,
+    decidedAt: new Date().toISOString()
+  };
+
+  const storage = getStorage();
+  await storage.put(DECISIONS, saved);
+  await storage.remove(REVIEW, id);
+  return saved;
+}
+
+/**
+ * Forget a decision; the pair goes back to review on the next scrape
+ */
+async function deleteDecision(id) {
+  return getStorage().remove(DECISIONS, id);
+}
+
+module.exports = {
+  pairId,
+  buildIdentityResolver,
+  resolveIdentities,
+  listPendingReview,
+  listDecisions,
+  saveDecision,
+  deleteDecision
+};
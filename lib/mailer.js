@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+const FROM_ADDRESS = '"Hilton Heat Scheduling" <webmaster@hiltonheat.com>';
+
+function createTransporter() {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'secure.emailsrvr.com',
+    port: parseInt(process.env.SMTP_PORT) || 465,
+    secure: (parseInt(process.env.SMTP_PORT) || 465) === 465,
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  });
+}
+
+/**
+ * Base URL for links in emails: APP_URL, or the host this request came to
+ */
+function appUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL;
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  return `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+}
+
+module.exports = {
+  FROM_ADDRESS,
+  createTransporter,
+  appUrl,
+};
@@ -0,0 +1,96 @@
+/**
+ * Player name normalization and fuzzy matching.
+ *
+ * RDYSL and our own rosters spell the same player several ways: "Smith, John",
+ * "John Smith", "smith, john ", "José" vs "Jose". normalizeName() maps all of
+ * those to one key; nameDistance() catches typos that normalization can't.
+ */
+
+/**
+ * Comparison key for a name: accents removed, lowercased, punctuation and
+ * extra whitespace dropped, "Last, First" turned into "First Last", and the
+ * words sorted so word order doesn't matter.
+ */
+function normalizeName(name) {
+  let text = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+  const comma = text.indexOf(',');
+  if (comma !== -1) {
+    text = `${text.slice(comma + 1)} ${text.slice(0, comma)}`;
+  }
+
+  return text
+    .replace(/[^a-z0-9'\- ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+/**
+ * URL-safe id for a player, the same for every spelling normalizeName()
+ * treats as one player: "Smith, John" → "john-smith"
+ */
+function playerId(name) {
+  return normalizeName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Edit distance between two strings, counting a swap of adjacent letters as
+ * one edit (optimal string alignment distance).
+ */
+function nameDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Whether two normalized keys look like the same player but aren't equal:
+ * a small typo, or one name has an extra middle name/initial.
+ * Returns the edit distance for a near miss, or null.
+ */
+function nearMiss(keyA, keyB) {
+  if (keyA === keyB) return null;
+
+  const allowed = Math.min(keyA.length, keyB.length) < 8 ? 1 : 2;
+  const distance = nameDistance(keyA, keyB);
+  if (distance <= allowed) return distance;
+
+  // "john a smith" vs "john smith": every word of the shorter name appears in the longer
+  const wordsA = keyA.split(' ');
+  const wordsB = keyB.split(' ');
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  if (shorter.length >= 2 && shorter.length < longer.length && shorter.every(word => longer.includes(word))) {
+    return distance;
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeName,
+  playerId,
+  nameDistance,
+  nearMiss
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { withLock } = require('./cache');
+const { FROM_ADDRESS, createTransporter } = require('./mailer');
+const { htmlToText } = require('./html');
+
+const OUTBOX = 'email-outbox';
+const STATUSES = ['queued', 'sent', 'failed'];
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+// Wait after the 1st, 2nd, ... failed attempt; the message fails for good
+// once these run out. The short ones are retried within one outbox run, the
+// rest by later runs.
+const RETRY_DELAYS_MS = [2 * SECOND_MS, 10 * SECOND_MS, 5 * MINUTE_MS, 30 * MINUTE_MS, 120 * MINUTE_MS, 720 * MINUTE_MS];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+// How long one processOutbox() run waits for retries that come due; the cron
+// function is stopped after 60 seconds
+const RUN_WAIT_MS = 30 * SECOND_MS;
+const RETENTION_DAYS = 90;
+// Longer than nodemailer's connection and greeting timeouts, so a slow send
+// keeps its lock
+const LOCK_TTL_MS = 5 * MINUTE_MS;
+
+/**
+ * Email outbox: every email is saved before it is sent, sent by a worker
+ * with retries, and kept as a delivery log.
+ *
+ * Message: { id, key, from, to, replyTo, subject, html, text, status, attempts,
+ *            nextAttemptAt, messageId, lastError, log, createdAt, updatedAt, sentAt }
+ *   key     - idempotency key from the caller (e.g. "scrimmage:scr_1:claimed");
+ *             the id is derived from it, so queueing the same key twice
+ *             sends once
+ *   status  - queued (waiting for its first or next attempt), sent, or
+ *             failed (permanent SMTP error, or retries used up)
+ *   log     - [{ at, event, messageId?, error?, by? }], event sent, error or resend
+ *
+ * sendEmail() queues and tries once straight away; a failure waits
+ * RETRY_DELAYS_MS before processOutbox() (the /api/cron/outbox job) tries it
+ * again. A run keeps going for up to RUN_WAIT_MS to retry messages whose
+ * next attempt comes due meanwhile, so a brief SMTP outage is ridden out
+ * even when the cron only runs daily. Each delivery holds a lock in the
+ * shared cache so two workers never send the same message. Sent and failed
+ * messages are pruned after 90 days.
+ */
+
+function outboxId(key) {
+  return `msg_${crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Save a message unless its key was queued before. Returns { message, duplicate }.
+ * HTML-only messages get a plain-text part made from the HTML.
+ */
+async function queueEmail(message, key) {
+  if (!key) throw new Error('queueEmail needs an idempotency key');
+  const id = outboxId(key);
+
+  const queued = await withMessageLock(id, async () => {
+    const existing = await getStorage().get(OUTBOX, id);
+    if (existing) return { message: existing, duplicate: true };
+
+    const now = new Date().toISOString();
+    const saved = {
+      id,
+      key: String(key),
+      from: message.from || FROM_ADDRESS,
+      to: message.to,
+      replyTo: message.replyTo || null,
+      subject: message.subject,
+      html: message.html || null,
+      text: message.text || (message.html ? htmlToText(message.html) : null),
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: now,
+      messageId: null,
+      lastError: null,
+      log: [],
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null
+    };
+    await getStorage().put(OUTBOX, saved);
+    return { message: saved, duplicate: false };
+  }, { wait: true });
+
+  return queued;
+}
+
+/**
+ * Queue a message and try to send it now. Never throws for SMTP errors: the
+ * message stays queued for a retry. Returns the saved message.
+ */
+async function sendEmail(message, key) {
+  const { message: queued } = await queueEmail(message, key);
+  if (queued.status !== 'queued') return queued;
+  return (await deliverEmail(queued.id)) || queued;
+}
+
+/**
+ * One delivery attempt for a queued message. Returns the updated message,
+ * or null when another worker is sending it.
+ */
+async function deliverEmail(id, now = new Date()) {
+  return withMessageLock(id, async () => {
+    const message = await getStorage().get(OUTBOX, id);
+    if (!message || message.status !== 'queued') return message;
+
+    const at = now.toISOString();
+    const attempts = message.attempts + 1;
+    let saved;
+
+    try {
+      const info = await createTransporter().sendMail({
+        from: message.from,
+        to: message.to,
+        replyTo: message.replyTo || undefined,
+        subject: message.subject,
+        html: message.html || undefined,
+        text: message.text || undefined
+      });
+      saved = {
+        ...message,
+        status: 'sent',
+        attempts,
+        nextAttemptAt: null,
+        messageId: info.messageId || null,
+        lastError: null,
+        sentAt: at,
+        log: message.log.concat({ at, event: 'sent', messageId: info.messageId || null })
+      };
+    } catch (error) {
+      const delay = RETRY_DELAYS_MS[attempts - 1];
+      const retry = !isPermanentFailure(error) && delay !== undefined;
+      saved = {
+        ...message,
+        status: retry ? 'queued' : 'failed',
+        attempts,
+        nextAttemptAt: retry ? new Date(now.getTime() + delay).toISOString() : null,
+        lastError: error.message,
+        log: message.log.concat({ at, event: 'error', error: error.message })
+      };
+      console.error(`Email ${id} attempt ${attempts} failed${retry ? '' : ' for good'}: ${error.message}`);
+    }
+
+    saved.updatedAt = at;
+    await getStorage().put(OUTBOX, saved);
+    return saved;
+  });
+}
+
+/**
+ * 5xx SMTP replies (bad address, rejected content) won't succeed on a retry
+ */
+function isPermanentFailure(error) {
+  return error.responseCode >= 500 && error.responseCode < 600;
+}
+
+/**
+ * Worker: send every queued message that is due, and prune old ones. Messages
+ * that fail again are retried in the same run when their next attempt comes
+ * due within `waitMs`. Returns { sent, retrying, failed } message ids.
+ */
+async function processOutbox(now = new Date(), { waitMs = RUN_WAIT_MS } = {}) {
+  const started = Date.now();
+  const clock = () => new Date(now.getTime() + Date.now() - started);
+  const outcomes = new Map();
+  const messages = await getStorage().list(OUTBOX);
+  let due = messages.filter(message => message.status === 'queued' && isDue(message, now));
+
+  while (due.length > 0) {
+    for (const { id } of due) {
+      const message = await deliverEmail(id, clock());
+      if (message) outcomes.set(id, message);
+    }
+
+    const retrying = [...outcomes.values()].filter(message => message.status === 'queued');
+    if (retrying.length === 0) break;
+    const next = Math.min(...retrying.map(message => Date.parse(message.nextAttemptAt)));
+    if (next - clock().getTime() > waitMs - (Date.now() - started)) break;
+
+    await new Promise(resolve => setTimeout(resolve, Math.max(next - clock().getTime(), 0)));
+    due = retrying.filter(message => isDue(message, clock()));
+  }
+
+  const result = { sent: [], retrying: [], failed: [] };
+  for (const [id, message] of outcomes) {
+    if (message.status === 'sent') result.sent.push(id);
+    else if (message.status === 'failed') result.failed.push(id);
+    else result.retrying.push(id);
+  }
+
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * MINUTE_MS).toISOString();
+  for (const old of messages.filter(message => message.status !== 'queued' && message.updatedAt < cutoff)) {
+    await getStorage().remove(OUTBOX, old.id);
+  }
+
+  return result;
+}
+
+/**
+ * Messages queued before nextAttemptAt existed have none and are due
+ */
+function isDue(message, now) {
+  return !message.nextAttemptAt || message.nextAttemptAt <= now.toISOString();
+}
+
+/**
+ * Messages newest first, without their bodies. `status` limits the list to
+ * one status; `q` matches the recipient, subject, key, id or SMTP message ID.
+ */
+async function listOutbox({ status, q } = {}) {
+  const search = String(q || '').trim().toLowerCase();
+  const messages = await getStorage().list(OUTBOX);
+  return messages
+    .filter(message => !status || message.status === status)
+    .filter(message => !search || [message.to, message.subject, message.key, message.id, message.messageId]
+      .some(value => String(value || '').toLowerCase().includes(search)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ html, text, ...summary }) => summary);
+}
+
+async function getOutboxMessage(id) {
+  return getStorage().get(OUTBOX, id);
+}
+
+/**
+ * Send a message again (sent or failed ones too), starting a fresh round of
+ * retries. Returns the updated message, or null when there is no such message.
+ */
+async function resendEmail(id, requestedBy) {
+  const queued = await withMessageLock(id, async () => {
+    const message = await getStorage().get(OUTBOX, id);
+    if (!message) return null;
+
+    const now = new Date().toISOString();
+    const saved = {
+      ...message,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: now,
+      updatedAt: now,
+      log: message.log.concat({ at: now, event: 'resend', by: requestedBy || null })
+    };
+    await getStorage().put(OUTBOX, saved);
+    return saved;
+  }, { wait: true });
+
+  if (!queued) return null;
+  return (await deliverEmail(id)) || queued;
+}
+
+/**
+ * Run `fn` holding the message's cache lock. Without `wait`, returns null
+ * straight away when someone else holds it.
+ */
+function withMessageLock(id, fn, { wait = false } = {}) {
+  return withLock(`outbox:${id}`, 'Outbox sending', fn, { ttlMs: LOCK_TTL_MS, wait });
+}
+
+module.exports = {
+  STATUSES,
+  RETRY_DELAYS_MS,
+  MAX_ATTEMPTS,
+  queueEmail,
+  sendEmail,
+  deliverEmail,
+  processOutbox,
+  listOutbox,
+  getOutboxMessage,
+  resendEmail
+};
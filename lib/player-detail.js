@@ -0,0 +1,62 @@
+const CallupRules = require('../public/js/callup-rules');
+const { playerId } = require('./names');
+const { finesForPlayer, summarizeFines } = require('./fines');
+
+/**
+ * What the player page (/player/<id>) shows about one player, worked out
+ * from a formatted summary row (formatSummary() with details).
+ */
+
+/**
+ * The summary row whose name or alias has the player id `id`
+ * (playerId() in lib/names.js), or null
+ */
+function findPlayer(summary, id) {
+  return summary.find(row => [row.playerName, ...(row.aliases || [])].some(name => playerId(name) === id)) || null;
+}
+
+/**
+ * Running callup count by game date, for the season chart:
+ * [{ date, count }], one point per date. Callups before `seasonStart`
+ * and undated ones are left out, as they are when the count is evaluated.
+ */
+function cumulativeCallups(callups, seasonStart) {
+  const points = [];
+  callups
+    .filter(callup => callup.date && (!seasonStart || callup.date >= seasonStart))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(callup => {
+      const last = points[points.length - 1];
+      if (last && last.date === callup.date) {
+        last.count++;
+      } else {
+        points.push({ date: callup.date, count: (last ? last.count : 0) + 1 });
+      }
+    });
+  return points;
+}
+
+/**
+ * { player, seasonStart, nextThreshold, cumulative, fines, fineTotals } for
+ * `row`, counted under `rules` from `seasonStart` (the rules' own season
+ * resets when there is no season)
+ */
+function buildPlayerDetail(row, { rules, seasonStart, fines = [] }) {
+  const start = seasonStart || CallupRules.currentSeasonStart(CallupRules.resolveRules(rules));
+  const playerFines = finesForPlayer(fines, [row.playerName, ...(row.aliases || [])]);
+
+  return {
+    player: row,
+    seasonStart: start,
+    nextThreshold: CallupRules.nextThreshold(row.callups || [], rules, { seasonStart: start || undefined }),
+    cumulative: cumulativeCallups(row.callups || [], start),
+    fines: playerFines,
+    fineTotals: summarizeFines(playerFines).totals
+  };
+}
+
+module.exports = {
+  findPlayer,
+  cumulativeCallups,
+  buildPlayerDetail
+};
@@ -0,0 +1,71 @@
+const { getSharedCache } = require('./cache');
+
+const LOCK_TTL_MS = 5 * 1000;
+const LOCK_WAIT_MS = 3 * 1000;
+const LOCK_POLL_MS = 50;
+
+/**
+ * Sliding-window rate limits kept in the shared cache (lib/cache.js), so
+ * every instance counts against the same limit. On Vercel that has to be
+ * the redis cache; see getSharedCache().
+ *
+ * Each key holds the timestamps of the hits still inside the window and
+ * expires one window after the last write, so idle keys don't pile up in
+ * Redis. Hits are counted under a cache lock so a burst of parallel requests
+ * can't all read the same count; if the lock can't be had the hit is refused.
+ */
+
+/**
+ * { windowMs, max } from `${prefix}WINDOW_MS` and `${prefix}MAX_REQUESTS`,
+ * e.g. SCRIMMAGE_RATE_LIMIT_WINDOW_MS, falling back to `defaults`
+ */
+function rateLimitSettings(prefix, defaults) {
+  return {
+    windowMs: parseInt(process.env[`${prefix}WINDOW_MS`]) || defaults.windowMs,
+    max: parseInt(process.env[`${prefix}MAX_REQUESTS`]) || defaults.max
+  };
+}
+
+/**
+ * Count one hit against `key`, with `purpose` naming the limit in the error
+ * when the cache isn't shared. Returns { allowed, remaining, retryAfterMs };
+ * refused hits aren't counted.
+ */
+async function consumeRateLimit(key, { windowMs, max }, purpose, now = Date.now()) {
+  const cache = getSharedCache(purpose);
+  const cacheKey = `rate-limit:${key}`;
+
+  const token = await acquire(cache, cacheKey);
+  if (!token) return { allowed: false, remaining: 0, retryAfterMs: LOCK_WAIT_MS };
+
+  try {
+    const entry = await cache.get(cacheKey);
+    const hits = ((entry && entry.hits) || []).filter(at => at > now - windowMs);
+
+    if (hits.length >= max) {
+      await cache.set(cacheKey, { hits }, windowMs);
+      return { allowed: false, remaining: 0, retryAfterMs: hits[0] + windowMs - now };
+    }
+
+    hits.push(now);
+    await cache.set(cacheKey, { hits }, windowMs);
+    return { allowed: true, remaining: max - hits.length, retryAfterMs: 0 };
+  } finally {
+    await cache.releaseLock(cacheKey, token);
+  }
+}
+
+async function acquire(cache, key) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  let token = await cache.acquireLock(key, LOCK_TTL_MS);
+  while (!token && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+    token = await cache.acquireLock(key, LOCK_TTL_MS);
+  }
+  return token;
+}
+
+module.exports = {
+  rateLimitSettings,
+  consumeRateLimit
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { parseCsv } = require('./csv');
+const { normalizeName, playerId } = require('./names');
+const { findTeamContacts } = require('./team-contacts');
+const CallupRules = require('../public/js/callup-rules');
+
+const ROSTER = 'roster';
+
+/**
+ * Club roster: which team and age group each player belongs to, so callup
+ * rows can be joined to a home team and that team's coaches.
+ *
+ * Player: { id, name, team, ageGroup, jerseyNumber, updatedAt }
+ *   team     - team label as used in the contacts directory, e.g. "BU12 - Borcyk"
+ *   ageGroup - buildAgeGroupKey() style key, e.g. "BU12"
+ */
+
+/**
+ * Check and tidy player input. Returns { player } or { error }.
+ */
+function validatePlayer(input) {
+  const name = String(input.name || '').trim().replace(/\s+/g, ' ');
+  const team = String(input.team || '').trim();
+  const ageGroup = String(input.ageGroup || CallupRules.parseAgeGroup(team) || '').trim().toUpperCase();
+  const jerseyNumber = input.jerseyNumber === undefined || input.jerseyNumber === null
+    ? ''
+    : String(input.jerseyNumber).trim();
+
+  if (!name) return { error: 'Player name is required' };
+  if (!team) return { error: `Team is required for ${name}` };
+  if (!/^[BG]U\d{2}$/.test(ageGroup)) {
+    return { error: `Age group for ${name} must look like BU10 or GU12 (got "${ageGroup}")` };
+  }
+  if (jerseyNumber && !/^\d{1,3}$/.test(jerseyNumber)) {
+    return { error: `Jersey number for ${name} must be a number` };
+  }
+
+  return { player: { name, team, ageGroup, jerseyNumber: jerseyNumber || null } };
+}
+
+async function listPlayers(team) {
+  const players = await getStorage().list(ROSTER);
+  return players
+    .filter(player => !team || player.team === team)
+    .sort((a, b) => a.team.localeCompare(b.team) || a.name.localeCompare(b.name));
+}
+
+async function getPlayer(id) {
+  return getStorage().get(ROSTER, id);
+}
+
+async function savePlayer(id, input) {
+  const { player, error } = validatePlayer(input);
+  if (error) return { error };
+
+  const saved = {
+    id: id || `ply_${crypto.randomBytes(6).toString('hex')}`,
+    ...player,
+    updatedAt: new Date().toISOString()
+  };
+  await getStorage().put(ROSTER, saved);
+  return { player: saved };
+}
+
+async function deletePlayer(id) {
+  return getStorage().remove(ROSTER, id);
+}
+
+/**
+ * Import players from CSV. Recognized headers (case-insensitive):
+ * Name / Player Name (or First Name + Last Name), Team, Age Group, Jersey / Number.
+ * Existing players with the same name are updated. Rows that fail validation
+ * are reported, not imported.
+ *
+ * With `replace`, players missing from the file are removed too, but only
+ * when every row is valid: a file with errors or no players (e.g. the wrong
+ * file) returns { error, errors } and leaves the roster untouched.
+ */
+async function importRosterCsv(text, options) {
+  const replace = !!(options && options.replace);
+  const rows = parseCsv(text);
+  const errors = [];
+  const valid = [];
+
+  rows.forEach((row, index) => {
+    const field = headerLookup(row);
+    const fullName = field('name', 'player name', 'player') ||
+      [field('first name', 'first'), field('last name', 'last')].filter(Boolean).join(' ');
+
+    const { player, error } = validatePlayer({
+      name: fullName,
+      team: field('team', 'team name'),
+      ageGroup: field('age group', 'agegroup', 'age_group'),
+      jerseyNumber: field('jersey', 'jersey number', 'number', '#')
+    });
+
+    // +2: header row, and spreadsheet rows count from 1
+    if (error) errors.push({ line: index + 2, error });
+    else valid.push(player);
+  });
+
+  if (replace && (errors.length > 0 || valid.length === 0)) {
+    return {
+      error: valid.length === 0
+        ? 'The CSV has no valid players; the roster was not replaced'
+        : `${errors.length} row${errors.length === 1 ? '' : 's'} failed validation; fix them and import again to replace the roster`,
+      errors
+    };
+  }
+
+  const storage = getStorage();
+  const existing = await storage.list(ROSTER);
+  const byName = new Map(existing.map(player => [normalizeName(player.name), player]));
+  const kept = new Set();
+  let created = 0;
+  let updated = 0;
+
+  for (const player of valid) {
+    const match = byName.get(normalizeName(player.name));
+    const { player: saved } = await savePlayer(match ? match.id : null, player);
+    byName.set(normalizeName(saved.name), saved);
+    kept.add(saved.id);
+    if (match) updated++;
+    else created++;
+  }
+
+  let removed = 0;
+  if (replace) {
+    for (const player of existing) {
+      if (kept.has(player.id)) continue;
+      await storage.remove(ROSTER, player.id);
+      removed++;
+    }
+  }
+
+  return { created, updated, removed, errors };
+}
+
+function headerLookup(row) {
+  const normalized = {};
+  Object.keys(row).forEach(key => {
+    normalized[key.trim().toLowerCase()] = row[key];
+  });
+  return (...names) => {
+    const found = names.find(name => normalized[name]);
+    return found ? normalized[found] : '';
+  };
+}
+
+/**
+ * Add home team, age group, jersey number and the team's coaches (from
+ * `contacts`, a listContacts() result) to each summary row. Players not on
+ * the roster keep the team they were called up from (if known) and get
+ * `onRoster: false`.
+ */
+function joinRoster(summary, roster, contacts = []) {
+  const byName = new Map(roster.map(player => [normalizeName(player.name), player]));
+
+  return summary.map(row => {
+    const player = [row.playerName, ...(row.aliases || [])]
+      .map(name => byName.get(normalizeName(name)))
+      .find(Boolean);
+    const callupTeam = ((row.callups || []).find(callup => callup.fromTeam) || {}).fromTeam || null;
+    const homeTeam = player ? player.team : callupTeam;
+
+    return {
+      ...row,
+      // For the player page, /player/<id>
+      id: playerId(row.playerName),
+      rosterId: player ? player.id : null,
+      onRoster: !!player,
+      homeTeam,
+      ageGroup: player ? player.ageGroup : CallupRules.parseAgeGroup(homeTeam),
+      jerseyNumber: player ? player.jerseyNumber : null,
+      coaches: findTeamContacts(contacts, homeTeam).map(contact => ({ name: contact.name, email: contact.email }))
+    };
+  });
+}
+
+module.exports = {
+  listPlayers,
+  getPlayer,
+  savePlayer,
+  deletePlayer,
+  importRosterCsv,
+  joinRoster
+};
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { signToken, verifyToken } = require('./session-token');
+const { teamMatches } = require('./team-contacts');
+
+const SCHEDULES = 'schedules';
+const LATEST_ID = 'club';
+const CALENDAR_TOKEN = 'calendar';
+
+const CLUB_NAME = 'Hilton Heat';
+const TIME_ZONE = 'America/New_York';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Calendar subscriptions outlive sessions; a feed link works for two seasons
+const CALENDAR_TOKEN_TTL_MS = 2 * 365 * DAY_MS;
+const GAME_MINUTES = 90;
+
+/**
+ * The club's RDYSL game schedule, scraped with the game fines (same
+ * session) and kept as the latest copy in the `schedules` collection.
+ *
+ * Game: { gameId, team, opponent, date, time, field, homeAway }
+ *   team     - our team as RDYSL names it in fines and callups ("BU12 Borcyk")
+ *   date     - YYYY-MM-DD; time - HH:MM (24 hour, club time zone) or null when TBD
+ *   homeAway - home, away, or null when the page doesn't say
+ *
+ * A game between two of our teams is listed once for each of them.
+ */
+
+/**
+ * Map schedule header text to column indices (-1 when absent). Takes both
+ * layouts: Home Team / Away Team, or Team / Opponent (with Home/Away).
+ */
+function findScheduleColumns(headerTexts) {
+  const columns = { date: -1, time: -1, game: -1, home: -1, away: -1, team: -1, opponent: -1, homeAway: -1, field: -1 };
+
+  headerTexts.forEach((rawText, index) => {
+    const text = rawText.trim().toLowerCase();
+    if (/home\s*\/\s*away|^h\/a$/.test(text)) columns.homeAway = index;
+    else if (text.includes('date')) columns.date = index;
+    else if (text.includes('time')) columns.time = index;
+    else if (text.includes('home')) columns.home = index;
+    else if (/away|visit/.test(text)) columns.away = index;
+    else if (/opponent|\bvs\b/.test(text)) columns.opponent = index;
+    else if (text.includes('team')) columns.team = index;
+    else if (/field|location|venue|site/.test(text)) columns.field = index;
+    else if (/game|#|\bid\b/.test(text)) columns.game = index;
+  });
+
+  return columns;
+}
+
+function isScheduleHeader(columns) {
+  return columns.date !== -1 && ((columns.home !== -1 && columns.away !== -1) || columns.team !== -1);
+}
+
+/**
+ * True when some table has a date and team columns, i.e. the page looks
+ * like a schedule (even one with no games yet)
+ */
+function hasScheduleTable(tables) {
+  return tables.some(rows => rows.length > 0 && isScheduleHeader(findScheduleColumns(rows[0])));
+}
+
+/**
+ * "M/D/YYYY" -> "YYYY-MM-DD", or null
+ */
+function normalizeGameDate(text) {
+  const match = String(text || '').match(/(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+  if (!match) return null;
+
+  const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+  return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * "9:00 AM" -> "09:00", "14:15" -> "14:15"; null for TBD and the like
+ */
+function normalizeGameTime(text) {
+  const match = String(text || '').trim().match(/^(\d{1,2}):(\d{2})\s*([ap])?\.?m?\.?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const meridiem = (match[3] || '').toLowerCase();
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 23) return null;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Our team's name without the club prefix, or null when `text` isn't one
+ * of our teams: "Hilton Heat BU12 Borcyk" -> "BU12 Borcyk"
+ */
+function clubTeamName(text, clubName = CLUB_NAME) {
+  const value = String(text || '').trim();
+  if (!value.toLowerCase().startsWith(clubName.toLowerCase())) return null;
+  return value.slice(clubName.length).replace(/^[\s\-:]+/, '').trim() || null;
+}
+
+/**
+ * Games from text tables (rows of cell text, as readTables() in the scraper
+ * returns). The first row of each table is its header; tables without a
+ * date and a team column are skipped.
+ */
+function parseScheduleTables(tables, { clubName = CLUB_NAME } = {}) {
+  const games = [];
+
+  tables.forEach(rows => {
+    if (rows.length === 0) return;
+
+    const columns = findScheduleColumns(rows[0]);
+    if (!isScheduleHeader(columns)) return;
+    const homeAwayLayout = columns.home !== -1 && columns.away !== -1;
+
+    rows.slice(1).forEach(cells => {
+      const cellText = index => (index === -1 ? '' : (cells[index] || '').trim());
+      const date = normalizeGameDate(cellText(columns.date));
+      if (!date) return;
+
+      const game = {
+        gameId: cellText(columns.game) || null,
+        date,
+        time: normalizeGameTime(cellText(columns.time)),
+        field: cellText(columns.field) || null
+      };
+
+      if (homeAwayLayout) {
+        const home = cellText(columns.home);
+        const away = cellText(columns.away);
+        const homeTeam = clubTeamName(home, clubName);
+        const awayTeam = clubTeamName(away, clubName);
+        if (homeTeam) games.push({ ...game, team: homeTeam, opponent: away || null, homeAway: 'home' });
+        if (awayTeam) games.push({ ...game, team: awayTeam, opponent: home || null, homeAway: 'away' });
+        return;
+      }
+
+      const team = cellText(columns.team);
+      if (!team) return;
+      const side = cellText(columns.homeAway).toLowerCase();
+      games.push({
+        ...game,
+        team: clubTeamName(team, clubName) || team,
+        opponent: cellText(columns.opponent) || null,
+        homeAway: side.startsWith('h') ? 'home' : side.startsWith('a') ? 'away' : null
+      });
+    });
+  });
+
+  return games.sort((a, b) => `${a.date} ${a.time || ''}`.localeCompare(`${b.date} ${b.time || ''}`));
+}
+
+/**
+ * Keep `games` as the latest schedule. Returns the stored document.
+ */
+async function saveSchedule(games, scrapedAt = new Date().toISOString()) {
+  const schedule = { id: LATEST_ID, scrapedAt, games };
+  await getStorage().put(SCHEDULES, schedule);
+  return schedule;
+}
+
+/**
+ * { scrapedAt, games } from the latest scrape, or null before the first one
+ */
+async function getSchedule() {
+  const schedule = await getStorage().get(SCHEDULES, LATEST_ID);
+  if (!schedule) return null;
+
+  const { id, ...rest } = schedule;
+  return rest;
+}
+
+/**
+ * Whether a game is `team`'s, given as RDYSL's name or our label ("BU12 - Borcyk")
+ */
+function isTeamGame(game, team) {
+  return game.team.toLowerCase() === String(team).trim().toLowerCase() || teamMatches(game.team, team);
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in the club's time zone
+ */
+function clubDate(now = new Date()) {
+  return now.toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+}
+
+/**
+ * `team`'s games, or every game when no team is given
+ */
+function teamGames(games, team) {
+  return team ? games.filter(game => isTeamGame(game, team)) : games;
+}
+
+/**
+ * Games on or after `from` (YYYY-MM-DD, default today), for `team` when given
+ */
+function upcomingGames(games, { team, from } = {}) {
+  const start = from || clubDate();
+  return teamGames(games, team).filter(game => game.date >= start);
+}
+
+/**
+ * `team`'s first game from today on, or null
+ */
+function nextGame(games, team, now = new Date()) {
+  return upcomingGames(games, { team, from: clubDate(now) })[0] || null;
+}
+
+/**
+ * Subscription token for one team's calendar feed (calendar apps can't sign in)
+ */
+function createCalendarToken(team) {
+  return signToken({ team }, { type: CALENDAR_TOKEN, ttlMs: CALENDAR_TOKEN_TTL_MS, secret: process.env.SESSION_SECRET });
+}
+
+/**
+ * The team a calendar token is for, or null when it is invalid or expired
+ */
+async function readCalendarToken(token) {
+  const payload = await verifyToken(token, { type: CALENDAR_TOKEN, secret: process.env.SESSION_SECRET });
+  return payload && payload.team ? payload.team : null;
+}
+
+// RFC 5545 text values: escape backslashes, separators and newlines
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Fold lines longer than 75 octets onto continuation lines starting with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDateTime(date, time) {
+  return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+function icsUtc(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * iCalendar (RFC 5545) feed of `team`'s games. Timed games last 90 minutes
+ * in the club's time zone; games without a time are all-day events.
+ */
+function buildCalendar(team, games, { scrapedAt = new Date().toISOString() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Hilton Heat Tools//RDYSL Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(`${CLUB_NAME} ${team}`)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIME_ZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'TZNAME:EDT',
+    'DTSTART:19700308T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'TZNAME:EST',
+    'DTSTART:19701101T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+
+  games.forEach(game => {
+    const uidSource = game.gameId ? `${game.gameId}:${game.team}` : `${game.date}:${game.team}:${game.opponent}`;
+    const uid = crypto.createHash('sha256').update(uidSource).digest('hex').slice(0, 24);
+    const versus = game.homeAway === 'away' ? '@' : 'vs';
+
+    lines.push('BEGIN:VEVENT', `UID:${uid}@hhtools`, `DTSTAMP:${icsUtc(scrapedAt)}`);
+    if (game.time) {
+      const end = new Date(Date.parse(`${game.date}T${game.time}:00Z`) + GAME_MINUTES * 60 * 1000).toISOString();
+      lines.push(
+        `DTSTART;TZID=${TIME_ZONE}:${icsDateTime(game.date, game.time)}`,
+        `DTEND;TZID=${TIME_ZONE}:${icsDateTime(end.slice(0, 10), end.slice(11, 16))}`
+      );
+    } else {
+      const nextDay = new Date(Date.parse(`${game.date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+      lines.push(`DTSTART;VALUE=DATE:${game.date.replace(/-/g, '')}`, `DTEND;VALUE=DATE:${nextDay.replace(/-/g, '')}`);
+    }
+    lines.push(`SUMMARY:${icsText(`${game.team} ${versus} ${game.opponent || 'TBD'}`)}`);
+    if (game.field) lines.push(`LOCATION:${icsText(game.field)}`);
+    lines.push(`DESCRIPTION:${icsText([
+      game.gameId ? `RDYSL game ${game.gameId}` : 'RDYSL game',
+      game.time ? null : 'Time to be announced'
+    ].filter(Boolean).join('\n'))}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  findScheduleColumns,
+  hasScheduleTable,
+  normalizeGameTime,
+  parseScheduleTables,
+  saveSchedule,
+  getSchedule,
+  isTeamGame,
+  teamGames,
+  clubDate,
+  upcomingGames,
+  nextGame,
+  createCalendarToken,
+  readCalendarToken,
+  buildCalendar
+};
@@ -0,0 +1,195 @@
+const { getStorage } = require('./storage');
+
+const HEALTH = 'scrape-health';
+const LATEST_ID = 'latest';
+
+/**
+ * Scrape health: what the scraper checks before trusting a game-fines page,
+ * and the outcome of the last scrape for /api/health.
+ *
+ * A failed check is reported with one of these codes instead of free text,
+ * so callers (dashboard, cron, monitoring) can tell the failures apart.
+ */
+const SCRAPE_ERROR_CODES = {
+  // Login was rejected (bad credentials, or RDYSL's login form changed)
+  AUTH_FAILED: 'AUTH_FAILED',
+  // Logged in, but the game-fines request came back as a login page
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  // No table with the Type and Player Name columns
+  LAYOUT_CHANGED: 'LAYOUT_CHANGED',
+  // The fines table is there but has no callups, or far fewer than last time
+  EMPTY_RESULT: 'EMPTY_RESULT'
+};
+
+// Game fines accumulate over the season, so a scrape with less than this
+// share of the last snapshot's records means rows went missing
+const MIN_RECORD_RATIO = 0.5;
+
+// A drop seen this many scrapes in a row, with the count holding or growing,
+// is RDYSL's real data (a reset, or rows it removed) and is accepted
+const CONSISTENT_DROPS = 3;
+
+// Text that only appears on RDYSL's login pages
+const LOGIN_MARKERS = [
+  'Login corrupted',
+  'You must login again',
+  'id="login-form"',
+  'name="Password"'
+];
+
+/**
+ * Error carrying one of SCRAPE_ERROR_CODES in `code`
+ */
+function scrapeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * True when the HTML is a login page rather than the page that was asked for
+ */
+function hasLoginMarkers(html) {
+  return LOGIN_MARKERS.some(marker => html.includes(marker));
+}
+
+/**
+ * Check a parsed game-fines page. Throws a coded error when the result
+ * can't be trusted; returns the checks that passed otherwise.
+ *
+ *   hasCallupTable   a table with Type and Player Name headers was found
+ *   totalRecords     callup records parsed from it
+ *   previousRecords  totalRecords of the last snapshot (null if none)
+ *   acceptDrop       skip the drop check (see dropOverride()); `dropAccepted`
+ *                    in the result says whether it would have failed
+ *
+ * EMPTY_RESULT errors carry the `totalRecords` that failed.
+ */
+function checkScrapeResult({ hasCallupTable, totalRecords, previousRecords, acceptDrop }) {
+  if (!hasCallupTable) {
+    throw scrapeError(
+      SCRAPE_ERROR_CODES.LAYOUT_CHANGED,
+      'Game fines table not found: the Type and Player Name columns are missing, so RDYSL may have changed the page layout'
+    );
+  }
+
+  const dropped = previousRecords > 0 && (totalRecords === 0 || totalRecords < previousRecords * MIN_RECORD_RATIO);
+  if (dropped && !acceptDrop) {
+    const error = scrapeError(
+      SCRAPE_ERROR_CODES.EMPTY_RESULT,
+      totalRecords === 0
+        ? `No callup records found; the last snapshot had ${previousRecords}`
+        : `Only ${totalRecords} callup records found; the last snapshot had ${previousRecords}`
+    );
+    error.totalRecords = totalRecords;
+    throw error;
+  }
+
+  return {
+    callupTable: true,
+    totalRecords,
+    previousRecords: previousRecords === undefined ? null : previousRecords,
+    dropAccepted: dropped
+  };
+}
+
+/**
+ * Why a scrape of `totalRecords` may skip the drop check: 'admin' after an
+ * admin accepted the drop (acceptDrop()), 'consistent' when this is the
+ * CONSISTENT_DROPS-th EMPTY_RESULT in a row and the count hasn't fallen
+ * since the last one. Null otherwise.
+ */
+async function dropOverride(totalRecords) {
+  const health = await getStorage().get(HEALTH, LATEST_ID);
+  if (!health) return null;
+  if (health.dropAcceptedAt) return 'admin';
+
+  const drop = health.drop;
+  if (drop && drop.streak >= CONSISTENT_DROPS - 1 && totalRecords >= drop.totalRecords) return 'consistent';
+  return null;
+}
+
+/**
+ * Let the next scrape through the drop check, whatever its count, e.g.
+ * after an admin confirmed on RDYSL that the rows really are gone
+ */
+async function acceptDrop(acceptedBy) {
+  const storage = getStorage();
+  const health = await storage.get(HEALTH, LATEST_ID);
+  const updated = {
+    ...(health || { id: LATEST_ID, status: 'ok', code: null, error: null, checkedAt: null, totalRecords: null, lastSuccessAt: null }),
+    dropAcceptedAt: new Date().toISOString(),
+    dropAcceptedBy: acceptedBy || null
+  };
+  await storage.put(HEALTH, updated);
+  return updated;
+}
+
+/**
+ * Save the outcome of a scrapeCallupData() call as the latest scrape health.
+ * EMPTY_RESULT failures count towards a consistent drop (`drop.streak`);
+ * a success clears the streak and any accepted drop.
+ */
+async function recordScrapeHealth(result) {
+  const storage = getStorage();
+  const previous = await storage.get(HEALTH, LATEST_ID);
+  const checkedAt = new Date().toISOString();
+
+  const health = result.success
+    ? {
+      id: LATEST_ID,
+      status: 'ok',
+      code: null,
+      error: null,
+      checkedAt,
+      totalRecords: result.totalRecords,
+      lastSuccessAt: result.lastUpdated || checkedAt
+    }
+    : {
+      id: LATEST_ID,
+      status: 'failed',
+      code: result.code || null,
+      error: result.error,
+      checkedAt,
+      totalRecords: null,
+      lastSuccessAt: previous ? previous.lastSuccessAt : null,
+      drop: result.code === SCRAPE_ERROR_CODES.EMPTY_RESULT ? nextDrop(previous && previous.drop, result.totalRecords) : null,
+      dropAcceptedAt: previous ? previous.dropAcceptedAt || null : null,
+      dropAcceptedBy: previous ? previous.dropAcceptedBy || null : null
+    };
+
+  await storage.put(HEALTH, health);
+  return health;
+}
+
+/**
+ * Drop streak after another EMPTY_RESULT of `totalRecords`: it continues
+ * while the count holds or grows, and starts over otherwise
+ */
+function nextDrop(previous, totalRecords) {
+  if (typeof totalRecords !== 'number') return null;
+  const streak = previous && totalRecords >= previous.totalRecords ? previous.streak + 1 : 1;
+  return { totalRecords, streak };
+}
+
+/**
+ * Latest scrape health, or null before the first scrape
+ */
+async function getScrapeHealth() {
+  const health = await getStorage().get(HEALTH, LATEST_ID);
+  if (!health) return null;
+
+  const { id, ...rest } = health;
+  return rest;
+}
+
+module.exports = {
+  SCRAPE_ERROR_CODES,
+  scrapeError,
+  hasLoginMarkers,
+  checkScrapeResult,
+  dropOverride,
+  acceptDrop,
+  recordScrapeHealth,
+  getScrapeHealth
+};
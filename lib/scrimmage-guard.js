@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { appUrl } = require('./mailer');
+const { rateLimitSettings, consumeRateLimit } = require('./rate-limit');
+const { listScrimmageRequests } = require('./scrimmage-requests');
+
+const BLOCKLIST = 'scrimmage-blocklist';
+const REJECTIONS = 'scrimmage-rejections';
+
+const BLOCK_TYPES = ['email', 'domain', 'ip'];
+const REJECTION_REASONS = ['origin', 'honeypot', 'blocked', 'rate-limited', 'duplicate'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HONEYPOT_FIELD = process.env.SCRIMMAGE_HONEYPOT_FIELD || 'website';
+const DUPLICATE_HOURS = parseInt(process.env.SCRIMMAGE_DUPLICATE_HOURS) || 24;
+const REJECTION_RETENTION_DAYS = 30;
+// Oldest entries beyond this are dropped, so a flood can't grow the log without end
+const MAX_REJECTIONS = 1000;
+const MAX_LOGGED_MESSAGE = 500;
+
+/**
+ * Spam protection for the public scrimmage request form, which emails club
+ * volunteers and a confirmation to whatever address is typed in.
+ *
+ * A submission is turned away, in this order, when:
+ *   origin       - the Origin/Referer isn't on ALLOWED_ORIGINS (by default
+ *                  only this site, APP_URL or the request's host)
+ *   honeypot     - the hidden SCRIMMAGE_HONEYPOT_FIELD was filled in; the
+ *                  sender is told it worked so bots don't adapt
+ *   blocked      - the email, its domain or the IP is on the admin blocklist
+ *   rate-limited - over SCRIMMAGE_RATE_LIMIT_MAX_REQUESTS per
+ *                  SCRIMMAGE_RATE_LIMIT_WINDOW_MS (default 5 an hour) from one
+ *                  IP or one email (lib/rate-limit.js)
+ *   duplicate    - the same email already asked for one of the age groups
+ *                  within SCRIMMAGE_DUPLICATE_HOURS
+ *
+ * Rejections are logged to the `scrimmage-rejections` collection for admins
+ * to review, keeping the newest 1000 from the last 30 days. Rate-limited
+ * hits are logged once per IP or email and window, with `hits` counting the
+ * repeats.
+ *
+ * Blocklist entry: { id, type, value, reason, createdBy, createdAt }
+ *   type - email, domain (matches subdomains too) or ip
+ */
+
+/**
+ * Check a submission that passed field validation. Returns null when it may
+ * go ahead, or { reason, detail, status, error, silent, retryAfterSeconds,
+ * logKey }; silent rejections should look like a success to the sender, and
+ * rejections with the same logKey are logged as one entry.
+ */
+async function screenScrimmageSubmission(req, { email, ageGroupKeys }) {
+  const ip = clientIp(req);
+  const origin = requestOrigin(req);
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+
+  if (!isOriginAllowed(req, origin)) {
+    return {
+      reason: 'origin',
+      detail: origin || 'no Origin or Referer',
+      status: 403,
+      error: 'Requests are only accepted from the club website'
+    };
+  }
+
+  const body = req.body || {};
+  if (String(body[HONEYPOT_FIELD] || '').trim()) {
+    return { reason: 'honeypot', detail: HONEYPOT_FIELD, status: 200, silent: true };
+  }
+
+  const block = await findBlock({ email: normalizedEmail, ip });
+  if (block) {
+    return {
+      reason: 'blocked',
+      detail: `${block.type} ${block.value}`,
+      status: 403,
+      error: 'This scrimmage request could not be sent'
+    };
+  }
+
+  const settings = scrimmageRateLimit();
+  for (const key of [`scrimmage:ip:${ip}`, `scrimmage:email:${normalizedEmail}`]) {
+    const limit = await consumeRateLimit(key, settings, 'Scrimmage rate limiting');
+    if (!limit.allowed) {
+      return {
+        reason: 'rate-limited',
+        detail: key.split(':')[1],
+        status: 429,
+        error: 'Too many scrimmage requests; please try again later',
+        retryAfterSeconds: Math.ceil(limit.retryAfterMs / 1000),
+        logKey: `${key}:${Math.floor(Date.now() / settings.windowMs)}`
+      };
+    }
+  }
+
+  const duplicate = await findDuplicate(normalizedEmail, ageGroupKeys);
+  if (duplicate) {
+    return {
+      reason: 'duplicate',
+      detail: duplicate.id,
+      status: 409,
+      error: `This email already sent a ${duplicate.gender} ${duplicate.ageGroup} request in the last ` +
+        `${DUPLICATE_HOURS} hours; the teams have it`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * The caller's address. On Vercel the first X-Forwarded-For entry is the client.
+ */
+function clientIp(req) {
+  const headers = req.headers || {};
+  const forwarded = String(headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Origin header, or the origin of the Referer when a browser left it out
+ */
+function requestOrigin(req) {
+  const headers = req.headers || {};
+  if (headers.origin && headers.origin !== 'null') return headers.origin;
+  try {
+    return new URL(headers.referer).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+function scrimmageRateLimit() {
+  return rateLimitSettings('SCRIMMAGE_RATE_LIMIT_', { windowMs: HOUR_MS, max: 5 });
+}
+
+/**
+ * ALLOWED_ORIGINS as a list, or null when it is "*" (any origin may post).
+ * Unset means this site only.
+ */
+function allowedOrigins(req) {
+  const origins = String(process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, '').toLowerCase())
+    .filter(Boolean);
+  if (origins.includes('*')) return null;
+  return origins.length > 0 ? origins : [new URL(appUrl(req)).origin.toLowerCase()];
+}
+
+function isOriginAllowed(req, origin) {
+  const allowed = allowedOrigins(req);
+  if (!allowed) return true;
+  return !!origin && allowed.includes(origin.toLowerCase());
+}
+
+/**
+ * Access-Control-Allow-Origin value for `req`: "*" without an allowlist, the
+ * caller's origin when it is on the list, otherwise null (send no header)
+ */
+function corsOrigin(req) {
+  if (!allowedOrigins(req)) return '*';
+  const origin = (req.headers || {}).origin;
+  return origin && isOriginAllowed(req, origin) ? origin : null;
+}
+
+async function findDuplicate(email, ageGroupKeys) {
+  const since = new Date(Date.now() - DUPLICATE_HOURS * HOUR_MS).toISOString();
+  const requests = await listScrimmageRequests();
+  return requests.find(request =>
+    request.createdAt >= since &&
+    ageGroupKeys.includes(request.ageGroupKey) &&
+    request.requesterEmail.toLowerCase() === email) || null;
+}
+
+/**
+ * Log a rejected submission for admins to review. A repeat of a logKey only
+ * counts another hit on its entry.
+ */
+async function recordRejection(req, rejection, fields = {}) {
+  const storage = getStorage();
+  const now = new Date();
+  const id = rejection.logKey
+    ? `rej_${crypto.createHash('sha256').update(rejection.logKey).digest('hex').slice(0, 12)}`
+    : `rej_${crypto.randomBytes(6).toString('hex')}`;
+
+  const existing = rejection.logKey ? await storage.get(REJECTIONS, id) : null;
+  if (existing) {
+    const counted = { ...existing, hits: (existing.hits || 1) + 1 };
+    await storage.put(REJECTIONS, counted);
+    return counted;
+  }
+
+  const entry = {
+    id,
+    reason: rejection.reason,
+    detail: rejection.detail || '',
+    ip: clientIp(req),
+    origin: requestOrigin(req),
+    email: String(fields.email || '').trim(),
+    gender: fields.gender || '',
+    ageGroup: fields.ageGroup || '',
+    message: String(fields.message || '').slice(0, MAX_LOGGED_MESSAGE),
+    hits: 1,
+    at: now.toISOString()
+  };
+  await storage.put(REJECTIONS, entry);
+
+  const cutoff = new Date(now.getTime() - REJECTION_RETENTION_DAYS * DAY_MS).toISOString();
+  const newestFirst = (await storage.list(REJECTIONS)).sort((a, b) => b.at.localeCompare(a.at));
+  for (const old of newestFirst.filter((item, index) => item.at < cutoff || index >= MAX_REJECTIONS)) {
+    await storage.remove(REJECTIONS, old.id);
+  }
+  return entry;
+}
+
+/**
+ * Logged rejections, newest first; `reason` limits the list to one reason
+ */
+async function listRejections(reason) {
+  const rejections = await getStorage().list(REJECTIONS);
+  return rejections
+    .filter(rejection => !reason || rejection.reason === reason)
+    .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+/**
+ * Check and tidy a blocklist entry. Returns { entry } or { error }.
+ */
+function validateBlock(input) {
+  const type = String(input.type || '').trim().toLowerCase();
+  let value = String(input.value || '').trim().toLowerCase();
+
+  if (!BLOCK_TYPES.includes(type)) return { error: `Type must be one of ${BLOCK_TYPES.join(', ')}` };
+  if (type === 'email' && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value)) {
+    return { error: 'A valid email is required' };
+  }
+  if (type === 'domain') {
+    value = value.replace(/^.*@/, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value)) return { error: 'A domain like example.com is required' };
+  }
+  if (type === 'ip' && !/^[0-9a-f.:]+$/.test(value)) return { error: 'A valid IP address is required' };
+
+  return { entry: { type, value, reason: String(input.reason || '').trim() } };
+}
+
+/**
+ * Blocklist entries, newest first
+ */
+async function listBlocklist() {
+  const entries = await getStorage().list(BLOCKLIST);
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Add an entry (re-adding one updates its reason). Returns { entry } or { error }.
+ */
+async function addToBlocklist(input, createdBy) {
+  const { entry, error } = validateBlock(input);
+  if (error) return { error };
+
+  const id = `blk_${crypto.createHash('sha256').update(`${entry.type}:${entry.value}`).digest('hex').slice(0, 12)}`;
+  const existing = await getStorage().get(BLOCKLIST, id);
+  const saved = {
+    id,
+    ...entry,
+    createdBy: existing ? existing.createdBy : (createdBy || ''),
+    createdAt: existing ? existing.createdAt : new Date().toISOString()
+  };
+  await getStorage().put(BLOCKLIST, saved);
+  return { entry: saved };
+}
+
+async function removeFromBlocklist(id) {
+  return getStorage().remove(BLOCKLIST, id);
+}
+
+/**
+ * The blocklist entry that matches this email or IP, if any
+ */
+async function findBlock({ email, ip }) {
+  const domain = email.split('@')[1] || '';
+  const entries = await getStorage().list(BLOCKLIST);
+  return entries.find(entry =>
+    (entry.type === 'email' && entry.value === email) ||
+    (entry.type === 'domain' && (domain === entry.value || domain.endsWith(`.${entry.value}`))) ||
+    (entry.type === 'ip' && entry.value === String(ip).toLowerCase())) || null;
+}
+
+module.exports = {
+  BLOCK_TYPES,
+  REJECTION_REASONS,
+  screenScrimmageSubmission,
+  recordRejection,
+  listRejections,
+  corsOrigin,
+  listBlocklist,
+  addToBlocklist,
+  removeFromBlocklist
+};
@@ -0,0 +1,500 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { withLock } = require('./cache');
+const { renderEmail } = require('./email-templates');
+const { queueEmail, deliverEmail } = require('./outbox');
+const { buildAgeGroupKey, normalizeLevel, describeLevels, findScrimmageContacts } = require('./team-contacts');
+const { signToken, verifyToken } = require('./session-token');
+
+const REQUESTS = 'scrimmage-requests';
+const RESPONSE_TOKEN = 'scrimmage-response';
+
+const STATUSES = ['open', 'claimed', 'scheduled', 'declined', 'expired'];
+const ACTIONS = ['claim', 'decline'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_DAYS = parseInt(process.env.SCRIMMAGE_EXPIRY_DAYS) || 7;
+const REMINDER_DAYS = parseInt(process.env.SCRIMMAGE_REMINDER_DAYS) || 3;
+// Links keep working a while past expiry, so a late click gets "this request
+// expired" instead of "this link is invalid"
+const LINK_GRACE_MS = 30 * DAY_MS;
+
+/**
+ * Scrimmage requests from the website form, and the claim workflow.
+ *
+ * Request: { id, batchId, status, requesterEmail, clubName, phone, gender, ageGroup,
+ *            ageGroupKey, levels, dates, times, venue, field, message, recipients,
+ *            responses, claimedBy, createdAt, updatedAt, expiresAt, remindedAt,
+ *            closedAt }
+ *   batchId    - shared by the requests from one form submission, which makes
+ *                one request per gender and age group asked for
+ *   levels     - division numbers the requester asked for ([] for any); see
+ *                team levels in lib/team-contacts.js
+ *   dates, times, field - free text from the form; venue is home, away or
+ *                neutral from the requester's side, or null for either
+ *   status     - open, then claimed (first "We'll take it"), declined (every
+ *                team said no) or expired (nobody answered in
+ *                SCRIMMAGE_EXPIRY_DAYS); an admin moves claimed to scheduled
+ *   recipients - [{ name, email, team, role, level }], from the contacts directory
+ *   responses  - [{ email, team, action, at }], action claim or decline
+ *   claimedBy  - { name, email, team, at } once claimed
+ *
+ * Each coach email carries signed links (SESSION_SECRET) for their team.
+ * Responses for one request are serialized through a lock in the shared
+ * cache (redis on Vercel, see withLock() in lib/cache.js), and the request is re-read
+ * under it, so only the first claim wins even when two coaches click at once
+ * on different instances.
+ */
+
+const FORM_FIELDS = {
+  email: ['email', 'emailaddress'],
+  ageGroup: ['agegroup', 'agegroups', 'age'],
+  gender: ['gender', 'genders'],
+  message: ['message', 'comments', 'notes'],
+  clubName: ['club', 'clubname', 'team', 'teamname', 'clubteam', 'clubteamname'],
+  phone: ['phone', 'phonenumber', 'contactphone'],
+  dates: ['dates', 'date', 'proposeddates', 'proposeddate', 'preferreddates'],
+  times: ['times', 'time', 'proposedtimes', 'proposedtime', 'preferredtimes'],
+  venue: ['homeaway', 'homeawayneutral', 'venue', 'venuepreference'],
+  field: ['field', 'fieldname', 'fieldlocation', 'location'],
+  level: ['level', 'levels', 'competitivelevel', 'division']
+};
+const VENUES = ['home', 'away', 'neutral'];
+
+/**
+ * Read the website form (Byga/Duda sends its field labels as JSON keys, so
+ * "Age Group", "age_group" and "ageGroup" are all accepted). Gender, age
+ * group and level may list several values ("Boys, Girls", "U12 / U13") or
+ * be arrays. Returns { form } or { error }.
+ *
+ * form: { email, genders, ageGroups, levels, message, clubName, phone,
+ *         dates, times, venue, field }
+ *   venue  - home, away or neutral from the requester's side, or null for either
+ *   levels - division numbers (see normalizeLevel), [] for any level
+ */
+function readScrimmageForm(data) {
+  const value = formLookup(data || {});
+  const email = value('email');
+  const genderText = value('gender');
+  const ageGroupText = value('ageGroup');
+
+  if (!email || !ageGroupText || !genderText) return { error: 'Missing required fields: Email, Age Group, Gender' };
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: 'Invalid email format' };
+
+  const genders = [];
+  for (const part of splitList(genderText)) {
+    const gender = /^(both|coed|co-ed|all)$/i.test(part) ? ['Boys', 'Girls']
+      : /^(b|boy|boys|m|male)$/i.test(part) ? ['Boys']
+        : /^(g|girl|girls|f|female)$/i.test(part) ? ['Girls'] : null;
+    if (!gender) return { error: `Gender must be Boys or Girls (got "${part}")` };
+    gender.forEach(g => { if (!genders.includes(g)) genders.push(g); });
+  }
+
+  const ageGroups = [];
+  for (const part of splitList(ageGroupText)) {
+    const match = part.match(/^U-?\s*(\d{1,2})$/i) || part.match(/^(\d{1,2})$/);
+    if (!match) return { error: `Age group must look like U12 (got "${part}")` };
+    const ageGroup = `U${parseInt(match[1])}`;
+    if (!ageGroups.includes(ageGroup)) ageGroups.push(ageGroup);
+  }
+
+  const levels = [];
+  for (const part of splitList(value('level'))) {
+    if (/^(any|all|either|no preference)$/i.test(part)) continue;
+    const level = normalizeLevel(part);
+    if (!level) return { error: `Level must be a division number such as 2 or "Div 2" (got "${part}")` };
+    if (!levels.includes(level)) levels.push(level);
+  }
+
+  const venueText = value('venue').toLowerCase();
+  const venue = VENUES.find(option => venueText.startsWith(option)) || null;
+
+  return {
+    form: {
+      email,
+      genders,
+      ageGroups,
+      levels: levels.sort(),
+      message: value('message'),
+      clubName: value('clubName'),
+      phone: value('phone'),
+      dates: value('dates'),
+      times: value('times'),
+      venue,
+      field: value('field')
+    }
+  };
+}
+
+/**
+ * Value getter for FORM_FIELDS names, matching keys without case or punctuation
+ */
+function formLookup(data) {
+  const normalized = {};
+  Object.keys(data).forEach(key => {
+    normalized[key.toLowerCase().replace(/[^a-z0-9]/g, '')] = data[key];
+  });
+  return name => {
+    const key = FORM_FIELDS[name].find(alias => normalized[alias] !== undefined && normalized[alias] !== null);
+    const found = key ? normalized[key] : '';
+    return (Array.isArray(found) ? found.join(', ') : String(found)).trim();
+  };
+}
+
+function splitList(text) {
+  return String(text || '').split(/\s*(?:[,;/&+]|\band\b|\bor\b)\s*/i).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Save one request per gender and age group in the form, each sent to that
+ * age group's contacts (only teams at the form's levels, when it names any),
+ * and send the requester one confirmation covering them all.
+ * Returns { requests, skipped } with skipped the "Girls U12"-style labels
+ * that have no team to ask, or { error } when none has.
+ */
+async function createScrimmageRequests(form, baseUrl) {
+  const now = new Date();
+  const batchId = `scb_${crypto.randomBytes(6).toString('hex')}`;
+  const requests = [];
+  const skipped = [];
+
+  for (const gender of form.genders) {
+    for (const ageGroup of form.ageGroups) {
+      const ageGroupKey = buildAgeGroupKey(gender, ageGroup);
+      const recipients = await findScrimmageContacts(ageGroupKey, form.levels || []);
+      if (recipients.length === 0) {
+        skipped.push(`${gender} ${ageGroup}`);
+        continue;
+      }
+
+      requests.push({
+        id: `scr_${crypto.randomBytes(6).toString('hex')}`,
+        batchId,
+        status: 'open',
+        requesterEmail: String(form.email).trim(),
+        clubName: form.clubName || '',
+        phone: form.phone || '',
+        gender,
+        ageGroup,
+        ageGroupKey,
+        levels: form.levels || [],
+        dates: form.dates || '',
+        times: form.times || '',
+        venue: form.venue || null,
+        field: form.field || '',
+        message: form.message || '',
+        recipients,
+        responses: [],
+        claimedBy: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + EXPIRY_DAYS * DAY_MS).toISOString(),
+        remindedAt: null,
+        closedAt: null
+      });
+    }
+  }
+
+  if (requests.length === 0) {
+    const atLevel = form.levels && form.levels.length ? ` at ${describeLevels(form.levels)}` : '';
+    return { error: `No teams found for ${skipped.join(', ')}${atLevel}` };
+  }
+
+  for (const request of requests) {
+    await getStorage().put(REQUESTS, request);
+  }
+  const emails = [];
+  for (const request of requests) {
+    for (const contact of uniqueContacts(request.recipients)) {
+      emails.push({
+        key: `scrimmage:${request.id}:request:${contact.email}`,
+        message: {
+          to: contact.email,
+          replyTo: request.requesterEmail,
+          ...renderEmail('scrimmage-request', await coachEmailData(request, contact, baseUrl))
+        }
+      });
+    }
+  }
+  emails.push({
+    key: `scrimmage:${batchId}:received`,
+    message: { to: form.email, ...renderEmail('scrimmage-received', { requests, skipped }) }
+  });
+  await sendEmails(emails);
+
+  return { requests, skipped };
+}
+
+/**
+ * Requests, newest first; `status` limits the list to one status
+ */
+async function listScrimmageRequests(status) {
+  const requests = await getStorage().list(REQUESTS);
+  return requests
+    .filter(request => !status || request.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function getScrimmageRequest(id) {
+  return getStorage().get(REQUESTS, id);
+}
+
+/**
+ * Admin status change (e.g. claimed -> scheduled). Returns { request } or { error }.
+ */
+async function setScrimmageStatus(id, status) {
+  if (!STATUSES.includes(status)) return { error: `Status must be one of ${STATUSES.join(', ')}` };
+
+  return withRequestLock(id, async () => {
+    const request = await getScrimmageRequest(id);
+    if (!request) return { error: 'Scrimmage request not found' };
+
+    const now = new Date().toISOString();
+    const saved = {
+      ...request,
+      status,
+      updatedAt: now,
+      closedAt: status === 'open' ? null : (request.closedAt || now)
+    };
+    await getStorage().put(REQUESTS, saved);
+    return { request: saved };
+  });
+}
+
+/**
+ * Signed "We'll take it" / "Not interested" link token for one team's contact
+ */
+function createResponseToken(request, recipient, action) {
+  return signToken(
+    { rid: request.id, email: recipient.email, team: recipient.team, action },
+    {
+      type: RESPONSE_TOKEN,
+      ttlMs: Date.parse(request.expiresAt) + LINK_GRACE_MS - Date.now(),
+      secret: process.env.SESSION_SECRET
+    }
+  );
+}
+
+/**
+ * The request and recipient a response token is for, or null when the
+ * token is invalid. Used for the confirmation page before anything changes.
+ */
+async function readResponseToken(token) {
+  const payload = await verifyToken(token, { type: RESPONSE_TOKEN, secret: process.env.SESSION_SECRET });
+  if (!payload || !ACTIONS.includes(payload.action)) return null;
+
+  const request = await getScrimmageRequest(payload.rid);
+  const recipient = request && findRecipient(request, payload);
+  return recipient ? { request, recipient, action: payload.action } : null;
+}
+
+/**
+ * Apply a claim or decline from a response link.
+ * Returns { outcome, request, recipient } with outcome one of:
+ *   claimed  - this team got the scrimmage; requester and other teams are told
+ *   declined - recorded (the request closes once every team has declined)
+ *   closed   - the request was already claimed, declined or expired
+ *   invalid  - bad or unknown token
+ */
+async function respondToScrimmageRequest(token) {
+  const response = await readResponseToken(token);
+  if (!response) return { outcome: 'invalid' };
+
+  const { outcome, request, recipient, notify } = await withRequestLock(response.request.id, async () => {
+    const current = await getScrimmageRequest(response.request.id);
+    const who = findRecipient(current, response.recipient);
+    if (current.status !== 'open') return { outcome: 'closed', request: current, recipient: who };
+
+    const now = new Date().toISOString();
+    const responses = current.responses
+      .filter(existing => existing.email !== who.email || existing.team !== who.team)
+      .concat({ email: who.email, team: who.team, action: response.action, at: now });
+    const saved = { ...current, responses, updatedAt: now };
+
+    if (response.action === 'claim') {
+      Object.assign(saved, {
+        status: 'claimed',
+        claimedBy: { name: who.name, email: who.email, team: who.team, at: now },
+        closedAt: now
+      });
+    } else if (allTeamsDeclined(saved)) {
+      Object.assign(saved, { status: 'declined', closedAt: now });
+    }
+
+    await getStorage().put(REQUESTS, saved);
+    return {
+      outcome: response.action === 'claim' ? 'claimed' : 'declined',
+      request: saved,
+      recipient: who,
+      notify: saved.status !== 'open'
+    };
+  });
+
+  if (notify && request.status === 'claimed') await sendClaimedEmails(request);
+  if (notify && request.status === 'declined') await sendClosedEmail(request);
+
+  return { outcome, request, recipient };
+}
+
+/**
+ * Daily upkeep: remind teams that haven't answered once a request is
+ * SCRIMMAGE_REMINDER_DAYS old, and expire requests nobody claimed by their
+ * expiry. Returns { reminded, expired } request ids.
+ */
+async function processScrimmageRequests(baseUrl, now = new Date()) {
+  const reminded = [];
+  const expired = [];
+
+  for (const { id } of await listScrimmageRequests('open')) {
+    const change = await withRequestLock(id, async () => {
+      const request = await getScrimmageRequest(id);
+      if (request.status !== 'open') return null;
+
+      const at = now.toISOString();
+      if (Date.parse(request.expiresAt) <= now.getTime()) {
+        const saved = { ...request, status: 'expired', updatedAt: at, closedAt: at };
+        await getStorage().put(REQUESTS, saved);
+        return { action: 'expire', request: saved };
+      }
+      if (!request.remindedAt && now.getTime() - Date.parse(request.createdAt) >= REMINDER_DAYS * DAY_MS) {
+        const saved = { ...request, remindedAt: at, updatedAt: at };
+        await getStorage().put(REQUESTS, saved);
+        return { action: 'remind', request: saved };
+      }
+      return null;
+    });
+
+    if (change && change.action === 'expire') {
+      await sendClosedEmail(change.request);
+      expired.push(id);
+    }
+    if (change && change.action === 'remind') {
+      await sendReminders(change.request, baseUrl);
+      reminded.push(id);
+    }
+  }
+
+  return { reminded, expired };
+}
+
+async function sendReminders(request, baseUrl) {
+  const answered = new Set(request.responses.map(response => response.team));
+  const waiting = request.recipients.filter(recipient => !answered.has(recipient.team));
+  const emails = [];
+  for (const contact of uniqueContacts(waiting)) {
+    emails.push({
+      key: `scrimmage:${request.id}:reminder:${contact.email}`,
+      message: {
+        to: contact.email,
+        replyTo: request.requesterEmail,
+        ...renderEmail('scrimmage-request', { ...await coachEmailData(request, contact, baseUrl), reminder: true })
+      }
+    });
+  }
+  await sendEmails(emails);
+}
+
+async function sendClaimedEmails(request) {
+  const claim = request.claimedBy;
+  const emails = [{
+    key: `scrimmage:${request.id}:claimed`,
+    message: { to: request.requesterEmail, replyTo: claim.email, ...renderEmail('scrimmage-claimed', { request }) }
+  }];
+
+  const others = request.recipients.filter(recipient => recipient.email !== claim.email);
+  const addresses = [...new Set(others.map(recipient => recipient.email))];
+  if (addresses.length > 0) {
+    emails.push({
+      key: `scrimmage:${request.id}:taken`,
+      message: { to: addresses.join(', '), ...renderEmail('scrimmage-taken', { request }) }
+    });
+  }
+
+  await sendEmails(emails);
+}
+
+/**
+ * Tell the requester no team will take the scrimmage (every team declined,
+ * or nobody answered before it expired)
+ */
+async function sendClosedEmail(request) {
+  await sendEmails([{
+    key: `scrimmage:${request.id}:closed`,
+    message: { to: request.requesterEmail, ...renderEmail('scrimmage-closed', { request }) }
+  }]);
+}
+
+/**
+ * Queue every email, then try each once. Nothing is sent until all are in
+ * the outbox, so a function stopped midway by its time limit (slow SMTP)
+ * leaves the rest queued for /api/cron/outbox instead of losing them.
+ * emails: [{ key, message }] as for queueEmail()
+ */
+async function sendEmails(emails) {
+  const queued = [];
+  for (const { message, key } of emails) {
+    queued.push((await queueEmail(message, key)).message);
+  }
+  for (const message of queued) {
+    if (message.status === 'queued') await deliverEmail(message.id);
+  }
+}
+
+/**
+ * Data for the scrimmage-request template: the contact's teams with their
+ * signed claim/decline links
+ */
+async function coachEmailData(request, contact, baseUrl) {
+  const link = async (recipient, action) => {
+    const url = new URL('/api/scrimmage-request', baseUrl);
+    url.searchParams.set('token', await createResponseToken(request, recipient, action));
+    return url.toString();
+  };
+  const teams = await Promise.all(contact.teams.map(async recipient => ({
+    team: recipient.team,
+    claimUrl: await link(recipient, 'claim'),
+    declineUrl: await link(recipient, 'decline')
+  })));
+  return { request, teams };
+}
+
+/**
+ * Recipients grouped by email: [{ email, name, teams: [recipient, ...] }]
+ */
+function uniqueContacts(recipients) {
+  const byEmail = new Map();
+  recipients.forEach(recipient => {
+    if (!byEmail.has(recipient.email)) byEmail.set(recipient.email, { email: recipient.email, name: recipient.name, teams: [] });
+    byEmail.get(recipient.email).teams.push(recipient);
+  });
+  return [...byEmail.values()];
+}
+
+function findRecipient(request, { email, team }) {
+  return request.recipients.find(recipient => recipient.email === email && recipient.team === team) || null;
+}
+
+function allTeamsDeclined(request) {
+  const declined = new Set(request.responses.filter(response => response.action === 'decline').map(response => response.team));
+  return request.recipients.every(recipient => declined.has(recipient.team));
+}
+
+/**
+ * Run `fn` holding this request's lock in the shared cache
+ */
+function withRequestLock(id, fn) {
+  return withLock(`scrimmage-request:${id}`, 'Scrimmage request locking', fn);
+}
+
+module.exports = {
+  STATUSES,
+  readScrimmageForm,
+  createScrimmageRequests,
+  listScrimmageRequests,
+  getScrimmageRequest,
+  setScrimmageStatus,
+  createResponseToken,
+  readResponseToken,
+  respondToScrimmageRequest,
+  processScrimmageRequests
+};
@@ -0,0 +1,233 @@
+const { getStorage } = require('./storage');
+const { normalizeName } = require('./names');
+const { clubDate } = require('./schedule');
+const CallupRules = require('../public/js/callup-rules');
+
+const SEASONS = 'seasons';
+const ARCHIVES = 'season-archives';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// A scrape counts as RDYSL's season reset when fewer than this share of
+// the last snapshot's callups are still on the page
+const RESET_REMAINING_SHARE = 0.5;
+
+/**
+ * Seasons: named date ranges that callups are counted in, each optionally
+ * with its own callup rules, and the archive of seasons RDYSL has reset.
+ *
+ * Season: { id, name, startDate, endDate, rules, archivedAt, createdAt, updatedAt }
+ *   id        - slug of the name ("spring-2026")
+ *   endDate   - last day (inclusive), or null while the season is open-ended
+ *   rules     - partial callup rules (same shape as CALLUP_RULES) merged over
+ *               the deployment's rules for this season, or null
+ *
+ * Archive: { id (season id), name, summary, fines, totalRecords, lastUpdated,
+ *            archivedAt, reason } - the season's last snapshot, kept after
+ *            RDYSL drops its data. reason is "reset" (detected by a scrape)
+ *            or "manual".
+ */
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Check and tidy season input. Returns { season } or { error }.
+ */
+function validateSeason(input) {
+  const name = String(input.name || '').trim().replace(/\s+/g, ' ');
+  const startDate = String(input.startDate || '').trim();
+  const endDate = String(input.endDate || '').trim() || null;
+  let rules = input.rules === undefined || input.rules === '' ? null : input.rules;
+
+  if (!name || !slugify(name)) return { error: 'Season name is required' };
+  if (!DATE_PATTERN.test(startDate)) return { error: 'startDate must be a date (YYYY-MM-DD)' };
+  if (endDate && !DATE_PATTERN.test(endDate)) return { error: 'endDate must be a date (YYYY-MM-DD)' };
+  if (endDate && endDate < startDate) return { error: 'endDate is before startDate' };
+
+  if (typeof rules === 'string') {
+    try {
+      rules = JSON.parse(rules);
+    } catch (error) {
+      return { error: `rules is not valid JSON: ${error.message}` };
+    }
+  }
+  if (rules !== null && (typeof rules !== 'object' || Array.isArray(rules))) {
+    return { error: 'rules must be an object like CALLUP_RULES' };
+  }
+  if (rules && rules.limits !== undefined && !Array.isArray(rules.limits)) {
+    return { error: 'rules.limits must be a list' };
+  }
+
+  return { season: { name, startDate, endDate, rules } };
+}
+
+function overlaps(a, b) {
+  const aEnd = a.endDate || '9999-12-31';
+  const bEnd = b.endDate || '9999-12-31';
+  return a.startDate <= bEnd && b.startDate <= aEnd;
+}
+
+/**
+ * All seasons, newest first
+ */
+async function listSeasons() {
+  const seasons = await getStorage().list(SEASONS);
+  return seasons.sort((a, b) => b.startDate.localeCompare(a.startDate));
+}
+
+async function getSeason(id) {
+  return getStorage().get(SEASONS, id);
+}
+
+/**
+ * Create (id null) or update a season. Seasons may not overlap, since
+ * every callup has to belong to one. Returns { season } or { error }.
+ */
+async function saveSeason(id, input) {
+  const { season, error } = validateSeason(input);
+  if (error) return { error };
+
+  const existing = id ? await getSeason(id) : null;
+  const seasonId = id || slugify(season.name);
+  if (!id && await getSeason(seasonId)) return { error: `A season named "${season.name}" already exists` };
+
+  const clash = (await listSeasons()).find(other => other.id !== seasonId && overlaps(other, season));
+  if (clash) return { error: `${season.name} overlaps ${clash.name} (${clash.startDate} to ${clash.endDate || 'open'})` };
+
+  const now = new Date().toISOString();
+  const saved = {
+    id: seasonId,
+    ...season,
+    archivedAt: existing ? existing.archivedAt : null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  await getStorage().put(SEASONS, saved);
+  return { season: saved };
+}
+
+/**
+ * Delete a season and its archive. Returns false when there is no such season.
+ */
+async function deleteSeason(id) {
+  const removed = await getStorage().remove(SEASONS, id);
+  if (removed) await getStorage().remove(ARCHIVES, id);
+  return removed;
+}
+
+/**
+ * The season `date` (YYYY-MM-DD) falls in, or null
+ */
+function seasonForDate(seasons, date) {
+  if (!date) return null;
+  return seasons.find(season => season.startDate <= date && (!season.endDate || date <= season.endDate)) || null;
+}
+
+/**
+ * The season today (or `now`) falls in, or null
+ */
+async function getCurrentSeason(now = new Date()) {
+  return seasonForDate(await listSeasons(), clubDate(now));
+}
+
+/**
+ * Copies of `items` (callup records or fines, anything with a `date`)
+ * with `season` set to the id of the season the date falls in, or null
+ */
+function tagWithSeason(items, seasons) {
+  return items.map(item => {
+    const season = seasonForDate(seasons, item.date);
+    return { ...item, season: season ? season.id : null };
+  });
+}
+
+/**
+ * Callup rules for a season: `baseRules` (the deployment's) with the
+ * season's own rules merged over them
+ */
+function rulesForSeason(baseRules, season) {
+  if (!season || !season.rules) return baseRules;
+  return CallupRules.resolveRules({
+    ...baseRules,
+    ...season.rules,
+    labels: { ...baseRules.labels, ...season.rules.labels }
+  });
+}
+
+function callupKey(name, callup) {
+  return `${normalizeName(name)}|${callup.date || ''}|${callup.gameId || ''}`;
+}
+
+/**
+ * Whether a scrape looks like RDYSL started a new season: most of the last
+ * snapshot's callups were in a season other than `season` (today's, or null
+ * between seasons), and most of them are gone from `records`.
+ * Returns the id of the season that ended, or null.
+ */
+function detectSeasonReset(previous, records, season) {
+  if (!previous) return null;
+
+  const previousCallups = [];
+  previous.players.forEach(player => {
+    (player.callups || []).forEach(callup => previousCallups.push({ key: callupKey(player.playerName, callup), season: callup.season }));
+  });
+  if (previousCallups.length === 0) return null;
+
+  const seasonCounts = new Map();
+  previousCallups.forEach(callup => {
+    const id = callup.season === undefined ? previous.season : callup.season;
+    if (id) seasonCounts.set(id, (seasonCounts.get(id) || 0) + 1);
+  });
+  const [previousSeason] = [...seasonCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+  if (!previousSeason || (season && previousSeason === season.id)) return null;
+
+  const current = new Set(records.map(record => callupKey(record.name, record)));
+  const remaining = previousCallups.filter(callup => current.has(callup.key)).length;
+  return remaining < previousCallups.length * RESET_REMAINING_SHARE ? previousSeason : null;
+}
+
+/**
+ * Keep `snapshot` (lib/history.js) as the archive of season `id` and mark
+ * the season archived. A detected reset doesn't replace an existing archive.
+ * Returns the archive, or null when there is no such season (or it was kept).
+ */
+async function archiveSeason(id, snapshot, reason) {
+  const season = await getSeason(id);
+  if (!season) return null;
+  if (reason === 'reset' && season.archivedAt) return null;
+
+  const archivedAt = new Date().toISOString();
+  const archive = {
+    id,
+    name: season.name,
+    summary: snapshot.players,
+    fines: snapshot.fines || [],
+    totalRecords: snapshot.totalRecords,
+    lastUpdated: snapshot.scrapedAt,
+    archivedAt,
+    reason
+  };
+  await getStorage().put(ARCHIVES, archive);
+  await getStorage().put(SEASONS, { ...season, archivedAt, updatedAt: archivedAt });
+  console.log(`Archived season ${season.name} (${reason}) from the scrape of ${snapshot.scrapedAt}`);
+  return archive;
+}
+
+async function getSeasonArchive(id) {
+  return getStorage().get(ARCHIVES, id);
+}
+
+module.exports = {
+  validateSeason,
+  listSeasons,
+  getSeason,
+  saveSeason,
+  deleteSeason,
+  seasonForDate,
+  getCurrentSeason,
+  tagWithSeason,
+  rulesForSeason,
+  detectSeasonReset,
+  archiveSeason,
+  getSeasonArchive
+};
@@ -0,0 +1,113 @@
+/**
+ * Signed, expiring tokens: base64url(JSON payload) + "." + base64url(HMAC-SHA256).
+ *
+ * Uses only Web Crypto, TextEncoder and atob/btoa, so the same code runs in
+ * the serverless functions (Node) and in middleware.js (Edge runtime).
+ *
+ * Every payload has `typ` (what the token is for) and `exp` (ms since epoch);
+ * verifyToken() rejects tokens of another type, so a magic-link token can't
+ * be used as a session cookie.
+ */
+
+const SESSION_COOKIE = 'hh_session';
+
+// Roles, least access first; each role can do everything the ones before it can
+const ROLES = ['viewer', 'coach', 'admin'];
+
+const encoder = new TextEncoder();
+const keys = new Map();
+
+function importKey(secret) {
+  if (!keys.has(secret)) {
+    keys.set(secret, crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    ));
+  }
+  return keys.get(secret);
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Sign `payload` (plus typ and exp) for `ttlMs` milliseconds
+ */
+async function signToken(payload, { type, ttlMs, secret }) {
+  if (!secret) throw new Error('SESSION_SECRET not configured');
+
+  const body = toBase64Url(encoder.encode(JSON.stringify({ ...payload, typ: type, exp: Date.now() + ttlMs })));
+  const signature = await crypto.subtle.sign('HMAC', await importKey(secret), encoder.encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Payload of a valid, unexpired token of `type`; null for anything else
+ */
+async function verifyToken(token, { type, secret }) {
+  if (!token || !secret || typeof token !== 'string') return null;
+
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await importKey(secret),
+      fromBase64Url(signature),
+      encoder.encode(body)
+    );
+    if (!valid) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    if (payload.typ !== type || typeof payload.exp !== 'number' || payload.exp <= Date.now()) return null;
+    return payload;
+  } catch (error) {
+    // Malformed base64 or JSON
+    return null;
+  }
+}
+
+/**
+ * True when `role` is `required` or above
+ */
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * name → value from a Cookie header
+ */
+function parseCookies(cookieHeader) {
+  const cookies = {};
+  if (!cookieHeader) return cookies;
+  cookieHeader.split(';').forEach(cookie => {
+    const [name, ...rest] = cookie.trim().split('=');
+    if (name) {
+      cookies[name.trim()] = rest.join('=').trim();
+    }
+  });
+  return cookies;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  ROLES,
+  hasRole,
+  signToken,
+  verifyToken,
+  parseCookies
+};
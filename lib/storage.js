@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { RedisClient } = require('./redis-client');
+
+/**
+ * Pluggable document storage shared by the API functions.
+ *
+ * Every backend stores JSON documents keyed by `id` inside named
+ * collections and exposes the same async interface:
+ *   list(collection), get(collection, id), put(collection, doc), remove(collection, id)
+ *
+ * Backends:
+ *   redis  - one Redis hash per collection at REDIS_URL, shared by every
+ *            instance (default when REDIS_URL is set; required on Vercel)
+ *   file   - one JSON file at DATABASE_PATH (local development)
+ *   memory - process memory only (tests)
+ *
+ * Select with STORAGE_BACKEND. On Vercel only /tmp is writable, and /tmp is
+ * per instance and wiped on cold starts, so the file backend refuses to run
+ * there and an unset backend without REDIS_URL is an error.
+ */
+
+class MemoryStorage {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return this.collections.get(name);
+  }
+
+  async list(collection) {
+    return [...this.collection(collection).values()].map(clone);
+  }
+
+  async get(collection, id) {
+    const doc = this.collection(collection).get(String(id));
+    return doc ? clone(doc) : null;
+  }
+
+  async put(collection, doc) {
+    if (!doc || doc.id === undefined || doc.id === null) {
+      throw new Error(`Cannot store a document without an id in "${collection}"`);
+    }
+    this.collection(collection).set(String(doc.id), clone(doc));
+    return doc;
+  }
+
+  async remove(collection, id) {
+    return this.collection(collection).delete(String(id));
+  }
+}
+
+class FileStorage {
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Serialize writes within this instance so concurrent puts don't clobber each other
+    this.queue = Promise.resolve();
+    // Last parsed contents, reused until the file changes on disk
+    this.loaded = null;
+  }
+
+  read() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Cannot read storage file ${this.filePath}: ${error.message}`);
+    }
+
+    const version = `${stat.mtimeMs}:${stat.size}`;
+    if (!this.loaded || this.loaded.version !== version) {
+      try {
+        this.loaded = { version, data: JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+      } catch (error) {
+        throw new Error(`Cannot read storage file ${this.filePath}: ${error.message}`);
+      }
+    }
+    return clone(this.loaded.data);
+  }
+
+  write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, this.filePath);
+    this.loaded = null;
+  }
+
+  update(mutate) {
+    const next = this.queue.then(() => {
+      const data = this.read();
+      const result = mutate(data);
+      this.write(data);
+      return result;
+    });
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  async list(collection) {
+    await this.queue;
+    return Object.values(this.read()[collection] || {});
+  }
+
+  async get(collection, id) {
+    await this.queue;
+    const docs = this.read()[collection] || {};
+    return docs[String(id)] || null;
+  }
+
+  async put(collection, doc) {
+    if (!doc || doc.id === undefined || doc.id === null) {
+      throw new Error(`Cannot store a document without an id in "${collection}"`);
+    }
+    return this.update(data => {
+      data[collection] = data[collection] || {};
+      data[collection][String(doc.id)] = doc;
+      return doc;
+    });
+  }
+
+  async remove(collection, id) {
+    return this.update(data => {
+      const docs = data[collection] || {};
+      const existed = Object.prototype.hasOwnProperty.call(docs, String(id));
+      delete docs[String(id)];
+      return existed;
+    });
+  }
+}
+
+/**
+ * Each collection is a hash (`<prefix><collection>`) of id -> JSON document,
+ * so a put or remove only touches its own document
+ */
+class RedisStorage {
+  constructor(url, prefix) {
+    this.client = new RedisClient(url);
+    this.prefix = prefix;
+  }
+
+  async list(collection) {
+    const values = await this.client.command('HVALS', this.prefix + collection);
+    return (values || []).map(value => JSON.parse(value));
+  }
+
+  async get(collection, id) {
+    const value = await this.client.command('HGET', this.prefix + collection, String(id));
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async put(collection, doc) {
+    if (!doc || doc.id === undefined || doc.id === null) {
+      throw new Error(`Cannot store a document without an id in "${collection}"`);
+    }
+    await this.client.command('HSET', this.prefix + collection, String(doc.id), JSON.stringify(doc));
+    return doc;
+  }
+
+  async remove(collection, id) {
+    return (await this.client.command('HDEL', this.prefix + collection, String(id))) === 1;
+  }
+}
+
+function clone(doc) {
+  return JSON.parse(JSON.stringify(doc));
+}
+
+const BACKENDS = {
+  memory: () => new MemoryStorage(),
+  file: () => {
+    const filePath = path.resolve(process.env.DATABASE_PATH || './data/hilton_heat.json');
+    if (process.env.VERCEL && (!process.env.DATABASE_PATH || filePath.startsWith('/tmp/'))) {
+      throw new Error('STORAGE_BACKEND=file cannot be used on Vercel: /tmp is per instance and wiped on cold starts. Set REDIS_URL and STORAGE_BACKEND=redis');
+    }
+    return new FileStorage(filePath);
+  },
+  redis: () => {
+    if (!process.env.REDIS_URL) {
+      throw new Error('STORAGE_BACKEND=redis needs REDIS_URL');
+    }
+    return new RedisStorage(process.env.REDIS_URL, process.env.STORAGE_PREFIX || 'hilton-heat:db:');
+  }
+};
+
+/**
+ * redis when REDIS_URL is set, else file; Vercel has no durable disk, so
+ * there REDIS_URL is required
+ */
+function defaultBackend() {
+  if (process.env.REDIS_URL) return 'redis';
+  if (process.env.VERCEL) {
+    throw new Error('Storage on Vercel needs REDIS_URL (STORAGE_BACKEND=redis); /tmp is per instance and wiped on cold starts');
+  }
+  return 'file';
+}
+
+let storage = null;
+
+/**
+ * Storage backend for this process, created on first use
+ */
+function getStorage() {
+  if (!storage) {
+    const backend = process.env.STORAGE_BACKEND || defaultBackend();
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    storage = BACKENDS[backend]();
+  }
+  return storage;
+}
+
+/**
+ * Replace the process-wide backend (tests, or a backend defined elsewhere)
+ */
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = {
+  getStorage,
+  setStorage,
+  MemoryStorage,
+  FileStorage,
+  RedisStorage
+};
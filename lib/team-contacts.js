@@ -0,0 +1,531 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { parseCsv, toCsv } = require('./csv');
+
+const CONTACTS = 'team-contacts';
+const SETTINGS = 'settings';
+const SEEDED_ID = 'team-contacts-seeded';
+const LEVELS_ID = 'team-levels';
+
+const CONTACT_ROLES = ['head coach', 'manager', 'owner'];
+
+/**
+ * Team contacts directory: the head coaches, managers and owners of each
+ * team, who get scrimmage requests and callup alerts. Managed at
+ * /api/contacts and /contacts.html.
+ *
+ * Contact: { id, name, email, phone, teams, active, scrimmageOptOut, createdAt, updatedAt }
+ *   teams           - [{ team, role }]; team labels look like "BU12 - Borcyk"
+ *                     (age group, then the head coach's name) and role is one
+ *                     of CONTACT_ROLES
+ *   active          - inactive contacts are kept but get no emails
+ *   scrimmageOptOut - still gets callup alerts, but not scrimmage requests
+ *
+ * Team levels are kept apart from contacts, one per team label, in the
+ * `settings` collection ({ id: 'team-levels', levels: { "BU12 - Borcyk": "1" } }).
+ * A level is the team's RDYSL division number; scrimmage requests that ask
+ * for a level only go to teams at that level (and teams with none set).
+ */
+
+// The contacts that used to be hardcoded here. They seed an empty directory
+// once, grouped by age group prefix (e.g., "BU09" = Boys U9).
+const SEED_CONTACTS = {
+  BU09: [
+    { name: 'Anthony D\'Alonzo', email: 'adalonzo2@gmail.com', team: 'BU09 - D\'Alonzo' },
+    { name: 'Jeff Ford', email: 'fordjeffreya@gmail.com', team: 'BU09 - D\'Alonzo' },
+    { name: 'Tracey D\'Alonzo', email: 'thedalonzos@gmail.com', team: 'BU09 - D\'Alonzo' },
+    { name: 'Mike Tette', email: 'mtette12@gmail.com', team: 'BU09 - Tette' },
+    { name: 'Liz Sharpe', email: 'elizabeth.c.sharpe@gmail.com', team: 'BU09 - Tette' },
+  ],
+  BU10: [
+    { name: 'Tony Cafarelli', email: 'president@hiltonheat.com', team: 'BU10 - Wallenhorst' },
+    { name: 'Brian Wallenhorst', email: 'bwallenhorst@gmail.com', team: 'BU10 - Wallenhorst' },
+    { name: 'Savannah Wallenhorst', email: 'slwallenhorst@gmail.com', team: 'BU10 - Wallenhorst' },
+  ],
+  BU11: [
+    { name: 'Jamie Miner', email: 'jlouise36@yahoo.com', team: 'BU11 - Miner' },
+    { name: 'Jarrod Miner', email: 'jarrod.miner@yahoo.com', team: 'BU11 - Miner' },
+    { name: 'Steven Battisti', email: 'stevenbattisti703@gmail.com', team: 'BU11 - Miner' },
+    { name: 'Kyle Semrau', email: 'kylesemrau10@gmail.com', team: 'BU11 - Miner' },
+    { name: 'Tiffany Meyer', email: 'tlb09708@hotmail.com', team: 'BU11 - Meyer' },
+    { name: 'Jim Meyer', email: 'jamescmeyer3@gmail.com', team: 'BU11 - Meyer' },
+  ],
+  BU12: [
+    { name: 'Vikki Schulz', email: 'wschulz@hotmail.com', team: 'BU12 - Borcyk' },
+    { name: 'Justin DiPasquale', email: 'justin.dipasquale@gmail.com', team: 'BU12 - Borcyk' },
+    { name: 'Ryan Borcyk', email: 'ryanborcyk@gmail.com', team: 'BU12 - Borcyk' },
+    { name: 'Stefanie Glad', email: 'stefanie0124@gmail.com', team: 'BU12 - Sotile' },
+    { name: 'Jacob Ostrander', email: 'jacobostrander@hotmail.com', team: 'BU12 - Sotile' },
+    { name: 'Marc Sotile', email: 'joeys.place@yahoo.com', team: 'BU12 - Sotile' },
+  ],
+  BU13: [
+    { name: 'Jasmin Efing', email: 'jasz320@hotmail.com', team: 'BU13 - Pollock' },
+    { name: 'Ryan Pollock', email: 'tryfecta1023@yahoo.com', team: 'BU13 - Pollock' },
+    { name: 'Eduardo Garcia', email: 'eduardo.garcia.c@gmail.com', team: 'BU13 - Garcia' },
+    { name: 'Stephanie Happ', email: 'flowercitystephanie@gmail.com', team: 'BU13 - Garcia' },
+  ],
+  BU14: [
+    { name: 'Tony Guzzetta', email: 'aguzzetta@spencerportschools.org', team: 'BU14 - Guzzetta' },
+    { name: 'Ryan McNair', email: 'rymc2009@yahoo.com', team: 'BU14 - Guzzetta' },
+    { name: 'Lyndsay Grimes', email: 'lyndsaygrimes3@gmail.com', team: 'BU14 - Guzzetta' },
+  ],
+  BU15: [
+    { name: 'Nicole Flaitz', email: 'nrpaquette@yahoo.com', team: 'BU15 - Flaitz' },
+    { name: 'Eric Flaitz', email: 'flaitze081580@yahoo.com', team: 'BU15 - Flaitz' },
+    { name: 'Frank D\'Ambrosio', email: 'taxman0919@yahoo.com', team: 'BU15 - D\'Ambrosio' },
+    { name: 'Sheri Walker', email: 'sheri1129@gmail.com', team: 'BU15 - D\'Ambrosio' },
+    { name: 'Michael Tette', email: 'mtette12@gmail.com', team: 'BU15 - D\'Ambrosio' },
+  ],
+  BU16: [
+    { name: 'Jasmin Efing', email: 'jasz320@hotmail.com', team: 'BU16 - Fromm' },
+    { name: 'Tony Fromm', email: 'tony.fromm@gmail.com', team: 'BU16 - Fromm' },
+    { name: 'Joe Giuliano', email: 'joeysoccer2002@yahoo.com', team: 'BU16 - Fromm' },
+    { name: 'Brendon Wade', email: 'brendon.wade@constellation.com', team: 'BU16 - Fromm' },
+  ],
+  GU09: [
+    { name: 'Sheena Sanna', email: 'sheenat@gmail.com', team: 'GU09 - Diedrich' },
+    { name: 'Tyler Diedrich', email: 'tdiedrich22@gmail.com', team: 'GU09 - Diedrich' },
+    { name: 'Mark Olles', email: 'mark.olles@gmail.com', team: 'GU09 - Diedrich' },
+    { name: 'Dana Christensen', email: 'dkchristensen15@yahoo.com', team: 'GU09 - Christensen' },
+    { name: 'Brandon White', email: 'brandonwhite1@gmail.com', team: 'GU09 - Christensen' },
+  ],
+  GU10: [
+    { name: 'Mark Bellavia', email: 'mbellavia10@hotmail.com', team: 'GU10 - Bellavia' },
+    { name: 'Lindsay Thompson', email: 'thompson14519@gmail.com', team: 'GU10 - Bellavia' },
+    { name: 'Christina Vargas', email: 'cvargas8410@gmail.com', team: 'GU10 - Vargas' },
+    { name: 'Annmarie Weber', email: 'annmariekandersson@gmail.com', team: 'GU10 - Vargas' },
+  ],
+  GU11: [
+    { name: 'Kaitlyn Stagnitta', email: 'kaitlynsayers@yahoo.com', team: 'GU11 - Stagnitta' },
+    { name: 'Carmen Stagnitta', email: 'cstag1@yahoo.com', team: 'GU11 - Stagnitta' },
+    { name: 'Christa Bowling', email: 'christabowling@yahoo.com', team: 'GU11 - Bowling' },
+    { name: 'Chris Bowling', email: 'cbowling.tremco@yahoo.com', team: 'GU11 - Bowling' },
+  ],
+  GU12: [
+    { name: 'Karyn Prior', email: 'karyn13@aol.com', team: 'GU12 - Colavecchia' },
+    { name: 'Gregory Colavecchia', email: 'gregorycolavecchia@gmail.com', team: 'GU12 - Colavecchia' },
+    { name: 'Pat Shaw', email: 'patrickshaw7244@gmail.com', team: 'GU12 - Colavecchia' },
+    { name: 'Liz Sharpe', email: 'elizabeth.c.sharpe@gmail.com', team: 'GU12 - Zecher' },
+    { name: 'Jon Zecher', email: 'zecka84@icloud.com', team: 'GU12 - Zecher' },
+  ],
+  GU13: [
+    { name: 'Josh Montagliano', email: 'jmontagliano@yahoo.com', team: 'GU13 - Montagliano' },
+    { name: 'Katie Shedler', email: 'katiegabor@hotmail.com', team: 'GU13 - Montagliano' },
+  ],
+  GU14: [
+    { name: 'Alane DiMartino', email: 'blaisal83@gmail.com', team: 'GU14 - DiMartino-DiGiacco' },
+    { name: 'Brian DiGiacco', email: 'bdigiacco@rdgandpartners.com', team: 'GU14 - DiMartino-DiGiacco' },
+  ],
+  GU15: [
+    { name: 'Shannon Pollock', email: 'shanie1023@yahoo.com', team: 'GU15 - Pollock' },
+    { name: 'Ryan Pollock', email: 'tryfecta1023@yahoo.com', team: 'GU15 - Pollock' },
+    { name: 'Josh Zaremba', email: 'joshua.zaremba@gmail.com', team: 'GU15 - Pollock' },
+  ],
+  GU16: [
+    { name: 'Jackie Niedzwiecki', email: 'keller3583@gmail.com', team: 'GU16 - Niedzwiecki' },
+    { name: 'Justin Niedzwiecki', email: 'jniedzwiecki8@gmail.com', team: 'GU16 - Niedzwiecki' },
+  ],
+  // Test entry - sends to webmaster only
+  BU99: [
+    { name: 'Test Webmaster', email: 'webmaster@hiltonheat.com', team: 'BU99 - Test' },
+  ],
+};
+
+function buildAgeGroupKey(gender, ageGroup) {
+  // gender: "Boys" or "Girls", ageGroup: "U9", "U10", etc.
+  const prefix = gender.toLowerCase().startsWith('b') ? 'B' : 'G';
+  const age = String(ageGroup).toUpperCase().replace(/^U/, '');
+  return `${prefix}U${age.padStart(2, '0')}`;
+}
+
+/**
+ * Division number ("2") from "2", "D2", "Div 2" or "Division 2", or null
+ */
+function normalizeLevel(value) {
+  const match = String(value || '').match(/^\s*(?:d|div|division)?\.?\s*0*(\d{1,2})\s*$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * "Division 1 or Division 2" for a list of levels
+ */
+function describeLevels(levels) {
+  return levels.map(level => `Division ${level}`).join(' or ');
+}
+
+/**
+ * Age group key ("BU12") of a team name such as "BU12 Borcyk" or "Hilton Heat BU9 Tette", or null
+ */
+function teamAgeGroup(teamName) {
+  const match = String(teamName || '').match(/\b([BG])U\s?0?(\d{1,2})\b/i);
+  return match ? `${match[1].toUpperCase()}U${match[2].padStart(2, '0')}` : null;
+}
+
+/**
+ * Whether a team name as it appears in RDYSL data (e.g. "BU12 Borcyk") is
+ * the team with our label (e.g. "BU12 - Borcyk"): same age group, and the
+ * coach name after the dash appears in the name.
+ */
+function teamMatches(teamName, label) {
+  const ageGroup = teamAgeGroup(teamName);
+  if (!ageGroup || ageGroup !== teamAgeGroup(label)) return false;
+
+  const coachName = String(label).split(' - ').slice(1).join(' - ').toLowerCase();
+  return !!coachName && String(teamName).toLowerCase().includes(coachName);
+}
+
+/**
+ * Our label among `teams` for a team name as it appears in RDYSL data, or null
+ */
+function resolveTeam(teamName, teams) {
+  return teams.find(label => teamMatches(teamName, label)) || null;
+}
+
+/**
+ * Tidy a team label to "BU12 - Borcyk" form, or null when it doesn't name
+ * an age group and a coach
+ */
+function normalizeTeamLabel(team) {
+  const match = String(team || '').trim().match(/^([BG])U\s?0?(\d{1,2})\s*-?\s*(\S.*)$/i);
+  return match ? `${match[1].toUpperCase()}U${match[2].padStart(2, '0')} - ${match[3].trim()}` : null;
+}
+
+/**
+ * Check and tidy contact input. Returns { contact } or { error }.
+ * `teams` may be [{ team, role }] or team labels (role defaults to manager).
+ */
+function validateContact(input) {
+  const name = String(input.name || '').trim().replace(/\s+/g, ' ');
+  const email = String(input.email || '').trim().toLowerCase();
+  const phone = String(input.phone || '').trim();
+
+  if (!name) return { error: 'Contact name is required' };
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return { error: `A valid email is required for ${name}` };
+
+  const teams = [];
+  for (const entry of Array.isArray(input.teams) ? input.teams : []) {
+    const membership = typeof entry === 'string' ? { team: entry } : (entry || {});
+    const team = normalizeTeamLabel(membership.team);
+    const role = String(membership.role || 'manager').trim().toLowerCase();
+
+    if (!team) return { error: `Team for ${name} must look like "BU12 - Borcyk" (got "${membership.team || ''}")` };
+    if (!CONTACT_ROLES.includes(role)) return { error: `Role for ${name} must be one of ${CONTACT_ROLES.join(', ')}` };
+    if (!teams.some(existing => existing.team === team)) teams.push({ team, role });
+  }
+
+  return {
+    contact: {
+      name,
+      email,
+      phone: phone || null,
+      teams: teams.sort((a, b) => a.team.localeCompare(b.team)),
+      active: input.active !== false,
+      scrimmageOptOut: input.scrimmageOptOut === true
+    }
+  };
+}
+
+/**
+ * Every contact, sorted by name. The first call on an empty store seeds it
+ * from SEED_CONTACTS.
+ */
+async function listContacts() {
+  await seedContacts();
+  const contacts = await getStorage().list(CONTACTS);
+  return contacts.sort((a, b) => a.name.localeCompare(b.name) || a.email.localeCompare(b.email));
+}
+
+async function getContact(id) {
+  return getStorage().get(CONTACTS, id);
+}
+
+/**
+ * Create (id null) or update a contact. Emails are unique across contacts.
+ */
+async function saveContact(id, input) {
+  const { contact, error } = validateContact(input);
+  if (error) return { error };
+
+  const existing = id ? await getContact(id) : null;
+  if (id && !existing) return { error: 'Contact not found' };
+
+  const sameEmail = (await listContacts()).find(other => other.email === contact.email);
+  if (sameEmail && sameEmail.id !== id) return { error: `${contact.email} is already a contact` };
+
+  const now = new Date().toISOString();
+  const saved = {
+    id: id || `con_${crypto.randomBytes(6).toString('hex')}`,
+    ...contact,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  await getStorage().put(CONTACTS, saved);
+  return { contact: saved };
+}
+
+async function deleteContact(id) {
+  return getStorage().remove(CONTACTS, id);
+}
+
+/**
+ * Team labels with at least one contact, sorted
+ */
+async function listTeams() {
+  const teams = new Set();
+  (await listContacts()).forEach(contact => contact.teams.forEach(membership => teams.add(membership.team)));
+  return [...teams].sort();
+}
+
+/**
+ * Active contacts for one team, given a team name as it appears in RDYSL
+ * data (e.g. "BU12 Borcyk" or "BU12 - Borcyk"), from a listContacts()
+ * result. Returns [{ name, email, team, role }], or [] when no team matches.
+ */
+function findTeamContacts(contacts, teamName) {
+  const found = [];
+  contacts.filter(contact => contact.active).forEach(contact => {
+    contact.teams
+      .filter(membership => teamMatches(teamName, membership.team))
+      .forEach(membership => found.push({ name: contact.name, email: contact.email, team: membership.team, role: membership.role }));
+  });
+  return found;
+}
+
+/**
+ * Active contacts who take scrimmage requests for an age group key such as
+ * "BU12", as [{ name, email, team, role, level }]. With `levels` (division
+ * numbers) only teams at one of those levels, or with no level set, are included.
+ */
+async function findScrimmageContacts(ageGroup, levels = []) {
+  const teamLevels = await getTeamLevels();
+  const atLevel = team => levels.length === 0 || !teamLevels[team] || levels.includes(teamLevels[team]);
+
+  const found = [];
+  (await listContacts())
+    .filter(contact => contact.active && !contact.scrimmageOptOut)
+    .forEach(contact => {
+      contact.teams
+        .filter(membership => teamAgeGroup(membership.team) === ageGroup && atLevel(membership.team))
+        .forEach(membership => found.push({
+          name: contact.name,
+          email: contact.email,
+          team: membership.team,
+          role: membership.role,
+          level: teamLevels[membership.team] || null
+        }));
+    });
+  return found;
+}
+
+/**
+ * Each team label's level, as { "BU12 - Borcyk": "1" }
+ */
+async function getTeamLevels() {
+  const saved = await getStorage().get(SETTINGS, LEVELS_ID);
+  return (saved && saved.levels) || {};
+}
+
+/**
+ * Set (or with an empty level, clear) a team's level. Returns { team, level } or { error }.
+ */
+async function setTeamLevel(teamName, value) {
+  const team = resolveTeam(teamName, await listTeams());
+  if (!team) return { error: `Unknown team "${teamName}"; use a team from the contacts directory, e.g. "BU12 - Borcyk"` };
+
+  const level = normalizeLevel(value);
+  if (String(value || '').trim() && !level) return { error: 'Level must be a division number, e.g. 2 or "Div 2"' };
+
+  const levels = await getTeamLevels();
+  if (level) levels[team] = level;
+  else delete levels[team];
+  await getStorage().put(SETTINGS, { id: LEVELS_ID, levels });
+  return { team, level };
+}
+
+const CSV_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'team', label: 'Team' },
+  { key: 'role', label: 'Role' },
+  { key: 'active', label: 'Active' },
+  { key: 'scrimmageEmails', label: 'Scrimmage Emails' }
+];
+
+/**
+ * The directory as CSV, one row per contact and team (contacts without a
+ * team get one row with the team left blank). importContactsCsv() reads it back.
+ */
+async function exportContactsCsv() {
+  const rows = [];
+  (await listContacts()).forEach(contact => {
+    const base = {
+      name: contact.name,
+      email: contact.email,
+      phone: contact.phone,
+      active: contact.active ? 'Yes' : 'No',
+      scrimmageEmails: contact.scrimmageOptOut ? 'No' : 'Yes'
+    };
+    if (contact.teams.length === 0) rows.push(base);
+    contact.teams.forEach(membership => rows.push({ ...base, team: membership.team, role: membership.role }));
+  });
+  return toCsv(rows, CSV_COLUMNS);
+}
+
+/**
+ * Import contacts from CSV, one row per contact and team, with the headers
+ * exportContactsCsv() writes (Name, Email, Phone, Team, Role, Active,
+ * Scrimmage Emails; case-insensitive). Rows for the same email are merged.
+ * Existing contacts with that email are replaced. Contacts that fail
+ * validation are reported, not imported.
+ *
+ * With `replace`, contacts missing from the file are removed too, but only
+ * when every contact is valid: a file with errors or no contacts returns
+ * { error, errors } and leaves the directory untouched.
+ */
+async function importContactsCsv(text, options) {
+  const replace = !!(options && options.replace);
+  const rows = parseCsv(text);
+  const errors = [];
+  const byEmail = new Map();
+
+  rows.forEach((row, index) => {
+    const field = headerLookup(row);
+    const email = field('email', 'e-mail').toLowerCase();
+    // +2: header row, and spreadsheet rows count from 1
+    const line = index + 2;
+
+    if (!byEmail.has(email)) {
+      byEmail.set(email, {
+        line,
+        input: {
+          name: field('name', 'contact', 'contact name'),
+          email,
+          phone: field('phone', 'phone number'),
+          teams: [],
+          active: !isNo(field('active')),
+          scrimmageOptOut: isNo(field('scrimmage emails', 'scrimmage'))
+        }
+      });
+    }
+    const team = field('team', 'team name');
+    if (team) byEmail.get(email).input.teams.push({ team, role: field('role') || undefined });
+  });
+
+  const valid = [];
+  byEmail.forEach(({ line, input }) => {
+    const { contact, error } = validateContact(input);
+    if (error) errors.push({ line, error });
+    else valid.push({ line, contact });
+  });
+
+  if (replace && (errors.length > 0 || valid.length === 0)) {
+    return {
+      error: valid.length === 0
+        ? 'The CSV has no valid contacts; the directory was not replaced'
+        : `${errors.length} contact${errors.length === 1 ? '' : 's'} failed validation; fix them and import again to replace the directory`,
+      errors
+    };
+  }
+
+  const storage = getStorage();
+  const existing = await listContacts();
+  const matches = new Map(existing.map(contact => [contact.email, contact]));
+  const kept = new Set();
+  let created = 0;
+  let updated = 0;
+
+  for (const { line, contact } of valid) {
+    const match = matches.get(contact.email);
+    const { contact: saved, error } = await saveContact(match ? match.id : null, contact);
+    if (error) {
+      errors.push({ line, error });
+      continue;
+    }
+    kept.add(saved.id);
+    if (match) updated++;
+    else created++;
+  }
+
+  let removed = 0;
+  if (replace) {
+    for (const contact of existing) {
+      if (kept.has(contact.id)) continue;
+      await storage.remove(CONTACTS, contact.id);
+      removed++;
+    }
+  }
+
+  return { created, updated, removed, errors };
+}
+
+function headerLookup(row) {
+  const normalized = {};
+  Object.keys(row).forEach(key => {
+    normalized[key.trim().toLowerCase()] = row[key];
+  });
+  return (...names) => {
+    const found = names.find(name => normalized[name]);
+    return found ? normalized[found].trim() : '';
+  };
+}
+
+function isNo(value) {
+  return /^(no|n|false|0)$/i.test(String(value || '').trim());
+}
+
+/**
+ * Fill an empty directory from SEED_CONTACTS, once. People listed under
+ * several teams become one contact with several teams; whoever shares the
+ * team's coach name is marked head coach and everyone else manager, so roles
+ * are worth checking after the first run.
+ */
+async function seedContacts() {
+  const storage = getStorage();
+  if (await storage.get(SETTINGS, SEEDED_ID)) return;
+
+  if ((await storage.list(CONTACTS)).length === 0) {
+    const byEmail = new Map();
+    Object.values(SEED_CONTACTS).forEach(group => group.forEach(seed => {
+      const email = seed.email.toLowerCase();
+      if (!byEmail.has(email)) byEmail.set(email, { name: seed.name, email, teams: [] });
+
+      const surname = seed.name.split(' ').pop().toLowerCase();
+      const coachName = seed.team.split(' - ').slice(1).join(' - ').toLowerCase();
+      byEmail.get(email).teams.push({ team: seed.team, role: coachName.includes(surname) ? 'head coach' : 'manager' });
+    }));
+
+    const now = new Date().toISOString();
+    for (const input of byEmail.values()) {
+      const { contact } = validateContact(input);
+      // Ids from the email, so two instances seeding at once write the same records
+      const id = `con_${crypto.createHash('sha256').update(contact.email).digest('hex').slice(0, 12)}`;
+      await storage.put(CONTACTS, { id, ...contact, createdAt: now, updatedAt: now });
+    }
+  }
+
+  await storage.put(SETTINGS, { id: SEEDED_ID, seededAt: new Date().toISOString() });
+}
+
+module.exports = {
+  CONTACT_ROLES,
+  buildAgeGroupKey,
+  normalizeLevel,
+  describeLevels,
+  teamAgeGroup,
+  teamMatches,
+  resolveTeam,
+  normalizeTeamLabel,
+  validateContact,
+  listContacts,
+  getContact,
+  saveContact,
+  deleteContact,
+  listTeams,
+  findTeamContacts,
+  findScrimmageContacts,
+  getTeamLevels,
+  setTeamLevel,
+  exportContactsCsv,
+  importContactsCsv
+};
@@ -0,0 +1,62 @@
+const { listPlayers, joinRoster } = require('./roster');
+const { teamMatches } = require('./team-contacts');
+
+/**
+ * Which players a signed-in user may see.
+ *
+ * Admins see the whole club. Coaches see only their own teams (session.teams,
+ * labels from the contacts directory such as "BU12 - Borcyk"); a coach with
+ * no teams sees nobody. Viewers are club-wide unless an admin has given them
+ * teams. Byga sessions have no account, so they are always limited to
+ * BYGA_TEAMS, and see nobody when it's unset.
+ *
+ * A player belongs to a team when it's their home team, or when one of their
+ * callups was from or into that team, so coaches also see the players they
+ * called up.
+ */
+
+/**
+ * Team labels the session is limited to, or null for everything
+ */
+function teamScope(session) {
+  const teams = (session && session.teams) || [];
+  if (!session || session.role === 'admin') return null;
+  if (session.role === 'viewer' && teams.length === 0 && session.sub !== 'byga') return null;
+  return teams;
+}
+
+/**
+ * Whether a roster-joined summary row (formatSummary(..., true)) is on one of `teams`
+ */
+function isPlayerInScope(row, teams) {
+  if (!teams) return true;
+
+  const rowTeams = [row.homeTeam];
+  (row.callups || []).forEach(callup => rowTeams.push(callup.fromTeam, callup.toTeam));
+  return rowTeams.some(team => team && teams.some(label => teamMatches(team, label)));
+}
+
+/**
+ * Summary rows (joined to the roster, callups included) on one of `teams`
+ */
+function scopeSummary(summary, teams) {
+  return teams ? summary.filter(row => isPlayerInScope(row, teams)) : summary;
+}
+
+/**
+ * Predicate for raw summary rows, e.g. from stored snapshots, which aren't
+ * joined to the roster yet. Loads the roster once.
+ */
+async function createScopeFilter(teams) {
+  if (!teams) return () => true;
+
+  const roster = await listPlayers();
+  return row => isPlayerInScope(joinRoster([row], roster)[0], teams);
+}
+
+module.exports = {
+  teamScope,
+  isPlayerInScope,
+  scopeSummary,
+  createScopeFilter
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { ROLES } = require('./session-token');
+const { listTeams, resolveTeam } = require('./team-contacts');
+
+const USERS = 'users';
+
+/**
+ * Dashboard user accounts.
+ *
+ * User: { id, email, name, role, teams, active, passwordHash, createdAt, updatedAt }
+ *   role         - viewer, coach or admin (see ROLES in lib/session-token.js)
+ *   teams        - team labels from the contacts directory (e.g. "BU12 - Borcyk") the
+ *                  user's views are limited to; see lib/team-scope.js
+ *   passwordHash - scrypt hash, or null for magic-link-only accounts
+ *
+ * Emails listed in ADMIN_EMAILS are admins even before an account exists;
+ * the first magic-link sign-in creates their account.
+ */
+
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Check and tidy user input. Returns { user } or { error }. The password is
+ * optional; when given it must be at least 10 characters. `knownTeams`
+ * (listTeams()) are the team labels `teams` may name.
+ */
+function validateUser(input, knownTeams = []) {
+  const email = normalizeEmail(input.email);
+  const name = String(input.name || '').trim();
+  const role = String(input.role || 'viewer').trim().toLowerCase();
+  const teamNames = (Array.isArray(input.teams) ? input.teams : String(input.teams || '').split(','))
+    .map(team => String(team).trim())
+    .filter(Boolean);
+  const teams = [...new Set(teamNames.map(team => resolveTeam(team, knownTeams)))];
+
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return { error: 'A valid email is required' };
+  if (!ROLES.includes(role)) return { error: `Role must be one of ${ROLES.join(', ')}` };
+  if (input.password !== undefined && input.password !== null && input.password !== '' &&
+      String(input.password).length < 10) {
+    return { error: 'Password must be at least 10 characters' };
+  }
+  const unknownTeam = teamNames.find(team => !resolveTeam(team, knownTeams));
+  if (unknownTeam) return { error: `Unknown team "${unknownTeam}"; use a team from the contacts directory, e.g. "BU12 - Borcyk"` };
+
+  return { user: { email, name: name || email, role, teams: teams.sort(), active: input.active !== false } };
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Users without their password hashes, sorted by email
+ */
+async function listUsers() {
+  const users = await getStorage().list(USERS);
+  return users.map(publicUser).sort((a, b) => a.email.localeCompare(b.email));
+}
+
+async function getUser(id) {
+  return getStorage().get(USERS, id);
+}
+
+async function findUserByEmail(email) {
+  const key = normalizeEmail(email);
+  const users = await getStorage().list(USERS);
+  return users.find(user => user.email === key) || null;
+}
+
+const EDITABLE_FIELDS = ['email', 'name', 'role', 'teams', 'active'];
+
+/**
+ * Create (id null) or update a user. An update only changes the fields it
+ * gives, so leaving out role or teams keeps them; a new password replaces
+ * the old one and leaving it out keeps the current password.
+ */
+async function saveUser(id, input) {
+  const existing = id ? await getUser(id) : null;
+  if (id && !existing) return { error: 'User not found' };
+
+  const merged = { ...input };
+  if (existing) {
+    EDITABLE_FIELDS.filter(field => input[field] === undefined).forEach(field => { merged[field] = existing[field]; });
+  }
+
+  const { user, error } = validateUser(merged, await listTeams());
+  if (error) return { error };
+
+  const sameEmail = await findUserByEmail(user.email);
+  if (sameEmail && sameEmail.id !== id) return { error: `${user.email} already has an account` };
+
+  const now = new Date().toISOString();
+  const saved = {
+    id: id || `usr_${crypto.randomBytes(6).toString('hex')}`,
+    ...user,
+    passwordHash: input.password ? await hashPassword(String(input.password)) : (existing ? existing.passwordHash : null),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  await getStorage().put(USERS, saved);
+  return { user: publicUser(saved) };
+}
+
+async function deleteUser(id) {
+  return getStorage().remove(USERS, id);
+}
+
+/**
+ * The active account for email + password, or null
+ */
+async function authenticatePassword(email, password) {
+  const user = await findUserByEmail(email);
+  if (!user || !user.active || !user.passwordHash || !password) {
+    // Same work whether or not the account exists
+    await hashPassword(String(password || ''));
+    return null;
+  }
+  return (await verifyPassword(String(password), user.passwordHash)) ? user : null;
+}
+
+/**
+ * The active account a magic link for `email` signs in to. ADMIN_EMAILS get
+ * an admin account created on first use.
+ */
+async function findOrCreateMagicLinkUser(email) {
+  const user = await findUserByEmail(email);
+  if (user) return user.active ? user : null;
+
+  if (!adminEmails().includes(normalizeEmail(email))) return null;
+
+  const { user: created } = await saveUser(null, { email, role: 'admin' });
+  return getUser(created.id);
+}
+
+function adminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(normalizeEmail)
+    .filter(Boolean);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, key) => {
+      if (error) reject(error);
+      else resolve(`scrypt:${salt.toString('hex')}:${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, saltHex, keyHex] = String(passwordHash).split(':');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return Promise.resolve(false);
+
+  const expected = Buffer.from(keyHex, 'hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, (error, key) => {
+      if (error) reject(error);
+      else resolve(crypto.timingSafeEqual(key, expected));
+    });
+  });
+}
+
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return { ...rest, teams: user.teams || [], hasPassword: !!passwordHash };
+}
+
+module.exports = {
+  validateUser,
+  listUsers,
+  getUser,
+  findUserByEmail,
+  saveUser,
+  deleteUser,
+  authenticatePassword,
+  findOrCreateMagicLinkUser,
+  publicUser
+};
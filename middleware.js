@@ -1,32 +1,59 @@
+import { SESSION_COOKIE, verifyToken, parseCookies } from './lib/session-token.js';
+
 export const config = {
   matcher: [
     '/',
     '/index.html',
     '/rdysl-callup-checker.html',
+    '/contacts.html',
+    '/scrimmages.html',
+    '/player.html',
+    '/player/:path*',
+    '/api/:path*',
   ],
 };
 
-export default function middleware(request) {
+// Endpoints that do their own auth (sign-in, Vercel cron's bearer token) or
+// are meant to be public
+const PUBLIC_API_PREFIXES = [
+  '/api/auth',
+  '/api/health',
+  '/api/scrimmage-request',
+  '/api/schedule/calendar',
+  '/api/cron/',
+];
+
+/**
+ * Pages and APIs need a valid signed session (see lib/session-token.js).
+ * Pages redirect to the login page; APIs answer 401. Role checks happen in
+ * the API handlers, which also re-check the session against the user store.
+ */
+export default async function middleware(request) {
+  const url = new URL(request.url);
+  const isApi = url.pathname.startsWith('/api/');
+
+  if (isApi && (request.method === 'OPTIONS' || PUBLIC_API_PREFIXES.some(prefix => url.pathname.startsWith(prefix)))) {
+    return;
+  }
+
   const cookies = parseCookies(request.headers.get('cookie') || '');
+  const session = await verifyToken(cookies[SESSION_COOKIE], {
+    type: 'session',
+    secret: process.env.SESSION_SECRET,
+  });
 
-  if (cookies['hh_access']) {
+  if (session) {
     return;
   }
 
-  const url = new URL(request.url);
+  if (isApi) {
+    return new Response(JSON.stringify({ success: false, error: 'Sign in required' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
   const loginUrl = new URL('/login.html', request.url);
   loginUrl.searchParams.set('from', url.pathname);
   return Response.redirect(loginUrl.toString(), 302);
 }
-
-function parseCookies(cookieHeader) {
-  const cookies = {};
-  if (!cookieHeader) return cookies;
-  cookieHeader.split(';').forEach((cookie) => {
-    const [name, ...rest] = cookie.trim().split('=');
-    if (name) {
-      cookies[name.trim()] = rest.join('=').trim();
-    }
-  });
-  return cookies;
-}
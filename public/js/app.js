@@ -10,6 +10,7 @@ const forceRefreshCheckbox = document.getElementById('forceRefresh');
 const loadingDiv = document.getElementById('loading');
 const errorDiv = document.getElementById('error');
 const errorMsg = document.getElementById('errorMsg');
+const acceptDropBtn = document.getElementById('acceptDropBtn');
 const successDiv = document.getElementById('success');
 const successMsg = document.getElementById('successMsg');
 const resultsDiv = document.getElementById('results');
@@ -22,26 +23,207 @@ const overLimitEl = document.getElementById('overLimit');
 const totalCallupsEl = document.getElementById('totalCallups');
 const playerTableEl = document.getElementById('playerTable');
 const lastUpdatedEl = document.getElementById('lastUpdated');
+const teamFilterEl = document.getElementById('teamFilter');
+const ageGroupFilterEl = document.getElementById('ageGroupFilter');
+const groupByEl = document.getElementById('groupBy');
+const viewSummaryEl = document.getElementById('viewSummary');
+const seasonSelectEl = document.getElementById('seasonSelect');
+const userBarEl = document.getElementById('userBar');
+
+// Callup pre-check elements
+const checkPlayersEl = document.getElementById('checkPlayers');
+const checkTeamEl = document.getElementById('checkTeam');
+const checkTeamOptionsEl = document.getElementById('checkTeamOptions');
+const checkDateEl = document.getElementById('checkDate');
+const checkBtn = document.getElementById('checkBtn');
+const checkErrorEl = document.getElementById('checkError');
+const checkResultsEl = document.getElementById('checkResults');
+const checkTableEl = document.getElementById('checkTable');
+
+// Most recent API response, kept so the view can re-render without refetching
+let currentData = null;
+
+// Signed-in user's role, from /api/auth/session
+let userRole = null;
+
+// Filters, sort and grouping of the player table, kept in the query string
+// (public/js/callup-view.js) so a view can be shared as a link
+let view = CallupView.readView(window.location.search);
 
 // Event Listeners
 getDataBtn.addEventListener('click', loadCallupData);
+acceptDropBtn.addEventListener('click', acceptDrop);
 playerSearchInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') loadCallupData();
 });
+playerSearchInput.addEventListener('input', () => updateView({ search: playerSearchInput.value.trim() }));
+teamFilterEl.addEventListener('change', () => updateView({ team: teamFilterEl.value }));
+ageGroupFilterEl.addEventListener('change', () => updateView({ ageGroup: ageGroupFilterEl.value }));
+groupByEl.addEventListener('change', () => updateView({ group: groupByEl.value }));
+seasonSelectEl.addEventListener('change', () => {
+    updateView({ season: seasonSelectEl.value });
+    if (currentData) loadCallupData();
+});
+document.querySelectorAll('#statusChips .chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+        const status = view.status.includes(chip.dataset.status)
+            ? view.status.filter(key => key !== chip.dataset.status)
+            : view.status.concat(chip.dataset.status);
+        updateView({ status: CallupView.STATUS_KEYS.filter(key => status.includes(key)) });
+    });
+});
+document.querySelectorAll('th .sort').forEach(button => {
+    button.addEventListener('click', () => {
+        const sort = button.dataset.sort;
+        const dir = view.sort === sort
+            ? (view.dir === 'asc' ? 'desc' : 'asc')
+            : CallupView.defaultDirection(sort);
+        updateView({ sort, dir });
+    });
+});
+document.getElementById('copyViewLink').addEventListener('click', copyViewLink);
+checkBtn.addEventListener('click', checkCallups);
+document.querySelectorAll('.export-btn').forEach(btn => {
+    btn.addEventListener('click', () => exportReport(btn.dataset.format));
+});
+document.getElementById('signOutLink').addEventListener('click', signOut);
+document.querySelectorAll('.tab').forEach(tab => {
+    tab.addEventListener('click', () => showTab(tab.dataset.tab));
+});
+
+loadSession();
+loadSeasons();
+playerSearchInput.value = view.search;
+showView();
+if (window.location.hash === '#fines') showTab('fines');
+// A shared link opens straight on its players
+if (window.location.search) loadCallupData();
+
+/**
+ * Switch the dashboard to the "callups" or "fines" tab; the hash keeps it across reloads
+ */
+function showTab(name) {
+    document.querySelectorAll('.tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === name);
+    });
+    document.querySelectorAll('[data-tab-panel]').forEach(panel => {
+        panel.classList.toggle('hidden', panel.dataset.tabPanel !== name);
+    });
+    history.replaceState(null, '', name === 'callups' ? window.location.pathname + window.location.search : `#${name}`);
+}
+
+/**
+ * Change the player table's view, keep it in the URL and re-render
+ */
+function updateView(changes) {
+    view = Object.assign({}, view, changes);
+    history.replaceState(null, '', window.location.pathname + CallupView.writeView(view) + window.location.hash);
+    showView();
+    if (currentData) renderPlayerTable(currentData.summary);
+}
+
+/**
+ * Set the view controls from `view`
+ */
+function showView() {
+    groupByEl.value = view.group;
+    document.querySelectorAll('#statusChips .chip').forEach(chip => {
+        const active = view.status.includes(chip.dataset.status);
+        chip.classList.toggle('active', active);
+        chip.setAttribute('aria-pressed', String(active));
+    });
+    document.querySelectorAll('th .sort').forEach(button => {
+        if (button.dataset.sort === view.sort) {
+            button.dataset.dir = view.dir;
+        } else {
+            delete button.dataset.dir;
+        }
+    });
+}
+
+async function copyViewLink() {
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        showSuccess('Link to this view copied');
+    } catch (error) {
+        showSuccess(`Share this link: ${window.location.href}`);
+    }
+}
+
+/**
+ * Show who is signed in
+ */
+async function loadSession() {
+    try {
+        const response = await fetch(`${API_BASE}/auth/session`);
+        if (response.status === 401) return redirectToLogin();
+
+        const data = await response.json();
+        if (data.success) {
+            userRole = data.user.role;
+            document.getElementById('userName').textContent = data.user.name;
+            const teams = data.user.teams || [];
+            document.getElementById('userRole').textContent = teams.length
+                ? `${data.user.role} · ${teams.join(', ')}`
+                : data.user.role;
+            document.querySelectorAll('.admin-link').forEach(link => {
+                link.classList.toggle('hidden', data.user.role !== 'admin');
+            });
+            userBarEl.classList.remove('hidden');
+        }
+    } catch (error) {
+        console.error('Error loading session:', error);
+    }
+}
+
+async function signOut(e) {
+    e.preventDefault();
+    await fetch(`${API_BASE}/auth`, { method: 'DELETE' });
+    window.location.href = '/login.html';
+}
+
+/**
+ * The session expired or was revoked; sign in again and come back here
+ */
+function redirectToLogin() {
+    window.location.href = `/login.html?from=${encodeURIComponent(window.location.pathname)}`;
+}
+
+/**
+ * Fill the season picker; archived seasons load from their archive
+ */
+async function loadSeasons() {
+    try {
+        const response = await fetch(`${API_BASE}/seasons`);
+        const data = await response.json();
+        if (!data.success) return;
+
+        data.seasons.forEach(season => {
+            const option = document.createElement('option');
+            option.value = season.id;
+            option.textContent = season.current ? `${season.name} (current)` : season.archived ? `${season.name} (archived)` : season.name;
+            seasonSelectEl.appendChild(option);
+        });
+        seasonSelectEl.value = view.season;
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+    }
+}
 
 /**
  * Load callup data from API
  */
 async function loadCallupData() {
     const forceRefresh = forceRefreshCheckbox.checked;
-    const playerSearch = playerSearchInput.value.trim();
+    const season = view.season;
 
     showLoading();
 
     try {
+        // A forced refresh is always the live season
         const url = forceRefresh
             ? `${API_BASE}/callups?forceRefresh=true`
-            : `${API_BASE}/callups`;
+            : `${API_BASE}/callups${season ? `?season=${encodeURIComponent(season)}` : ''}`;
 
         const response = await fetch(url, {
             method: forceRefresh ? 'POST' : 'GET',
@@ -50,12 +232,16 @@ async function loadCallupData() {
             }
         });
 
+        if (response.status === 401) return redirectToLogin();
+
         const data = await response.json();
 
         if (data.success) {
-            showResults(data, playerSearch);
+            showResults(data);
         } else {
-            showError(data.error || 'Failed to fetch callup data');
+            showError(describeScrapeError(data));
+            // Only an admin can tell the scraper a drop is real
+            acceptDropBtn.classList.toggle('hidden', !(data.code === 'EMPTY_RESULT' && userRole === 'admin'));
         }
     } catch (error) {
         console.error('Error fetching data:', error);
@@ -65,6 +251,37 @@ async function loadCallupData() {
     }
 }
 
+// What to do about each scrape health failure (codes from lib/scrape-health.js)
+const SCRAPE_ERROR_HINTS = {
+    AUTH_FAILED: 'RDYSL rejected the login. Check the RDYSL username and password.',
+    SESSION_EXPIRED: 'The RDYSL session expired while loading game fines. Try again with Force Refresh.',
+    LAYOUT_CHANGED: 'The RDYSL game fines page has changed layout, so callups could not be read. The scraper needs updating.',
+    EMPTY_RESULT: 'RDYSL returned far fewer callups than last time, so the result was not trusted. Try again later with Force Refresh; if the drop holds for three scrapes, or an admin accepts it, the new count is used.'
+};
+
+/**
+ * Trust the next scrape's callup count after an EMPTY_RESULT, then refresh
+ */
+async function acceptDrop() {
+    if (!confirm('Only do this after checking on RDYSL that the callups really are gone. Accept the new count?')) return;
+
+    const response = await fetch(`${API_BASE}/health?action=accept-drop`, { method: 'POST' });
+    const data = await response.json();
+    if (!data.success) return showError(data.error || 'Failed to accept the drop');
+
+    forceRefreshCheckbox.checked = true;
+    loadCallupData();
+}
+
+/**
+ * Error text for a failed /api/callups response
+ */
+function describeScrapeError(data) {
+    const hint = data.code && SCRAPE_ERROR_HINTS[data.code];
+    if (hint) return `${hint} (${data.error})`;
+    return data.error || 'Failed to fetch callup data';
+}
+
 /**
  * Show loading state
  */
@@ -89,6 +306,7 @@ function hideLoading() {
  */
 function showError(message) {
     errorMsg.textContent = message;
+    acceptDropBtn.classList.add('hidden');
     errorDiv.classList.remove('hidden');
     successDiv.classList.add('hidden');
     resultsDiv.classList.add('hidden');
@@ -106,25 +324,15 @@ function showSuccess(message) {
 /**
  * Show results
  */
-function showResults(data, playerSearch) {
+function showResults(data) {
     errorDiv.classList.add('hidden');
     successDiv.classList.add('hidden');
     resultsDiv.classList.remove('hidden');
 
-    // Show search result if applicable
-    if (playerSearch) {
-        const foundPlayer = data.summary.find(p =>
-            p.playerName.toLowerCase().includes(playerSearch.toLowerCase())
-        );
-
-        if (foundPlayer) {
-            showSuccess(`Found: ${foundPlayer.playerName} - ${foundPlayer.status} (${foundPlayer.callupCount} callups)`);
-        } else {
-            showSuccess(`No callups found for "${playerSearch}"`);
-        }
-    } else {
-        showSuccess(`Loaded ${data.stats.totalPlayers} players with ${data.stats.totalCallups} total callups`);
-    }
+    const review = data.identityReview
+        ? ` (${data.identityReview} similar player name${data.identityReview === 1 ? '' : 's'} need review)`
+        : '';
+    showSuccess(`Loaded ${data.stats.totalPlayers} players with ${data.stats.totalCallups} total callups${review}`);
 
     // Update stats
     totalPlayersEl.textContent = data.stats.totalPlayers;
@@ -133,33 +341,225 @@ function showResults(data, playerSearch) {
     overLimitEl.textContent = data.stats.overLimit;
     totalCallupsEl.textContent = data.stats.totalCallups;
 
-    // Update table
-    playerTableEl.innerHTML = data.summary.map(player => {
-        let rowClass = '';
-        let statusClass = 'status-ok';
-
-        if (player.isOverLimit) {
-            rowClass = 'over-limit';
-            statusClass = 'status-over';
-        } else if (player.isUnavailable) {
-            rowClass = 'over-limit';
-            statusClass = 'status-over';
-        } else if (player.isWarning) {
-            rowClass = 'warning-row';
-            statusClass = 'status-warning';
-        }
-
-        return `
-            <tr class="${rowClass}">
-                <td>${player.playerName}</td>
-                <td>${player.callupCount}</td>
-                <td class="${statusClass}">${player.status}</td>
-            </tr>
-        `;
-    }).join('');
+    currentData = data;
+    updateFilterOptions(data.summary);
+    renderPlayerTable(data.summary);
 
     // Update last updated timestamp
     const lastUpdated = new Date(data.lastUpdated);
-    const cached = data.cached ? ' (cached)' : ' (freshly scraped)';
-    lastUpdatedEl.textContent = `Last updated: ${lastUpdated.toLocaleString()}${cached}`;
+    if (data.archived) {
+        lastUpdatedEl.textContent = `${data.season.name} (archived): as of ${lastUpdated.toLocaleString()}`;
+        return;
+    }
+    const cached = data.cached ? ` (cached, ${formatAge(data.cacheAgeSeconds)} old)` : ' (freshly scraped)';
+    const refreshing = data.refreshInProgress ? ' \u2014 refreshing from RDYSL in the background' : '';
+    const seasonName = data.season ? `${data.season.name} \u2014 ` : '';
+    lastUpdatedEl.textContent = `${seasonName}Last updated: ${lastUpdated.toLocaleString()}${cached}${refreshing}`;
+}
+
+/**
+ * "45 sec", "12 min", "3 hr"
+ */
+function formatAge(seconds) {
+    if (!seconds || seconds < 60) return `${seconds || 0} sec`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+    return `${Math.round(seconds / 3600)} hr`;
+}
+
+/**
+ * Fill the team and age group filters from the summary. A value from a shared
+ * link stays selectable even when no player has it.
+ */
+function updateFilterOptions(summary) {
+    const teams = [...new Set(summary.map(p => p.homeTeam).filter(Boolean))].sort();
+    const ageGroups = [...new Set(summary.map(p => p.ageGroup).filter(Boolean))].sort();
+
+    fillFilter(teamFilterEl, 'All teams', teams, view.team);
+    fillFilter(ageGroupFilterEl, 'All age groups', ageGroups, view.ageGroup);
+    checkTeamOptionsEl.innerHTML = teams.map(team => `<option value="${escapeHtml(team)}">`).join('');
+}
+
+function fillFilter(el, allLabel, values, selected) {
+    const options = selected && !values.includes(selected) ? values.concat(selected) : values;
+    el.innerHTML = `<option value="">${escapeHtml(allLabel)}</option>` +
+        options.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+    el.value = selected;
+}
+
+/**
+ * Render the player table for the current view. Scraped text only goes in
+ * through textContent, never as HTML.
+ */
+function renderPlayerTable(summary) {
+    const groups = CallupView.applyView(summary, view);
+    const shown = groups.reduce((count, group) => count + group.players.length, 0);
+
+    playerTableEl.replaceChildren();
+    groups.forEach(group => {
+        if (group.label !== null) {
+            const header = document.createElement('th');
+            header.colSpan = 5;
+            header.textContent = `${group.label} (${group.players.length})`;
+            const row = playerTableEl.insertRow();
+            row.className = 'group-row';
+            row.appendChild(header);
+        }
+        group.players.forEach(player => playerTableEl.appendChild(playerRow(player)));
+    });
+
+    viewSummaryEl.textContent = shown === summary.length
+        ? `Showing all ${summary.length} players`
+        : `Showing ${shown} of ${summary.length} players`;
+}
+
+/**
+ * One player's row, with the parts of the name that match the search marked
+ * and the name linking to the player page (live data only; archived
+ * seasons have no player pages)
+ */
+function playerRow(player) {
+    const row = document.createElement('tr');
+    let statusClass = 'status-ok';
+
+    if (player.isOverLimit || player.isUnavailable) {
+        row.className = 'over-limit';
+        statusClass = 'status-over';
+    } else if (player.isWarning) {
+        row.className = 'warning-row';
+        statusClass = 'status-warning';
+    }
+
+    const nameEl = document.createElement(currentData.archived ? 'span' : 'a');
+    if (!currentData.archived) nameEl.href = `/player/${encodeURIComponent(player.id)}`;
+    CallupView.highlight(player.playerName, view.search).forEach(piece => {
+        if (piece.match) {
+            const mark = document.createElement('mark');
+            mark.textContent = piece.text;
+            nameEl.appendChild(mark);
+        } else {
+            nameEl.append(piece.text);
+        }
+    });
+    row.insertCell().appendChild(nameEl);
+
+    const teamCell = row.insertCell();
+    teamCell.append(player.homeTeam || 'Unknown');
+    const coaches = (player.coaches || []).map(c => c.name).join(', ');
+    if (coaches) {
+        const coachesEl = document.createElement('div');
+        coachesEl.className = 'coaches';
+        coachesEl.textContent = coaches;
+        teamCell.appendChild(coachesEl);
+    }
+
+    row.insertCell().textContent = player.callupCount;
+
+    const statusCell = row.insertCell();
+    statusCell.className = statusClass;
+    statusCell.textContent = player.status;
+
+    const gamesCell = row.insertCell();
+    (player.nextGames || []).forEach(game => {
+        const gameEl = document.createElement('div');
+        gameEl.textContent = formatGame(game);
+        gamesCell.appendChild(gameEl);
+    });
+
+    return row;
+}
+
+/**
+ * "BU12 Borcyk @ Penfield BU12 Red, Sat Nov 1 10:30 AM" for a /api/schedule game
+ */
+function formatGame(game) {
+    const day = new Date(`${game.date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    let time = 'time TBD';
+    if (game.time) {
+        const [hours, minutes] = game.time.split(':').map(Number);
+        time = `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+    }
+    return `${game.team} ${game.homeAway === 'away' ? '@' : 'vs'} ${game.opponent || 'TBD'}, ${day} ${time}`;
+}
+
+/**
+ * Download the callup report with the dashboard's current filters
+ */
+function exportReport(format) {
+    const params = new URLSearchParams({ format });
+    if (view.status.length) params.set('status', view.status.join(','));
+    ['team', 'ageGroup', 'search'].forEach(name => {
+        if (view[name]) params.set(name, view[name]);
+    });
+
+    window.location.href = `${API_BASE}/callups/export?${params.toString()}`;
+}
+
+/**
+ * Ask the API whether the listed players can be called up to a team
+ */
+async function checkCallups() {
+    const players = checkPlayersEl.value.split('\n').map(p => p.trim()).filter(Boolean);
+    const team = checkTeamEl.value.trim();
+
+    checkErrorEl.classList.add('hidden');
+    checkResultsEl.classList.add('hidden');
+
+    if (players.length === 0 || !team) {
+        checkErrorEl.textContent = 'Enter at least one player and the team they would play for.';
+        checkErrorEl.classList.remove('hidden');
+        return;
+    }
+
+    checkBtn.disabled = true;
+
+    try {
+        const response = await fetch(`${API_BASE}/callups/check`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ players, team, gameDate: checkDateEl.value || undefined })
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            checkErrorEl.textContent = data.error || 'Failed to check callups';
+            checkErrorEl.classList.remove('hidden');
+            return;
+        }
+
+        checkTableEl.innerHTML = data.results.map(result => {
+            const rowClass = result.allowed ? (result.projectedStatus === 'OK' ? '' : 'warning-row') : 'over-limit';
+            const allowedClass = result.allowed ? 'status-ok' : 'status-over';
+
+            return `
+                <tr class="${rowClass}">
+                    <td>${escapeHtml(result.matchedPlayer || result.player)}</td>
+                    <td class="${allowedClass}">${result.allowed ? 'Yes' : 'No'}</td>
+                    <td>${result.currentCount} &rarr; ${result.projectedCount}</td>
+                    <td>${escapeHtml(result.projectedStatus)}</td>
+                    <td>${escapeHtml(result.reason)}</td>
+                </tr>
+            `;
+        }).join('');
+        checkResultsEl.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error checking callups:', error);
+        checkErrorEl.textContent = 'Network error. Please check your connection and try again.';
+        checkErrorEl.classList.remove('hidden');
+    } finally {
+        checkBtn.disabled = false;
+    }
+}
+
+/**
+ * Escape text for use inside HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
@@ -0,0 +1,258 @@
+/**
+ * RDYSL game-fines table parsing, shared by the serverless scraper (require,
+ * tables read with cheerio) and the paste-in checker page (<script
+ * src="/js/callup-parser.js"> → window.CallupParser, tables read with DOMParser).
+ *
+ * Both sides turn the page into plain text tables first, so the column
+ * detection and record building below is the only parsing logic there is.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CallupParser = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Text tables from a DOM document: one array per <table>, one array of
+     * trimmed cell text per <tr>. Works with DOMParser documents (browser).
+     */
+    function tablesFromDocument(doc) {
+        return Array.from(doc.querySelectorAll('table')).map(table =>
+            Array.from(table.querySelectorAll('tr')).map(row =>
+                Array.from(row.querySelectorAll('td, th')).map(cell => (cell.textContent || '').trim())
+            )
+        );
+    }
+
+    // Header text that names a column outright
+    const EXACT_HEADERS = {
+        type: ['type', 'fine type'],
+        name: ['name', 'player', 'player name'],
+        date: ['date', 'game date'],
+        game: ['game', 'game #', 'game id', 'fine #', 'id'],
+        team: ['team'],
+        fromTeam: ['from team', 'team from'],
+        toTeam: ['to team', 'team to'],
+        amount: ['amount', 'fine amount', '$'],
+        paid: ['paid', 'paid?']
+    };
+
+    // Looser rules for the other headers; a header takes the first rule it matches
+    const HEADER_RULES = [
+        ['type', text => text.includes('type')],
+        ['date', text => text.includes('date')],
+        ['fromTeam', text => text.includes('team') && text.includes('from')],
+        ['toTeam', text => text.includes('team') && /\bto\b/.test(text)],
+        ['team', text => text.includes('team')],
+        ['name', text => text.includes('name')],
+        ['amount', text => /amount|\$/.test(text)],
+        ['paid', text => text.includes('paid')],
+        ['game', text => /game|fine|#|\bid\b/.test(text)]
+    ];
+
+    /**
+     * Map header cell text to column indices (-1 when a column is absent).
+     * A plain "Team" column is the team that played the game, i.e. the team
+     * the player was called up to, or the team charged a fine.
+     *
+     * Exact headers are matched first, and a column found once is never
+     * replaced, so "Paid Date" next to "Date", or "Amount Paid" next to
+     * "Amount", is ignored rather than taking their place whatever the
+     * column order.
+     */
+    function findColumns(headerTexts) {
+        const columns = { type: -1, name: -1, date: -1, game: -1, team: -1, fromTeam: -1, toTeam: -1, amount: -1, paid: -1 };
+        const texts = headerTexts.map(rawText => rawText.trim().toLowerCase().replace(/\s+/g, ' '));
+        const matched = new Set();
+
+        texts.forEach((text, index) => {
+            const column = Object.keys(EXACT_HEADERS).find(key => EXACT_HEADERS[key].includes(text));
+            if (column && columns[column] === -1) columns[column] = index;
+            if (column) matched.add(index);
+        });
+
+        texts.forEach((text, index) => {
+            if (matched.has(index)) return;
+            const rule = HEADER_RULES.find(([, matches]) => matches(text));
+            if (rule && columns[rule[0]] === -1) columns[rule[0]] = index;
+        });
+
+        return columns;
+    }
+
+    /**
+     * Split "Callup: BU11 Miner to BU12 Borcyk" into its parts. Type text that
+     * doesn't name both teams is kept as-is in callupType.
+     */
+    function parseCallupType(typeText) {
+        const callupType = typeText.replace(/^.*?callup:\s*/i, '').trim();
+        const match = callupType.match(/^(?:from\s+)?(.+?)\s+(?:to|->|\u2192)\s+(.+)$/i);
+
+        return {
+            callupType,
+            fromTeam: match ? match[1].trim() : null,
+            toTeam: match ? match[2].trim() : null
+        };
+    }
+
+    /**
+     * Convert RDYSL's M/D/YYYY dates to YYYY-MM-DD; anything else is returned unchanged
+     */
+    function normalizeDate(text) {
+        if (!text) return null;
+
+        const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+        if (!match) return text;
+
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+    }
+
+    /**
+     * "$150.00" -> 150, "($25.00)" or "-$25" (a credit) -> -25; null when there's no number
+     */
+    function parseAmount(text) {
+        const match = (text || '').replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+        if (!match) return null;
+
+        const amount = Math.round(parseFloat(match[0]) * 100) / 100;
+        return /^\s*(?:-|\()/.test(text) ? -amount : amount;
+    }
+
+    /**
+     * Whether a fine is paid: "Yes"/"Paid" are, "No"/"Unpaid" aren't, and
+     * anything else (RDYSL shows "N/A" for $0 rows) counts as paid only
+     * when nothing is owed
+     */
+    function parsePaid(text, amount) {
+        const value = (text || '').trim().toLowerCase();
+        if (/^(yes|y|paid)$/.test(value)) return true;
+        if (/^(no|n|unpaid|due|owed)$/.test(value)) return false;
+        return !(amount > 0);
+    }
+
+    /**
+     * Validate player name
+     */
+    function isValidPlayerName(text) {
+        if (!text || text.length < 2) return false;
+        if (!/[A-Za-z]/.test(text)) return false;
+        if (/^\d+$/.test(text)) return false;
+        if (text.toLowerCase().includes('callup')) return false;
+        return true;
+    }
+
+    /**
+     * True when some table has both a Type and a Name column, i.e. the page
+     * still looks like a game-fines page (even one without callups)
+     */
+    function hasCallupTable(tables) {
+        return tables.some(rows => {
+            if (rows.length === 0) return false;
+            const columns = findColumns(rows[0]);
+            return columns.type !== -1 && columns.name !== -1;
+        });
+    }
+
+    /**
+     * Callup records from text tables. The first row of each table is its
+     * header; tables without both a Type and a Name column are skipped.
+     *
+     * Each record keeps the game date, game/fine ID, the from/to teams and the
+     * text after "Callup:" so a player's individual callups can be listed.
+     */
+    function parseCallupTables(tables) {
+        const callupRecords = [];
+
+        tables.forEach(rows => {
+            if (rows.length === 0) return;
+
+            const columns = findColumns(rows[0]);
+            if (columns.type === -1 || columns.name === -1) return;
+
+            rows.slice(1).forEach(cells => {
+                if (cells.length <= Math.max(columns.type, columns.name)) return;
+
+                const cellText = index => (index === -1 ? '' : (cells[index] || '').trim());
+                const typeText = cellText(columns.type);
+                const nameText = cellText(columns.name);
+
+                if (typeText.toLowerCase().includes('callup:') && isValidPlayerName(nameText)) {
+                    const movement = parseCallupType(typeText);
+
+                    callupRecords.push({
+                        name: nameText,
+                        type: typeText,
+                        callupType: movement.callupType,
+                        date: normalizeDate(cellText(columns.date)),
+                        gameId: cellText(columns.game) || null,
+                        fromTeam: cellText(columns.fromTeam) || movement.fromTeam,
+                        toTeam: cellText(columns.toTeam) || movement.toTeam || cellText(columns.team) || null,
+                        count: 1
+                    });
+                }
+            });
+        });
+
+        return callupRecords;
+    }
+
+    /**
+     * Fine records (the club's ledger) from text tables with a Type column.
+     * Every row is a fine except callups, which are free and tracked by
+     * parseCallupTables(); a callup that was charged for is kept too.
+     *
+     * { date, gameId, team, type, playerName, amount, paid }; playerName is
+     * null for team fines (forfeits, late rosters) and amount null when the
+     * page has no Amount column.
+     */
+    function parseFineTables(tables) {
+        const fines = [];
+
+        tables.forEach(rows => {
+            if (rows.length === 0) return;
+
+            const columns = findColumns(rows[0]);
+            if (columns.type === -1) return;
+
+            rows.slice(1).forEach(cells => {
+                if (cells.length <= Math.max(columns.type, columns.amount)) return;
+
+                const cellText = index => (index === -1 ? '' : (cells[index] || '').trim());
+                const typeText = cellText(columns.type);
+                const amount = parseAmount(cellText(columns.amount));
+                if (!typeText) return;
+                if (typeText.toLowerCase().includes('callup:') && !amount) return;
+
+                const nameText = cellText(columns.name);
+                fines.push({
+                    date: normalizeDate(cellText(columns.date)),
+                    gameId: cellText(columns.game) || null,
+                    team: cellText(columns.team) || cellText(columns.toTeam) || null,
+                    type: typeText,
+                    playerName: isValidPlayerName(nameText) ? nameText : null,
+                    amount,
+                    paid: parsePaid(cellText(columns.paid), amount)
+                });
+            });
+        });
+
+        return fines;
+    }
+
+    return {
+        tablesFromDocument,
+        findColumns,
+        parseCallupType,
+        normalizeDate,
+        isValidPlayerName,
+        hasCallupTable,
+        parseCallupTables,
+        parseAmount,
+        parsePaid,
+        parseFineTables
+    };
+});
@@ -0,0 +1,316 @@
+/**
+ * RDYSL callup rules, shared by the serverless scraper (require) and the
+ * paste-in checker page (<script src="/js/callup-rules.js"> → window.CallupRules).
+ *
+ * When the league changes its callup policy, edit DEFAULT_RULES below; the
+ * server can also override it per deployment with the CALLUP_RULES env var.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CallupRules = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STATUS_KEYS = ['OK', 'WARNING', 'UNAVAILABLE', 'OVER_LIMIT'];
+
+    const DEFAULT_RULES = {
+        name: 'RDYSL default',
+
+        // Month-day ("MM-DD") dates on which callup counts start over.
+        // Dated callups before the most recent reset are not counted.
+        // e.g. ['08-01'] for a fall reset, ['01-01', '08-01'] for two seasons a year.
+        seasonResets: [],
+
+        // The first entry whose `match` fits the player's home age group /
+        // division applies. `total` limits all callups, `ageGroup` only
+        // callups playing up an age group, `division` only callups playing up
+        // a division within the same age group. Omit a limit (or set it to
+        // null) to not enforce it. `warnRemaining` is how many callups short
+        // of a limit a player is flagged WARNING.
+        //   match: { ageGroup: 'BU12' }        one age group (gender-specific)
+        //   match: { ageGroup: ['U9', 'U10'] } several ages, either gender
+        //                                      ('U9' and 'U09' are the same)
+        //   match: { division: '1' }
+        limits: [
+            { match: {}, total: 4, warnRemaining: 1 }
+        ],
+
+        // Text shown for each status
+        labels: {
+            OK: 'OK',
+            WARNING: 'WARNING',
+            UNAVAILABLE: 'UNAVAILABLE',
+            OVER_LIMIT: 'OVER LIMIT'
+        }
+    };
+
+    /**
+     * Merge a partial rule set over the defaults
+     */
+    function resolveRules(overrides) {
+        const rules = overrides || {};
+        return {
+            name: rules.name || DEFAULT_RULES.name,
+            seasonResets: rules.seasonResets || DEFAULT_RULES.seasonResets,
+            limits: (rules.limits && rules.limits.length ? rules.limits : DEFAULT_RULES.limits).map(normalizeLimit),
+            labels: Object.assign({}, DEFAULT_RULES.labels, rules.labels)
+        };
+    }
+
+    /**
+     * Write a limit's match.ageGroup the way parseAgeGroup() reads team
+     * names, so a rule for 'U9' applies to "BU09 - Tette"
+     */
+    function normalizeLimit(entry) {
+        if (!entry.match || !entry.match.ageGroup) return entry;
+        const ageGroup = [].concat(entry.match.ageGroup)
+            .map(value => parseAgeGroup(value) || String(value).toUpperCase());
+        return Object.assign({}, entry, { match: Object.assign({}, entry.match, { ageGroup }) });
+    }
+
+    /**
+     * Pull the age group out of a team name, with single-digit ages padded:
+     * "BU12 - Borcyk" → "BU12", "U9 Div 2" → "U09". Returns null when there
+     * is none.
+     */
+    function parseAgeGroup(teamName) {
+        const match = String(teamName || '').match(/\b([BG]?)U\s?0?(\d{1,2})\b/i);
+        if (!match) return null;
+        const age = match[2].length === 1 ? `0${match[2]}` : match[2];
+        return `${match[1].toUpperCase()}U${age}`;
+    }
+
+    /**
+     * Pull the division out of a team name: "U12 Div 2" → "2"
+     */
+    function parseDivision(teamName) {
+        const match = String(teamName || '').match(/\bdiv(?:ision)?\.?\s*([A-Za-z0-9]+)/i);
+        return match ? match[1].toUpperCase() : null;
+    }
+
+    /**
+     * Decide whether a callup was up an age group or up a division.
+     * Returns null when neither the type text nor the teams say.
+     */
+    function classifyCallup(callup) {
+        const typeText = String(callup.callupType || '').toLowerCase();
+        if (/\bdiv(ision)?\b/.test(typeText)) return 'division';
+        if (/\bage\b/.test(typeText)) return 'ageGroup';
+
+        const fromAge = parseAgeGroup(callup.fromTeam);
+        const toAge = parseAgeGroup(callup.toTeam);
+        if (!fromAge || !toAge) return null;
+
+        return ageNumber(fromAge) === ageNumber(toAge) ? 'division' : 'ageGroup';
+    }
+
+    function ageNumber(ageGroup) {
+        return parseInt(ageGroup.replace(/^[BG]?U/, ''), 10);
+    }
+
+    /**
+     * Most recent season reset on or before `asOf`, as YYYY-MM-DD (or null)
+     */
+    function currentSeasonStart(rules, asOf) {
+        if (!rules.seasonResets || rules.seasonResets.length === 0) return null;
+
+        const today = toDateString(asOf || new Date());
+        const year = parseInt(today.slice(0, 4), 10);
+        const candidates = [];
+        rules.seasonResets.forEach(monthDay => {
+            candidates.push(`${year}-${monthDay}`, `${year - 1}-${monthDay}`);
+        });
+
+        return candidates
+            .filter(date => date <= today)
+            .sort()
+            .pop() || null;
+    }
+
+    function toDateString(date) {
+        if (typeof date === 'string') return date.slice(0, 10);
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Find the limits entry that applies to a player's home age group / division
+     */
+    function findLimits(rules, context) {
+        return rules.limits.find(entry => matches(entry.match || {}, context)) || {};
+    }
+
+    function matches(match, context) {
+        if (match.ageGroup) {
+            const wanted = [].concat(match.ageGroup).map(value => String(value).toUpperCase());
+            const ageGroup = context.ageGroup ? context.ageGroup.toUpperCase() : null;
+            if (!ageGroup) return false;
+            const genderless = ageGroup.replace(/^[BG]/, '');
+            if (!wanted.includes(ageGroup) && !wanted.includes(genderless)) return false;
+        }
+        if (match.division) {
+            const wanted = [].concat(match.division).map(value => String(value).toUpperCase());
+            if (!context.division || !wanted.includes(String(context.division).toUpperCase())) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Status level (index into STATUS_KEYS) for one count against one limit
+     */
+    function levelFor(count, limit, warnRemaining) {
+        if (limit === null || limit === undefined) return 0;
+        if (count > limit) return 3;
+        if (count === limit) return 2;
+        if (limit - count <= warnRemaining) return 1;
+        return 0;
+    }
+
+    /**
+     * Evaluate one player's callups against the rules.
+     *
+     * context: { ageGroup, division } of the player's home team (derived from
+     * the callups' fromTeam when not given), and `asOf` for season resets or
+     * `seasonStart` (YYYY-MM-DD) to count from a known season start instead.
+     */
+    function evaluatePlayer(callups, rules, context) {
+        const resolved = rules && rules.labels ? rules : resolveRules(rules);
+        const options = context || {};
+        const seasonStart = options.seasonStart || currentSeasonStart(resolved, options.asOf);
+        const counted = callups.filter(callup => !seasonStart || !callup.date || callup.date >= seasonStart);
+
+        const homeTeam = (callups.find(callup => callup.fromTeam) || {}).fromTeam;
+        const limitContext = {
+            ageGroup: parseAgeGroup(options.ageGroup) || options.ageGroup || parseAgeGroup(homeTeam),
+            division: options.division || parseDivision(homeTeam)
+        };
+        const limits = findLimits(resolved, limitContext);
+        const warnRemaining = limits.warnRemaining === undefined ? 1 : limits.warnRemaining;
+
+        const counts = {
+            total: counted.length,
+            ageGroup: counted.filter(callup => classifyCallup(callup) === 'ageGroup').length,
+            division: counted.filter(callup => classifyCallup(callup) === 'division').length
+        };
+
+        let level = 0;
+        let remaining = null;
+        ['total', 'ageGroup', 'division'].forEach(kind => {
+            const limit = limits[kind];
+            if (limit === null || limit === undefined) return;
+            level = Math.max(level, levelFor(counts[kind], limit, warnRemaining));
+            const left = Math.max(limit - counts[kind], 0);
+            remaining = remaining === null ? left : Math.min(remaining, left);
+        });
+
+        const statusKey = STATUS_KEYS[level];
+        return {
+            callupCount: counts.total,
+            ageGroupCallups: counts.ageGroup,
+            divisionCallups: counts.division,
+            limit: limits.total === undefined ? null : limits.total,
+            remaining,
+            statusKey,
+            status: resolved.labels[statusKey],
+            isWarning: statusKey === 'WARNING',
+            isUnavailable: statusKey === 'UNAVAILABLE',
+            isOverLimit: statusKey === 'OVER_LIMIT'
+        };
+    }
+
+    /**
+     * What one more callup would do to a player: evaluates the player's
+     * callups as they are and with `newCallup` ({ date, fromTeam, toTeam })
+     * added. The callup is allowed unless it would put the player over a limit.
+     */
+    function projectCallup(callups, newCallup, rules, context) {
+        const current = evaluatePlayer(callups, rules, context);
+        const projected = evaluatePlayer(callups.concat([newCallup]), rules, context);
+
+        return {
+            allowed: projected.statusKey !== 'OVER_LIMIT',
+            kind: classifyCallup(newCallup),
+            current,
+            projected
+        };
+    }
+
+    /**
+     * How far a player is from their next status: the status that more
+     * callups like their latest one would reach, and how many it takes.
+     * Null when the player is already OVER_LIMIT or no limit applies.
+     */
+    function nextThreshold(callups, rules, context) {
+        const current = evaluatePlayer(callups, rules, context);
+        if (current.statusKey === 'OVER_LIMIT' || current.remaining === null) return null;
+
+        const latest = callups[callups.length - 1] || {};
+        const extra = [];
+        // Any real limit is reached well before this
+        for (let added = 1; added <= 50; added++) {
+            extra.push({
+                date: null,
+                gameId: null,
+                fromTeam: latest.fromTeam || null,
+                toTeam: latest.toTeam || null,
+                callupType: latest.callupType || null
+            });
+            const projected = evaluatePlayer(callups.concat(extra), rules, context);
+            if (projected.statusKey !== current.statusKey) {
+                return { statusKey: projected.statusKey, status: projected.status, callupsAway: added };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Group parsed callup records by player name and evaluate each player.
+     * Sorted by callup count, highest first.
+     */
+    function summarize(callupRecords, rules, context) {
+        const resolved = resolveRules(rules);
+        const playerCallups = new Map();
+
+        callupRecords.forEach(record => {
+            if (!playerCallups.has(record.name)) playerCallups.set(record.name, []);
+            const callup = {
+                date: record.date || null,
+                gameId: record.gameId || null,
+                fromTeam: record.fromTeam || null,
+                toTeam: record.toTeam || null,
+                callupType: record.callupType || null
+            };
+            // Season id, when the server tagged the record with one
+            if (record.season !== undefined) callup.season = record.season;
+            playerCallups.get(record.name).push(callup);
+        });
+
+        const summary = [];
+        playerCallups.forEach((callups, playerName) => {
+            const sorted = callups.sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+            summary.push(Object.assign(
+                { playerName },
+                evaluatePlayer(sorted, resolved, context),
+                { callups: sorted }
+            ));
+        });
+
+        return summary.sort((a, b) => b.callupCount - a.callupCount);
+    }
+
+    return {
+        STATUS_KEYS,
+        DEFAULT_RULES,
+        resolveRules,
+        parseAgeGroup,
+        parseDivision,
+        classifyCallup,
+        currentSeasonStart,
+        evaluatePlayer,
+        projectCallup,
+        nextThreshold,
+        summarize
+    };
+});
@@ -0,0 +1,219 @@
+/**
+ * Dashboard view of the callup summary: which players the table shows, in
+ * what order and grouping. Shared by the dashboard (<script src="/js/callup-view.js">
+ * → window.CallupView) and the tests (require).
+ *
+ * A view lives in the page's query string, so a link such as
+ * ?status=UNAVAILABLE&ageGroup=GU12 opens the dashboard on the same players.
+ * status, team and search mean the same as /api/callups/export's filters.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CallupView = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Least to most serious, for sorting by status
+    const STATUS_KEYS = ['OK', 'WARNING', 'UNAVAILABLE', 'OVER_LIMIT'];
+    const SORT_COLUMNS = ['name', 'team', 'count', 'status', 'nextGame'];
+    const GROUPS = ['team', 'ageGroup'];
+
+    const DEFAULT_VIEW = {
+        season: '',
+        status: [],
+        team: '',
+        ageGroup: '',
+        search: '',
+        group: '',
+        sort: 'count',
+        dir: 'desc'
+    };
+
+    /**
+     * View from a query string ("?status=WARNING,UNAVAILABLE&sort=name").
+     * Unknown values fall back to the defaults.
+     */
+    function readView(query) {
+        const params = new URLSearchParams(query || '');
+        const text = name => (params.get(name) || '').trim();
+        const status = text('status').split(',')
+            .map(key => key.trim().toUpperCase().replace(/[\s-]+/g, '_'))
+            .filter(key => STATUS_KEYS.includes(key));
+        const sort = SORT_COLUMNS.includes(text('sort')) ? text('sort') : DEFAULT_VIEW.sort;
+
+        return {
+            season: text('season'),
+            status: STATUS_KEYS.filter(key => status.includes(key)),
+            team: text('team'),
+            ageGroup: text('ageGroup').toUpperCase(),
+            search: text('search'),
+            group: GROUPS.includes(text('group')) ? text('group') : '',
+            sort,
+            dir: text('dir') === 'asc' || text('dir') === 'desc' ? text('dir') : defaultDirection(sort)
+        };
+    }
+
+    /**
+     * Query string for a view ("" for the default view), leaving out
+     * anything at its default so shared links stay short
+     */
+    function writeView(view) {
+        const params = new URLSearchParams();
+        if (view.season) params.set('season', view.season);
+        if (view.status && view.status.length) params.set('status', view.status.join(','));
+        ['team', 'ageGroup', 'search', 'group'].forEach(name => {
+            if (view[name]) params.set(name, view[name]);
+        });
+        if (view.sort && view.sort !== DEFAULT_VIEW.sort) params.set('sort', view.sort);
+        if (view.dir && view.dir !== defaultDirection(view.sort || DEFAULT_VIEW.sort)) params.set('dir', view.dir);
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * Names and text read A to Z, counts and statuses worst first
+     */
+    function defaultDirection(sort) {
+        return sort === 'count' || sort === 'status' ? 'desc' : 'asc';
+    }
+
+    /**
+     * Lowercase with accents removed, the same length as `text` for
+     * everything but the rare characters that decompose into two letters
+     */
+    function fold(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Words of a search, folded; a player matches when one of their names
+     * contains every word, so "john smith" finds "Smith, John"
+     */
+    function searchTerms(search) {
+        return fold(search).split(/[\s,]+/).filter(Boolean);
+    }
+
+    function matchesSearch(player, terms) {
+        if (terms.length === 0) return true;
+        return [player.playerName].concat(player.aliases || [])
+            .some(name => terms.every(term => fold(name).includes(term)));
+    }
+
+    function ageGroupOf(player) {
+        return player.ageGroup || null;
+    }
+
+    /**
+     * Players that pass the view's status, team, age group and search filters
+     */
+    function filterPlayers(summary, view) {
+        const terms = searchTerms(view.search);
+        return summary.filter(player => {
+            if (view.status.length && !view.status.includes(player.statusKey)) return false;
+            if (view.team && player.homeTeam !== view.team) return false;
+            if (view.ageGroup && ageGroupOf(player) !== view.ageGroup) return false;
+            return matchesSearch(player, terms);
+        });
+    }
+
+    const SORT_VALUES = {
+        name: player => fold(player.playerName),
+        team: player => fold(player.homeTeam || '~'),
+        count: player => player.callupCount,
+        status: player => STATUS_KEYS.indexOf(player.statusKey),
+        // Players without an upcoming game go last either way
+        nextGame: player => {
+            const game = (player.nextGames || [])[0];
+            return game ? `${game.date} ${game.time || ''}` : null;
+        }
+    };
+
+    /**
+     * Sorted copy of `players`; ties are broken by name
+     */
+    function sortPlayers(players, view) {
+        const value = SORT_VALUES[view.sort] || SORT_VALUES[DEFAULT_VIEW.sort];
+        const direction = view.dir === 'asc' ? 1 : -1;
+
+        return players.slice().sort((a, b) => {
+            const left = value(a);
+            const right = value(b);
+            if (left !== right) {
+                if (left === null) return 1;
+                if (right === null) return -1;
+                return (left < right ? -1 : 1) * direction;
+            }
+            return fold(a.playerName).localeCompare(fold(b.playerName));
+        });
+    }
+
+    /**
+     * The players the table shows, as [{ label, players }]: one group per
+     * team or age group (A to Z, "Unknown" last), or a single group with a
+     * null label when the view isn't grouped
+     */
+    function applyView(summary, view) {
+        const players = sortPlayers(filterPlayers(summary, view), view);
+        if (!view.group) return [{ label: null, players }];
+
+        const groups = new Map();
+        players.forEach(player => {
+            const label = (view.group === 'team' ? player.homeTeam : ageGroupOf(player)) || 'Unknown';
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(player);
+        });
+
+        return Array.from(groups.keys())
+            .sort((a, b) => (a === 'Unknown') - (b === 'Unknown') || a.localeCompare(b))
+            .map(label => ({ label, players: groups.get(label) }));
+    }
+
+    /**
+     * `text` split into [{ text, match }] pieces, with match true for the
+     * parts that matched a search term, for highlighting without building HTML
+     */
+    function highlight(text, search) {
+        const value = String(text || '');
+        const terms = searchTerms(search);
+        const folded = fold(value);
+        if (terms.length === 0 || folded.length !== value.length) return [{ text: value, match: false }];
+
+        const marked = new Array(value.length).fill(false);
+        terms.forEach(term => {
+            let at = folded.indexOf(term);
+            while (at !== -1) {
+                marked.fill(true, at, at + term.length);
+                at = folded.indexOf(term, at + term.length);
+            }
+        });
+
+        const pieces = [];
+        marked.forEach((match, i) => {
+            const last = pieces[pieces.length - 1];
+            if (last && last.match === match) {
+                last.text += value[i];
+            } else {
+                pieces.push({ text: value[i], match });
+            }
+        });
+        return pieces;
+    }
+
+    return {
+        STATUS_KEYS,
+        SORT_COLUMNS,
+        GROUPS,
+        DEFAULT_VIEW,
+        readView,
+        writeView,
+        defaultDirection,
+        filterPlayers,
+        sortPlayers,
+        applyView,
+        highlight
+    };
+});
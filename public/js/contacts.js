@@ -0,0 +1,207 @@
+// Team contacts admin page (contacts.html)
+const API_BASE = window.location.hostname === 'localhost'
+    ? 'http://localhost:3000/api'
+    : '/api';
+
+const messageEl = document.getElementById('message');
+const teamFilterEl = document.getElementById('teamFilter');
+const contactTableEl = document.getElementById('contactTable');
+const contactForm = document.getElementById('contactForm');
+const formTitleEl = document.getElementById('formTitle');
+const cancelEditBtn = document.getElementById('cancelEditBtn');
+const nameEl = document.getElementById('contactName');
+const emailEl = document.getElementById('contactEmail');
+const phoneEl = document.getElementById('contactPhone');
+const teamsEl = document.getElementById('contactTeams');
+const activeEl = document.getElementById('contactActive');
+const scrimmageEl = document.getElementById('contactScrimmage');
+const importFileEl = document.getElementById('importFile');
+const importReplaceEl = document.getElementById('importReplace');
+const levelTableEl = document.getElementById('levelTable');
+
+let contacts = [];
+// Id of the contact in the form, or null when adding
+let editingId = null;
+
+teamFilterEl.addEventListener('change', renderContacts);
+contactForm.addEventListener('submit', saveContact);
+cancelEditBtn.addEventListener('click', resetForm);
+document.getElementById('importBtn').addEventListener('click', importCsv);
+contactTableEl.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    if (button.dataset.action === 'edit') editContact(button.dataset.id);
+    if (button.dataset.action === 'delete') deleteContact(button.dataset.id);
+});
+
+levelTableEl.addEventListener('change', (e) => {
+    if (e.target.dataset.levelTeam) setLevel(e.target.dataset.levelTeam, e.target.value);
+});
+
+loadContacts();
+
+async function loadContacts() {
+    const response = await fetch(`${API_BASE}/contacts`);
+    if (response.status === 401) {
+        window.location.href = `/login.html?from=${encodeURIComponent(window.location.pathname)}`;
+        return;
+    }
+
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    contacts = data.contacts;
+    const selected = teamFilterEl.value;
+    teamFilterEl.innerHTML = '<option value="">All teams</option>' +
+        data.teams.map(team => `<option value="${escapeHtml(team)}">${escapeHtml(team)}</option>`).join('');
+    teamFilterEl.value = data.teams.includes(selected) ? selected : '';
+    renderContacts();
+    loadLevels();
+}
+
+async function loadLevels() {
+    const response = await fetch(`${API_BASE}/contacts/teams`);
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    levelTableEl.innerHTML = data.teams.map(team => `
+        <tr>
+            <td>${escapeHtml(team.team)}</td>
+            <td>${team.contacts}</td>
+            <td><input type="text" class="level-input" placeholder="Any" value="${escapeHtml(team.level || '')}"
+                       data-level-team="${escapeHtml(team.team)}" /></td>
+        </tr>
+    `).join('') || '<tr><td colspan="3">No teams</td></tr>';
+}
+
+async function setLevel(team, level) {
+    const response = await fetch(`${API_BASE}/contacts/teams?team=${encodeURIComponent(team)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ level })
+    });
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    showMessage(data.level ? `${team} is now Division ${data.level}` : `${team} takes requests at any level`);
+    loadLevels();
+}
+
+function renderContacts() {
+    const team = teamFilterEl.value;
+    const shown = contacts.filter(contact => !team || contact.teams.some(membership => membership.team === team));
+
+    contactTableEl.innerHTML = shown.map(contact => `
+        <tr class="${contact.active ? '' : 'inactive'}">
+            <td>${escapeHtml(contact.name)}${contact.active ? '' : '<br><small>Inactive</small>'}</td>
+            <td>${escapeHtml(contact.email)}${contact.phone ? `<br>${escapeHtml(contact.phone)}` : ''}</td>
+            <td>${contact.teams.map(membership =>
+                `${escapeHtml(membership.team)} <small>(${escapeHtml(membership.role)})</small>`).join('<br>')}</td>
+            <td>${contact.scrimmageOptOut ? 'Opted out' : 'Yes'}</td>
+            <td>
+                <button type="button" class="small-btn" data-action="edit" data-id="${escapeHtml(contact.id)}">Edit</button>
+                <button type="button" class="small-btn danger" data-action="delete" data-id="${escapeHtml(contact.id)}">Delete</button>
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="5">No contacts</td></tr>';
+}
+
+function editContact(id) {
+    const contact = contacts.find(c => c.id === id);
+    if (!contact) return;
+
+    editingId = id;
+    formTitleEl.textContent = `Edit ${contact.name}`;
+    nameEl.value = contact.name;
+    emailEl.value = contact.email;
+    phoneEl.value = contact.phone || '';
+    teamsEl.value = contact.teams.map(membership => `${membership.team}, ${membership.role}`).join('\n');
+    activeEl.checked = contact.active;
+    scrimmageEl.checked = !contact.scrimmageOptOut;
+    cancelEditBtn.classList.remove('hidden');
+    contactForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetForm() {
+    editingId = null;
+    formTitleEl.textContent = 'Add Contact';
+    contactForm.reset();
+    cancelEditBtn.classList.add('hidden');
+}
+
+async function saveContact(e) {
+    e.preventDefault();
+
+    // "BU12 - Borcyk, head coach": the role is after the last comma
+    const teams = teamsEl.value.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+        const comma = line.lastIndexOf(',');
+        return comma === -1
+            ? { team: line }
+            : { team: line.slice(0, comma).trim(), role: line.slice(comma + 1).trim() };
+    });
+
+    const response = await fetch(`${API_BASE}/contacts${editingId ? `?id=${encodeURIComponent(editingId)}` : ''}`, {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            name: nameEl.value,
+            email: emailEl.value,
+            phone: phoneEl.value,
+            teams,
+            active: activeEl.checked,
+            scrimmageOptOut: !scrimmageEl.checked
+        })
+    });
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    showMessage(`Saved ${data.contact.name}`);
+    resetForm();
+    loadContacts();
+}
+
+async function deleteContact(id) {
+    const contact = contacts.find(c => c.id === id);
+    if (!contact || !confirm(`Delete ${contact.name}? Marking them inactive keeps their details.`)) return;
+
+    const response = await fetch(`${API_BASE}/contacts?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    showMessage(`Deleted ${contact.name}`);
+    loadContacts();
+}
+
+async function importCsv() {
+    const file = importFileEl.files[0];
+    if (!file) return showMessage('Choose a CSV file first', true);
+    if (importReplaceEl.checked && !confirm('Replace every contact with the ones in this file?')) return;
+
+    const response = await fetch(`${API_BASE}/contacts?import=csv${importReplaceEl.checked ? '&replace=true' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: await file.text()
+    });
+    const data = await response.json();
+    const problems = (data.errors || []).map(error => `line ${error.line}: ${error.error}`).join('; ');
+    if (!data.success) return showMessage(data.error + (problems ? ` (${problems})` : ''), true);
+
+    showMessage(`Imported ${data.created} new and ${data.updated} updated contact(s)` +
+        (data.removed ? `, removed ${data.removed}` : '') +
+        (problems ? `. Skipped ${problems}` : ''), data.errors.length > 0);
+    importFileEl.value = '';
+    loadContacts();
+}
+
+function showMessage(text, isError) {
+    messageEl.textContent = text;
+    messageEl.className = isError ? 'error' : 'success';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
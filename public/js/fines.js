@@ -0,0 +1,121 @@
+// Fines tab of the dashboard; uses API_BASE, escapeHtml and redirectToLogin from app.js
+
+const fineTeamEl = document.getElementById('fineTeam');
+const fineTypeEl = document.getElementById('fineType');
+const fineStatusEl = document.getElementById('fineStatus');
+const fineFromEl = document.getElementById('fineFrom');
+const fineToEl = document.getElementById('fineTo');
+const loadFinesBtn = document.getElementById('loadFinesBtn');
+const finesErrorEl = document.getElementById('finesError');
+const finesResultsEl = document.getElementById('finesResults');
+
+let finesLoaded = false;
+
+loadFinesBtn.addEventListener('click', loadFines);
+[fineTeamEl, fineTypeEl, fineStatusEl, fineFromEl, fineToEl].forEach(el => {
+    el.addEventListener('change', loadFines);
+});
+document.querySelector('.tab[data-tab="fines"]').addEventListener('click', () => {
+    if (!finesLoaded) loadFines();
+});
+if (window.location.hash === '#fines') loadFines();
+
+/**
+ * Load the ledger with the current filters
+ */
+async function loadFines() {
+    finesLoaded = true;
+    finesErrorEl.classList.add('hidden');
+    loadFinesBtn.disabled = true;
+
+    const params = new URLSearchParams();
+    const filters = { team: fineTeamEl, type: fineTypeEl, status: fineStatusEl, from: fineFromEl, to: fineToEl };
+    Object.entries(filters).forEach(([name, el]) => {
+        if (el.value) params.set(name, el.value);
+    });
+
+    try {
+        const response = await fetch(`${API_BASE}/fines?${params.toString()}`);
+        if (response.status === 401) return redirectToLogin();
+
+        const data = await response.json();
+        if (!data.success) {
+            showFinesError(data.error || 'Failed to load fines');
+            return;
+        }
+        renderFines(data);
+    } catch (error) {
+        console.error('Error loading fines:', error);
+        showFinesError('Network error. Please check your connection and try again.');
+    } finally {
+        loadFinesBtn.disabled = false;
+    }
+}
+
+function showFinesError(message) {
+    finesErrorEl.textContent = message;
+    finesErrorEl.classList.remove('hidden');
+    finesResultsEl.classList.add('hidden');
+}
+
+/**
+ * "$1,250.00"; "-" for a fine with no amount
+ */
+function formatMoney(amount) {
+    if (amount === null || amount === undefined) return '-';
+    return amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+/**
+ * Replace a select's options, keeping the current choice when it's still there
+ */
+function fillSelect(el, allLabel, values) {
+    const selected = el.value;
+    el.innerHTML = `<option value="">${escapeHtml(allLabel)}</option>` +
+        values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+    el.value = values.includes(selected) ? selected : '';
+}
+
+function totalsRow(label, totals) {
+    return `
+        <tr>
+            <td>${escapeHtml(label)}</td>
+            <td>${totals.count}</td>
+            <td class="amount${totals.unpaid > 0 ? ' unpaid' : ''}">${formatMoney(totals.unpaid)}</td>
+            <td class="amount">${formatMoney(totals.paid)}</td>
+            <td class="amount">${formatMoney(totals.total)}</td>
+        </tr>
+    `;
+}
+
+function renderFines(data) {
+    fillSelect(fineTeamEl, 'All teams', data.teamOptions);
+    fillSelect(fineTypeEl, 'All types', data.typeOptions);
+
+    document.getElementById('finesUnpaid').textContent = formatMoney(data.totals.unpaid);
+    document.getElementById('finesPaid').textContent = formatMoney(data.totals.paid);
+    document.getElementById('finesTotal').textContent = formatMoney(data.totals.total);
+    document.getElementById('finesCount').textContent = data.totals.count;
+
+    document.getElementById('finesByTeam').innerHTML = data.byTeam.map(row => totalsRow(row.team, row)).join('') ||
+        '<tr><td colspan="5">No fines</td></tr>';
+    document.getElementById('finesByType').innerHTML = data.byType.map(row => totalsRow(row.type, row)).join('') ||
+        '<tr><td colspan="5">No fines</td></tr>';
+
+    document.getElementById('finesTable').innerHTML = data.fines.map(fine => `
+        <tr class="${fine.paid ? '' : 'over-limit'}">
+            <td>${escapeHtml(fine.date || '')}</td>
+            <td>${escapeHtml(fine.team || 'Unknown')}</td>
+            <td>${escapeHtml(fine.type)}</td>
+            <td>${escapeHtml(fine.playerName || '')}</td>
+            <td class="amount">${formatMoney(fine.amount)}</td>
+            <td class="${fine.paid ? 'status-ok' : 'status-over'}">${fine.paid ? 'Yes' : 'No'}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="6">No fines match these filters</td></tr>';
+
+    const cached = data.cached ? ` (cached, ${formatAge(data.cacheAgeSeconds)} old)` : ' (freshly scraped)';
+    document.getElementById('finesUpdated').textContent =
+        `Last updated: ${new Date(data.lastUpdated).toLocaleString()}${cached}. Use Force Refresh on the Callups tab to fetch new data from RDYSL.`;
+
+    finesResultsEl.classList.remove('hidden');
+}
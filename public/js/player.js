@@ -0,0 +1,203 @@
+// Player page (player.html, served at /player/<id>)
+const API_BASE = window.location.hostname === 'localhost'
+    ? 'http://localhost:3000/api'
+    : '/api';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART = { width: 600, height: 220, left: 40, right: 20, top: 15, bottom: 30 };
+
+const loadingEl = document.getElementById('loading');
+const errorEl = document.getElementById('error');
+const playerEl = document.getElementById('player');
+
+loadPlayer();
+
+/**
+ * The player id from /player/<id>, or ?id= when the page is opened directly
+ */
+function playerIdFromUrl() {
+    const match = window.location.pathname.match(/^\/player\/([^/]+)\/?$/);
+    if (match) return decodeURIComponent(match[1]);
+    return new URLSearchParams(window.location.search).get('id') || '';
+}
+
+async function loadPlayer() {
+    const id = playerIdFromUrl();
+    if (!id) return showError('No player given. Open a player from the callup dashboard.');
+
+    try {
+        const response = await fetch(`${API_BASE}/callups/player?id=${encodeURIComponent(id)}`);
+        if (response.status === 401) {
+            window.location.href = `/login.html?from=${encodeURIComponent(window.location.pathname)}`;
+            return;
+        }
+
+        const data = await response.json();
+        if (!data.success) return showError(data.error || 'Failed to load player');
+        showPlayer(data);
+    } catch (error) {
+        console.error('Error loading player:', error);
+        showError('Network error. Please check your connection and try again.');
+    } finally {
+        loadingEl.classList.add('hidden');
+    }
+}
+
+function showError(message) {
+    loadingEl.classList.add('hidden');
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+}
+
+/**
+ * Fill the page from a /api/callups/player response. Scraped text only
+ * goes in through textContent.
+ */
+function showPlayer(data) {
+    const player = data.player;
+    document.title = `${player.playerName} - Player Callups`;
+    document.getElementById('playerName').textContent = player.playerName;
+
+    const meta = [player.homeTeam || 'Team unknown'];
+    if (player.jerseyNumber) meta.push(`#${player.jerseyNumber}`);
+    if ((player.coaches || []).length) meta.push(`Coaches: ${player.coaches.map(c => c.name).join(', ')}`);
+    if ((player.aliases || []).length) meta.push(`Also listed as ${player.aliases.join(', ')}`);
+    document.getElementById('playerMeta').textContent = meta.join(' · ');
+
+    const statusEl = document.getElementById('playerStatus');
+    statusEl.textContent = player.status;
+    statusEl.className = player.isOverLimit || player.isUnavailable
+        ? 'status-over'
+        : player.isWarning ? 'status-warning' : 'status-ok';
+    document.getElementById('callupCount').textContent = player.callupCount;
+    document.getElementById('callupLimit').textContent = player.limit === null ? '' : `of ${player.limit} allowed`;
+
+    document.getElementById('threshold').textContent = describeThreshold(data);
+
+    drawChart(data.cumulative, player.limit, data.seasonStart);
+    fillRows('callupTable', player.callups || [], callup => [
+        callup.date || '',
+        callup.gameId || '',
+        callup.fromTeam || '',
+        callup.toTeam || '',
+        callup.callupType || ''
+    ]);
+
+    if (data.fines.length) {
+        const totals = data.fineTotals;
+        document.getElementById('fineTotals').textContent =
+            `${totals.count} fine${totals.count === 1 ? '' : 's'}, ${formatMoney(totals.total)} in total, ${formatMoney(totals.unpaid)} unpaid`;
+        fillRows('fineTable', data.fines, fine => [
+            fine.date || '',
+            fine.gameId || '',
+            fine.team || '',
+            fine.type,
+            { text: formatMoney(fine.amount), className: 'amount' },
+            { text: fine.paid ? 'Yes' : 'No', className: fine.paid ? '' : 'unpaid' }
+        ]);
+        document.getElementById('finesSection').classList.remove('hidden');
+    }
+
+    const season = data.season ? `${data.season.name}; ` : '';
+    document.getElementById('lastUpdated').textContent =
+        `${season}data from ${new Date(data.lastUpdated).toLocaleString()}`;
+    playerEl.classList.remove('hidden');
+}
+
+/**
+ * "2 more callups would make them UNAVAILABLE"
+ */
+function describeThreshold(data) {
+    const next = data.nextThreshold;
+    if (data.player.isOverLimit) return 'Already over the callup limit; any more callups break league rules.';
+    if (!next) return 'No callup limit applies to this player.';
+    const callups = next.callupsAway === 1 ? '1 more callup' : `${next.callupsAway} more callups`;
+    return `${callups} would make them ${next.status}.`;
+}
+
+/**
+ * Replace a table body's rows; each cell is text or { text, className }
+ */
+function fillRows(tbodyId, items, cells) {
+    const tbody = document.getElementById(tbodyId);
+    tbody.replaceChildren();
+    items.forEach(item => {
+        const row = tbody.insertRow();
+        cells(item).forEach(cell => {
+            const td = row.insertCell();
+            if (cell && typeof cell === 'object') {
+                td.textContent = cell.text;
+                td.className = cell.className;
+            } else {
+                td.textContent = cell;
+            }
+        });
+    });
+}
+
+/**
+ * Step chart of the running callup count by game date, with the limit as a
+ * dashed line
+ */
+function drawChart(points, limit, seasonStart) {
+    const svg = document.getElementById('chart');
+    svg.replaceChildren();
+
+    if (points.length === 0) {
+        svg.appendChild(svgElement('text', { x: CHART.left, y: CHART.top + 20 }, 'No dated callups this season.'));
+        return;
+    }
+
+    const first = Date.parse(seasonStart || points[0].date);
+    const last = Math.max(Date.parse(points[points.length - 1].date), first + 24 * 60 * 60 * 1000);
+    const top = Math.max(points[points.length - 1].count, limit || 0) + 1;
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const x = date => CHART.left + (Date.parse(date) - first) / (last - first) * plotWidth;
+    const y = count => CHART.top + plotHeight - count / top * plotHeight;
+    const bottom = CHART.top + plotHeight;
+
+    svg.appendChild(svgElement('line', { class: 'axis', x1: CHART.left, y1: bottom, x2: CHART.width - CHART.right, y2: bottom }));
+    svg.appendChild(svgElement('line', { class: 'axis', x1: CHART.left, y1: CHART.top, x2: CHART.left, y2: bottom }));
+    svg.appendChild(svgElement('text', { x: CHART.left - 8, y: bottom + 4, 'text-anchor': 'end' }, '0'));
+    svg.appendChild(svgElement('text', { x: CHART.left, y: bottom + 18 }, formatDay(seasonStart || points[0].date)));
+    svg.appendChild(svgElement('text', { x: CHART.width - CHART.right, y: bottom + 18, 'text-anchor': 'end' },
+        formatDay(points[points.length - 1].date)));
+
+    if (limit !== null && limit !== undefined) {
+        svg.appendChild(svgElement('line', { class: 'limit', x1: CHART.left, y1: y(limit), x2: CHART.width - CHART.right, y2: y(limit) }));
+        svg.appendChild(svgElement('text', { x: CHART.left - 8, y: y(limit) + 4, 'text-anchor': 'end' }, String(limit)));
+    }
+
+    // Flat until each game date, then up to the new count
+    let path = `M ${CHART.left} ${y(0)}`;
+    points.forEach(point => {
+        path += ` H ${x(point.date)} V ${y(point.count)}`;
+    });
+    svg.appendChild(svgElement('path', { class: 'line', d: path }));
+
+    points.forEach(point => {
+        const dot = svgElement('circle', { class: 'dot', cx: x(point.date), cy: y(point.count), r: 4 });
+        dot.appendChild(svgElement('title', {}, `${formatDay(point.date)}: ${point.count}`));
+        svg.appendChild(dot);
+    });
+}
+
+function svgElement(name, attributes, text) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.keys(attributes).forEach(key => el.setAttribute(key, attributes[key]));
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+/**
+ * "Sep 13"
+ */
+function formatDay(date) {
+    return new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function formatMoney(amount) {
+    if (amount === null || amount === undefined) return '-';
+    return amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
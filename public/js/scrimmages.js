@@ -0,0 +1,196 @@
+// Scrimmage requests admin page (scrimmages.html)
+const API_BASE = window.location.hostname === 'localhost'
+    ? 'http://localhost:3000/api'
+    : '/api';
+
+const messageEl = document.getElementById('message');
+const statusFilterEl = document.getElementById('statusFilter');
+const requestTableEl = document.getElementById('requestTable');
+const reasonFilterEl = document.getElementById('reasonFilter');
+const rejectionTableEl = document.getElementById('rejectionTable');
+const blockFormEl = document.getElementById('blockForm');
+const blockTableEl = document.getElementById('blockTable');
+
+statusFilterEl.addEventListener('change', loadRequests);
+requestTableEl.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-status]');
+    if (button) setStatus(button.dataset.id, button.dataset.status);
+});
+reasonFilterEl.addEventListener('change', loadRejections);
+rejectionTableEl.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-block-type]');
+    if (button) block(button.dataset.blockType, button.dataset.value, `Rejected submission ${button.dataset.id}`);
+});
+blockFormEl.addEventListener('submit', (e) => {
+    e.preventDefault();
+    block(document.getElementById('blockType').value,
+        document.getElementById('blockValue').value,
+        document.getElementById('blockReason').value);
+});
+blockTableEl.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-unblock]');
+    if (button) unblock(button.dataset.unblock);
+});
+
+loadRequests();
+loadRejections();
+loadBlocklist();
+
+async function loadRequests() {
+    const status = statusFilterEl.value;
+    const response = await fetch(`${API_BASE}/scrimmages${status ? `?status=${status}` : ''}`);
+    if (response.status === 401) {
+        window.location.href = `/login.html?from=${encodeURIComponent(window.location.pathname)}`;
+        return;
+    }
+
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    requestTableEl.innerHTML = data.requests.map(request => `
+        <tr>
+            <td>${escapeHtml(new Date(request.createdAt).toLocaleDateString())}<br>
+                <small>expires ${escapeHtml(new Date(request.expiresAt).toLocaleDateString())}</small></td>
+            <td>${escapeHtml(request.gender)} ${escapeHtml(request.ageGroup)}
+                ${request.levels && request.levels.length
+                    ? `<br><small>Division ${request.levels.map(escapeHtml).join(' or ')}</small>` : ''}</td>
+            <td>${request.clubName ? `${escapeHtml(request.clubName)}<br>` : ''}
+                <a href="mailto:${escapeHtml(request.requesterEmail)}">${escapeHtml(request.requesterEmail)}</a>
+                ${request.phone ? `<br>${escapeHtml(request.phone)}` : ''}
+                ${describeProposal(request)}
+                ${request.message ? `<br><small>${escapeHtml(request.message)}</small>` : ''}</td>
+            <td>${describeTeams(request)}</td>
+            <td>${escapeHtml(request.status)}${request.claimedBy
+                ? `<br><small>${escapeHtml(request.claimedBy.team)} (${escapeHtml(request.claimedBy.name)})</small>`
+                : ''}</td>
+            <td>${actions(request)}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="6">No requests</td></tr>';
+}
+
+const VENUE_LABELS = { home: 'they host', away: 'we host', neutral: 'neutral field' };
+
+/**
+ * Proposed dates, times, home/away and field, when given
+ */
+function describeProposal(request) {
+    const parts = [request.dates, request.times, VENUE_LABELS[request.venue], request.field].filter(Boolean);
+    return parts.length ? `<br><small>${parts.map(escapeHtml).join(' &middot; ')}</small>` : '';
+}
+
+/**
+ * Each team and how it answered
+ */
+function describeTeams(request) {
+    const teams = [...new Set(request.recipients.map(recipient => recipient.team))];
+    return teams.map(team => {
+        const response = request.responses.find(r => r.team === team && r.action === 'claim') ||
+            request.responses.find(r => r.team === team);
+        const answer = response ? (response.action === 'claim' ? 'claimed' : 'not interested') : 'no answer';
+        return `${escapeHtml(team)} <small>(${answer})</small>`;
+    }).join('<br>');
+}
+
+function actions(request) {
+    const button = (status, label) =>
+        `<button type="button" class="small-btn" data-id="${escapeHtml(request.id)}" data-status="${status}">${label}</button>`;
+    if (request.status === 'claimed') return button('scheduled', 'Mark scheduled');
+    if (request.status === 'open') return button('expired', 'Close');
+    return '';
+}
+
+async function setStatus(id, status) {
+    const response = await fetch(`${API_BASE}/scrimmages?id=${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
+    });
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    showMessage(`Request marked ${status}`);
+    loadRequests();
+}
+
+async function loadRejections() {
+    const reason = reasonFilterEl.value;
+    const response = await fetch(`${API_BASE}/scrimmages/rejected${reason ? `?reason=${reason}` : ''}`);
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    rejectionTableEl.innerHTML = data.rejections.map(rejection => `
+        <tr>
+            <td>${escapeHtml(new Date(rejection.at).toLocaleString())}</td>
+            <td>${escapeHtml(rejection.reason)}${rejection.hits > 1 ? ` &times;${rejection.hits}` : ''}<br><small>${escapeHtml(rejection.detail)}</small></td>
+            <td>${escapeHtml(rejection.email)}<br>
+                <small>${escapeHtml(rejection.ip)}${rejection.origin ? ` &middot; ${escapeHtml(rejection.origin)}` : ''}</small></td>
+            <td>${escapeHtml(rejection.gender)} ${escapeHtml(rejection.ageGroup)}
+                ${rejection.message ? `<br><small>${escapeHtml(rejection.message)}</small>` : ''}</td>
+            <td>${blockButtons(rejection)}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="5">No rejected submissions</td></tr>';
+}
+
+function blockButtons(rejection) {
+    const button = (type, value, label) => value
+        ? `<button type="button" class="small-btn danger" data-id="${escapeHtml(rejection.id)}"
+               data-block-type="${type}" data-value="${escapeHtml(value)}">${label}</button>`
+        : '';
+    return [
+        button('email', rejection.email, 'Block email'),
+        button('ip', rejection.ip !== 'unknown' && rejection.ip, 'Block IP')
+    ].join(' ');
+}
+
+async function loadBlocklist() {
+    const response = await fetch(`${API_BASE}/scrimmages/blocklist`);
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    blockTableEl.innerHTML = data.entries.map(entry => `
+        <tr>
+            <td>${escapeHtml(entry.type)}</td>
+            <td>${escapeHtml(entry.value)}</td>
+            <td>${escapeHtml(entry.reason)}</td>
+            <td>${escapeHtml(new Date(entry.createdAt).toLocaleDateString())}
+                ${entry.createdBy ? `<br><small>${escapeHtml(entry.createdBy)}</small>` : ''}</td>
+            <td><button type="button" class="small-btn secondary" data-unblock="${escapeHtml(entry.id)}">Remove</button></td>
+        </tr>
+    `).join('') || '<tr><td colspan="5">Nothing blocked</td></tr>';
+}
+
+async function block(type, value, reason) {
+    const response = await fetch(`${API_BASE}/scrimmages/blocklist`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type, value, reason })
+    });
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    showMessage(`Blocked ${data.entry.type} ${data.entry.value}`);
+    blockFormEl.reset();
+    loadBlocklist();
+}
+
+async function unblock(id) {
+    const response = await fetch(`${API_BASE}/scrimmages/blocklist?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!data.success) return showMessage(data.error, true);
+
+    showMessage('Removed from the blocklist');
+    loadBlocklist();
+}
+
+function showMessage(text, isError) {
+    messageEl.textContent = text;
+    messageEl.className = isError ? 'error' : 'success';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse, resetState, TEST_SESSION_SECRET } = require('./helpers');
+const { signToken, verifyToken, hasRole } = require('../lib/session-token');
+const { saveUser, authenticatePassword, findOrCreateMagicLinkUser } = require('../lib/users');
+const {
+  createSessionToken,
+  getSession,
+  requireRole,
+  createMagicLinkToken,
+  consumeMagicLinkToken
+} = require('../lib/auth');
+const { teamScope } = require('../lib/team-scope');
+const { getStorage } = require('../lib/storage');
+const authHandler = require('../api/auth');
+const usersHandler = require('../api/users');
+
+const secret = TEST_SESSION_SECRET;
+
+test.beforeEach(resetState);
+
+function cookieFor(token) {
+  return { cookie: `other=1; hh_session=${token}` };
+}
+
+test('tokens verify only unchanged, unexpired and of the right type', async () => {
+  const token = await signToken({ sub: 'usr_1', role: 'coach' }, { type: 'session', ttlMs: 60000, secret });
+  const payload = await verifyToken(token, { type: 'session', secret });
+  assert.equal(payload.sub, 'usr_1');
+  assert.equal(payload.role, 'coach');
+
+  const [body, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...payload, role: 'admin' })).toString('base64url');
+  assert.equal(await verifyToken(`${forged}.${signature}`, { type: 'session', secret }), null);
+  assert.equal(await verifyToken(`${body}.${signature}x`, { type: 'session', secret }), null);
+  assert.equal(await verifyToken(token, { type: 'magic-link', secret }), null);
+  assert.equal(await verifyToken(token, { type: 'session', secret: 'another-secret' }), null);
+  assert.equal(await verifyToken('1', { type: 'session', secret }), null);
+  assert.equal(await verifyToken(undefined, { type: 'session', secret }), null);
+
+  const expired = await signToken({ sub: 'usr_1' }, { type: 'session', ttlMs: -1, secret });
+  assert.equal(await verifyToken(expired, { type: 'session', secret }), null);
+});
+
+test('roles include the ones below them', () => {
+  assert.equal(hasRole('admin', 'coach'), true);
+  assert.equal(hasRole('coach', 'coach'), true);
+  assert.equal(hasRole('viewer', 'coach'), false);
+  assert.equal(hasRole('owner', 'viewer'), false);
+  assert.equal(hasRole(undefined, 'viewer'), false);
+});
+
+test('middleware lets signed sessions through and nothing else', async () => {
+  const { default: middleware } = await import('../middleware.js');
+  const token = await createSessionToken({ id: 'byga', role: 'viewer' });
+  const request = (path, headers = {}) => new Request(`https://tools.example.org${path}`, { headers });
+
+  assert.equal(await middleware(request('/', cookieFor(token))), undefined);
+  assert.equal(await middleware(request('/api/callups', cookieFor(token))), undefined);
+
+  const page = await middleware(request('/index.html', { cookie: 'hh_access=1' }));
+  assert.equal(page.status, 302);
+  assert.equal(page.headers.get('location'), 'https://tools.example.org/login.html?from=%2Findex.html');
+
+  const api = await middleware(request('/api/callups?details=true', { cookie: 'hh_access=1' }));
+  assert.equal(api.status, 401);
+
+  assert.equal(await middleware(request('/api/health')), undefined);
+  assert.equal(await middleware(request('/api/auth')), undefined);
+  assert.equal(await middleware(request('/api/cron/callup-alerts')), undefined);
+});
+
+test('passwords are checked against the user store', async () => {
+  await saveUser(null, { email: 'Coach@Example.org', name: 'Pat Coach', role: 'coach', password: 'correct horse battery' });
+
+  assert.equal((await authenticatePassword('coach@example.org', 'correct horse battery')).role, 'coach');
+  assert.equal(await authenticatePassword('coach@example.org', 'wrong password!'), null);
+  assert.equal(await authenticatePassword('nobody@example.org', 'correct horse battery'), null);
+
+  const { error } = await saveUser(null, { email: 'coach@example.org', role: 'viewer' });
+  assert.match(error, /already has an account/);
+});
+
+test('password sign-in sets a session cookie that requireRole accepts', async () => {
+  await saveUser(null, { email: 'admin@example.org', role: 'admin', password: 'correct horse battery' });
+
+  const res = createResponse();
+  await authHandler(createRequest({
+    method: 'POST',
+    body: { email: 'admin@example.org', password: 'correct horse battery', from: '//evil.example.com' }
+  }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.redirect, '/');
+
+  const cookie = res.headers['set-cookie'];
+  assert.match(cookie, /^hh_session=[\w-]+\.[\w-]+; Path=\/; HttpOnly; Secure; SameSite=Lax/);
+
+  const session = await requireRole(createRequest({ headers: { cookie: cookie.split(';')[0] } }), createResponse(), 'admin');
+  assert.equal(session.email, 'admin@example.org');
+});
+
+test('Byga links need the shared key and a byga.net Referer', async () => {
+  process.env.BYGA_LINK_SECRET = 'byga-link-key';
+  const bygaLink = (key, referer) => {
+    const res = createResponse();
+    return authHandler(createRequest({ query: key ? { key } : {}, headers: { referer } }), res).then(() => res);
+  };
+
+  try {
+    const res = await bygaLink('byga-link-key', 'https://hiltonheat.byga.net/libraries/3265');
+    assert.equal(res.redirectUrl, '/');
+
+    const token = res.headers['set-cookie'].split(';')[0].split('=')[1];
+    const payload = await verifyToken(token, { type: 'session', secret });
+    assert.equal(payload.sub, 'byga');
+    assert.equal(payload.role, 'viewer');
+
+    for (const [key, referer] of [
+      [null, 'https://hiltonheat.byga.net/libraries/3265'],
+      ['wrong-key', 'https://hiltonheat.byga.net/libraries/3265'],
+      ['byga-link-key', 'https://example.com/'],
+      ['byga-link-key', 'https://evil.example/?hiltonheat.byga.net'],
+      ['byga-link-key', 'https://hiltonheat.byga.net.evil.example/'],
+      ['byga-link-key', undefined]
+    ]) {
+      const other = await bygaLink(key, referer);
+      assert.equal(other.redirectUrl, '/login.html', `${key} from ${referer}`);
+      assert.equal(other.headers['set-cookie'], undefined);
+    }
+
+    delete process.env.BYGA_LINK_SECRET;
+    assert.equal((await bygaLink('byga-link-key', 'https://hiltonheat.byga.net/')).redirectUrl, '/login.html');
+  } finally {
+    delete process.env.BYGA_LINK_SECRET;
+  }
+});
+
+test('Byga sessions never get admin and only see BYGA_TEAMS', async () => {
+  process.env.BYGA_ROLE = 'admin';
+  process.env.BYGA_LINK_SECRET = 'byga-link-key';
+  try {
+    const res = createResponse();
+    await authHandler(createRequest({
+      query: { key: 'byga-link-key' },
+      headers: { referer: 'https://hiltonheat.byga.net/libraries/3265' }
+    }), res);
+    const cookie = res.headers['set-cookie'].split(';')[0];
+
+    let session = await getSession(createRequest({ headers: { cookie } }));
+    assert.equal(session.role, 'viewer');
+    assert.deepEqual(teamScope(session), []);
+
+    process.env.BYGA_TEAMS = 'BU12 - Borcyk, GU11 - Stagnitta';
+    session = await getSession(createRequest({ headers: { cookie } }));
+    assert.deepEqual(teamScope(session), ['BU12 - Borcyk', 'GU11 - Stagnitta']);
+  } finally {
+    delete process.env.BYGA_ROLE;
+    delete process.env.BYGA_LINK_SECRET;
+    delete process.env.BYGA_TEAMS;
+  }
+});
+
+test('magic links work once', async () => {
+  await saveUser(null, { email: 'viewer@example.org', role: 'viewer' });
+  const token = await createMagicLinkToken('viewer@example.org');
+
+  const res = createResponse();
+  await authHandler(createRequest({ query: { token, from: '/rdysl-callup-checker.html' } }), res);
+  assert.equal(res.redirectUrl, '/rdysl-callup-checker.html');
+  assert.match(res.headers['set-cookie'], /^hh_session=/);
+
+  const again = createResponse();
+  await authHandler(createRequest({ query: { token } }), again);
+  assert.equal(again.redirectUrl, '/login.html?error=link');
+  assert.equal(await consumeMagicLinkToken(token), null);
+});
+
+test('ADMIN_EMAILS get an admin account on their first magic link', async () => {
+  process.env.ADMIN_EMAILS = 'club-admin@example.org, other@example.org';
+  try {
+    assert.equal(await findOrCreateMagicLinkUser('stranger@example.org'), null);
+    const user = await findOrCreateMagicLinkUser('Club-Admin@example.org');
+    assert.equal(user.role, 'admin');
+    assert.equal(user.email, 'club-admin@example.org');
+  } finally {
+    delete process.env.ADMIN_EMAILS;
+  }
+});
+
+test('updating a user keeps the fields left out', async () => {
+  const { user: coach } = await saveUser(null, { email: 'coach@example.org', role: 'coach', password: 'correct horse battery' });
+  await saveUser(coach.id, { teams: ['BU10 - Wallenhorst'] });
+
+  const { user } = await saveUser(coach.id, { name: 'Pat Coach' });
+  assert.equal(user.name, 'Pat Coach');
+  assert.equal(user.email, 'coach@example.org');
+  assert.equal(user.role, 'coach');
+  assert.deepEqual(user.teams, ['BU10 - Wallenhorst']);
+  assert.equal(user.active, true);
+  assert.equal(user.hasPassword, true);
+
+  const { error } = await saveUser(coach.id, { role: 'owner' });
+  assert.match(error, /Role must be one of/);
+});
+
+test('deactivated users and non-admins are kept out of /api/users', async () => {
+  const { user: viewer } = await saveUser(null, { email: 'viewer@example.org', role: 'viewer' });
+  const viewerToken = await createSessionToken(viewer);
+
+  const forbidden = createResponse();
+  await usersHandler(createRequest({ headers: cookieFor(viewerToken) }), forbidden);
+  assert.equal(forbidden.statusCode, 403);
+
+  const { user: admin } = await saveUser(null, { email: 'admin@example.org', role: 'admin' });
+  const adminToken = await createSessionToken(admin);
+  const listed = createResponse();
+  await usersHandler(createRequest({ headers: cookieFor(adminToken) }), listed);
+  assert.equal(listed.statusCode, 200);
+  assert.equal(listed.body.users.length, 2);
+  assert.ok(listed.body.users.every(user => !('passwordHash' in user)));
+
+  const renamed = createResponse();
+  await usersHandler(createRequest({
+    method: 'PUT',
+    query: { id: admin.id },
+    headers: cookieFor(adminToken),
+    body: { name: 'Club Admin' }
+  }), renamed);
+  assert.equal(renamed.statusCode, 200);
+  assert.equal(renamed.body.user.name, 'Club Admin');
+  assert.equal(renamed.body.user.role, 'admin');
+
+  await saveUser(admin.id, { active: false });
+  const locked = createResponse();
+  await usersHandler(createRequest({ headers: cookieFor(adminToken) }), locked);
+  assert.equal(locked.statusCode, 401);
+});
+
+test('a storage failure while checking the session is a JSON 500 from /api/users', async t => {
+  const { user: admin } = await saveUser(null, { email: 'admin@example.org', role: 'admin' });
+  const adminToken = await createSessionToken(admin);
+  t.mock.method(getStorage(), 'get', async () => { throw new Error('storage is down'); });
+  t.mock.method(getStorage(), 'list', async () => { throw new Error('storage is down'); });
+  t.mock.method(console, 'error', () => {});
+
+  const res = createResponse();
+  await usersHandler(createRequest({ headers: cookieFor(adminToken) }), res);
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { success: false, error: 'Failed to update users' });
+});
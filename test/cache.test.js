@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryCache, FileCache, RedisCache, setCache, withLock } = require('../lib/cache');
+const { startRedisStandIn } = require('./redis-stand-in');
+
+/**
+ * The behaviour every backend must share
+ */
+async function checkBackend(cache) {
+  assert.equal(await cache.get('callups'), null);
+
+  await cache.set('callups', { summary: [{ playerName: 'Núñez, Sofía' }], totalRecords: 1 });
+  assert.deepEqual(await cache.get('callups'), { summary: [{ playerName: 'Núñez, Sofía' }], totalRecords: 1 });
+
+  const token = await cache.acquireLock('refresh', 60000);
+  assert.ok(token);
+  assert.equal(await cache.isLocked('refresh'), true);
+  assert.equal(await cache.acquireLock('refresh', 60000), null);
+
+  // Only the holder's token releases it
+  await cache.releaseLock('refresh', 'someone-else');
+  assert.equal(await cache.isLocked('refresh'), true);
+  await cache.releaseLock('refresh', token);
+  assert.equal(await cache.isLocked('refresh'), false);
+
+  // Entries with a TTL expire
+  await cache.set('rate-limit:ip', { hits: [1] }, 20);
+  assert.deepEqual(await cache.get('rate-limit:ip'), { hits: [1] });
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(await cache.get('rate-limit:ip'), null);
+  await cache.set('rate-limit:ip', { hits: [2] });
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.deepEqual(await cache.get('rate-limit:ip'), { hits: [2] });
+
+  // Expired locks can be taken over
+  assert.ok(await cache.acquireLock('short', 20));
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(await cache.isLocked('short'), false);
+  assert.ok(await cache.acquireLock('short', 60000));
+}
+
+test('memory cache', async () => {
+  await checkBackend(new MemoryCache());
+});
+
+test('file cache', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hh-cache-test-'));
+  try {
+    await checkBackend(new FileCache(dir));
+
+    // A second instance on the same directory sees the same data and locks
+    const other = new FileCache(dir);
+    assert.equal((await other.get('callups')).totalRecords, 1);
+    assert.equal(await other.acquireLock('short', 60000), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('redis cache against a Redis-protocol stand-in', async () => {
+  const { url, server, commands } = await startRedisStandIn({ password: 's3cret' });
+  const cache = new RedisCache(url, 'hh-test:');
+  try {
+    await checkBackend(cache);
+
+    assert.deepEqual(commands[0], ['AUTH', 's3cret']);
+    assert.deepEqual(commands[1], ['SELECT', '1']);
+    assert.ok(commands.some(([name, key]) => name === 'SET' && key === 'hh-test:callups'));
+    assert.ok(commands.some(([name, key, , px, ttl]) => name === 'SET' && key === 'hh-test:rate-limit:ip' && px === 'PX' && ttl === '20'));
+  } finally {
+    cache.client.close();
+    server.close();
+  }
+});
+
+test('redis cache reports a wrong password', async () => {
+  const { url, server } = await startRedisStandIn({ password: 's3cret' });
+  const cache = new RedisCache(url.replace('s3cret', 'wrong'), 'hh-test:');
+  try {
+    await assert.rejects(cache.get('callups'), /WRONGPASS/);
+  } finally {
+    cache.client.close();
+    server.close();
+  }
+});
+
+test('withLock runs one holder at a time and gives up on a held lock', async () => {
+  const cache = new MemoryCache();
+  setCache(cache);
+  try {
+    const order = [];
+    const slow = withLock('job', 'Testing', async () => {
+      order.push('first');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      order.push('first done');
+    });
+    await withLock('job', 'Testing', async () => order.push('second'));
+    await slow;
+    assert.deepEqual(order, ['first', 'first done', 'second']);
+    assert.equal(await cache.isLocked('job'), false);
+
+    const token = await cache.acquireLock('job', 60000);
+    assert.equal(await withLock('job', 'Testing', async () => 'ran', { wait: false }), null);
+    await assert.rejects(withLock('job', 'Testing', async () => 'ran', { waitMs: 50 }), /Testing: job is busy/);
+    await cache.releaseLock('job', token);
+    assert.equal(await withLock('job', 'Testing', async () => 'ran'), 'ran');
+  } finally {
+    setCache(null);
+  }
+});
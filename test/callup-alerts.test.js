@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse, resetState } = require('./helpers');
+const { startSmtpStandIn } = require('./smtp-stand-in');
+
+process.env.RDYSL_USERNAME = 'heat';
+process.env.RDYSL_PASSWORD = 'secret';
+process.env.CRON_SECRET = 'cron-secret';
+process.env.ALERT_FALLBACK_EMAIL = 'webmaster@example.org';
+delete process.env.CALLUP_RULES;
+
+const RDYSLScraperServerless = require('../api/scraper-serverless');
+const { getCallupData } = require('../lib/callup-data');
+const { getAlertBaseline } = require('../lib/callup-alerts');
+const alertsHandler = require('../api/cron/callup-alerts');
+
+const OK = { status: 'OK', statusKey: 'OK', isWarning: false, isUnavailable: false, isOverLimit: false };
+const WARNING = { status: 'WARNING', statusKey: 'WARNING', isWarning: true, isUnavailable: false, isOverLimit: false };
+
+let smtp;
+let status;
+let scrapes;
+
+function smith(callupCount, flags) {
+  return {
+    playerName: 'Smith, John',
+    callupCount,
+    ...flags,
+    callups: [{ date: '2025-10-11', gameId: '10650', fromTeam: 'BU8 Unlisted', toTeam: 'BU9 Unlisted' }]
+  };
+}
+
+/**
+ * Every scrape returns Smith at the current `status`
+ */
+function fakeScrape(t) {
+  t.mock.method(RDYSLScraperServerless.prototype, 'scrapeCallupData', async () => {
+    scrapes++;
+    return {
+      success: true,
+      summary: [status === WARNING ? smith(3, WARNING) : smith(2, OK)],
+      records: [],
+      totalRecords: 3,
+      identityReview: 0,
+      lastUpdated: new Date(Date.now() + scrapes).toISOString()
+    };
+  });
+}
+
+async function runCron() {
+  const res = createResponse();
+  await alertsHandler(createRequest({ headers: { authorization: 'Bearer cron-secret' } }), res);
+  return res;
+}
+
+test.before(async () => {
+  smtp = await startSmtpStandIn();
+  process.env.SMTP_HOST = smtp.host;
+  process.env.SMTP_PORT = String(smtp.port);
+});
+
+test.after(() => smtp.server.close());
+
+test.beforeEach(() => {
+  resetState();
+  smtp.messages.length = 0;
+  status = OK;
+  scrapes = 0;
+});
+
+test('an escalation first seen by a dashboard refresh is still alerted', async t => {
+  fakeScrape(t);
+
+  let res = await runCron();
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.alerts, []);
+  assert.equal((await getAlertBaseline()).players[0].status, 'OK');
+
+  // The dashboard refreshes (and snapshots) first
+  status = WARNING;
+  assert.equal((await getCallupData({ forceRefresh: true })).summary[0].status, 'WARNING');
+
+  res = await runCron();
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.escalations.map(e => [e.playerName, e.previousStatus, e.status, e.team]), [
+    ['Smith, John', 'OK', 'WARNING', 'BU8 Unlisted']
+  ]);
+  assert.deepEqual(res.body.alerts.map(alert => alert.recipients), [['webmaster@example.org']]);
+  assert.equal(smtp.messages.length, 1);
+
+  // The next run compares against what was alerted
+  res = await runCron();
+  assert.deepEqual(res.body.escalations, []);
+  assert.equal(smtp.messages.length, 1);
+  assert.equal(scrapes, 4);
+});
+
+test('the cron job needs the cron secret', async () => {
+  const res = createResponse();
+  await alertsHandler(createRequest({ headers: { authorization: 'Bearer nope' } }), res);
+  assert.equal(res.statusCode, 401);
+});
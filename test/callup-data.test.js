@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resetState } = require('./helpers');
+const { getCache } = require('../lib/cache');
+
+process.env.RDYSL_USERNAME = 'heat';
+process.env.RDYSL_PASSWORD = 'secret';
+delete process.env.CALLUP_RULES;
+
+const RDYSLScraperServerless = require('../api/scraper-serverless');
+const { getCallupData } = require('../lib/callup-data');
+
+const PLAYER = { playerName: 'Smith, John', callupCount: 2, statusKey: 'OK', callups: [] };
+
+let cache;
+let scrapes;
+
+/**
+ * Replace the RDYSL scrape with one that takes `delayMs` and counts calls
+ */
+function fakeScrape(t, delayMs = 50) {
+  t.mock.method(RDYSLScraperServerless.prototype, 'scrapeCallupData', async () => {
+    scrapes++;
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    return {
+      success: true,
+      summary: [PLAYER],
+      records: [],
+      totalRecords: 2,
+      identityReview: 0,
+      lastUpdated: new Date().toISOString()
+    };
+  });
+}
+
+function entryFrom(minutesAgo) {
+  return {
+    summary: [{ ...PLAYER, callupCount: 1 }],
+    totalRecords: 1,
+    identityReview: 0,
+    lastUpdated: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString()
+  };
+}
+
+test.beforeEach(() => {
+  resetState();
+  cache = getCache();
+  scrapes = 0;
+});
+
+test('fresh cached data is returned without scraping', async t => {
+  fakeScrape(t);
+  await cache.set('callups', entryFrom(5));
+
+  const data = await getCallupData();
+  assert.equal(data.success, true);
+  assert.equal(data.cached, true);
+  assert.equal(data.refreshInProgress, false);
+  assert.ok(data.cacheAgeSeconds >= 299 && data.cacheAgeSeconds <= 301);
+  assert.equal(scrapes, 0);
+});
+
+test('stale data is returned at once while one background refresh runs', async t => {
+  fakeScrape(t);
+  await cache.set('callups', entryFrom(45));
+
+  const [first, second] = await Promise.all([getCallupData(), getCallupData()]);
+  for (const data of [first, second]) {
+    assert.equal(data.cached, true);
+    assert.equal(data.refreshInProgress, true);
+    assert.equal(data.totalRecords, 1);
+  }
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.equal(scrapes, 1);
+
+  const refreshed = await getCallupData();
+  assert.equal(refreshed.totalRecords, 2);
+  assert.equal(refreshed.refreshInProgress, false);
+});
+
+test('concurrent forced refreshes share one scrape', async t => {
+  fakeScrape(t);
+
+  const results = await Promise.all([1, 2, 3].map(() => getCallupData({ forceRefresh: true })));
+  assert.equal(scrapes, 1);
+  results.forEach(data => {
+    assert.equal(data.success, true);
+    assert.equal(data.cached, false);
+    assert.equal(data.totalRecords, 2);
+  });
+});
+
+test("a refresh waits for another instance's scrape instead of starting its own", async t => {
+  fakeScrape(t);
+
+  // Another instance holds the refresh lock and stores its result shortly
+  const token = await cache.acquireLock('callups-refresh', 60000);
+  setTimeout(async () => {
+    await cache.set('callups', { ...entryFrom(0), totalRecords: 7 });
+    await cache.releaseLock('callups-refresh', token);
+  }, 300);
+
+  const data = await getCallupData({ forceRefresh: true });
+  assert.equal(scrapes, 0);
+  assert.equal(data.success, true);
+  assert.equal(data.totalRecords, 7);
+});
+
+test("another instance's failed refresh is reported to waiting requests", async t => {
+  fakeScrape(t);
+
+  const token = await cache.acquireLock('callups-refresh', 60000);
+  setTimeout(async () => {
+    await cache.set('callups-refresh-failure', {
+      success: false,
+      statusCode: 502,
+      code: 'LAYOUT_CHANGED',
+      error: 'Game fines table not found',
+      failedAt: new Date().toISOString()
+    });
+    await cache.releaseLock('callups-refresh', token);
+  }, 300);
+
+  const data = await getCallupData({ forceRefresh: true });
+  assert.equal(scrapes, 0);
+  assert.deepEqual(data, { success: false, statusCode: 502, code: 'LAYOUT_CHANGED', error: 'Game fines table not found' });
+});
+
+test('an empty cache is seeded from the latest snapshot', async t => {
+  fakeScrape(t);
+  const { saveSnapshot } = require('../lib/history');
+  await saveSnapshot({ summary: [PLAYER], totalRecords: 2, lastUpdated: new Date().toISOString() });
+
+  const data = await getCallupData();
+  assert.equal(scrapes, 0);
+  assert.equal(data.cached, true);
+  assert.deepEqual(data.summary, [PLAYER]);
+  assert.equal((await cache.get('callups')).totalRecords, 2);
+});
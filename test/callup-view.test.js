@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CallupView = require('../public/js/callup-view');
+const { filterSummary } = require('../lib/callup-export');
+
+function player(playerName, homeTeam, ageGroup, callupCount, statusKey, extra = {}) {
+  return { playerName, homeTeam, ageGroup, callupCount, statusKey, ...extra };
+}
+
+const SUMMARY = [
+  player('Smith, John', 'BU11 - Miner', 'BU11', 5, 'OVER_LIMIT'),
+  player('Núñez, Sofía', 'GU12 - Zecher', 'GU12', 4, 'UNAVAILABLE'),
+  player('Adams, Grace', 'GU12 - Zecher', 'GU12', 4, 'UNAVAILABLE', { aliases: ['Adams, Gracie'] }),
+  player('Brown, Max', 'BU11 - Miner', 'BU11', 3, 'WARNING', {
+    nextGames: [{ date: '2025-11-01', time: '10:30' }]
+  }),
+  player('Keller, Ava', 'GU11 - Stagnitta', 'GU11', 4, 'UNAVAILABLE'),
+  player("O'Brien, Liam", null, null, 1, 'OK')
+];
+
+const names = groups => groups.map(group => [group.label, group.players.map(p => p.playerName)]);
+
+test('a view round-trips through the query string, leaving out defaults', () => {
+  const view = CallupView.readView('?status=unavailable,over limit&ageGroup=gu12&sort=name&group=team&bogus=1');
+  assert.deepEqual(view, {
+    season: '',
+    status: ['UNAVAILABLE', 'OVER_LIMIT'],
+    team: '',
+    ageGroup: 'GU12',
+    search: '',
+    group: 'team',
+    sort: 'name',
+    dir: 'asc'
+  });
+  assert.equal(CallupView.writeView(view), '?status=UNAVAILABLE%2COVER_LIMIT&ageGroup=GU12&group=team&sort=name');
+  assert.deepEqual(CallupView.readView(CallupView.writeView(view)), view);
+
+  assert.deepEqual(CallupView.readView(''), CallupView.DEFAULT_VIEW);
+  assert.equal(CallupView.writeView(CallupView.DEFAULT_VIEW), '');
+  assert.equal(CallupView.readView('?sort=nope&dir=sideways&group=coach').sort, 'count');
+});
+
+test('"all UNAVAILABLE GU12 players" filters by status chip and age group', () => {
+  const view = CallupView.readView('?status=UNAVAILABLE&ageGroup=GU12');
+  assert.deepEqual(names(CallupView.applyView(SUMMARY, view)), [[null, ['Adams, Grace', 'Núñez, Sofía']]]);
+
+  // The export applies the same filters
+  assert.deepEqual(filterSummary(SUMMARY, view).map(p => p.playerName), ['Núñez, Sofía', 'Adams, Grace']);
+});
+
+test('search matches every name that has all the words, accents ignored', () => {
+  const search = view => CallupView.applyView(SUMMARY, CallupView.readView(view))[0].players.map(p => p.playerName);
+
+  assert.deepEqual(search('?search=br'), ['Brown, Max', "O'Brien, Liam"]);
+  assert.deepEqual(search('?search=sofia nunez'), ['Núñez, Sofía']);
+  assert.deepEqual(search('?search=gracie'), ['Adams, Grace']);
+
+  assert.deepEqual(CallupView.highlight('Núñez, Sofía', 'nu fia'), [
+    { text: 'Nú', match: true },
+    { text: 'ñez, So', match: false },
+    { text: 'fía', match: true }
+  ]);
+  assert.deepEqual(CallupView.highlight('<b>Smith</b>', ''), [{ text: '<b>Smith</b>', match: false }]);
+});
+
+test('sorts by any column and groups by team or age group', () => {
+  const view = query => names(CallupView.applyView(SUMMARY, CallupView.readView(query)));
+
+  assert.deepEqual(view('')[0][1], ['Smith, John', 'Adams, Grace', 'Keller, Ava', 'Núñez, Sofía', 'Brown, Max', "O'Brien, Liam"]);
+  assert.deepEqual(view('?sort=status&dir=asc')[0][1], ["O'Brien, Liam", 'Brown, Max', 'Adams, Grace', 'Keller, Ava', 'Núñez, Sofía', 'Smith, John']);
+  assert.deepEqual(view('?sort=nextGame')[0][1][0], 'Brown, Max');
+  assert.deepEqual(view('?sort=nextGame&dir=desc')[0][1][0], 'Brown, Max');
+
+  assert.deepEqual(view('?group=ageGroup&sort=name'), [
+    ['BU11', ['Brown, Max', 'Smith, John']],
+    ['GU11', ['Keller, Ava']],
+    ['GU12', ['Adams, Grace', 'Núñez, Sofía']],
+    ['Unknown', ["O'Brien, Liam"]]
+  ]);
+  assert.deepEqual(view('?group=team&status=OK,WARNING'), [
+    ['BU11 - Miner', ['Brown, Max']],
+    ['Unknown', ["O'Brien, Liam"]]
+  ]);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const {
+  readFixture,
+  summaryRows,
+  createRequest,
+  createResponse,
+  resetState,
+  signIn,
+  CLUB_RECORDS,
+  CLUB_SUMMARY
+} = require('./helpers');
+
+delete process.env.CALLUP_RULES;
+
+const CallupRules = require('../public/js/callup-rules');
+const rulesHandler = require('../api/callups/rules');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+/**
+ * Load rdysl-callup-checker.html the way a browser would, with its
+ * /js/*.js scripts inlined, and return the page's RDYSLScraper instance.
+ * `fetch` stands in for the browser's (jsdom has none).
+ */
+function loadChecker(fetch) {
+  const html = fs.readFileSync(path.join(PUBLIC_DIR, 'rdysl-callup-checker.html'), 'utf8')
+    .replace(/<script src="\/js\/([\w-]+\.js)"><\/script>/g, (tag, file) =>
+      `<script>${fs.readFileSync(path.join(PUBLIC_DIR, 'js', file), 'utf8')}</script>`);
+
+  // getCallupAnalysis logs the errors it returns; keep test output quiet
+  const dom = new JSDOM(html, {
+    runScripts: 'dangerously',
+    virtualConsole: new VirtualConsole(),
+    beforeParse(window) {
+      if (fetch) window.fetch = fetch;
+    }
+  });
+  return dom.window.eval('scraper');
+}
+
+// Objects built inside the page have the page's prototypes; compare as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const checker = loadChecker();
+
+test('checker parses the club page the same as the server', () => {
+  assert.deepEqual(plain(checker.parseCallupData(readFixture('gamefines-club.html'))), CLUB_RECORDS);
+});
+
+test('checker analysis of the club page', () => {
+  const result = plain(checker.getCallupAnalysis(readFixture('gamefines-club.html')));
+
+  assert.equal(result.success, true);
+  assert.equal(result.totalRecords, CLUB_RECORDS.length);
+  assert.deepEqual(summaryRows(result.summary), CLUB_SUMMARY);
+});
+
+test('checker reports a fines page without callups', () => {
+  const result = checker.getCallupAnalysis(readFixture('gamefines-no-callups.html'));
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /No callup records found/);
+});
+
+test('checker reports pages without the fines table as a layout problem', () => {
+  for (const fixture of ['gamefines-changed-headers.html', 'clublogin.html']) {
+    const result = checker.getCallupAnalysis(readFixture(fixture));
+    assert.equal(result.success, false, fixture);
+    assert.match(result.error, /No game fines table/, fixture);
+  }
+});
+
+test('checker recognizes the "Login corrupted" page', () => {
+  const result = checker.getCallupAnalysis(readFixture('login-corrupted.html'));
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /appears to be a login page/);
+});
+
+test('checker counts callups under the rules the server applies', async () => {
+  resetState();
+  process.env.CALLUP_RULES = JSON.stringify({ limits: [{ match: {}, total: 2, warnRemaining: 0 }] });
+  const headers = await signIn('viewer');
+
+  try {
+    const served = loadChecker(async url => {
+      assert.equal(url, '/api/callups/rules');
+      const res = createResponse();
+      await rulesHandler(createRequest({ headers }), res);
+      return { json: async () => res.body };
+    });
+    await served.loadRules();
+
+    const result = plain(served.getCallupAnalysis(readFixture('gamefines-club.html')));
+    assert.deepEqual(summaryRows(result.summary).map(([name, , statusKey]) => [name, statusKey]), [
+      ['Smith, John', 'OVER_LIMIT'],
+      ['Brown, Max', 'UNAVAILABLE'],
+      ['Núñez, Sofía', 'OK'],
+      ["O'Brien, Liam", 'OK']
+    ]);
+  } finally {
+    delete process.env.CALLUP_RULES;
+  }
+});
+
+test('an age group rule written as U9 applies to BU09 and GU9 players', () => {
+  const rules = CallupRules.resolveRules({
+    limits: [{ match: { ageGroup: ['U9', 'U10'] }, total: 2, warnRemaining: 0 }, { match: {}, total: 4 }]
+  });
+  assert.deepEqual(rules.limits[0].match, { ageGroup: ['U09', 'U10'] });
+
+  const callups = fromTeam => [
+    { date: '2025-09-13', fromTeam, toTeam: 'BU10 Sotile' },
+    { date: '2025-09-20', fromTeam, toTeam: 'BU10 Sotile' }
+  ];
+  assert.equal(CallupRules.evaluatePlayer(callups('BU09 - Tette'), rules).statusKey, 'UNAVAILABLE');
+  assert.equal(CallupRules.evaluatePlayer(callups('GU9 Diedrich'), rules).statusKey, 'UNAVAILABLE');
+  assert.equal(CallupRules.evaluatePlayer(callups('BU11 Miner'), rules).statusKey, 'OK');
+  assert.equal(CallupRules.evaluatePlayer([], rules, { ageGroup: 'bu9' }).limit, 2);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse, resetState, signIn } = require('./helpers');
+const { html, raw, htmlToText } = require('../lib/html');
+const { renderEmail, renderPage, listTemplates } = require('../lib/email-templates');
+const previewHandler = require('../api/email-preview');
+
+test.beforeEach(resetState);
+
+test('html`` escapes values once, however deeply nested', () => {
+  const name = '<script>alert("x")</script> & co';
+  const item = html`<li>${name}</li>`;
+  const markup = String(html`<ul>${[item, item]}</ul>${null}${false}${raw('<br>')}`);
+
+  const escaped = '<li>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; co</li>';
+  assert.equal(markup, `<ul>${escaped}${escaped}</ul><br>`);
+});
+
+test('the plain-text version keeps structure and link addresses', () => {
+  const text = htmlToText(`
+    <h2>Title</h2>
+    <p>First line<br>second &amp; last</p>
+    <table><tr><td>Label:</td><td>Value</td></tr><tr><td>Other:</td><td>Thing</td></tr></table>
+    <ul><li>one</li><li>two</li></ul>
+    <p><a href="https://example.org/go?a=1&amp;b=2">Go</a> or <a href="mailto:x@example.org">x@example.org</a></p>`);
+
+  assert.equal(text, [
+    'Title',
+    '',
+    'First line',
+    'second & last',
+    '',
+    'Label: Value',
+    'Other: Thing',
+    '',
+    '- one',
+    '- two',
+    '',
+    'Go (https://example.org/go?a=1&b=2) or x@example.org'
+  ].join('\n'));
+});
+
+test('templates render a subject, the club layout and a text part', () => {
+  const request = {
+    id: 'scr_1',
+    requesterEmail: 'visitor@example.org',
+    clubName: 'Evil <b>FC</b>',
+    gender: 'Boys',
+    ageGroup: 'U12',
+    recipients: [],
+    claimedBy: { name: 'Pat', email: 'pat@example.org', team: 'BU12 - Borcyk' }
+  };
+  const email = renderEmail('scrimmage-taken', { request });
+
+  assert.equal(email.subject, 'Scrimmage Request Taken - Boys U12');
+  assert.match(email.html, /Hilton Heat Soccer Club/);
+  assert.match(email.html, /Evil &lt;b&gt;FC&lt;\/b&gt;/);
+  assert.match(email.text, /BU12 - Borcyk \(Pat\) took the scrimmage request from Evil <b>FC<\/b>\. No action is needed\./);
+  assert.match(email.text, /Request scr_1/);
+
+  assert.throws(() => renderEmail('nope', {}), /Unknown email template "nope"/);
+});
+
+test('callup alerts and sign-in links escape what they are given', () => {
+  const alert = renderEmail('callup-alert', {
+    team: 'BU11 <Miner>',
+    players: [{ playerName: '<img src=x onerror=alert(1)>', callupCount: 3, previousStatus: 'OK', status: 'WARNING' }],
+    unmatched: true
+  });
+  assert.equal(alert.subject, 'Callup Alert - BU11 <Miner>: 1 player changed status');
+  assert.match(alert.html, /The following BU11 &lt;Miner&gt; players/);
+  assert.match(alert.html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.doesNotMatch(alert.html, /<img/);
+  assert.match(alert.text, /OK → WARNING/);
+  assert.match(alert.text, /went to the club webmaster/);
+
+  const link = renderEmail('sign-in-link', { url: 'https://tools.example.org/api/auth?token=a"b&from=%2F' });
+  assert.match(link.html, /href="https:\/\/tools\.example\.org\/api\/auth\?token=a&quot;b&amp;from=%2F"/);
+  assert.match(link.text, /Sign in \(https:\/\/tools\.example\.org\/api\/auth\?token=a"b&from=%2F\)/);
+});
+
+test('response pages escape the request and team', () => {
+  const request = {
+    id: 'scr_1',
+    status: 'open',
+    requesterEmail: 'visitor@example.org',
+    clubName: '</strong><script>x()</script>',
+    gender: 'Boys',
+    ageGroup: 'U12',
+    dates: 'Sat <5/9>',
+    message: ''
+  };
+  const page = renderPage('response-confirm', { request, recipient: { team: 'BU12 & Co' }, action: 'claim' });
+
+  assert.match(page, /<title>We'll take it - BU12 &amp; Co<\/title>/);
+  assert.match(page, /&lt;\/strong&gt;&lt;script&gt;x\(\)&lt;\/script&gt;/);
+  assert.match(page, /Dates: Sat &lt;5\/9&gt;/);
+  assert.match(page, /\(no message\)/);
+  assert.match(page, /<button type="submit">We'll take it for BU12 &amp; Co<\/button>/);
+
+  const closed = renderPage('response-closed', { request: { ...request, claimedBy: { team: '<b>BU12</b>' } } });
+  assert.match(closed, /&lt;b&gt;BU12&lt;\/b&gt; already took this scrimmage request/);
+  assert.match(renderPage('response-invalid'), /This link is invalid or too old/);
+  assert.throws(() => renderPage('nope'), /Unknown page "nope"/);
+});
+
+test('admins preview every template with sample data', async () => {
+  const forbidden = createResponse();
+  await previewHandler(createRequest({ headers: await signIn('coach') }), forbidden);
+  assert.equal(forbidden.statusCode, 403);
+
+  const headers = await signIn('admin');
+
+  const list = createResponse();
+  await previewHandler(createRequest({ headers }), list);
+  assert.deepEqual(list.body.templates.map(t => t.name), listTemplates().map(t => t.name));
+
+  for (const { name } of listTemplates()) {
+    const res = createResponse();
+    await previewHandler(createRequest({ query: { template: name, format: 'json' }, headers }), res);
+    assert.equal(res.statusCode, 200, name);
+    assert.ok(res.body.subject && res.body.html && res.body.text, name);
+  }
+
+  const text = createResponse();
+  await previewHandler(createRequest({ query: { template: 'scrimmage-request', format: 'text' }, headers }), text);
+  assert.equal(text.headers['content-type'], 'text/plain; charset=utf-8');
+  assert.match(text.body, /^Subject: Scrimmage Request - Boys U12\n/);
+  assert.match(text.body, /We'll take it \(https:\/\/.*token=sample-claim\)/);
+
+  const missing = createResponse();
+  await previewHandler(createRequest({ query: { template: 'nope' }, headers }), missing);
+  assert.equal(missing.statusCode, 404);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse, resetState, signIn } = require('./helpers');
+const { getCache } = require('../lib/cache');
+const { filterFines, summarizeFines } = require('../lib/fines');
+const finesHandler = require('../api/fines');
+
+const FINES = [
+  { date: '2025-09-20', gameId: '10488', team: 'BU12 Borcyk', type: 'Forfeit', playerName: null, amount: 150, paid: false },
+  { date: '2025-10-04', gameId: '10601', team: 'GU12 Zecher', type: 'Yellow Card', playerName: 'Doe, Jane', amount: 25, paid: true },
+  { date: '2025-10-11', gameId: '10650', team: 'GU12 Zecher', type: 'Yellow Card', playerName: 'Roe, Ann', amount: 25.1, paid: false },
+  { date: '2025-10-18', gameId: '10702', team: 'BU12 Borcyk', type: 'Late Roster', playerName: null, amount: 50, paid: false },
+  { date: '2025-10-25', gameId: null, team: 'BU12 Borcyk', type: 'Credit', playerName: null, amount: -20.2, paid: true }
+];
+
+test.beforeEach(async () => {
+  resetState();
+  await getCache().set('callups', { summary: [], fines: FINES, totalRecords: 0, identityReview: 0, lastUpdated: new Date().toISOString() });
+});
+
+test('totals add up per team and per type, to the cent', () => {
+  const { totals, byTeam, byType } = summarizeFines(FINES);
+
+  assert.deepEqual(totals, { count: 5, total: 229.9, paid: 4.8, unpaid: 225.1 });
+  assert.deepEqual(byTeam, [
+    { team: 'BU12 Borcyk', count: 3, total: 179.8, paid: -20.2, unpaid: 200 },
+    { team: 'GU12 Zecher', count: 2, total: 50.1, paid: 25, unpaid: 25.1 }
+  ]);
+  assert.deepEqual(byType.map(row => [row.type, row.total]), [
+    ['Forfeit', 150], ['Yellow Card', 50.1], ['Late Roster', 50], ['Credit', -20.2]
+  ]);
+});
+
+test('filters match team labels, types, status and dates', () => {
+  const games = fines => fines.map(fine => fine.gameId);
+
+  assert.deepEqual(games(filterFines(FINES, { team: 'BU12 - Borcyk', status: 'unpaid' })), ['10488', '10702']);
+  assert.deepEqual(games(filterFines(FINES, { type: 'yellow card', from: '2025-10-05' })), ['10650']);
+  assert.deepEqual(games(filterFines(FINES, { teams: ['GU12 - Zecher'], to: '2025-10-04' })), ['10601']);
+});
+
+test('the API filters the cached ledger and limits coaches to their teams', async () => {
+  const viewer = createResponse();
+  await finesHandler(createRequest({
+    query: { status: 'unpaid' },
+    headers: await signIn('viewer')
+  }), viewer);
+
+  assert.equal(viewer.statusCode, 200);
+  assert.equal(viewer.body.fines.length, 3);
+  assert.equal(viewer.body.totals.unpaid, 225.1);
+  assert.deepEqual(viewer.body.teamOptions, ['BU12 Borcyk', 'GU12 Zecher']);
+  assert.equal(viewer.body.teams, null);
+
+  const coach = createResponse();
+  await finesHandler(createRequest({
+    headers: await signIn('coach', ['GU12 - Zecher'])
+  }), coach);
+  assert.deepEqual(coach.body.byTeam.map(row => row.team), ['GU12 Zecher']);
+  assert.deepEqual(coach.body.teamOptions, ['GU12 Zecher']);
+
+  const invalid = createResponse();
+  await finesHandler(createRequest({
+    query: { from: '10/1/2025' },
+    headers: await signIn('viewer')
+  }), invalid);
+  assert.equal(invalid.statusCode, 400);
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Saved RDYSL page from test/fixtures
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Records parsed from gamefines-club.html, in page order
+ */
+const CLUB_RECORDS = [
+  callup('Smith, John', '2025-09-13', '10412', 'BU11 Miner', 'BU12 Borcyk'),
+  callup('Smith, John', '2025-09-20', '10488', 'BU11 Miner', 'BU12 Borcyk'),
+  {
+    name: 'Smith, John',
+    type: 'CALLUP: Division',
+    callupType: 'Division',
+    date: '2025-09-27',
+    gameId: '10533',
+    fromTeam: null,
+    toTeam: 'BU12 Sotile',
+    count: 1
+  },
+  callup('Núñez, Sofía', '2025-10-04', '10601', 'GU11 Stagnitta', 'GU12 Zecher'),
+  callup('Smith, John', '2025-10-11', '10650', 'BU11 Miner', 'BU12 Borcyk'),
+  callup('Brown, Max', '2025-10-11', '10650', 'BU11 Miner', 'BU12 Borcyk'),
+  callup('Smith, John', '2025-10-18', '10702', 'BU11 Miner', 'BU12 Borcyk'),
+  callup('Brown, Max', '2025-10-25', '10755', 'BU11 Miner', 'BU12 Borcyk'),
+  callup("O'Brien, Liam", '2025-10-25', '10755', 'BU11 Miner', 'BU12 Borcyk')
+];
+
+/**
+ * [playerName, callupCount, statusKey, remaining] for CLUB_RECORDS under the default rules
+ */
+const CLUB_SUMMARY = [
+  ['Smith, John', 5, 'OVER_LIMIT', 0],
+  ['Brown, Max', 2, 'OK', 2],
+  ['Núñez, Sofía', 1, 'OK', 3],
+  ["O'Brien, Liam", 1, 'OK', 3]
+];
+
+function callup(name, date, gameId, fromTeam, toTeam) {
+  return {
+    name,
+    type: `Callup: ${fromTeam} to ${toTeam}`,
+    callupType: `${fromTeam} to ${toTeam}`,
+    date,
+    gameId,
+    fromTeam,
+    toTeam,
+    count: 1
+  };
+}
+
+/**
+ * Stand-in for Vercel's response object; records what a handler sent
+ */
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    redirectUrl: null,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    end() {
+      return res;
+    },
+    redirect(code, url) {
+      res.statusCode = code;
+      res.redirectUrl = url;
+      return res;
+    }
+  };
+  return res;
+}
+
+/**
+ * Minimal request for calling a handler directly
+ */
+function createRequest({ method = 'GET', query = {}, body, headers = {} } = {}) {
+  return { method, query, body, headers };
+}
+
+const TEST_SESSION_SECRET = 'test-secret-for-signing-sessions';
+let accounts = 0;
+
+/**
+ * Fresh state for each test: the session secret, and empty in-memory
+ * storage and cache. Use as test.beforeEach(resetState).
+ */
+function resetState() {
+  const { setStorage, MemoryStorage } = require('../lib/storage');
+  const { setCache, MemoryCache } = require('../lib/cache');
+
+  process.env.SESSION_SECRET = TEST_SESSION_SECRET;
+  setStorage(new MemoryStorage());
+  setCache(new MemoryCache());
+}
+
+/**
+ * Request headers signed in as a new account with `role`, limited to
+ * `teams` (contacts directory labels). `email` defaults to a unique one.
+ */
+async function signIn(role, teams = [], email = `${role}-${++accounts}@example.org`) {
+  const { saveUser } = require('../lib/users');
+  const { createSessionToken } = require('../lib/auth');
+
+  const { user, error } = await saveUser(null, { email, role, teams });
+  if (error) throw new Error(error);
+  return { cookie: `hh_session=${await createSessionToken(user)}` };
+}
+
+function summaryRows(summary) {
+  return summary.map(player => [player.playerName, player.callupCount, player.statusKey, player.remaining]);
+}
+
+module.exports = {
+  TEST_SESSION_SECRET,
+  resetState,
+  signIn,
+  readFixture,
+  summaryRows,
+  createResponse,
+  createRequest,
+  CLUB_RECORDS,
+  CLUB_SUMMARY
+};
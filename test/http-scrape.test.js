@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { readFixture, resetState, CLUB_RECORDS } = require('./helpers');
+const { CookieJar } = require('../lib/http-session');
+const { getSchedule, saveSchedule } = require('../lib/schedule');
+
+process.env.RDYSL_USERNAME = 'heat';
+process.env.RDYSL_PASSWORD = 'secret';
+delete process.env.CALLUP_RULES;
+
+const RDYSLScraperServerless = require('../api/scraper-serverless');
+
+/**
+ * Local stand-in for rdysl.com: a session cookie from /clublogin, a login
+ * cookie from posting the form (then a redirect), and /gamefines and
+ * /schedule only with both
+ */
+function startRdysl(options = {}) {
+  const server = http.createServer((req, res) => {
+    const cookies = req.headers.cookie || '';
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/clublogin' && req.method === 'GET') {
+      res.setHeader('Set-Cookie', 'ASPSESSIONID=s1; path=/');
+      return res.end(readFixture('clublogin.html'));
+    }
+
+    if (url.pathname === '/clublogin' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(body);
+        const valid = form.get('F') === 'club' && form.get('Submit') === 'Login' &&
+          form.get('Username') === 'heat' && form.get('Password') === 'secret' &&
+          cookies.includes('ASPSESSIONID=s1');
+        if (!valid) {
+          return res.end(readFixture('clublogin.html').replace('<form', '<p>Invalid username or password</p><form'));
+        }
+        res.setHeader('Set-Cookie', 'RDYSLCLUB=heat; path=/; HttpOnly');
+        res.writeHead(302, { Location: '/clubhome' });
+        res.end();
+      });
+      return;
+    }
+
+    if (url.pathname === '/clubhome') {
+      return res.end('<html><body>Welcome, Hilton Heat</body></html>');
+    }
+
+    if (url.pathname === '/gamefines' && url.searchParams.get('F') === 'club') {
+      if (options.expireSession || !cookies.includes('RDYSLCLUB=heat') || !cookies.includes('ASPSESSIONID=s1')) {
+        return res.end(readFixture('login-corrupted.html'));
+      }
+      return res.end(readFixture('gamefines-club.html'));
+    }
+
+    if (url.pathname === '/schedule' && url.searchParams.get('F') === 'club' && !options.noSchedule) {
+      if (!cookies.includes('RDYSLCLUB=heat')) return res.end(readFixture('login-corrupted.html'));
+      return res.end(readFixture('schedule-club.html'));
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+async function scrapeWith(serverOptions, scraperOptions) {
+  const { server, baseUrl } = await startRdysl(serverOptions);
+  try {
+    const scraper = new RDYSLScraperServerless({ mode: 'http', baseUrl, ...scraperOptions });
+    return await scraper.scrapeCallupData();
+  } finally {
+    server.close();
+  }
+}
+
+test.beforeEach(resetState);
+
+test('http mode logs in with the form and parses the game fines page', async () => {
+  const result = await scrapeWith();
+
+  assert.equal(result.success, true);
+  assert.equal(result.totalRecords, CLUB_RECORDS.length);
+  assert.deepEqual(result.summary.map(player => player.playerName), ['Smith, John', 'Brown, Max', 'Núñez, Sofía', "O'Brien, Liam"]);
+  assert.equal(result.schedule.length, 6);
+  assert.deepEqual(await getSchedule(), { scrapedAt: result.lastUpdated, games: result.schedule });
+});
+
+test('a missing schedule page keeps the last schedule and the scrape still succeeds', async () => {
+  await saveSchedule([{ gameId: '1', team: 'BU12 Borcyk', date: '2025-09-13' }], '2025-09-01T00:00:00.000Z');
+
+  const result = await scrapeWith({ noSchedule: true });
+  assert.equal(result.success, true);
+  assert.equal(result.schedule, null);
+  assert.equal((await getSchedule()).scrapedAt, '2025-09-01T00:00:00.000Z');
+});
+
+test('http mode reports rejected credentials as AUTH_FAILED', async () => {
+  process.env.RDYSL_PASSWORD = 'wrong';
+  try {
+    const result = await scrapeWith();
+    assert.equal(result.success, false);
+    assert.equal(result.code, 'AUTH_FAILED');
+  } finally {
+    process.env.RDYSL_PASSWORD = 'secret';
+  }
+});
+
+test('http mode reports a login page instead of game fines as SESSION_EXPIRED', async () => {
+  const result = await scrapeWith({ expireSession: true });
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'SESSION_EXPIRED');
+});
+
+test('auto mode falls back to the browser when HTTP fails', async () => {
+  const { server, baseUrl } = await startRdysl({ expireSession: true });
+  try {
+    const scraper = new RDYSLScraperServerless({ mode: 'auto', baseUrl });
+    let browserUsed = false;
+    scraper.fetchWithBrowser = async () => {
+      browserUsed = true;
+      return { gameFines: readFixture('gamefines-club.html'), schedule: null };
+    };
+
+    const result = await scraper.scrapeCallupData();
+    assert.equal(browserUsed, true);
+    assert.equal(result.success, true);
+    assert.equal(result.totalRecords, CLUB_RECORDS.length);
+  } finally {
+    server.close();
+  }
+});
+
+test('unknown scrape modes are rejected', () => {
+  assert.throws(() => new RDYSLScraperServerless({ mode: 'curl' }), /Unknown RDYSL_SCRAPE_MODE/);
+});
+
+test('cookie jar matches domain and path, and drops expired cookies', () => {
+  const jar = new CookieJar();
+  jar.setCookies([
+    'session=a; Path=/',
+    'club=b; Path=/club; Domain=.rdysl.com',
+    'old=c; Path=/; Max-Age=0'
+  ], 'https://www.rdysl.com/clublogin');
+
+  assert.equal(jar.cookieHeader('https://www.rdysl.com/gamefines'), 'session=a');
+  assert.equal(jar.cookieHeader('https://rdysl.com/club/roster'), 'club=b');
+  assert.equal(jar.cookieHeader('https://www.rdysl.com/club'), 'session=a; club=b');
+  assert.equal(jar.cookieHeader('https://www.rdysl.com/clubhome'), 'session=a');
+  assert.equal(jar.cookieHeader('https://example.com/'), '');
+
+  jar.setCookies(['session=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT'], 'https://www.rdysl.com/');
+  assert.equal(jar.cookieHeader('https://www.rdysl.com/gamefines'), '');
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resetState } = require('./helpers');
+const { normalizeName, playerId, nameDistance, nearMiss } = require('../lib/names');
+const {
+  pairId,
+  resolveIdentities,
+  listPendingReview,
+  saveDecision,
+  deleteDecision
+} = require('../lib/identities');
+
+test.beforeEach(resetState);
+
+/**
+ * One callup record per name, in order
+ */
+function records(...names) {
+  return names.map((name, i) => ({ name, date: `2025-09-${String(i + 1).padStart(2, '0')}`, gameId: String(10400 + i) }));
+}
+
+function countsByName(resolved) {
+  const counts = {};
+  resolved.forEach(record => { counts[record.name] = (counts[record.name] || 0) + 1; });
+  return counts;
+}
+
+test('"Last, First", case, whitespace and accents normalize to one key', () => {
+  const spellings = ['Smith, John', 'John Smith', '  smith ,  JOHN ', 'SMITH,john', 'john\tsmith'];
+  assert.deepEqual([...new Set(spellings.map(normalizeName))], ['john smith']);
+
+  assert.equal(normalizeName('Núñez, Sofía'), normalizeName('Sofia Nunez'));
+  assert.equal(normalizeName('Zoë Brontë-Smith'), 'bronte-smith zoe');
+  assert.notEqual(normalizeName('Smith, John'), normalizeName('Smith, Jane'));
+
+  assert.equal(playerId('Smith, John'), 'john-smith');
+  assert.equal(playerId('Sofia NUNEZ'), playerId('Núñez, Sofía'));
+  assert.equal(playerId("O'Brien, Liam"), 'liam-o-brien');
+});
+
+test('typos and an extra middle name are near misses; different players are not', () => {
+  assert.equal(nameDistance('john', 'jhon'), 1);
+  assert.equal(nameDistance('kitten', 'sitting'), 3);
+
+  assert.equal(nearMiss('john smith', 'john smith'), null);
+  assert.equal(nearMiss('john smith', 'jon smith'), 1);
+  assert.equal(nearMiss('john smith', 'jhon smith'), 1);
+  assert.equal(nearMiss('katherine smith', 'kathrine smyth'), 2);
+  assert.equal(nearMiss('john michael smith', 'john smith'), 8);
+
+  assert.equal(nearMiss('john smith', 'jane smith'), null);
+  assert.equal(nearMiss('ana li', 'ann lo'), null);
+  assert.equal(nearMiss('john smith', 'max brown'), null);
+});
+
+test('spellings of one player are counted together and near misses go to review', async () => {
+  const { records: resolved, resolver } = await resolveIdentities(records(
+    'Smith, John', 'Smith, John', 'JOHN SMITH', 'smith , john',
+    'Jon Smith',
+    'Núñez, Sofía', 'Sofia Nunez',
+    'Brown, Max'
+  ));
+
+  assert.deepEqual(countsByName(resolved), { 'Smith, John': 4, 'Jon Smith': 1, 'Núñez, Sofía': 2, 'Brown, Max': 1 });
+  assert.equal(resolved[2].originalName, 'JOHN SMITH');
+  assert.equal(resolved[0].originalName, undefined);
+  assert.deepEqual(resolver.aliasesFor('Smith, John').sort(), ['JOHN SMITH', 'smith , john']);
+
+  const pending = await listPendingReview();
+  assert.deepEqual(pending.map(item => [item.id, item.names, item.distance]), [
+    ['john smith|jon smith', ['Smith, John', 'Jon Smith'], 1]
+  ]);
+});
+
+test('saved merge and split decisions are applied to later scrapes', async () => {
+  const scrape = records('Smith, John', 'Smith, John', 'Jon Smith', 'Brown, Max', 'Max Browne');
+  await resolveIdentities(scrape);
+  assert.equal((await listPendingReview()).length, 2);
+
+  const merge = await saveDecision('Jon Smith', 'Smith, John', 'merge');
+  await saveDecision('Brown, Max', 'Max Browne', 'split');
+  assert.equal(merge.id, pairId('Smith, John', 'Jon Smith'));
+  assert.deepEqual(await listPendingReview(), []);
+
+  const { records: resolved } = await resolveIdentities(scrape);
+  assert.deepEqual(countsByName(resolved), { 'Smith, John': 3, 'Brown, Max': 1, 'Max Browne': 1 });
+  assert.equal(resolved[2].originalName, 'Jon Smith');
+  assert.deepEqual(await listPendingReview(), []);
+
+  // A different spelling of a merged name is still the same player
+  const { records: next } = await resolveIdentities(records('Smith, John', 'Smith, John', 'JON SMITH'));
+  assert.deepEqual(countsByName(next), { 'Smith, John': 3 });
+
+  // Forgetting a decision puts the pair back on the review list
+  await deleteDecision(merge.id);
+  const { records: undecided } = await resolveIdentities(scrape);
+  assert.deepEqual(countsByName(undecided), { 'Smith, John': 2, 'Jon Smith': 1, 'Brown, Max': 1, 'Max Browne': 1 });
+  assert.deepEqual((await listPendingReview()).map(item => item.id), [merge.id]);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse, resetState, signIn } = require('./helpers');
+const { startSmtpStandIn } = require('./smtp-stand-in');
+
+process.env.APP_URL = 'https://tools.example.org';
+
+const { RETRY_DELAYS_MS, MAX_ATTEMPTS, sendEmail, queueEmail, processOutbox, getOutboxMessage, listOutbox } = require('../lib/outbox');
+const { listScrimmageRequests } = require('../lib/scrimmage-requests');
+const outboxHandler = require('../api/outbox');
+const scrimmageHandler = require('../api/scrimmage-request');
+
+let smtp;
+
+test.before(async () => {
+  smtp = await startSmtpStandIn();
+  process.env.SMTP_HOST = smtp.host;
+  process.env.SMTP_PORT = String(smtp.port);
+});
+
+test.after(() => smtp.server.close());
+
+test.beforeEach(() => {
+  resetState();
+  smtp.messages.length = 0;
+});
+
+const MESSAGE = { to: 'coach@example.org', subject: 'Hello', html: '<p>Hi <a href="https://example.org">there</a></p>' };
+
+test('a message is sent once per key, with a text part', async () => {
+  const sent = await sendEmail(MESSAGE, 'test:hello');
+
+  assert.equal(sent.status, 'sent');
+  assert.equal(sent.attempts, 1);
+  assert.ok(sent.messageId);
+  assert.deepEqual(sent.log.map(entry => entry.event), ['sent']);
+  assert.equal(sent.text, 'Hi there (https://example.org)');
+
+  assert.equal(smtp.messages.length, 1);
+  assert.deepEqual(smtp.messages[0].to, ['coach@example.org']);
+  assert.match(smtp.messages[0].data, /Content-Type: text\/plain/);
+  assert.match(smtp.messages[0].data, /Content-Type: text\/html/);
+
+  const again = await sendEmail({ ...MESSAGE, subject: 'Hello again' }, 'test:hello');
+  assert.equal(again.id, sent.id);
+  assert.equal(again.subject, 'Hello');
+  assert.equal((await queueEmail(MESSAGE, 'test:hello')).duplicate, true);
+  assert.equal(smtp.messages.length, 1);
+});
+
+/**
+ * `ms` after now, for outbox runs that happen later
+ */
+function later(ms) {
+  return new Date(Date.now() + ms);
+}
+
+test('temporary SMTP failures wait out a growing backoff, then fail', async () => {
+  smtp.failNext(2);
+
+  const first = await sendEmail(MESSAGE, 'test:retry');
+  assert.equal(first.status, 'queued');
+  assert.match(first.lastError, /451/);
+  assert.equal(Date.parse(first.nextAttemptAt) - Date.parse(first.updatedAt), RETRY_DELAYS_MS[0]);
+
+  // Not due yet, and too far off to wait for
+  assert.deepEqual(await processOutbox(new Date(), { waitMs: 0 }), { sent: [], retrying: [], failed: [] });
+
+  assert.deepEqual(await processOutbox(later(RETRY_DELAYS_MS[0]), { waitMs: 0 }), { sent: [], retrying: [first.id], failed: [] });
+  const second = await getOutboxMessage(first.id);
+  assert.equal(second.attempts, 2);
+  assert.equal(Date.parse(second.nextAttemptAt) - Date.parse(second.updatedAt), RETRY_DELAYS_MS[1]);
+
+  assert.deepEqual(await processOutbox(later(RETRY_DELAYS_MS[0] + RETRY_DELAYS_MS[1]), { waitMs: 0 }), { sent: [first.id], retrying: [], failed: [] });
+  const sent = await getOutboxMessage(first.id);
+  assert.deepEqual(sent.log.map(entry => entry.event), ['error', 'error', 'sent']);
+  assert.equal(sent.nextAttemptAt, null);
+  assert.equal(smtp.messages.length, 1);
+
+  smtp.failNext(MAX_ATTEMPTS);
+  const doomed = await sendEmail(MESSAGE, 'test:retry-out');
+  for (let attempt = 2; attempt < MAX_ATTEMPTS; attempt++) {
+    assert.deepEqual((await processOutbox(later(attempt * 24 * 60 * 60 * 1000), { waitMs: 0 })).retrying, [doomed.id]);
+  }
+  assert.deepEqual(await processOutbox(later(MAX_ATTEMPTS * 24 * 60 * 60 * 1000), { waitMs: 0 }), { sent: [], retrying: [], failed: [doomed.id] });
+  const failed = await getOutboxMessage(doomed.id);
+  assert.equal(failed.attempts, MAX_ATTEMPTS);
+  assert.equal(failed.nextAttemptAt, null);
+});
+
+test('an outbox run retries a message that comes due while it runs', async () => {
+  const { message } = await queueEmail(MESSAGE, 'test:in-run');
+  smtp.failNext(1);
+
+  const started = Date.now();
+  assert.deepEqual(await processOutbox(), { sent: [message.id], retrying: [], failed: [] });
+  assert.ok(Date.now() - started >= RETRY_DELAYS_MS[0]);
+  assert.deepEqual((await getOutboxMessage(message.id)).log.map(entry => entry.event), ['error', 'sent']);
+});
+
+test('on Vercel the send locks must be in the redis cache', async () => {
+  process.env.VERCEL = '1';
+  try {
+    await assert.rejects(sendEmail(MESSAGE, 'test:vercel'), /Outbox sending needs the redis cache/);
+  } finally {
+    delete process.env.VERCEL;
+  }
+});
+
+test('permanent failures stop, and admins can find and resend them', async () => {
+  smtp.failNext(1, 550);
+  const failed = await sendEmail(MESSAGE, 'test:permanent');
+  assert.equal(failed.status, 'failed');
+
+  const headers = await signIn('admin', [], 'admin@example.org');
+  await sendEmail({ ...MESSAGE, to: 'other@example.org' }, 'test:other');
+
+  const found = createResponse();
+  await outboxHandler(createRequest({ query: { status: 'failed', q: 'COACH@' }, headers }), found);
+  assert.deepEqual(found.body.messages.map(message => message.id), [failed.id]);
+  assert.equal(found.body.messages[0].html, undefined);
+
+  const resent = createResponse();
+  await outboxHandler(createRequest({ method: 'POST', query: { id: failed.id }, headers }), resent);
+  assert.equal(resent.body.message.status, 'sent');
+  assert.deepEqual(resent.body.message.log.map(entry => entry.event), ['error', 'resend', 'sent']);
+  assert.equal(resent.body.message.log[1].by, 'admin@example.org');
+
+  const missing = createResponse();
+  await outboxHandler(createRequest({ method: 'POST', query: { id: 'msg_nope' }, headers }), missing);
+  assert.equal(missing.statusCode, 404);
+});
+
+test('a scrimmage request is saved even when SMTP is down, and its emails go out later', async () => {
+  process.env.SMTP_PORT = '1';
+
+  const res = createResponse();
+  await scrimmageHandler(createRequest({
+    method: 'POST',
+    headers: { origin: 'https://tools.example.org' },
+    body: { Email: 'visitor@example.org', 'Age Group': 'U12', Gender: 'Boys' }
+  }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal((await listScrimmageRequests()).length, 1);
+  assert.equal(smtp.messages.length, 0);
+
+  process.env.SMTP_PORT = String(smtp.port);
+  const { sent } = await processOutbox(later(RETRY_DELAYS_MS[0]), { waitMs: 0 });
+  assert.equal(sent.length, res.body.contactsNotified + 1);
+  assert.ok(smtp.messages.some(message => message.to.includes('visitor@example.org')));
+});
+
+test('every scrimmage email is in the outbox before the first is sent', async () => {
+  const outboxAtSend = [];
+  const watched = await startSmtpStandIn({ onMessage: () => outboxAtSend.push(listOutbox()) });
+  process.env.SMTP_PORT = String(watched.port);
+
+  try {
+    const res = createResponse();
+    await scrimmageHandler(createRequest({
+      method: 'POST',
+      headers: { origin: 'https://tools.example.org' },
+      body: { Email: 'visitor@example.org', 'Age Group': 'U12', Gender: 'Boys' }
+    }), res);
+
+    assert.equal(res.statusCode, 200);
+    const emails = res.body.contactsNotified + 1;
+    assert.equal(outboxAtSend.length, emails);
+    assert.deepEqual((await Promise.all(outboxAtSend)).map(messages => messages.length), Array(emails).fill(emails));
+  } finally {
+    process.env.SMTP_PORT = String(smtp.port);
+    watched.server.close();
+  }
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse, resetState, signIn, CLUB_RECORDS } = require('./helpers');
+const { getCache } = require('../lib/cache');
+
+delete process.env.CALLUP_RULES;
+
+const CallupRules = require('../public/js/callup-rules');
+const { playerId } = require('../lib/names');
+const callupsHandler = require('../api/callups');
+const playerHandler = require('../api/callups/player');
+
+const SUMMARY = CallupRules.summarize(CLUB_RECORDS);
+
+const FINES = [
+  { date: '2025-10-12', gameId: '10650', team: 'BU11 Miner', type: 'Yellow Card', playerName: 'BROWN, Max', amount: 10, paid: false },
+  { date: '2025-10-04', gameId: '10601', team: 'BU11 Miner', type: 'Red Card', playerName: 'Max Brown', amount: 25, paid: true },
+  { date: '2025-10-04', gameId: '10601', team: 'BU11 Miner', type: 'Late Roster', playerName: null, amount: 15, paid: false }
+];
+
+async function getPlayer(id, headers) {
+  const res = createResponse();
+  await playerHandler(createRequest({ query: { id }, headers }), res);
+  return res;
+}
+
+test.beforeEach(async () => {
+  resetState();
+  await getCache().set('callups', {
+    summary: SUMMARY,
+    fines: FINES,
+    totalRecords: CLUB_RECORDS.length,
+    identityReview: 0,
+    lastUpdated: new Date().toISOString()
+  });
+});
+
+test('player ids are the same for every spelling of a name', () => {
+  assert.equal(playerId('Smith, John'), 'john-smith');
+  assert.equal(playerId('  john SMITH '), 'john-smith');
+  assert.equal(playerId('Núñez, Sofía'), 'nunez-sofia');
+  assert.equal(playerId("O'Brien, Liam"), 'liam-o-brien');
+});
+
+test('the next threshold is the next status and how many callups away it is', () => {
+  const threshold = name => {
+    const player = SUMMARY.find(row => row.playerName === name);
+    return CallupRules.nextThreshold(player.callups, CallupRules.resolveRules());
+  };
+
+  assert.deepEqual(threshold('Brown, Max'), { statusKey: 'WARNING', status: 'WARNING', callupsAway: 1 });
+  assert.deepEqual(threshold('Núñez, Sofía'), { statusKey: 'WARNING', status: 'WARNING', callupsAway: 2 });
+  assert.equal(threshold('Smith, John'), null);
+  assert.deepEqual(CallupRules.nextThreshold([], { limits: [{ match: {}, total: 1, warnRemaining: 0 }] }),
+    { statusKey: 'UNAVAILABLE', status: 'UNAVAILABLE', callupsAway: 1 });
+});
+
+test('/api/callups rows link to /api/callups/player with callups, chart points and fines', async () => {
+  const headers = await signIn('viewer');
+
+  const list = createResponse();
+  await callupsHandler(createRequest({ headers }), list);
+  const brown = list.body.summary.find(row => row.playerName === 'Brown, Max');
+  assert.equal(brown.id, 'brown-max');
+
+  const res = await getPlayer(brown.id, headers);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.player.playerName, 'Brown, Max');
+  assert.equal(res.body.player.callups.length, 2);
+  assert.deepEqual(res.body.nextThreshold, { statusKey: 'WARNING', status: 'WARNING', callupsAway: 1 });
+  assert.deepEqual(res.body.cumulative, [{ date: '2025-10-11', count: 1 }, { date: '2025-10-25', count: 2 }]);
+  assert.deepEqual(res.body.fines.map(fine => fine.type), ['Red Card', 'Yellow Card']);
+  assert.deepEqual(res.body.fineTotals, { count: 2, total: 35, paid: 25, unpaid: 10 });
+  assert.equal(res.body.season, null);
+
+  assert.equal((await getPlayer('nobody-here', headers)).statusCode, 404);
+  assert.equal((await getPlayer('', headers)).statusCode, 400);
+});
+
+test('coaches only open players on their own teams', async () => {
+  const headers = await signIn('coach', ['BU11 - Miner']);
+
+  assert.equal((await getPlayer('brown-max', headers)).statusCode, 200);
+  assert.equal((await getPlayer('nunez-sofia', headers)).statusCode, 404);
+});
@@ -0,0 +1,103 @@
+const net = require('net');
+const { parseReply } = require('../lib/redis-client');
+
+/**
+ * Local stand-in for a Redis server: the commands lib/cache.js and
+ * lib/storage.js use (AUTH, SELECT, GET, SET with NX/PX, DEL, EXISTS, and
+ * HGET, HSET, HDEL, HVALS) over RESP2, in memory.
+ * Resolves to { url, server, commands } where commands logs every call.
+ */
+function startRedisStandIn(options = {}) {
+  const values = new Map();
+  const hashes = new Map();
+  const commands = [];
+  const hash = key => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  const live = key => {
+    const entry = values.get(key);
+    if (entry && entry.expires !== null && entry.expires <= Date.now()) values.delete(key);
+    return values.get(key);
+  };
+
+  const execute = ([name, ...args], session) => {
+    const command = name.toUpperCase();
+    commands.push([command, ...args]);
+
+    if (command === 'AUTH') {
+      if (args[args.length - 1] !== options.password) return '-WRONGPASS invalid password\r\n';
+      session.authed = true;
+      return '+OK\r\n';
+    }
+    if (options.password && !session.authed) return '-NOAUTH Authentication required.\r\n';
+
+    switch (command) {
+      case 'SELECT':
+        return '+OK\r\n';
+      case 'GET': {
+        const entry = live(args[0]);
+        return entry ? bulk(entry.value) : '$-1\r\n';
+      }
+      case 'SET': {
+        const [key, value, ...flags] = args;
+        const upper = flags.map(flag => flag.toUpperCase());
+        if (upper.includes('NX') && live(key)) return '$-1\r\n';
+        const px = upper.indexOf('PX');
+        values.set(key, { value, expires: px === -1 ? null : Date.now() + parseInt(flags[px + 1], 10) });
+        return '+OK\r\n';
+      }
+      case 'DEL':
+        return `:${args.filter(key => live(key) && values.delete(key)).length}\r\n`;
+      case 'EXISTS':
+        return `:${args.filter(key => live(key)).length}\r\n`;
+      case 'HGET': {
+        const value = hash(args[0]).get(args[1]);
+        return value === undefined ? '$-1\r\n' : bulk(value);
+      }
+      case 'HSET': {
+        const added = hash(args[0]).has(args[1]) ? 0 : 1;
+        hash(args[0]).set(args[1], args[2]);
+        return `:${added}\r\n`;
+      }
+      case 'HDEL':
+        return `:${args.slice(1).filter(field => hash(args[0]).delete(field)).length}\r\n`;
+      case 'HVALS': {
+        const items = [...hash(args[0]).values()];
+        return `*${items.length}\r\n${items.map(bulk).join('')}`;
+      }
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  const server = net.createServer(socket => {
+    const session = { authed: false };
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed.end);
+        socket.write(execute(parsed.value, session));
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const auth = options.password ? `:${options.password}@` : '';
+      resolve({ url: `redis://${auth}127.0.0.1:${server.address().port}/1`, server, commands });
+    });
+  });
+}
+
+function bulk(value) {
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+module.exports = {
+  startRedisStandIn
+};
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resetState } = require('./helpers');
+const { importRosterCsv, listPlayers } = require('../lib/roster');
+const { parseCsv, toCsv } = require('../lib/csv');
+
+const ROSTER_CSV = [
+  'Player Name,Team,Age Group,Jersey',
+  'Smith John,BU11 - Miner,BU11,7',
+  'Brown Max,BU11 - Miner,BU11,9'
+].join('\n');
+
+test.beforeEach(resetState);
+
+test('replace keeps matching players and removes the rest', async () => {
+  await importRosterCsv(ROSTER_CSV);
+  const [brown] = await listPlayers();
+
+  const result = await importRosterCsv('Player Name,Team\nBrown Max,BU12 - Borcyk\nKeller Ava,GU11 - Stagnitta\n', { replace: true });
+  assert.deepEqual(result, { created: 1, updated: 1, removed: 1, errors: [] });
+
+  const players = await listPlayers();
+  assert.deepEqual(players.map(player => [player.name, player.team]), [
+    ['Brown Max', 'BU12 - Borcyk'],
+    ['Keller Ava', 'GU11 - Stagnitta']
+  ]);
+  assert.equal(players[0].id, brown.id);
+});
+
+test('a replace with invalid rows or no players leaves the roster alone', async () => {
+  await importRosterCsv(ROSTER_CSV);
+
+  const wrongFile = await importRosterCsv('Email,Phone\npat@example.org,555-0100\n', { replace: true });
+  assert.match(wrongFile.error, /no valid players/);
+  assert.equal(wrongFile.errors.length, 1);
+
+  const oneBad = await importRosterCsv('Player Name,Team\nKeller Ava,GU11 - Stagnitta\nNo Team,\n', { replace: true });
+  assert.match(oneBad.error, /1 row failed validation/);
+  assert.deepEqual(oneBad.errors, [{ line: 3, error: 'Team is required for No Team' }]);
+
+  assert.deepEqual((await listPlayers()).map(player => player.name), ['Brown Max', 'Smith John']);
+});
+
+test('CSV cells that would run as spreadsheet formulas are written as text', () => {
+  const columns = [{ key: 'name', label: 'Name' }, { key: 'phone', label: 'Phone' }, { key: 'count', label: 'Count' }];
+  const csv = toCsv([
+    { name: '=HYPERLINK("https://evil.example","Smith")', phone: '+1 555 0100', count: -1 },
+    { name: '@SUM(A1)', phone: '-', count: 2 }
+  ], columns);
+
+  assert.equal(csv, [
+    'Name,Phone,Count',
+    '"\'=HYPERLINK(""https://evil.example"",""Smith"")",\'+1 555 0100,-1',
+    '\'@SUM(A1),\'-,2',
+    ''
+  ].join('\r\n'));
+
+  assert.deepEqual(parseCsv(csv), [
+    { Name: '=HYPERLINK("https://evil.example","Smith")', Phone: '+1 555 0100', Count: '-1' },
+    { Name: '@SUM(A1)', Phone: '-', Count: '2' }
+  ]);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { readFixture, createRequest, createResponse, resetState, signIn } = require('./helpers');
+
+process.env.APP_URL = 'https://tools.example.org';
+
+const { parseScheduleTables, saveSchedule, buildCalendar, clubDate } = require('../lib/schedule');
+const { formatSummary } = require('../lib/callup-data');
+const scheduleHandler = require('../api/schedule');
+const calendarHandler = require('../api/schedule/calendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fixtureGames() {
+  const $ = cheerio.load(readFixture('schedule-club.html'));
+  const tables = $('table').map((i, table) => [
+    $(table).find('tr').map((j, row) => [$(row).find('td, th').map((k, cell) => $(cell).text().trim()).get()]).get()
+  ]).get();
+  return parseScheduleTables(tables);
+}
+
+test.beforeEach(resetState);
+
+test('parses our side of each game, both sides of club games', () => {
+  const games = fixtureGames();
+
+  assert.deepEqual(games.map(game => [game.gameId, game.team, game.homeAway]), [
+    ['10412', 'BU12 Borcyk', 'home'],
+    ['10820', 'BU12 Borcyk', 'away'],
+    ['10821', 'GU12 Zecher', 'home'],
+    ['10877', 'BU11 Miner', 'home'],
+    ['10877', 'BU11 Tette', 'away'],
+    ['10901', 'BU12 Borcyk', 'home']
+  ]);
+  assert.deepEqual(games[1], {
+    gameId: '10820',
+    date: '2025-11-01',
+    time: '10:30',
+    field: 'Harris Whalen Park #2',
+    team: 'BU12 Borcyk',
+    opponent: 'Penfield BU12 Red',
+    homeAway: 'away'
+  });
+  assert.equal(games[2].opponent, 'Webster & Co GU12');
+  assert.equal(games[3].time, null);
+  assert.equal(games[5].time, '14:15');
+});
+
+test('the calendar feed has timed and all-day events in the club time zone', () => {
+  const games = fixtureGames().filter(game => game.team === 'BU11 Tette' || game.gameId === '10820');
+  const ics = buildCalendar('BU12 Borcyk', games, { scrapedAt: '2025-10-20T12:00:00.000Z' });
+  const lines = ics.split('\r\n');
+
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+  assert.ok(lines.includes('DTSTART;TZID=America/New_York:20251101T103000'));
+  assert.ok(lines.includes('DTEND;TZID=America/New_York:20251101T120000'));
+  assert.ok(lines.includes('SUMMARY:BU12 Borcyk @ Penfield BU12 Red'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20251108'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20251109'));
+  assert.ok(lines.includes('DTSTAMP:20251020T120000Z'));
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+});
+
+test('the API lists a team\'s games and a calendar link that works without signing in', async () => {
+  await saveSchedule(fixtureGames(), '2025-10-20T12:00:00.000Z');
+  const headers = await signIn('viewer');
+
+  const res = createResponse();
+  await scheduleHandler(createRequest({ query: { team: 'BU12 - Borcyk', all: 'true' }, headers }), res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.games.map(game => game.gameId), ['10412', '10820', '10901']);
+  assert.equal(res.body.teams.length, 4);
+
+  const upcoming = createResponse();
+  await scheduleHandler(createRequest({ query: { team: 'BU12 Borcyk', from: '2025-11-02' }, headers }), upcoming);
+  assert.deepEqual(upcoming.body.games.map(game => game.gameId), ['10901']);
+
+  const calendarUrl = new URL(res.body.calendarUrl);
+  assert.equal(calendarUrl.origin + calendarUrl.pathname, 'https://tools.example.org/api/schedule/calendar');
+  const feed = createResponse();
+  await calendarHandler(createRequest({ query: { token: calendarUrl.searchParams.get('token') } }), feed);
+  assert.equal(feed.statusCode, 200);
+  assert.equal(feed.headers['content-type'], 'text/calendar; charset=utf-8');
+  assert.equal(feed.body.match(/BEGIN:VEVENT/g).length, 3);
+
+  const forged = createResponse();
+  await calendarHandler(createRequest({ query: { token: 'nope' } }), forged);
+  assert.equal(forged.statusCode, 404);
+
+  const unknown = createResponse();
+  await scheduleHandler(createRequest({ query: { team: 'GU15 - Nobody' }, headers }), unknown);
+  assert.equal(unknown.statusCode, 404);
+});
+
+test('players near the limit get the next game of the teams they were called up to', async () => {
+  const day = offset => clubDate(new Date(Date.now() + offset * DAY_MS));
+  await saveSchedule([
+    { gameId: '1', team: 'BU12 Borcyk', opponent: 'Fairport', date: day(-3), time: '09:00', field: null, homeAway: 'home' },
+    { gameId: '2', team: 'BU12 Borcyk', opponent: 'Penfield', date: day(4), time: '10:30', field: null, homeAway: 'away' },
+    { gameId: '3', team: 'BU12 Borcyk', opponent: 'Greece', date: day(9), time: null, field: null, homeAway: 'home' }
+  ]);
+
+  const callups = [{ date: day(-3), gameId: '1', fromTeam: 'BU11 Miner', toTeam: 'BU12 Borcyk', callupType: '' }];
+  const summary = await formatSummary([
+    { playerName: 'Smith, John', callupCount: 3, statusKey: 'WARNING', status: 'WARNING', callups },
+    { playerName: 'Brown, Max', callupCount: 1, statusKey: 'OK', status: 'OK', callups }
+  ], false);
+
+  assert.deepEqual(summary[0].nextGames.map(game => game.gameId), ['2']);
+  assert.deepEqual(summary[1].nextGames, []);
+  assert.equal(summary[0].callups, undefined);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture, createRequest, createResponse, resetState, signIn } = require('./helpers');
+
+process.env.RDYSL_USERNAME = 'heat';
+process.env.RDYSL_PASSWORD = 'secret';
+delete process.env.CALLUP_RULES;
+
+const {
+  hasLoginMarkers,
+  checkScrapeResult,
+  recordScrapeHealth,
+  getScrapeHealth
+} = require('../lib/scrape-health');
+const { saveSnapshot } = require('../lib/history');
+const { getStorage } = require('../lib/storage');
+const RDYSLScraperServerless = require('../api/scraper-serverless');
+const healthHandler = require('../api/health');
+
+test.beforeEach(resetState);
+
+function assertCode(fn, code) {
+  assert.throws(fn, error => error.code === code);
+}
+
+test('login pages are recognized, game-fines pages are not', () => {
+  assert.equal(hasLoginMarkers(readFixture('clublogin.html')), true);
+  assert.equal(hasLoginMarkers(readFixture('login-corrupted.html')), true);
+  assert.equal(hasLoginMarkers(readFixture('gamefines-club.html')), false);
+  assert.equal(hasLoginMarkers(readFixture('gamefines-no-callups.html')), false);
+});
+
+test('a missing callup table is LAYOUT_CHANGED', () => {
+  assertCode(() => checkScrapeResult({ hasCallupTable: false, totalRecords: 0, previousRecords: null }), 'LAYOUT_CHANGED');
+  assertCode(() => checkScrapeResult({ hasCallupTable: false, totalRecords: 0, previousRecords: 40 }), 'LAYOUT_CHANGED');
+});
+
+test('no callups is only EMPTY_RESULT when the last snapshot had some', () => {
+  assert.deepEqual(
+    checkScrapeResult({ hasCallupTable: true, totalRecords: 0, previousRecords: null }),
+    { callupTable: true, totalRecords: 0, previousRecords: null, dropAccepted: false }
+  );
+  assertCode(() => checkScrapeResult({ hasCallupTable: true, totalRecords: 0, previousRecords: 40 }), 'EMPTY_RESULT');
+});
+
+test('a large drop from the last snapshot is EMPTY_RESULT', () => {
+  assertCode(() => checkScrapeResult({ hasCallupTable: true, totalRecords: 19, previousRecords: 40 }), 'EMPTY_RESULT');
+  assert.equal(checkScrapeResult({ hasCallupTable: true, totalRecords: 20, previousRecords: 40 }).totalRecords, 20);
+  assert.equal(checkScrapeResult({ hasCallupTable: true, totalRecords: 55, previousRecords: 40 }).totalRecords, 55);
+
+  const accepted = checkScrapeResult({ hasCallupTable: true, totalRecords: 19, previousRecords: 40, acceptDrop: true });
+  assert.equal(accepted.dropAccepted, true);
+  assert.equal(checkScrapeResult({ hasCallupTable: true, totalRecords: 55, previousRecords: 40, acceptDrop: true }).dropAccepted, false);
+});
+
+/**
+ * Scraper reading the 9-callup club fixture after a 40-record snapshot
+ */
+async function droppedScraper() {
+  await saveSnapshot({ summary: [], totalRecords: 40, lastUpdated: '2025-10-01T12:00:00.000Z' });
+  const scraper = new RDYSLScraperServerless({ mode: 'http' });
+  scraper.fetchPages = async () => ({ gameFines: readFixture('gamefines-club.html'), schedule: null });
+  return scraper;
+}
+
+async function getHealth(headers) {
+  const res = createResponse();
+  await healthHandler(createRequest({ headers }), res);
+  return res.body;
+}
+
+test('a drop that holds for three scrapes in a row is accepted', async () => {
+  const scraper = await droppedScraper();
+
+  for (const streak of [1, 2]) {
+    const result = await scraper.scrapeCallupData();
+    assert.equal(result.code, 'EMPTY_RESULT');
+    assert.equal(result.totalRecords, 9);
+    assert.deepEqual((await getScrapeHealth()).drop, { totalRecords: 9, streak });
+  }
+
+  const result = await scraper.scrapeCallupData();
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.acceptedDrop, 'consistent');
+  assert.equal((await getScrapeHealth()).drop, undefined);
+});
+
+test('an admin can accept a drop; the public health check only shows the code', async () => {
+  const scraper = await droppedScraper();
+  assert.equal((await scraper.scrapeCallupData()).code, 'EMPTY_RESULT');
+
+  const publicHealth = await getHealth({});
+  assert.equal(publicHealth.status, 'degraded');
+  assert.deepEqual(Object.keys(publicHealth.scrape).sort(), ['checkedAt', 'code', 'lastSuccessAt', 'status']);
+  assert.equal(publicHealth.scrape.code, 'EMPTY_RESULT');
+
+  const adminHeaders = await signIn('admin');
+  const viewerHeaders = await signIn('viewer');
+  assert.match((await getHealth(adminHeaders)).scrape.error, /Only 9 callup records found/);
+  assert.equal((await getHealth(viewerHeaders)).scrape.error, undefined);
+
+  let res = createResponse();
+  await healthHandler(createRequest({ method: 'POST', query: { action: 'accept-drop' }, headers: viewerHeaders }), res);
+  assert.equal(res.statusCode, 403);
+
+  res = createResponse();
+  await healthHandler(createRequest({ method: 'POST', query: { action: 'accept-drop' }, headers: adminHeaders }), res);
+  assert.equal(res.statusCode, 200);
+
+  const result = await scraper.scrapeCallupData();
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.acceptedDrop, 'admin');
+  assert.equal((await getScrapeHealth()).dropAcceptedAt, undefined);
+});
+
+test('a storage failure while accepting a drop is a JSON 500', async t => {
+  const headers = await signIn('admin');
+  t.mock.method(getStorage(), 'put', async () => { throw new Error('storage is down'); });
+  t.mock.method(console, 'error', () => {});
+
+  const res = createResponse();
+  await healthHandler(createRequest({ method: 'POST', query: { action: 'accept-drop' }, headers }), res);
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { success: false, error: 'Failed to accept the drop' });
+});
+
+test('scrape health keeps the last success time across failures', async () => {
+  assert.equal(await getScrapeHealth(), null);
+
+  await recordScrapeHealth({ success: true, totalRecords: 12, lastUpdated: '2025-10-20T12:00:00.000Z' });
+  let health = await getScrapeHealth();
+  assert.equal(health.status, 'ok');
+  assert.equal(health.totalRecords, 12);
+  assert.equal(health.lastSuccessAt, '2025-10-20T12:00:00.000Z');
+
+  await recordScrapeHealth({ success: false, code: 'LAYOUT_CHANGED', error: 'Game fines table not found' });
+  health = await getScrapeHealth();
+  assert.equal(health.status, 'failed');
+  assert.equal(health.code, 'LAYOUT_CHANGED');
+  assert.equal(health.error, 'Game fines table not found');
+  assert.equal(health.lastSuccessAt, '2025-10-20T12:00:00.000Z');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture, summaryRows, CLUB_RECORDS, CLUB_SUMMARY } = require('./helpers');
+
+// The constructor refuses to run without credentials; nothing here logs in
+process.env.RDYSL_USERNAME = process.env.RDYSL_USERNAME || 'test-user';
+process.env.RDYSL_PASSWORD = process.env.RDYSL_PASSWORD || 'test-password';
+delete process.env.CALLUP_RULES;
+
+const RDYSLScraperServerless = require('../api/scraper-serverless');
+const CallupParser = require('../public/js/callup-parser');
+
+const scraper = new RDYSLScraperServerless();
+
+test('parses callup rows from the club game-fines page', () => {
+  assert.deepEqual(scraper.parseCallupData(readFixture('gamefines-club.html')), CLUB_RECORDS);
+});
+
+test('summarizes the club page with the default rules', () => {
+  const summary = scraper.generateCallupSummary(scraper.parseCallupData(readFixture('gamefines-club.html')));
+
+  assert.deepEqual(summaryRows(summary), CLUB_SUMMARY);
+  assert.equal(summary[0].status, 'OVER LIMIT');
+  assert.equal(summary[0].isOverLimit, true);
+  assert.deepEqual(summary[0].callups[2], {
+    date: '2025-09-27',
+    gameId: '10533',
+    fromTeam: null,
+    toTeam: 'BU12 Sotile',
+    callupType: 'Division'
+  });
+});
+
+test('finds no callups on a fines page without any', () => {
+  assert.deepEqual(scraper.parseCallupData(readFixture('gamefines-no-callups.html')), []);
+});
+
+test('finds no callups when the Type/Name headers change', () => {
+  assert.deepEqual(scraper.parseCallupData(readFixture('gamefines-changed-headers.html')), []);
+});
+
+test('only pages with the fines table count as game-fines pages', () => {
+  const hasTable = fixture => CallupParser.hasCallupTable(scraper.readTables(readFixture(fixture)));
+
+  assert.equal(hasTable('gamefines-club.html'), true);
+  assert.equal(hasTable('gamefines-no-callups.html'), true);
+  assert.equal(hasTable('gamefines-changed-headers.html'), false);
+  assert.equal(hasTable('clublogin.html'), false);
+});
+
+test('finds no callups on login pages', () => {
+  assert.deepEqual(scraper.parseCallupData(readFixture('clublogin.html')), []);
+  assert.deepEqual(scraper.parseCallupData(readFixture('login-corrupted.html')), []);
+});
+
+test('isValidPlayerName rejects blanks, numbers and callup text', () => {
+  assert.equal(scraper.isValidPlayerName('Smith, John'), true);
+  assert.equal(scraper.isValidPlayerName("O'Brien, Liam"), true);
+  assert.equal(scraper.isValidPlayerName('Núñez, Sofía'), true);
+  assert.equal(scraper.isValidPlayerName(''), false);
+  assert.equal(scraper.isValidPlayerName('-'), false);
+  assert.equal(scraper.isValidPlayerName('12345'), false);
+  assert.equal(scraper.isValidPlayerName('Callup: BU11 Miner to BU12 Borcyk'), false);
+});
+
+test('parses every fine except free callups into the ledger', () => {
+  assert.deepEqual(scraper.parseFineData(readFixture('gamefines-club.html')), [
+    { date: '2025-09-20', gameId: '10488', team: 'BU12 Borcyk', type: 'Forfeit', playerName: null, amount: 150, paid: false },
+    { date: '2025-10-04', gameId: '10601', team: 'GU12 Zecher', type: 'Yellow Card', playerName: 'Doe, Jane', amount: 25, paid: true },
+    { date: '2025-10-18', gameId: '10702', team: 'BU12 Borcyk', type: 'Late Roster', playerName: null, amount: 50, paid: false }
+  ]);
+  assert.equal(scraper.parseFineData(readFixture('gamefines-no-callups.html')).length, 1);
+  assert.deepEqual(scraper.parseFineData(readFixture('clublogin.html')), []);
+});
+
+test('header matching prefers exact headers and keeps the first column found', () => {
+  const columns = headers => CallupParser.findColumns(headers);
+
+  const paidFirst = columns(['Paid Date', 'Amount Paid', 'Type', 'Date', 'Amount', 'Paid']);
+  assert.deepEqual([paidFirst.date, paidFirst.amount, paidFirst.paid, paidFirst.type], [3, 4, 5, 2]);
+
+  const paidLast = columns(['Type', 'Date', 'Amount', 'Paid', 'Paid Date', 'Amount Paid']);
+  assert.deepEqual([paidLast.date, paidLast.amount, paidLast.paid], [1, 2, 3]);
+
+  const loose = columns(['Fine Type', 'Game Date', 'Player Name', 'From  Team', 'Team To', 'Fine Amount', 'Game #']);
+  assert.deepEqual(loose, { type: 0, date: 1, name: 2, fromTeam: 3, toTeam: 4, amount: 5, game: 6, team: -1, paid: -1 });
+});
+
+test('fine amounts and paid status read RDYSL formatting', () => {
+  assert.equal(CallupParser.parseAmount('$1,250.50'), 1250.5);
+  assert.equal(CallupParser.parseAmount('($25.00)'), -25);
+  assert.equal(CallupParser.parseAmount('-$10'), -10);
+  assert.equal(CallupParser.parseAmount(''), null);
+  assert.equal(CallupParser.parsePaid('Yes', 25), true);
+  assert.equal(CallupParser.parsePaid('UNPAID', 25), false);
+  assert.equal(CallupParser.parsePaid('N/A', 0), true);
+  assert.equal(CallupParser.parsePaid('', 40), false);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const { createRequest, createResponse, resetState, signIn } = require('./helpers');
+
+process.env.APP_URL = 'https://tools.example.org';
+process.env.SCRIMMAGE_RATE_LIMIT_MAX_REQUESTS = '2';
+
+const { listScrimmageRequests } = require('../lib/scrimmage-requests');
+const { listRejections } = require('../lib/scrimmage-guard');
+const scrimmageHandler = require('../api/scrimmage-request');
+const blocklistHandler = require('../api/scrimmages/blocklist');
+const rejectedHandler = require('../api/scrimmages/rejected');
+
+let sent;
+
+test.beforeEach(t => {
+  resetState();
+  sent = [];
+  t.mock.method(nodemailer, 'createTransport', () => ({
+    sendMail: async message => {
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    }
+  }));
+});
+
+async function submit(fields = {}, headers = {}) {
+  const res = createResponse();
+  await scrimmageHandler(createRequest({
+    method: 'POST',
+    body: { Email: 'visitor@example.org', 'Age Group': 'U12', Gender: 'Boys', Message: 'Saturday?', ...fields },
+    headers: { origin: 'https://tools.example.org', 'x-forwarded-for': '203.0.113.7, 10.0.0.1', ...headers }
+  }), res);
+  return res;
+}
+
+test('a filled-in honeypot looks like success but sends nothing', async () => {
+  const res = await submit({ website: 'http://cheap-pills.example' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(sent.length, 0);
+  assert.deepEqual(await listScrimmageRequests(), []);
+
+  const [rejection] = await listRejections();
+  assert.deepEqual([rejection.reason, rejection.ip, rejection.email], ['honeypot', '203.0.113.7', 'visitor@example.org']);
+});
+
+test('blocked emails, domains and IPs are turned away', async () => {
+  const headers = await signIn('admin', [], 'admin@example.org');
+  for (const body of [
+    { type: 'domain', value: '@spam.test', reason: 'Known spammer' },
+    { type: 'ip', value: '198.51.100.9' }
+  ]) {
+    const res = createResponse();
+    await blocklistHandler(createRequest({ method: 'POST', body, headers }), res);
+    assert.equal(res.statusCode, 201);
+  }
+
+  const bad = createResponse();
+  await blocklistHandler(createRequest({ method: 'POST', body: { type: 'phone', value: '555' }, headers }), bad);
+  assert.equal(bad.statusCode, 400);
+
+  assert.equal((await submit({ Email: 'bot@mail.spam.test' })).statusCode, 403);
+  assert.equal((await submit({}, { 'x-forwarded-for': '198.51.100.9' })).statusCode, 403);
+  assert.equal(sent.length, 0);
+  assert.deepEqual((await listRejections('blocked')).map(r => r.detail).sort(), ['domain spam.test', 'ip 198.51.100.9']);
+
+  const listed = createResponse();
+  await blocklistHandler(createRequest({ headers }), listed);
+  const ipEntry = listed.body.entries.find(entry => entry.type === 'ip');
+  assert.equal(ipEntry.createdBy, 'admin@example.org');
+
+  const removed = createResponse();
+  await blocklistHandler(createRequest({ method: 'DELETE', query: { id: ipEntry.id }, headers }), removed);
+  assert.equal(removed.statusCode, 200);
+  assert.equal((await submit({}, { 'x-forwarded-for': '198.51.100.9' })).statusCode, 200);
+});
+
+test('each IP and each email is rate limited', async () => {
+  assert.equal((await submit({ Email: 'a@example.org' })).statusCode, 200);
+  assert.equal((await submit({ Email: 'b@example.org' })).statusCode, 200);
+  const limited = await submit({ Email: 'c@example.org' });
+  assert.equal(limited.statusCode, 429);
+  assert.ok(Number(limited.headers['retry-after']) > 0);
+
+  // Same email from other addresses
+  assert.equal((await submit({ 'Age Group': 'U13' }, { 'x-forwarded-for': '192.0.2.1' })).statusCode, 200);
+  assert.equal((await submit({ 'Age Group': 'U12' }, { 'x-forwarded-for': '192.0.2.2' })).statusCode, 200);
+  assert.equal((await submit({ 'Age Group': 'U15' }, { 'x-forwarded-for': '192.0.2.3' })).statusCode, 429);
+
+  // A repeat in the same window counts on the logged entry instead of adding one
+  assert.equal((await submit({ Email: 'd@example.org' })).statusCode, 429);
+  const logged = await listRejections('rate-limited');
+  assert.deepEqual(logged.map(r => [r.detail, r.hits]).sort(), [['email', 1], ['ip', 2]]);
+});
+
+test('on Vercel the rate limits must be counted in the redis cache', async t => {
+  process.env.VERCEL = '1';
+  t.after(() => { delete process.env.VERCEL; });
+  t.mock.method(console, 'error', () => {});
+
+  const res = await submit();
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(await listScrimmageRequests(), []);
+});
+
+test('the same email asking for the same age group again is a duplicate', async () => {
+  const first = await submit();
+  assert.equal(first.statusCode, 200);
+
+  const again = await submit({ Email: 'Visitor@Example.org' }, { 'x-forwarded-for': '192.0.2.50' });
+  assert.equal(again.statusCode, 409);
+  assert.match(again.body.error, /already sent a Boys U12 request/);
+  assert.equal((await listRejections('duplicate'))[0].detail, first.body.requestId);
+
+  assert.equal((await submit({ Email: 'other@example.org' }, { 'x-forwarded-for': '192.0.2.51' })).statusCode, 200);
+});
+
+test('without ALLOWED_ORIGINS only this site can post the form', async t => {
+  const fromSite = await submit();
+  assert.equal(fromSite.statusCode, 200);
+  assert.equal(fromSite.headers['access-control-allow-origin'], 'https://tools.example.org');
+
+  const elsewhere = await submit({ 'Age Group': 'U13' }, { origin: 'https://evil.example' });
+  assert.equal(elsewhere.statusCode, 403);
+  assert.equal(elsewhere.headers['access-control-allow-origin'], undefined);
+
+  process.env.ALLOWED_ORIGINS = '*';
+  t.after(() => { delete process.env.ALLOWED_ORIGINS; });
+  const anywhere = await submit({ 'Age Group': 'U13' }, { origin: 'https://evil.example' });
+  assert.equal(anywhere.statusCode, 200);
+  assert.equal(anywhere.headers['access-control-allow-origin'], '*');
+});
+
+test('ALLOWED_ORIGINS limits where the form can be posted from', async t => {
+  process.env.ALLOWED_ORIGINS = 'https://www.hiltonheat.com, https://hiltonheat.byga.net/';
+  t.after(() => { delete process.env.ALLOWED_ORIGINS; });
+
+  const missing = await submit({}, { origin: undefined });
+  assert.equal(missing.statusCode, 403);
+  assert.equal(missing.headers['access-control-allow-origin'], undefined);
+
+  assert.equal((await submit({}, { origin: 'https://evil.example' })).statusCode, 403);
+
+  const fromByga = await submit({}, { origin: 'https://hiltonheat.byga.net' });
+  assert.equal(fromByga.statusCode, 200);
+  assert.equal(fromByga.headers['access-control-allow-origin'], 'https://hiltonheat.byga.net');
+
+  const byReferer = await submit({ 'Age Group': 'U13' }, { origin: undefined, referer: 'https://www.hiltonheat.com/scrimmages' });
+  assert.equal(byReferer.statusCode, 200);
+
+  assert.deepEqual((await listRejections('origin')).map(r => r.detail).sort(), ['https://evil.example', 'no Origin or Referer']);
+});
+
+test('only admins see rejected submissions', async () => {
+  await submit({ website: 'spam' });
+
+  const forbidden = createResponse();
+  await rejectedHandler(createRequest({ headers: await signIn('coach') }), forbidden);
+  assert.equal(forbidden.statusCode, 403);
+
+  const headers = await signIn('admin');
+  const listed = createResponse();
+  await rejectedHandler(createRequest({ query: { reason: 'honeypot' }, headers }), listed);
+  assert.deepEqual(listed.body.rejections.map(r => r.reason), ['honeypot']);
+
+  const bad = createResponse();
+  await rejectedHandler(createRequest({ query: { reason: 'spam' }, headers }), bad);
+  assert.equal(bad.statusCode, 400);
+});
@@ -0,0 +1,275 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const { createRequest, createResponse, resetState, signIn } = require('./helpers');
+const { setStorage, RedisStorage } = require('../lib/storage');
+const { setCache, RedisCache } = require('../lib/cache');
+const { startRedisStandIn } = require('./redis-stand-in');
+
+process.env.APP_URL = 'https://tools.example.org';
+
+const { getScrimmageRequest, processScrimmageRequests, readScrimmageForm } = require('../lib/scrimmage-requests');
+const { setTeamLevel } = require('../lib/team-contacts');
+const scrimmageHandler = require('../api/scrimmage-request');
+const scrimmagesHandler = require('../api/scrimmages');
+const teamLevelsHandler = require('../api/contacts/teams');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let sent;
+
+test.beforeEach(t => {
+  resetState();
+  sent = [];
+  t.mock.method(nodemailer, 'createTransport', () => ({
+    sendMail: async message => {
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    }
+  }));
+});
+
+async function submitRequest() {
+  const res = createResponse();
+  await scrimmageHandler(createRequest({
+    method: 'POST',
+    headers: { origin: 'https://tools.example.org' },
+    body: { Email: 'visitor@example.org', 'Age Group': 'U12', Gender: 'Boys', Message: 'Saturday?' }
+  }), res);
+  assert.equal(res.statusCode, 200);
+  return res.body.requestId;
+}
+
+/**
+ * The token in the email to `to` for `team`'s `label` button
+ */
+function linkToken(to, team, label) {
+  const message = sent.find(m => m.to === to && m.html.includes(team));
+  const section = message.html.slice(message.html.indexOf(`${team}:`));
+  const href = section.match(new RegExp(`href="([^"]+)"[^>]*>${label}<`))[1];
+  return new URL(href.replace(/&amp;/g, '&')).searchParams.get('token');
+}
+
+async function follow(token, method) {
+  const res = createResponse();
+  await scrimmageHandler(createRequest({ method, query: { token } }), res);
+  return res;
+}
+
+test('requests are saved and each contact gets their own response links', async () => {
+  const id = await submitRequest();
+  const request = await getScrimmageRequest(id);
+
+  assert.equal(request.status, 'open');
+  assert.deepEqual([...new Set(request.recipients.map(r => r.team))].sort(), ['BU12 - Borcyk', 'BU12 - Sotile']);
+  const coachEmails = sent.filter(m => m.subject === 'Scrimmage Request - Boys U12');
+  assert.equal(coachEmails.length, new Set(request.recipients.map(r => r.email)).size);
+  assert.ok(coachEmails.every(m => m.to.split(',').length === 1 && m.replyTo === 'visitor@example.org'));
+  assert.ok(coachEmails.every(m => m.text.includes('We\'ll take it (https://tools.example.org/api/scrimmage-request?token=')));
+  assert.ok(sent.some(m => m.to === 'visitor@example.org' && m.html.includes(id)));
+});
+
+test('the first claim closes the request and tells everyone', async () => {
+  const id = await submitRequest();
+  const borcyk = linkToken('ryanborcyk@gmail.com', 'BU12 - Borcyk', 'We\'ll take it');
+  const sotile = linkToken('joeys.place@yahoo.com', 'BU12 - Sotile', 'We\'ll take it');
+  sent.length = 0;
+
+  // Opening the link only shows a confirmation
+  const page = await follow(borcyk, 'GET');
+  assert.match(page.body, /<form method="POST">/);
+  assert.equal((await getScrimmageRequest(id)).status, 'open');
+
+  const [first, second] = await Promise.all([follow(borcyk, 'POST'), follow(sotile, 'POST')]);
+  assert.match(first.body, /BU12 - Borcyk has the scrimmage/);
+  assert.match(second.body, /BU12 - Borcyk already took this scrimmage request/);
+
+  const request = await getScrimmageRequest(id);
+  assert.equal(request.status, 'claimed');
+  assert.equal(request.claimedBy.email, 'ryanborcyk@gmail.com');
+
+  const toRequester = sent.find(m => m.to === 'visitor@example.org');
+  assert.equal(toRequester.replyTo, 'ryanborcyk@gmail.com');
+  const toOthers = sent.find(m => m.subject.startsWith('Scrimmage Request Taken'));
+  assert.match(toOthers.to, /joeys\.place@yahoo\.com/);
+  assert.doesNotMatch(toOthers.to, /ryanborcyk/);
+  assert.equal(sent.length, 2);
+
+  assert.equal((await follow(`${borcyk}x`, 'POST')).statusCode, 400);
+});
+
+test('on Vercel claims are locked in the redis cache, never a per-instance one', async () => {
+  const id = await submitRequest();
+  const borcyk = linkToken('ryanborcyk@gmail.com', 'BU12 - Borcyk', 'We\'ll take it');
+  const sotile = linkToken('joeys.place@yahoo.com', 'BU12 - Sotile', 'We\'ll take it');
+  const request = await getScrimmageRequest(id);
+
+  const { url, server, commands } = await startRedisStandIn();
+  const cache = new RedisCache(url, 'hh-test:');
+  const storage = new RedisStorage(url, 'hh-test:db:');
+  process.env.VERCEL = '1';
+  try {
+    const refused = await follow(borcyk, 'POST');
+    assert.equal(refused.statusCode, 500);
+    assert.equal((await getScrimmageRequest(id)).status, 'open');
+
+    setStorage(storage);
+    setCache(cache);
+    await storage.put('scrimmage-requests', request);
+
+    const [first, second] = await Promise.all([follow(sotile, 'POST'), follow(borcyk, 'POST')]);
+    assert.match(first.body, /BU12 - Sotile has the scrimmage/);
+    assert.match(second.body, /BU12 - Sotile already took this scrimmage request/);
+    assert.equal((await getScrimmageRequest(id)).claimedBy.team, 'BU12 - Sotile');
+    assert.ok(commands.some(([name, key]) => name === 'SET' && key === `hh-test:lock:scrimmage-request:${id}`));
+  } finally {
+    delete process.env.VERCEL;
+    cache.client.close();
+    storage.client.close();
+    server.close();
+  }
+});
+
+test('the request is declined once every team says no', async () => {
+  const id = await submitRequest();
+  const borcyk = linkToken('ryanborcyk@gmail.com', 'BU12 - Borcyk', 'Not interested');
+  const sotile = linkToken('joeys.place@yahoo.com', 'BU12 - Sotile', 'Not interested');
+  sent.length = 0;
+
+  await follow(borcyk, 'POST');
+  assert.equal((await getScrimmageRequest(id)).status, 'open');
+  assert.equal(sent.length, 0);
+
+  await follow(sotile, 'POST');
+  assert.equal((await getScrimmageRequest(id)).status, 'declined');
+  assert.deepEqual(sent.map(m => m.to), ['visitor@example.org']);
+});
+
+test('open requests get one reminder, then expire', async () => {
+  const id = await submitRequest();
+  await follow(linkToken('ryanborcyk@gmail.com', 'BU12 - Borcyk', 'Not interested'), 'POST');
+  sent.length = 0;
+
+  const base = 'https://tools.example.org';
+  assert.deepEqual(await processScrimmageRequests(base, new Date(Date.now() + DAY_MS)), { reminded: [], expired: [] });
+
+  assert.deepEqual(await processScrimmageRequests(base, new Date(Date.now() + 4 * DAY_MS)), { reminded: [id], expired: [] });
+  assert.ok(sent.length > 0);
+  assert.ok(sent.every(m => m.subject.startsWith('Reminder:') && !m.html.includes('BU12 - Borcyk:')));
+  assert.deepEqual(await processScrimmageRequests(base, new Date(Date.now() + 5 * DAY_MS)), { reminded: [], expired: [] });
+
+  sent.length = 0;
+  assert.deepEqual(await processScrimmageRequests(base, new Date(Date.now() + 8 * DAY_MS)), { reminded: [], expired: [id] });
+  assert.equal((await getScrimmageRequest(id)).status, 'expired');
+  assert.deepEqual(sent.map(m => m.to), ['visitor@example.org']);
+});
+
+test('admins list requests and mark them scheduled', async () => {
+  const id = await submitRequest();
+  const headers = await signIn('admin');
+
+  const open = createResponse();
+  await scrimmagesHandler(createRequest({ query: { status: 'open' }, headers }), open);
+  assert.deepEqual(open.body.requests.map(r => r.id), [id]);
+
+  const updated = createResponse();
+  await scrimmagesHandler(createRequest({ method: 'PUT', query: { id }, body: { status: 'scheduled' }, headers }), updated);
+  assert.equal(updated.body.request.status, 'scheduled');
+
+  const bad = createResponse();
+  await scrimmagesHandler(createRequest({ method: 'PUT', query: { id }, body: { status: 'done' }, headers }), bad);
+  assert.equal(bad.statusCode, 400);
+});
+
+test('the form accepts several genders, age groups and levels under Byga-style labels', () => {
+  const { form } = readScrimmageForm({
+    'Email': 'coach@otherclub.org',
+    'Gender': 'Boys & Girls',
+    'Age Group': ['U12', 'u-13'],
+    'Competitive Level': 'Div 2 or 3',
+    'Club / Team Name': 'Fairport FC U12',
+    'Phone Number': '585-555-0100',
+    'Proposed Dates': 'Sat 5/9, Sun 5/10',
+    'home_away': 'Neutral',
+    'Field': 'Perinton Park #3'
+  });
+  assert.deepEqual(
+    [form.genders, form.ageGroups, form.levels, form.clubName, form.venue, form.dates],
+    [['Boys', 'Girls'], ['U12', 'U13'], ['2', '3'], 'Fairport FC U12', 'neutral', 'Sat 5/9, Sun 5/10']
+  );
+
+  assert.match(readScrimmageForm({ Email: 'a@b.org', Gender: 'Boys', 'Age Group': 'twelve' }).error, /Age group must look like U12/);
+  assert.match(readScrimmageForm({ Email: 'a@b.org', Gender: 'Boys', 'Age Group': 'U12', Level: 'elite' }).error, /Level must be/);
+});
+
+test('one submission makes a request per age group and lists the teams asked', async () => {
+  const res = createResponse();
+  await scrimmageHandler(createRequest({
+    method: 'POST',
+    headers: { origin: 'https://tools.example.org' },
+    body: { Email: 'visitor@example.org', 'Age Group': 'U12, U13', Gender: 'Boys/Girls', Club: 'Fairport FC' }
+  }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.requests.map(r => `${r.gender} ${r.ageGroup}`), ['Boys U12', 'Boys U13', 'Girls U12', 'Girls U13']);
+  assert.deepEqual(res.body.skipped, []);
+  assert.deepEqual(res.body.requests[0].teams.sort(), ['BU12 - Borcyk', 'BU12 - Sotile']);
+  assert.ok(res.body.teams.includes('GU13 - Montagliano'));
+
+  const requests = await Promise.all(res.body.requests.map(r => getScrimmageRequest(r.requestId)));
+  assert.equal(new Set(requests.map(request => request.batchId)).size, 1);
+
+  const confirmations = sent.filter(m => m.to === 'visitor@example.org');
+  assert.equal(confirmations.length, 1);
+  assert.ok(res.body.requests.every(r => confirmations[0].html.includes(r.requestId)));
+});
+
+test('a level sends the request only to teams at that level', async () => {
+  await setTeamLevel('BU12 - Borcyk', 'Division 1');
+  await setTeamLevel('BU12 - Sotile', '2');
+
+  const res = createResponse();
+  await scrimmageHandler(createRequest({
+    method: 'POST',
+    headers: { origin: 'https://tools.example.org' },
+    body: {
+      Email: 'visitor@example.org', 'Age Group': 'U12', Gender: 'Boys', Level: 'D2',
+      Club: 'Fairport FC', Phone: '585-555-0100', Dates: 'Sat 5/9', Times: '10am', 'Home/Away': 'Home'
+    }
+  }), res);
+
+  assert.deepEqual(res.body.teams, ['BU12 - Sotile']);
+  const coachEmail = sent.find(m => m.to === 'joeys.place@yahoo.com');
+  assert.match(coachEmail.html, /Fairport FC has requested a scrimmage/);
+  assert.match(coachEmail.html, /Level:<\/td>\s*<td[^>]*>Division 2</);
+  assert.match(coachEmail.html, /At their field \(they host\)/);
+  assert.match(coachEmail.html, /visitor@example.org \/ 585-555-0100/);
+  assert.ok(!sent.some(m => m.to === 'ryanborcyk@gmail.com'));
+
+  const none = createResponse();
+  await scrimmageHandler(createRequest({
+    method: 'POST',
+    headers: { origin: 'https://tools.example.org' },
+    body: { Email: 'other@example.org', 'Age Group': 'U12', Gender: 'Boys', Level: '3' }
+  }), none);
+  assert.equal(none.statusCode, 404);
+  assert.match(none.body.error, /No teams found for Boys U12 at Division 3/);
+});
+
+test('admins set team levels', async () => {
+  const headers = await signIn('admin');
+
+  const set = createResponse();
+  await teamLevelsHandler(createRequest({ method: 'PUT', query: { team: 'BU12 Borcyk' }, body: { level: 'Div 1' }, headers }), set);
+  assert.deepEqual(set.body.level, '1');
+
+  const bad = createResponse();
+  await teamLevelsHandler(createRequest({ method: 'PUT', query: { team: 'BU12 - Nobody' }, body: { level: '1' }, headers }), bad);
+  assert.equal(bad.statusCode, 400);
+
+  const listed = createResponse();
+  await teamLevelsHandler(createRequest({ headers }), listed);
+  const borcyk = listed.body.teams.find(team => team.team === 'BU12 - Borcyk');
+  assert.equal(borcyk.level, '1');
+  assert.ok(borcyk.contacts > 0);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture, createRequest, createResponse, resetState, signIn, CLUB_RECORDS } = require('./helpers');
+const { getStorage } = require('../lib/storage');
+
+process.env.RDYSL_USERNAME = 'heat';
+process.env.RDYSL_PASSWORD = 'secret';
+delete process.env.CALLUP_RULES;
+
+const {
+  saveSeason,
+  getSeason,
+  getSeasonArchive,
+  tagWithSeason,
+  rulesForSeason,
+  listSeasons
+} = require('../lib/seasons');
+const CallupRules = require('../public/js/callup-rules');
+const RDYSLScraperServerless = require('../api/scraper-serverless');
+const callupsHandler = require('../api/callups');
+const seasonsHandler = require('../api/seasons');
+
+// Spring 2025 ended; Fall 2025 is open-ended, so it is the current season
+const SPRING = { name: 'Spring 2025', startDate: '2025-03-01', endDate: '2025-06-30' };
+const FALL = { name: 'Fall 2025', startDate: '2025-08-01' };
+
+/**
+ * The last scrape of Spring 2025: 20 callups that are no longer on the page
+ */
+async function saveSpringSnapshot() {
+  const callups = Array.from({ length: 20 }, (_, i) => ({
+    date: `2025-04-${String(i + 1).padStart(2, '0')}`,
+    gameId: String(9000 + i),
+    fromTeam: 'BU11 Miner',
+    toTeam: 'BU12 Borcyk',
+    callupType: 'BU11 Miner to BU12 Borcyk',
+    season: 'spring-2025'
+  }));
+  const players = [0, 1, 2, 3].map(n => ({
+    playerName: `Spring, Player ${n}`,
+    callupCount: 5,
+    statusKey: 'OVER_LIMIT',
+    status: 'OVER LIMIT',
+    callups: callups.slice(n * 5, n * 5 + 5)
+  }));
+  const snapshot = { id: 'snap_1', scrapedAt: '2025-06-30T12:00:00.000Z', totalRecords: 20, players, fines: [], season: 'spring-2025' };
+  await getStorage().put('snapshots', snapshot);
+  return snapshot;
+}
+
+function fixtureScraper() {
+  const scraper = new RDYSLScraperServerless({ mode: 'http' });
+  scraper.fetchPages = async () => ({ gameFines: readFixture('gamefines-club.html'), schedule: null });
+  return scraper;
+}
+
+test.beforeEach(resetState);
+
+test('seasons are checked, slugged and may not overlap', async () => {
+  const { season } = await saveSeason(null, { ...SPRING, rules: '{"limits":[{"match":{},"total":6}]}' });
+  assert.equal(season.id, 'spring-2025');
+  assert.deepEqual(season.rules, { limits: [{ match: {}, total: 6 }] });
+
+  assert.match((await saveSeason(null, SPRING)).error, /already exists/);
+  assert.match((await saveSeason(null, { name: 'Summer', startDate: '2025-06-15', endDate: '2025-07-31' })).error, /overlaps Spring 2025/);
+  assert.match((await saveSeason(null, { name: 'Bad', startDate: '2025-09-01', endDate: '2025-08-01' })).error, /before startDate/);
+  assert.match((await saveSeason(null, { name: 'Bad', startDate: '2025-09-01', rules: '{nope' })).error, /not valid JSON/);
+
+  await saveSeason(null, FALL);
+  assert.deepEqual((await listSeasons()).map(s => s.id), ['fall-2025', 'spring-2025']);
+});
+
+test('records are tagged with their season and counted under its rules', async () => {
+  const { season: spring } = await saveSeason(null, { ...SPRING, rules: { limits: [{ match: {}, total: 6 }] } });
+  const { season: fall } = await saveSeason(null, FALL);
+
+  const records = tagWithSeason([
+    { name: 'Smith, John', date: '2025-05-03' },
+    { name: 'Smith, John', date: '2025-07-12' },
+    ...CLUB_RECORDS.filter(record => record.name === 'Smith, John')
+  ], [spring, fall]);
+  assert.deepEqual(records.map(record => record.season), ['spring-2025', null, 'fall-2025', 'fall-2025', 'fall-2025', 'fall-2025', 'fall-2025']);
+
+  const [smith] = CallupRules.summarize(records, rulesForSeason(CallupRules.resolveRules(), fall), { seasonStart: fall.startDate });
+  assert.equal(smith.callupCount, 5);
+  assert.equal(smith.statusKey, 'OVER_LIMIT');
+  assert.equal(smith.callups[0].season, 'spring-2025');
+
+  const spring6 = rulesForSeason(CallupRules.resolveRules(), spring);
+  assert.equal(CallupRules.evaluatePlayer(smith.callups, spring6, { seasonStart: fall.startDate }).statusKey, 'WARNING');
+});
+
+test('a scrape after RDYSL resets archives the old season instead of failing', async () => {
+  await saveSeason(null, SPRING);
+  await saveSeason(null, FALL);
+  const spring = await saveSpringSnapshot();
+
+  const result = await fixtureScraper().scrapeCallupData();
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.season, 'fall-2025');
+  assert.equal(result.seasonReset, 'spring-2025');
+  assert.ok(result.summary.every(player => player.callups.every(callup => callup.season === 'fall-2025')));
+  assert.ok(result.fines.length > 0 && result.fines.every(fine => fine.season === 'fall-2025'));
+
+  const archive = await getSeasonArchive('spring-2025');
+  assert.equal(archive.reason, 'reset');
+  assert.equal(archive.lastUpdated, spring.scrapedAt);
+  assert.deepEqual(archive.summary, spring.players);
+  assert.ok((await getSeason('spring-2025')).archivedAt);
+});
+
+test('without a season change, a much smaller page is still EMPTY_RESULT', async () => {
+  await saveSeason(null, { name: 'Spring 2025', startDate: '2025-03-01' });
+  await saveSpringSnapshot();
+
+  const result = await fixtureScraper().scrapeCallupData();
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'EMPTY_RESULT');
+  assert.equal(await getSeasonArchive('spring-2025'), null);
+});
+
+test('/api/callups?season= serves an archived season', async () => {
+  await saveSeason(null, SPRING);
+  await saveSeason(null, FALL);
+  await saveSeason(null, { name: 'Winter 2025', startDate: '2025-01-01', endDate: '2025-02-28' });
+  const spring = await saveSpringSnapshot();
+  const headers = await signIn('admin');
+
+  let res = createResponse();
+  await seasonsHandler(createRequest({ method: 'POST', query: { id: 'spring-2025', action: 'archive' }, headers }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.season.archivedAt, res.body.archivedAt);
+
+  res = createResponse();
+  await callupsHandler(createRequest({ query: { season: 'spring-2025', details: 'true' }, headers }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.archived, true);
+  assert.equal(res.body.season.name, 'Spring 2025');
+  assert.equal(res.body.lastUpdated, spring.scrapedAt);
+  assert.deepEqual(res.body.summary.map(player => player.playerName), spring.players.map(player => player.playerName));
+  assert.equal(res.body.stats.totalCallups, 20);
+  assert.equal(res.body.summary[0].callups.length, 5);
+
+  res = createResponse();
+  await callupsHandler(createRequest({ query: { season: 'winter-2025' }, headers }), res);
+  assert.equal(res.statusCode, 404);
+  assert.match(res.body.error, /no archived data/);
+
+  res = createResponse();
+  await callupsHandler(createRequest({ query: { season: 'nope' }, headers }), res);
+  assert.equal(res.statusCode, 404);
+
+  res = createResponse();
+  await seasonsHandler(createRequest({ headers: await signIn('viewer') }), res);
+  assert.equal(res.body.currentSeason, 'fall-2025');
+  assert.deepEqual(res.body.seasons.map(s => [s.id, s.current, s.archived]), [
+    ['fall-2025', true, false],
+    ['spring-2025', false, true],
+    ['winter-2025', false, false]
+  ]);
+});
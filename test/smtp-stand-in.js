@@ -0,0 +1,102 @@
+const net = require('net');
+
+/**
+ * Local stand-in for an SMTP server: EHLO/HELO, MAIL, RCPT, DATA, RSET, NOOP
+ * and QUIT, no TLS or AUTH, messages kept in memory.
+ * Resolves to { host, port, server, messages, failNext(count, code) } where
+ * messages holds { from, to, data } per accepted message and failNext makes
+ * the next `count` messages fail at DATA with `code` (default 451, a
+ * temporary failure).
+ *
+ * Run it directly to try the outbox locally: `node test/smtp-stand-in.js 2525`
+ * prints each message; point SMTP_HOST=127.0.0.1 SMTP_PORT=2525 at it.
+ */
+function startSmtpStandIn(options = {}) {
+  const messages = [];
+  const failures = [];
+
+  const server = net.createServer(socket => {
+    let envelope = { from: null, to: [] };
+    let buffer = '';
+    let data = null;
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 smtp-stand-in ESMTP ready');
+
+    const command = line => {
+      const [verb] = line.split(' ');
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          return reply('250-smtp-stand-in\r\n250-8BITMIME\r\n250 SMTPUTF8');
+        case 'HELO':
+          return reply('250 smtp-stand-in');
+        case 'MAIL':
+          envelope = { from: (line.match(/<([^>]*)>/) || [])[1] || '', to: [] };
+          return reply('250 OK');
+        case 'RCPT':
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || '');
+          return reply('250 OK');
+        case 'DATA':
+          data = [];
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          return reply('250 OK');
+        case 'NOOP':
+          return reply('250 OK');
+        case 'QUIT':
+          reply('221 Bye');
+          return socket.end();
+        default:
+          return reply('502 Command not implemented');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data === null) {
+          command(line);
+        } else if (line === '.') {
+          const failure = failures.shift();
+          if (failure) {
+            reply(`${failure} ${failure >= 500 ? 'Message rejected' : 'Try again later'}`);
+          } else {
+            const message = { ...envelope, data: data.join('\r\n') };
+            messages.push(message);
+            if (options.onMessage) options.onMessage(message);
+            reply(`250 OK id=stand-in-${messages.length}`);
+          }
+          data = null;
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+      }
+    });
+  });
+
+  const failNext = (count, code = 451) => {
+    for (let i = 0; i < count; i++) failures.push(code);
+  };
+
+  return new Promise(resolve => {
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      resolve({ host: '127.0.0.1', port: server.address().port, server, messages, failNext });
+    });
+  });
+}
+
+if (require.main === module) {
+  startSmtpStandIn({
+    port: parseInt(process.argv[2]) || 2525,
+    onMessage: message => console.log(`--- ${message.from} -> ${message.to.join(', ')}\n${message.data}\n`)
+  }).then(({ port }) => console.log(`SMTP stand-in listening on 127.0.0.1:${port}`));
+}
+
+module.exports = {
+  startSmtpStandIn
+};
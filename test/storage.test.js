@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStorage, setStorage, MemoryStorage, FileStorage, RedisStorage } = require('../lib/storage');
+const { saveSnapshot, listSnapshots } = require('../lib/history');
+const { startRedisStandIn } = require('./redis-stand-in');
+
+/**
+ * The behaviour every backend must share
+ */
+async function checkBackend(storage) {
+  assert.deepEqual(await storage.list('users'), []);
+  assert.equal(await storage.get('users', 'u1'), null);
+
+  await storage.put('users', { id: 'u1', email: 'núñez@hiltonheat.org' });
+  await storage.put('users', { id: 'u2', email: 'smith@hiltonheat.org' });
+  await storage.put('users', { id: 'u1', email: 'nunez@hiltonheat.org' });
+  assert.deepEqual(await storage.get('users', 'u1'), { id: 'u1', email: 'nunez@hiltonheat.org' });
+  assert.deepEqual((await storage.list('users')).map(user => user.id).sort(), ['u1', 'u2']);
+  assert.deepEqual(await storage.list('contacts'), []);
+
+  assert.equal(await storage.remove('users', 'u2'), true);
+  assert.equal(await storage.remove('users', 'u2'), false);
+  assert.deepEqual((await storage.list('users')).map(user => user.id), ['u1']);
+
+  await assert.rejects(storage.put('users', { email: 'no-id@hiltonheat.org' }), /without an id/);
+}
+
+/**
+ * getStorage() with these env vars, as a fresh process would pick it
+ */
+function storageWith(env) {
+  const saved = {};
+  Object.keys(env).forEach(name => {
+    saved[name] = process.env[name];
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  });
+  setStorage(null);
+  try {
+    return getStorage();
+  } finally {
+    setStorage(null);
+    Object.keys(saved).forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+}
+
+test('memory storage', async () => {
+  await checkBackend(new MemoryStorage());
+});
+
+test('file storage', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hh-storage-test-'));
+  try {
+    const file = path.join(dir, 'db.json');
+    await checkBackend(new FileStorage(file));
+
+    // A second instance on the same file sees the other's writes
+    const other = new FileStorage(file);
+    await other.put('users', { id: 'u3' });
+    assert.deepEqual((await new FileStorage(file).list('users')).map(user => user.id).sort(), ['u1', 'u3']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('redis storage against a Redis-protocol stand-in', async () => {
+  const { url, server, commands } = await startRedisStandIn({ password: 's3cret' });
+  const storage = new RedisStorage(url, 'hh-test:db:');
+  try {
+    await checkBackend(storage);
+    assert.ok(commands.some(([name, key, id]) => name === 'HSET' && key === 'hh-test:db:users' && id === 'u1'));
+  } finally {
+    storage.client.close();
+    server.close();
+  }
+});
+
+test('Vercel needs REDIS_URL instead of the per-instance /tmp file', () => {
+  const vercel = { VERCEL: '1', STORAGE_BACKEND: undefined, DATABASE_PATH: undefined, REDIS_URL: undefined };
+
+  assert.throws(() => storageWith(vercel), /needs REDIS_URL/);
+  assert.throws(() => storageWith({ ...vercel, STORAGE_BACKEND: 'file' }), /cannot be used on Vercel/);
+  assert.throws(() => storageWith({ ...vercel, STORAGE_BACKEND: 'file', DATABASE_PATH: '/tmp/db.json' }), /cannot be used on Vercel/);
+  assert.ok(storageWith({ ...vercel, REDIS_URL: 'redis://127.0.0.1:6379' }) instanceof RedisStorage);
+  assert.ok(storageWith({ ...vercel, VERCEL: undefined }) instanceof FileStorage);
+});
+
+test('only the newest SNAPSHOT_LIMIT snapshots are kept', async () => {
+  setStorage(new MemoryStorage());
+  process.env.SNAPSHOT_LIMIT = '3';
+  try {
+    for (let day = 1; day <= 5; day++) {
+      await saveSnapshot({ summary: [], totalRecords: day, lastUpdated: `2025-10-0${day}T12:00:00.000Z` });
+    }
+    assert.deepEqual((await listSnapshots()).map(snapshot => snapshot.totalRecords), [5, 4, 3]);
+  } finally {
+    delete process.env.SNAPSHOT_LIMIT;
+  }
+});
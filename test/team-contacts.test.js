@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse, resetState, signIn } = require('./helpers');
+
+const {
+  listContacts,
+  saveContact,
+  deleteContact,
+  listTeams,
+  findTeamContacts,
+  findScrimmageContacts,
+  exportContactsCsv,
+  importContactsCsv
+} = require('../lib/team-contacts');
+const { saveUser } = require('../lib/users');
+const contactsHandler = require('../api/contacts');
+
+test.beforeEach(resetState);
+
+test('the directory is seeded once, one contact per person', async () => {
+  const contacts = await listContacts();
+  const pollock = contacts.find(contact => contact.email === 'tryfecta1023@yahoo.com');
+  assert.deepEqual(pollock.teams, [
+    { team: 'BU13 - Pollock', role: 'head coach' },
+    { team: 'GU15 - Pollock', role: 'head coach' }
+  ]);
+  assert.equal(contacts.filter(contact => contact.email === 'mtette12@gmail.com').length, 1);
+  assert.equal(contacts.find(contact => contact.email === 'wschulz@hotmail.com').teams[0].role, 'manager');
+  assert.ok((await listTeams()).includes('BU12 - Borcyk'));
+
+  // Emptying the directory doesn't bring the seed back
+  for (const contact of contacts) await deleteContact(contact.id);
+  assert.deepEqual(await listContacts(), []);
+});
+
+test('inactive and opted-out contacts are left out of emails', async () => {
+  for (const contact of await listContacts()) await deleteContact(contact.id);
+
+  await saveContact(null, { name: 'Ryan Borcyk', email: 'coach@example.org', teams: [{ team: 'BU12 Borcyk', role: 'Head Coach' }] });
+  await saveContact(null, { name: 'Max Manager', email: 'manager@example.org', teams: ['BU12 - Borcyk'], scrimmageOptOut: true });
+  await saveContact(null, { name: 'Old Owner', email: 'owner@example.org', teams: [{ team: 'BU12 - Borcyk', role: 'owner' }], active: false });
+
+  const contacts = await listContacts();
+  assert.deepEqual(findTeamContacts(contacts, 'BU12 Borcyk').map(contact => contact.email).sort(),
+    ['coach@example.org', 'manager@example.org']);
+  assert.deepEqual(findTeamContacts(contacts, 'BU12 Sotile'), []);
+  assert.deepEqual((await findScrimmageContacts('BU12')).map(contact => [contact.email, contact.team, contact.role]),
+    [['coach@example.org', 'BU12 - Borcyk', 'head coach']]);
+
+  const { error } = await saveContact(null, { name: 'Someone', email: 'coach@example.org' });
+  assert.match(error, /already a contact/);
+  assert.match((await saveContact(null, { name: 'X', email: 'x@example.org', teams: [{ team: 'BU12 - Borcyk', role: 'coach' }] })).error,
+    /Role for X must be one of head coach, manager, owner/);
+  assert.match((await saveContact(null, { name: 'X', email: 'x@example.org', teams: ['Borcyk'] })).error,
+    /must look like "BU12 - Borcyk"/);
+});
+
+test('CSV export imports back, merging rows by email', async () => {
+  for (const contact of await listContacts()) await deleteContact(contact.id);
+
+  const result = await importContactsCsv([
+    'Name,Email,Phone,Team,Role,Active,Scrimmage Emails',
+    'Pat Coach,pat@example.org,555-0100,BU12 - Borcyk,head coach,Yes,Yes',
+    'Pat Coach,PAT@example.org,,GU10 - Vargas,owner,Yes,Yes',
+    'Sam Helper,sam@example.org,,BU12 - Borcyk,manager,No,No',
+    'No Email,,,BU12 - Borcyk,manager,Yes,Yes'
+  ].join('\n'));
+  assert.deepEqual([result.created, result.updated], [2, 0]);
+  assert.deepEqual(result.errors, [{ line: 5, error: 'A valid email is required for No Email' }]);
+
+  const csv = await exportContactsCsv();
+  assert.match(csv, /^Name,Email,Phone,Team,Role,Active,Scrimmage Emails\r\n/);
+  assert.match(csv, /Pat Coach,pat@example.org,555-0100,GU10 - Vargas,owner,Yes,Yes/);
+  assert.match(csv, /Sam Helper,sam@example.org,,BU12 - Borcyk,manager,No,No/);
+
+  const again = await importContactsCsv(csv, { replace: true });
+  assert.deepEqual([again.created, again.updated, again.removed, again.errors.length], [0, 2, 0, 0]);
+  assert.equal(await exportContactsCsv(), csv);
+
+  // A replace from a file with problems changes nothing
+  const wrongFile = await importContactsCsv('Player Name,Team\nSmith John,BU11 - Miner\n', { replace: true });
+  assert.match(wrongFile.error, /no valid contacts/);
+  const oneBad = await importContactsCsv(`${csv}No Email,,,BU12 - Borcyk,manager,Yes,Yes\r\n`, { replace: true });
+  assert.match(oneBad.error, /1 contact failed validation/);
+  assert.equal(await exportContactsCsv(), csv);
+});
+
+test('user teams are checked against the directory', async () => {
+  assert.deepEqual((await saveUser(null, { email: 'c@example.org', role: 'coach', teams: ['BU12 Borcyk'] })).user.teams,
+    ['BU12 - Borcyk']);
+
+  await saveContact(null, { name: 'New Coach', email: 'new@example.org', teams: [{ team: 'BU17 - Newton', role: 'head coach' }] });
+  assert.deepEqual((await saveUser(null, { email: 'n@example.org', role: 'coach', teams: ['BU17 - Newton'] })).user.teams,
+    ['BU17 - Newton']);
+});
+
+test('only admins can use /api/contacts', async () => {
+  const forbidden = createResponse();
+  await contactsHandler(createRequest({ headers: await signIn('coach') }), forbidden);
+  assert.equal(forbidden.statusCode, 403);
+
+  const headers = await signIn('admin');
+
+  const created = createResponse();
+  await contactsHandler(createRequest({
+    method: 'POST',
+    body: { name: 'Pat Coach', email: 'pat@example.org', teams: [{ team: 'BU12 - Borcyk', role: 'owner' }] },
+    headers
+  }), created);
+  assert.equal(created.statusCode, 201);
+
+  const listed = createResponse();
+  await contactsHandler(createRequest({ query: { team: 'BU12 - Borcyk' }, headers }), listed);
+  assert.ok(listed.body.contacts.some(contact => contact.email === 'pat@example.org'));
+  assert.ok(listed.body.contacts.every(contact => contact.teams.some(membership => membership.team === 'BU12 - Borcyk')));
+
+  const csv = createResponse();
+  await contactsHandler(createRequest({ query: { format: 'csv' }, headers }), csv);
+  assert.equal(csv.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.match(csv.body, /Pat Coach,pat@example.org,,BU12 - Borcyk,owner,Yes,Yes/);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse, resetState, signIn } = require('./helpers');
+const { getCache } = require('../lib/cache');
+const { saveUser } = require('../lib/users');
+const { savePlayer } = require('../lib/roster');
+const { saveSnapshot } = require('../lib/history');
+const { teamScope } = require('../lib/team-scope');
+const callupsHandler = require('../api/callups');
+const exportHandler = require('../api/callups/export');
+const historyHandler = require('../api/callups/history');
+const snapshotsHandler = require('../api/callups/snapshots');
+const checkHandler = require('../api/callups/check');
+
+function row(playerName, callups) {
+  return { playerName, callupCount: callups.length, status: 'OK', statusKey: 'OK', isWarning: false, callups };
+}
+
+function callup(fromTeam, toTeam) {
+  return { date: '2025-10-11', gameId: '10650', callupType: 'Club', fromTeam, toTeam };
+}
+
+// Brown plays for Miner and was called up into Borcyk; Glad is on Sotile;
+// Ward is in the girls' program
+const SUMMARY = [
+  row('Brown, Max', [callup('BU11 Miner', 'BU12 Borcyk')]),
+  row('Glad, Sam', [callup('BU12 Sotile', 'BU13 Welch')]),
+  row('Ward, Ava', [callup('GU11 Stagnitta', 'GU12 Zecher')])
+];
+
+function names(summary) {
+  return summary.map(player => player.playerName).sort();
+}
+
+test.beforeEach(async () => {
+  resetState();
+  await getCache().set('callups', {
+    summary: SUMMARY,
+    totalRecords: 3,
+    identityReview: 0,
+    lastUpdated: new Date().toISOString()
+  });
+  await savePlayer(null, { name: 'Brown, Max', team: 'BU11 - Miner', ageGroup: 'BU11' });
+});
+
+test('user teams must be TEAM_CONTACTS teams and are stored as their labels', async () => {
+  const { user } = await saveUser(null, { email: 'coach@example.org', role: 'coach', teams: 'BU12 Borcyk, BU12 - Borcyk' });
+  assert.deepEqual(user.teams, ['BU12 - Borcyk']);
+
+  const { error } = await saveUser(null, { email: 'other@example.org', role: 'coach', teams: ['BU12 - Nobody'] });
+  assert.match(error, /Unknown team "BU12 - Nobody"/);
+});
+
+test('admins and unassigned viewers see the club; coaches see their teams', () => {
+  assert.equal(teamScope({ role: 'admin', teams: ['BU12 - Borcyk'] }), null);
+  assert.equal(teamScope({ role: 'viewer', teams: [] }), null);
+  assert.deepEqual(teamScope({ role: 'viewer', teams: ['GU12 - Zecher'] }), ['GU12 - Zecher']);
+  assert.deepEqual(teamScope({ role: 'coach', teams: [] }), []);
+});
+
+test('/api/callups is filtered to the coach\'s teams on the server', async () => {
+  const borcyk = createResponse();
+  await callupsHandler(createRequest({ headers: await signIn('coach', ['BU12 - Borcyk']) }), borcyk);
+  assert.equal(borcyk.statusCode, 200);
+  assert.deepEqual(names(borcyk.body.summary), ['Brown, Max']);
+  assert.deepEqual(borcyk.body.teams, ['BU12 - Borcyk']);
+  assert.equal(borcyk.body.stats.totalPlayers, 1);
+  assert.equal(borcyk.body.summary[0].callups, undefined);
+
+  const sotile = createResponse();
+  await callupsHandler(createRequest({ headers: await signIn('coach', ['BU12 - Sotile', 'BU11 - Miner']) }), sotile);
+  assert.deepEqual(names(sotile.body.summary), ['Brown, Max', 'Glad, Sam']);
+
+  const none = createResponse();
+  await callupsHandler(createRequest({ headers: await signIn('coach', []) }), none);
+  assert.deepEqual(none.body.summary, []);
+
+  const admin = createResponse();
+  await callupsHandler(createRequest({ headers: await signIn('admin', []) }), admin);
+  assert.deepEqual(names(admin.body.summary), ['Brown, Max', 'Glad, Sam', 'Ward, Ava']);
+  assert.equal(admin.body.teams, null);
+});
+
+test('exports and history only include the coach\'s players', async () => {
+  const headers = await signIn('coach', ['GU12 - Zecher']);
+
+  const csv = createResponse();
+  await exportHandler(createRequest({ query: { format: 'csv' }, headers }), csv);
+  assert.equal(csv.statusCode, 200);
+  assert.match(csv.body, /Ward, Ava/);
+  assert.doesNotMatch(csv.body, /Brown, Max|Glad, Sam/);
+
+  await saveSnapshot({ summary: SUMMARY, totalRecords: 3, lastUpdated: '2025-10-12T12:00:00.000Z' });
+
+  const own = createResponse();
+  await historyHandler(createRequest({ query: { player: 'Ward, Ava' }, headers }), own);
+  assert.equal(own.body.timeline.length, 1);
+
+  const other = createResponse();
+  await historyHandler(createRequest({ query: { player: 'Glad, Sam' }, headers }), other);
+  assert.deepEqual(other.body.timeline, []);
+});
+
+test('a snapshot only has the coach\'s players and fines', async () => {
+  const snapshot = await saveSnapshot({
+    summary: SUMMARY,
+    fines: [
+      { date: '2025-10-04', gameId: '10601', team: 'GU12 Zecher', type: 'Yellow Card', playerName: 'Ward, Ava', amount: 25, paid: false },
+      { date: '2025-10-11', gameId: '10650', team: 'BU12 Borcyk', type: 'Forfeit', playerName: null, amount: 150, paid: false }
+    ],
+    totalRecords: 3,
+    lastUpdated: '2025-10-12T12:00:00.000Z'
+  });
+
+  const coach = createResponse();
+  await snapshotsHandler(createRequest({ query: { id: snapshot.id }, headers: await signIn('coach', ['GU12 - Zecher']) }), coach);
+  assert.equal(coach.statusCode, 200);
+  assert.deepEqual(names(coach.body.snapshot.players), ['Ward, Ava']);
+  assert.deepEqual(coach.body.snapshot.fines.map(fine => fine.team), ['GU12 Zecher']);
+
+  const coachList = createResponse();
+  await snapshotsHandler(createRequest({ headers: await signIn('coach', ['GU12 - Zecher']) }), coachList);
+  assert.deepEqual(coachList.body.snapshots.map(listed => listed.playerCount), [1]);
+
+  const admin = createResponse();
+  await snapshotsHandler(createRequest({ query: { id: snapshot.id }, headers: await signIn('admin') }), admin);
+  assert.equal(admin.body.snapshot.players.length, 3);
+  assert.equal(admin.body.snapshot.fines.length, 2);
+
+  const adminList = createResponse();
+  await snapshotsHandler(createRequest({ headers: await signIn('admin') }), adminList);
+  assert.deepEqual(adminList.body.snapshots.map(listed => listed.playerCount), [3]);
+});
+
+test('coaches can only pre-check callups into their own teams', async () => {
+  const headers = await signIn('coach', ['BU12 - Borcyk']);
+
+  const res = createResponse();
+  await checkHandler(createRequest({ method: 'POST', body: { players: ['Glad, Sam'], team: 'BU12 - Sotile' }, headers }), res);
+  assert.equal(res.statusCode, 403);
+
+  const own = createResponse();
+  await checkHandler(createRequest({ method: 'POST', body: { players: ['Glad, Sam'], team: 'BU12 Borcyk' }, headers }), own);
+  assert.equal(own.statusCode, 200);
+});